@@ -0,0 +1,5 @@
+import { createServerlessHandler } from '../../src/routes/serverless.js';
+
+// Vercel serverless function handler for nested paths (e.g. /:id),
+// routed through the shared route table
+export default createServerlessHandler();
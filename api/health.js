@@ -0,0 +1,4 @@
+import { createServerlessHandler } from '../src/routes/serverless.js';
+
+// Vercel serverless function handler, routed through the shared route table
+export default createServerlessHandler();
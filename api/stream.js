@@ -1,10 +1,4 @@
-import { OpenAIController } from '../src/controllers/openai.controller.js';
-import { corsMiddleware } from '../src/middleware/cors.js';
+import { createServerlessHandler } from '../src/routes/serverless.js';
 
-// Vercel serverless function handler for streaming OpenAI API
-export default async function handler(req, res) {
-  // Apply CORS middleware
-  corsMiddleware(req, res, () => {});
-  
-  return await OpenAIController.handleStreamingRequest(req, res);
-}
\ No newline at end of file
+// Vercel serverless function handler, routed through the shared route table
+export default createServerlessHandler();
@@ -1,10 +1,4 @@
-import { TextToSpeechController } from '../src/controllers/text-to-speech.controller.js';
-import { corsMiddleware } from '../src/middleware/cors.js';
+import { createServerlessHandler } from '../src/routes/serverless.js';
 
-// Vercel serverless function handler for text-to-speech API
-export default async function handler(req, res) {
-  // Apply CORS middleware
-  corsMiddleware(req, res, () => {});
-  
-  return await TextToSpeechController.handleTextToSpeech(req, res);
-}
\ No newline at end of file
+// Vercel serverless function handler, routed through the shared route table
+export default createServerlessHandler();
@@ -1,5 +1,7 @@
 import { LightweightActuator } from 'node-actuator-lite';
 import { checkMongoDBHealth } from './database.js';
+import { CIRCUIT_STATES, getCircuitBreaker } from '../providers/circuit-breaker.js';
+import { resolveUpstreams } from '../providers/fallback.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -88,6 +90,36 @@ const checkOpenAIHealth = async () => {
   }
 };
 
+/**
+ * LLM upstream circuit breaker health check
+ * DOWN only when every upstream in the fallback chain has an open circuit
+ * @returns {Promise<Object>}
+ */
+const checkLLMUpstreamsHealth = async () => {
+  try {
+    const upstreams = Object.fromEntries(
+      resolveUpstreams().map((upstream) => [upstream.name, getCircuitBreaker(upstream.name).getState()])
+    );
+    const allOpen = Object.values(upstreams).every((breaker) => breaker.state === CIRCUIT_STATES.OPEN);
+
+    return {
+      status: allOpen ? 'DOWN' : 'UP',
+      details: {
+        upstreams,
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      details: {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+};
+
 // Shared actuator instance for the entire application
 export const actuator = new LightweightActuator({
   serverless: true, // Enable serverless mode
@@ -128,6 +160,10 @@ export const actuator = new LightweightActuator({
       name: 'openai-api',
       check: checkOpenAIHealth
     },
+    {
+      name: 'llm-upstreams',
+      check: checkLLMUpstreamsHealth
+    },
     {
       name: 'epic-app',
       check: checkAppHealth
@@ -149,6 +185,44 @@ export const actuator = new LightweightActuator({
       name: 'epic_errors_total',
       help: 'Total number of errors encountered',
       type: 'counter'
+    },
+    {
+      name: 'epic_cost_usd_total',
+      help: 'Estimated LLM spend in US dollars',
+      type: 'counter'
+    },
+    {
+      name: 'epic_cache_hits_total',
+      help: 'Answers served from the response cache',
+      type: 'counter'
+    },
+    {
+      name: 'epic_cache_misses_total',
+      help: 'Cacheable requests that needed a new answer',
+      type: 'counter'
+    },
+    {
+      name: 'epic_streams_aborted_total',
+      help: 'Streamed generations cancelled after the client disconnected',
+      type: 'counter'
+    },
+    {
+      name: 'epic_voice_first_token_seconds',
+      help: 'Time from a voice request to the first LLM token',
+      type: 'histogram',
+      buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10]
+    },
+    {
+      name: 'epic_voice_first_tts_byte_seconds',
+      help: 'Time from a voice request to the first TTS audio byte',
+      type: 'histogram',
+      buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10]
+    },
+    {
+      name: 'epic_voice_first_audio_seconds',
+      help: 'Time from a voice request to the first audio sent to the client',
+      type: 'histogram',
+      buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10]
     }
   ],
   healthOptions: {
@@ -0,0 +1,16 @@
+// Reason codes a reader can give with a rating. A `down` rating, or any
+// rating with one of the FLAGGED_REASONS, puts the answer in the review
+// queue (GET /api/feedback/flagged).
+export const FEEDBACK_REASONS = [
+  'helpful',
+  'comforting',
+  'clear',
+  'wrong',
+  'misquoted_verse',
+  'off_topic',
+  'unclear',
+  'inappropriate',
+  'other'
+];
+
+export const FLAGGED_REASONS = ['wrong', 'misquoted_verse', 'inappropriate'];
@@ -0,0 +1,30 @@
+// Crisis helplines shown to people who may be at risk, keyed by the region
+// part of their locale (en-IN -> IN). `default` is used for any other
+// region. Entries can be added or replaced with the CRISIS_HELPLINES
+// environment variable (JSON in the same shape).
+export const HELPLINES = {
+  US: [
+    { name: '988 Suicide & Crisis Lifeline', phone: '988', text: '988', url: 'https://988lifeline.org' }
+  ],
+  CA: [
+    { name: '9-8-8 Suicide Crisis Helpline', phone: '988', text: '988', url: 'https://988.ca' }
+  ],
+  GB: [
+    { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org' }
+  ],
+  IE: [
+    { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.ie' }
+  ],
+  IN: [
+    { name: 'Tele-MANAS', phone: '14416', url: 'https://telemanas.mohfw.gov.in' }
+  ],
+  AU: [
+    { name: 'Lifeline', phone: '13 11 14', url: 'https://www.lifeline.org.au' }
+  ],
+  NZ: [
+    { name: 'Need to talk?', phone: '1737', text: '1737', url: 'https://1737.org.nz' }
+  ],
+  default: [
+    { name: 'Find A Helpline', url: 'https://findahelpline.com' }
+  ]
+};
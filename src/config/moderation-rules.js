@@ -0,0 +1,21 @@
+// Rules for the local keyword classifier. Categories use the same names as
+// the OpenAI moderation API so both classifiers can be combined; any
+// `self-harm*` match counts as crisis language.
+export const MODERATION_RULES = [
+  {
+    category: 'self-harm/intent',
+    pattern: /\b(kill(ing)? myself|end(ing)? (it all|my (own )?life)|take my (own )?life|commit(ting)? suicide|suicidal|(want|going|ready) to die|wish i (was|were) dead|better off dead|no (reason|point) (to|in) (live|living|go(ing)? on)|don'?t want to (live|be alive|wake up))\b/i
+  },
+  {
+    category: 'self-harm',
+    pattern: /\b(self[- ]?harm(ing)?|cut(ting)? myself|hurt(ing)? myself|suicide|overdos(e|ed|ing))\b/i
+  },
+  {
+    category: 'self-harm/instructions',
+    pattern: /\b((lethal|fatal|deadly) (dose|amount)|how (much|many) (pills|tablets) (to|would|will)|(best|easiest|quickest|painless) (way|method)s? to (die|kill (yourself|myself)|end (your|my) life))\b/i
+  },
+  {
+    category: 'violence',
+    pattern: /\b(kill|murder|shoot|stab|hurt) (him|her|them|someone|somebody|people|everyone)\b/i
+  }
+];
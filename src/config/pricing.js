@@ -0,0 +1,21 @@
+// LLM prices in US dollars per million tokens, keyed by model name. A model
+// matches the longest key it starts with, so dated snapshots such as
+// gpt-4o-mini-2024-07-18 use the gpt-4o-mini price. Entries can be added or
+// replaced with the MODEL_PRICES environment variable (JSON in the same
+// shape). Models served by a local provider cost nothing.
+export const MODEL_PRICES = {
+  'gpt-4.1': { input: 2.0, output: 8.0 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10.0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4.0 },
+  'claude-3-5-sonnet': { input: 3.0, output: 15.0 },
+  'claude-3-7-sonnet': { input: 3.0, output: 15.0 },
+  'claude-sonnet-4': { input: 3.0, output: 15.0 },
+  'claude-opus-4': { input: 15.0, output: 75.0 }
+};
+
+export const FREE_PROVIDERS = ['ollama'];
@@ -0,0 +1,40 @@
+// Built-in pronunciation lexicon for the speech normalizer. `spoken` is a
+// respelling any TTS voice can read; `ipa` is used instead by engines that
+// understand SSML. Terms match whole words, case-insensitively. Entries in
+// the `pronunciations` collection (PUT /api/pronunciations/:term) replace
+// these or add new ones.
+export const DEFAULT_PRONUNCIATIONS = [
+  // Guru Granth Sahib
+  { term: 'Waheguru', spoken: 'Vaa-hay-guroo', ipa: 'ʋɑːɦɘɡʊɾuː' },
+  { term: 'Ik Onkar', spoken: 'Ik Oan-kaar' },
+  { term: 'Gurbani', spoken: 'Gur-baa-nee' },
+  { term: 'Japji Sahib', spoken: 'Jup-jee Saa-hib' },
+  { term: 'Sahib', spoken: 'Saa-hib' },
+  { term: 'Ardas', spoken: 'Ur-daas' },
+  { term: 'Simran', spoken: 'Sim-run' },
+  { term: 'Hukam', spoken: 'Hoo-kum' },
+
+  // Bhagavad Gita and Vedas
+  { term: 'Bhagavad Gita', spoken: 'Bhug-uh-vud Gee-taa', ipa: 'bʱəɡəʋəd ɡiːtɑː' },
+  { term: 'shloka', spoken: 'shlo-kaa' },
+  { term: 'shlokas', spoken: 'shlo-kaaz' },
+  { term: 'Upanishad', spoken: 'Oo-pun-ee-shud' },
+  { term: 'Upanishads', spoken: 'Oo-pun-ee-shudz' },
+  { term: 'Rigveda', spoken: 'Rig-vay-daa' },
+  { term: 'Arjuna', spoken: 'Ur-joo-naa' },
+  { term: 'Krishna', spoken: 'Krish-naa' },
+  { term: 'dharma', spoken: 'dhur-muh' },
+  { term: 'moksha', spoken: 'moke-shaa' },
+
+  // Quran
+  { term: 'Surah', spoken: 'Soo-rah' },
+  { term: 'Al-Fatiha', spoken: 'Al Faa-tee-ha' },
+  { term: 'Al-Baqarah', spoken: 'Al Ba-ka-ra' },
+  { term: 'Ayat al-Kursi', spoken: 'Aa-yat al Kur-see' },
+  { term: 'ayah', spoken: 'aa-yah' },
+  { term: 'Insha Allah', spoken: 'In-shaa Al-laah' },
+  { term: 'Alhamdulillah', spoken: 'Al-hum-doo-lil-laah' },
+  { term: 'Bismillah', spoken: 'Bis-mil-laah' },
+  { term: 'PBUH', spoken: 'peace be upon him' },
+  { term: 'SWT', spoken: 'subhaanahu wa ta-aala' }
+];
@@ -0,0 +1,10 @@
+// Scriptures a client can ask for, keyed by the selectedText value stored
+// with conversations
+export const SCRIPTURES = {
+  BHAGAVAD_GITA: 'Bhagavad Gita',
+  VEDAS: 'Vedas',
+  QURAN: 'Quran',
+  BIBLE: 'Bible',
+  GURU_GRANTH_SAHIB: 'Guru Granth Sahib',
+  ALL: 'All scriptures'
+};
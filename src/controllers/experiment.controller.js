@@ -0,0 +1,322 @@
+import { ExperimentModel } from '../models/experiment.js';
+import { ConversationModel } from '../models/conversation.js';
+import { experimentService } from '../services/experiment.service.js';
+
+// Allowed status changes: draft -> running -> stopped
+const STATUS_TRANSITIONS = {
+  draft: ['running'],
+  running: ['stopped'],
+  stopped: []
+};
+
+/**
+ * Send the 404 for an unknown experiment
+ * @param {Object} res - Response object
+ */
+function sendNotFound(res) {
+  res.status(404).json({
+    error: 'Not found',
+    message: 'Experiment not found'
+  });
+}
+
+/**
+ * Check a traffic share
+ * @param {*} value - Value from the request body
+ * @returns {boolean}
+ */
+function isValidTraffic(value) {
+  return typeof value === 'number' && value > 0 && value <= 100;
+}
+
+/**
+ * Experiment Controller - A/B experiments over generation settings
+ */
+export class ExperimentController {
+  /**
+   * Create a draft experiment
+   * POST /api/experiments
+   */
+  static async create(req, res) {
+    try {
+      const { name, description, trafficPercent = 100, variants } = req.body;
+
+      if (!experimentService.isValidName(name)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'name must be 1-64 lowercase letters, digits, - or _'
+        });
+      }
+
+      if (!isValidTraffic(trafficPercent)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'trafficPercent must be a number from 0 (exclusive) to 100'
+        });
+      }
+
+      const invalid = experimentService.validateVariants(variants);
+      if (invalid) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: invalid
+        });
+      }
+
+      await ExperimentModel.ensureIndexes();
+      const experiment = await ExperimentModel.create({ name, description, trafficPercent, variants });
+
+      if (!experiment) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Experiment ${name} already exists`
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Experiment created successfully',
+        data: experiment
+      });
+    } catch (error) {
+      console.error('❌ Error in ExperimentController.create:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List experiments
+   * GET /api/experiments
+   */
+  static async getAll(req, res) {
+    try {
+      const { status } = req.query;
+
+      const experiments = await ExperimentModel.findAll({ status });
+
+      res.json({
+        success: true,
+        data: experiments,
+        count: experiments.length
+      });
+    } catch (error) {
+      console.error('❌ Error in ExperimentController.getAll:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an experiment
+   * GET /api/experiments/:id
+   */
+  static async getById(req, res) {
+    try {
+      const experiment = await ExperimentModel.findByName(req.params.id);
+
+      if (!experiment) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: experiment
+      });
+    } catch (error) {
+      console.error('❌ Error in ExperimentController.getById:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update an experiment, or start or stop it with `status`. Variants can
+   * only change while the experiment is a draft, and one experiment runs
+   * at a time.
+   * PUT /api/experiments/:id
+   */
+  static async update(req, res) {
+    try {
+      const { id } = req.params;
+      const { description, trafficPercent, variants, status } = req.body;
+
+      const current = await ExperimentModel.findByName(id);
+      if (!current) {
+        return sendNotFound(res);
+      }
+
+      const updateData = {};
+      if (description !== undefined) updateData.description = description;
+
+      if (trafficPercent !== undefined) {
+        if (!isValidTraffic(trafficPercent)) {
+          return res.status(400).json({
+            error: 'Validation error',
+            message: 'trafficPercent must be a number from 0 (exclusive) to 100'
+          });
+        }
+        updateData.trafficPercent = trafficPercent;
+      }
+
+      if (variants !== undefined) {
+        if (current.status !== 'draft') {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: 'Variants can only be changed while the experiment is a draft'
+          });
+        }
+        const invalid = experimentService.validateVariants(variants);
+        if (invalid) {
+          return res.status(400).json({
+            error: 'Validation error',
+            message: invalid
+          });
+        }
+        updateData.variants = variants;
+      }
+
+      if (status !== undefined && status !== current.status) {
+        if (!STATUS_TRANSITIONS[current.status]?.includes(status)) {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: `Cannot change status from ${current.status} to ${status}`
+          });
+        }
+
+        if (status === 'running') {
+          const running = await ExperimentModel.findRunning();
+          if (running) {
+            return res.status(409).json({
+              error: 'Conflict',
+              message: `Experiment ${running.name} is already running`
+            });
+          }
+          updateData.startedAt = new Date();
+        } else {
+          updateData.stoppedAt = new Date();
+        }
+        updateData.status = status;
+      }
+
+      // Only apply the change if nobody changed the status in the meantime
+      const experiment = await ExperimentModel.updateByName(id, updateData, { status: current.status });
+
+      if (!experiment) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'The experiment changed while it was being updated, please retry'
+        });
+      }
+
+      experimentService.invalidate();
+
+      res.json({
+        success: true,
+        message: 'Experiment updated successfully',
+        data: experiment
+      });
+    } catch (error) {
+      console.error('❌ Error in ExperimentController.update:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete an experiment that is not running. Conversations keep their
+   * experiment and variant labels.
+   * DELETE /api/experiments/:id
+   */
+  static async delete(req, res) {
+    try {
+      const { id } = req.params;
+
+      const experiment = await ExperimentModel.findByName(id);
+      if (!experiment) {
+        return sendNotFound(res);
+      }
+
+      if (experiment.status === 'running') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Stop the experiment before deleting it'
+        });
+      }
+
+      await ExperimentModel.deleteByName(id);
+
+      res.json({
+        success: true,
+        message: 'Experiment deleted successfully'
+      });
+    } catch (error) {
+      console.error('❌ Error in ExperimentController.delete:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Token usage, latency and feedback per variant
+   * GET /api/experiments/:id/results
+   */
+  static async getResults(req, res) {
+    try {
+      const { id } = req.params;
+
+      const experiment = await ExperimentModel.findByName(id);
+      if (!experiment) {
+        return sendNotFound(res);
+      }
+
+      const results = await ConversationModel.getExperimentResults(id);
+      const byVariant = new Map(results.map((result) => [result.variant, result]));
+
+      // List every variant, including ones that have not served anyone yet
+      const variants = experiment.variants.map(({ name, weight }) => ({
+        conversations: 0,
+        totalTokens: 0,
+        avgTokens: null,
+        avgLatencyMs: null,
+        avgFirstTokenMs: null,
+        ratings: 0,
+        positiveRatings: 0,
+        satisfactionRate: null,
+        firstAt: null,
+        lastAt: null,
+        ...byVariant.get(name),
+        variant: name,
+        weight: weight ?? 1
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          experiment: experiment.name,
+          status: experiment.status,
+          trafficPercent: experiment.trafficPercent,
+          startedAt: experiment.startedAt,
+          stoppedAt: experiment.stoppedAt,
+          variants
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error in ExperimentController.getResults:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
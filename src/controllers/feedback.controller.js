@@ -0,0 +1,129 @@
+import { feedbackService } from '../services/feedback.service.js';
+import { FEEDBACK_REASONS } from '../config/feedback.js';
+import { clientScope } from '../middleware/auth.js';
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @returns {Date|null|undefined} - Date, null when invalid, undefined when absent
+ */
+function parseDate(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse an optional string query parameter; operator objects such as
+ * `?model[$ne]=x` are rejected before they reach a Mongo filter
+ * @param {*} value - Query value
+ * @returns {string|null|undefined} - String, null when not a string, undefined when absent
+ */
+function parseString(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Feedback Controller - reader ratings on answers and the review queue
+ */
+export class FeedbackController {
+  /**
+   * Rate an answer with an optional reason code and comment
+   * POST /api/conversations/:id/feedback
+   */
+  static async submit(req, res) {
+    try {
+      const parsed = feedbackService.parse(req.body);
+      if (!parsed.feedback) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: parsed.message
+        });
+      }
+
+      const conversation = await feedbackService.submit(req.params.id, parsed.feedback, clientScope(res));
+
+      if (!conversation) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Conversation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Feedback recorded',
+        data: conversation
+      });
+    } catch (error) {
+      console.error('❌ Error in FeedbackController.submit:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the client's flagged answers for review
+   * GET /api/feedback/flagged?reason=misquoted_verse&scripture=BIBLE&model=...&from=...&to=...
+   */
+  static async getFlagged(req, res) {
+    try {
+      const { reason } = req.query;
+      const scripture = parseString(req.query.scripture);
+      const model = parseString(req.query.model);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+      const skip = Math.max(0, parseInt(req.query.skip) || 0);
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+
+      if (reason !== undefined && !FEEDBACK_REASONS.includes(reason)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `reason must be one of: ${FEEDBACK_REASONS.join(', ')}`
+        });
+      }
+
+      if (scripture === null || model === null) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'scripture and model must be strings'
+        });
+      }
+
+      if (from === null || to === null) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'from and to must be valid dates'
+        });
+      }
+
+      const { conversations, total } = await feedbackService.getFlagged({
+        reason, scripture, model, from, to, limit, skip
+      }, clientScope(res));
+
+      res.json({
+        success: true,
+        data: conversations,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + conversations.length < total
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error in FeedbackController.getFlagged:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
@@ -1,5 +1,37 @@
 import { openAIService } from '../services/openai.service.js';
+import { sessionService } from '../services/session.service.js';
+import { guidanceService } from '../services/guidance.service.js';
+import { scriptureService } from '../services/scripture.service.js';
+import { diversityService } from '../services/diversity.service.js';
+import { SCRIPTURES } from '../config/scriptures.js';
+import { isProviderSupported, listProviders, ProviderError } from '../providers/index.js';
 import { ConversationModel } from '../models/conversation.js';
+import { authService } from '../services/auth.service.js';
+import { clientScope } from '../middleware/auth.js';
+import { moderationService } from '../services/moderation.service.js';
+import { templateService, TemplateError } from '../services/template.service.js';
+import { experimentService } from '../services/experiment.service.js';
+import { statsService, TIMESERIES_INTERVALS } from '../services/stats.service.js';
+import { costService } from '../services/cost.service.js';
+import { responseCacheService } from '../services/response-cache.service.js';
+import { eventStreamService } from '../services/event-stream.service.js';
+import { textToSpeechService } from '../services/text-to-speech.service.js';
+import { TtsError } from '../tts/index.js';
+
+// Sort options for GET /api/conversations and the fields they sort on
+const CONVERSATION_SORT_FIELDS = {
+  timestamp: 'timestamp',
+  createdAt: 'createdAt',
+  scripture: 'optionChosen',
+  model: 'model',
+  tokens: 'usage.total_tokens',
+  latency: 'latencyMs',
+  relevance: null
+};
+
+// How /api/stream-voice delivers audio (voiceSettings.transport): base64
+// `audio` events, or raw bytes on a separate chunked HTTP response
+const VOICE_TRANSPORTS = ['sse', 'http'];
 
 /**
  * OpenAI Proxy Controller
@@ -25,7 +57,7 @@ export class OpenAIController {
     }
 
     try {
-      const { prompt, context } = req.body;
+      const { prompt, context, sessionId, userId, provider, scripture } = req.body;
 
       // Validate request structure
       if (!prompt || typeof prompt !== 'string') {
@@ -35,11 +67,38 @@ export class OpenAIController {
         });
       }
 
+      if (provider !== undefined && !isProviderSupported(provider)) {
+        return OpenAIController.sendInvalidProvider(res);
+      }
+
+      if (scripture !== undefined && !guidanceService.isScriptureSupported(scripture)) {
+        return OpenAIController.sendInvalidScripture(res);
+      }
+
+      if (!OpenAIController.isValidUserId(userId)) {
+        return OpenAIController.sendInvalidUserId(res);
+      }
+
+      const template = await OpenAIController.resolveTemplate(req.body);
+
+      const safety = await OpenAIController.screenPrompt(req, prompt);
+      if (safety.action === 'block') {
+        return OpenAIController.sendBlockedPrompt(res);
+      }
+
+      const experiment = await experimentService.resolve({ sessionId, userId });
+
       console.log('🔄 Processing custom prompt request...');
 
-      return await OpenAIController.handleCustomPrompt({ prompt, context }, res);
+      return await OpenAIController.handleCustomPrompt(
+        { prompt, context, template, experiment, sessionId, userId, provider, scripture, safety },
+        res
+      );
 
     } catch (error) {
+      if (error instanceof TemplateError) {
+        return OpenAIController.sendTemplateError(res, error);
+      }
       console.error('❌ Custom prompt request error:', error.message);
       return res.status(500).json({
         error: 'Internal server error',
@@ -52,11 +111,14 @@ export class OpenAIController {
   /**
    * Handle custom prompt requests
    * @param {Object} data - Request data
+   * @param {Object} data.template - Rendered system prompt template (optional)
+   * @param {Object} data.experiment - Experiment variant assignment (optional)
+   * @param {Object} data.safety - Input moderation decision
    * @param {Object} res - Express response object
    */
   static async handleCustomPrompt(data, res) {
     try {
-      const { prompt, context } = data;
+      const { prompt, context, template, experiment, sessionId, userId, provider, scripture, safety } = data;
 
       if (!prompt || typeof prompt !== 'string') {
         return res.status(400).json({
@@ -65,27 +127,81 @@ export class OpenAIController {
         });
       }
 
-      // Create messages array from prompt and context
-      const messages = [
-        {
-          role: 'system',
-          content: context || 'You are a helpful assistant.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ];
+      const built = await OpenAIController.buildMessages({
+        prompt, context, template, experiment, sessionId, userId, scripture, scope: clientScope(res)
+      });
+      if (!built) {
+        return OpenAIController.sendSessionNotFound(res);
+      }
+      const { messages: builtMessages, sessionSummary, ...promptInfo } = built;
+      const generation = experimentService.getGenerationOptions(experiment, { provider });
+
+      if (safety.action === 'respond') {
+        return await OpenAIController.sendCrisisResponse({ prompt, sessionId, sessionSummary, userId, safety }, res);
+      }
+
+      const messages = safety.action === 'augment'
+        ? moderationService.applyCrisisInstruction(builtMessages, safety)
+        : builtMessages;
+
+      // Repeated questions are answered from the response cache
+      const cacheRequest = responseCacheService.buildRequest({
+        prompt, scripture, template, context, provider, sessionId, userId, experiment, safety
+      });
+      const cache = { request: cacheRequest, lookup: await OpenAIController.lookupCache(res, cacheRequest) };
+      if (cache.lookup.status === 'hit') {
+        return await OpenAIController.sendCachedResponse({ prompt, promptInfo, cache, safety }, res);
+      }
+
+      if (scripture) {
+        return await OpenAIController.handleStructuredPrompt(
+          { prompt, messages, promptInfo, sessionId, sessionSummary, userId, generation, scripture, safety, cache },
+          res
+        );
+      }
 
       console.log('📝 Processing custom prompt request...');
 
       // Generate response using environment variables for options
-      const { data: responseData, metadata } = await openAIService.generateChatCompletion(messages);
+      const { data: responseData, metadata: generated } = await openAIService.generateChatCompletion(messages, generation);
+
+      // Screen the answer before it is returned
+      const output = await moderationService.screenOutput(responseData.choices[0].message.content, {
+        locale: safety.locale
+      });
+      responseData.choices[0].message.content = output.content;
+
+      const metadata = {
+        ...generated,
+        ...promptInfo,
+        ...await OpenAIController.reviewCitations({
+          content: output.content,
+          scripture: generated.selectedText
+        }),
+        cache: responseCacheService.toMetadata(cache.request, cache.lookup),
+        safety: moderationService.toClientSafety(safety, output.decision)
+      };
+
+      if (output.decision.action === 'allow') {
+        responseCacheService.store(cache.request, cache.lookup, { ...generated, content: output.content });
+      }
+
+      const ids = await OpenAIController.persistTurn({
+        prompt,
+        content: output.content,
+        metadata,
+        channel: 'json',
+        sessionId,
+        sessionSummary,
+        userId,
+        client: res.locals?.client,
+        moderation: [safety, output.decision]
+      });
 
       return res.status(200).json({
         success: true,
         data: responseData,
-        metadata
+        metadata: { ...metadata, ...ids }
       });
 
     } catch (error) {
@@ -97,6 +213,543 @@ export class OpenAIController {
     }
   }
 
+  /**
+   * Handle a structured guidance request: the answer is JSON with a
+   * summary, verse quotes and practical advice (see guidance.service.js)
+   * @param {Object} data - Request data
+   * @param {Object} data.generation - Generation options (provider, experiment settings)
+   * @param {Object} data.cache - Response cache request and lookup
+   * @param {Object} res - Express response object
+   */
+  static async handleStructuredPrompt({ prompt, messages, promptInfo, sessionId, sessionSummary, userId, generation, scripture, safety, cache }, res) {
+    console.log(`📖 Processing structured ${scripture} request...`);
+
+    const { data: responseData, metadata: generated, guidance, errors } = await guidanceService.generate(
+      guidanceService.applyInstructions(messages, scripture),
+      { ...generation, scripture }
+    );
+
+    if (!guidance) {
+      await authService.recordTokens(res.locals?.client, generated.usage);
+      return res.status(502).json({
+        error: 'Invalid structured response',
+        message: `The model did not return a valid answer: ${errors.join('; ')}`
+      });
+    }
+
+    const output = await moderationService.screenOutput(responseData.choices[0].message.content, {
+      locale: safety.locale
+    });
+    if (output.decision.action === 'block') {
+      await authService.recordTokens(res.locals?.client, generated.usage);
+      return res.status(502).json({
+        error: 'Response withheld',
+        message: 'The answer did not pass the safety screen'
+      });
+    }
+
+    const metadata = {
+      ...generated,
+      ...promptInfo,
+      ...await OpenAIController.reviewCitations({ quotes: guidance.quotes, scripture }),
+      cache: responseCacheService.toMetadata(cache.request, cache.lookup),
+      safety: moderationService.toClientSafety(safety, output.decision)
+    };
+
+    if (output.decision.action === 'allow') {
+      responseCacheService.store(cache.request, cache.lookup, {
+        ...generated,
+        content: responseData.choices[0].message.content,
+        guidance
+      });
+    }
+
+    const ids = await OpenAIController.persistTurn({
+      prompt,
+      content: responseData.choices[0].message.content,
+      metadata,
+      channel: 'json',
+      sessionId,
+      sessionSummary,
+      userId,
+      client: res.locals?.client,
+      guidance,
+      moderation: [safety, output.decision]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: responseData,
+      guidance,
+      metadata: { ...metadata, ...ids }
+    });
+  }
+
+  /**
+   * Build the messages array for a prompt, replaying session history
+   * when a sessionId is given, with relevant corpus verses and the verses
+   * recently quoted to this session or user added to the system prompt
+   * @param {Object} data - Request data
+   * @param {string} data.prompt - User prompt
+   * @param {string} data.context - System prompt (ignored for sessions)
+   * @param {Object} data.template - Rendered template used instead of context (optional)
+   * @param {Object} data.experiment - Experiment variant whose systemPrompt
+   *   replaces both (optional)
+   * @param {string} data.sessionId - Session to continue (optional)
+   * @param {Object} data.scope - Owner filter the session must match, from clientScope() (optional)
+   * @param {string} data.userId - User to avoid repeating verses for (optional)
+   * @param {string} data.scripture - Scripture to retrieve verses from (optional)
+   * @returns {Promise<Object|null>} - { messages, retrievedVerses,
+   *   excludedVerses, template, experiment }, plus sessionSummary for
+   *   persistTurn() when the session history was summarized, or null if the
+   *   session does not exist or belongs to another client
+   */
+  static async buildMessages({ prompt, context, template, experiment, sessionId, scope, userId, scripture }) {
+    let messages;
+    let sessionSummary = null;
+
+    if (sessionId) {
+      const turn = await sessionService.prepareTurn(sessionId, prompt, scope);
+      if (!turn) {
+        return null;
+      }
+      ({ messages, summary: sessionSummary } = turn);
+    } else {
+      // Create messages array from prompt and context
+      messages = [
+        {
+          role: 'system',
+          content: experiment?.variant.systemPrompt || template?.content || context || 'You are a helpful assistant.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ];
+    }
+
+    const selected = scripture || openAIService.extractSelectedText(prompt);
+    const [augmented, excludedVerses] = await Promise.all([
+      scriptureService.augmentMessages(messages, { query: prompt, scripture: selected }),
+      diversityService.getExclusions({ sessionId, userId }, selected)
+    ]);
+
+    return {
+      messages: diversityService.applyExclusions(augmented.messages, excludedVerses),
+      ...(sessionSummary ? { sessionSummary } : {}),
+      retrievedVerses: augmented.verses.map((verse) => scriptureService.formatReference(verse)),
+      excludedVerses,
+      template: template ? { templateId: template.templateId, version: template.version } : null,
+      experiment: experimentService.toMetadata(experiment)
+    };
+  }
+
+  /**
+   * Check an answer's citations against the corpus and list the verses it cites
+   * @param {Object} answer - Answer to review
+   * @param {string} answer.content - Answer text
+   * @param {Array<Object>} answer.quotes - Structured quotes (optional)
+   * @param {string} answer.scripture - Requested scripture key, or ALL
+   * @returns {Promise<{citations: Object|null, citedVerses: Array}>}
+   */
+  static async reviewCitations({ content, quotes, scripture }) {
+    return {
+      citations: await scriptureService.verifyCitations({ content, quotes, scripture }),
+      citedVerses: diversityService.toCitedVerses(quotes || scriptureService.extractCitations(content), scripture)
+    };
+  }
+
+  /**
+   * Send the 404 response for an unknown session
+   * @param {Object} res - Express response object
+   */
+  static sendSessionNotFound(res) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Session not found'
+    });
+  }
+
+  /**
+   * Send the 400 response for an unknown LLM provider
+   * @param {Object} res - Express response object
+   */
+  static sendInvalidProvider(res) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `Provider must be one of: ${listProviders().join(', ')}`
+    });
+  }
+
+  /**
+   * Send the 400 response for an unsupported voice transport
+   * @param {Object} res - Express response object
+   */
+  static sendInvalidVoiceTransport(res) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `voiceSettings.transport must be one of: ${VOICE_TRANSPORTS.join(', ')} (http streams mp3 only)`
+    });
+  }
+
+  /**
+   * Resolve the TTS provider and settings for stream-voice
+   * @param {Object} res - Express response object
+   * @param {Object} voiceSettings - Request voice settings
+   * @returns {Object|null} - { provider, settings }, or null once a 400
+   *   response has been sent
+   */
+  static resolveVoice(res, voiceSettings) {
+    try {
+      return textToSpeechService.resolveVoice(voiceSettings);
+    } catch (error) {
+      if (!(error instanceof TtsError)) {
+        throw error;
+      }
+      res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Send the 400 response for an unknown scripture
+   * @param {Object} res - Express response object
+   */
+  static sendInvalidScripture(res) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `Scripture must be one of: ${Object.keys(SCRIPTURES).join(', ')}`
+    });
+  }
+
+  /**
+   * Check an optional client-supplied user ID
+   * @param {*} userId - Value from the request body
+   * @returns {boolean}
+   */
+  static isValidUserId(userId) {
+    return userId === undefined ||
+      (typeof userId === 'string' && userId.trim().length > 0 && userId.length <= 128);
+  }
+
+  /**
+   * Send the 400 response for an invalid user ID
+   * @param {Object} res - Express response object
+   */
+  static sendInvalidUserId(res) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'userId must be a non-empty string of at most 128 characters'
+    });
+  }
+
+  /**
+   * Render the system prompt template named in a request body
+   * @param {Object} body - Request body ({ templateId, variables, templateVersion, sessionId })
+   * @returns {Promise<Object|null>} - { templateId, version, content }, or
+   *   null when no template was requested
+   * @throws {TemplateError} - When the template cannot be used
+   */
+  static async resolveTemplate({ templateId, variables, templateVersion, sessionId }) {
+    if (templateId === undefined) {
+      return null;
+    }
+    if (sessionId) {
+      throw new TemplateError('templateId cannot be used with sessionId; sessions keep their own system prompt');
+    }
+    return templateService.resolve({ templateId, variables, templateVersion });
+  }
+
+  /**
+   * Send the response for a template that cannot be used
+   * @param {Object} res - Express response object
+   * @param {TemplateError} error - Template error
+   */
+  static sendTemplateError(res, error) {
+    return res.status(error.status).json({
+      error: error.status === 404 ? 'Not found' : 'Invalid request',
+      message: error.message
+    });
+  }
+
+  /**
+   * Screen a prompt with the moderation pipeline
+   * @param {Object} req - Express request object (locale from body or Accept-Language)
+   * @param {string} prompt - User prompt
+   * @param {string} locale - Locale to use instead of the body's (optional)
+   * @returns {Promise<Object>} - Input moderation decision
+   */
+  static async screenPrompt(req, prompt, locale = req.body?.locale) {
+    const resolvedLocale = moderationService.resolveLocale({
+      locale,
+      acceptLanguage: req.headers?.['accept-language']
+    });
+    return moderationService.screenInput(prompt, { locale: resolvedLocale });
+  }
+
+  /**
+   * Send the 400 response for a prompt the moderation pipeline blocks
+   * @param {Object} res - Express response object
+   */
+  static sendBlockedPrompt(res) {
+    return res.status(400).json({
+      error: 'Content not allowed',
+      message: 'The prompt was blocked by the content policy'
+    });
+  }
+
+  /**
+   * Look up a request in the response cache, setting the Cache-Status header
+   * @param {Object} res - Express response object
+   * @param {Object|null} cacheRequest - responseCacheService.buildRequest() result
+   * @returns {Promise<Object>} - Lookup result
+   */
+  static async lookupCache(res, cacheRequest) {
+    const lookup = await responseCacheService.lookup(cacheRequest);
+    res.setHeader('Cache-Status', responseCacheService.toCacheStatus(lookup));
+    openAIService.recordCacheLookup(lookup);
+    return lookup;
+  }
+
+  /**
+   * Answer from the response cache instead of the model
+   * @param {Object} data - Request data
+   * @param {Object} data.cache - Response cache request and hit
+   * @param {Object} res - Express response object
+   */
+  static async sendCachedResponse({ prompt, promptInfo, cache, safety }, res) {
+    const { entry } = cache.lookup;
+    const responseData = openAIService.toChatCompletion({
+      id: `cache-${entry._id}`,
+      model: entry.model,
+      content: entry.content,
+      finishReason: 'stop',
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+
+    const metadata = {
+      selectedText: entry.selectedText,
+      provider: entry.provider,
+      model: entry.model,
+      usage: responseData.usage,
+      cost: null,
+      ...promptInfo,
+      ...await OpenAIController.reviewCitations(entry.guidance
+        ? { quotes: entry.guidance.quotes, scripture: entry.scripture }
+        : { content: entry.content, scripture: entry.selectedText }),
+      cache: responseCacheService.toMetadata(cache.request, cache.lookup),
+      safety: moderationService.toClientSafety(safety, null)
+    };
+
+    const ids = await OpenAIController.persistTurn({
+      prompt,
+      content: entry.content,
+      metadata,
+      channel: 'json',
+      client: res.locals?.client,
+      guidance: entry.guidance,
+      moderation: [safety]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: responseData,
+      ...(entry.guidance ? { guidance: entry.guidance } : {}),
+      metadata: { ...metadata, ...ids }
+    });
+  }
+
+  /**
+   * Answer a crisis prompt with helpline resources instead of the model
+   * (CRISIS_MODE=respond)
+   * @param {Object} data - Request data
+   * @param {Object} res - Express response object
+   */
+  static async sendCrisisResponse({ prompt, sessionId, sessionSummary, userId, safety }, res) {
+    const content = moderationService.getCrisisResponse(safety);
+    const metadata = {
+      provider: 'moderation',
+      model: null,
+      usage: {},
+      safety: moderationService.toClientSafety(safety)
+    };
+
+    const ids = await OpenAIController.persistTurn({
+      prompt,
+      content,
+      metadata,
+      channel: 'json',
+      sessionId,
+      sessionSummary,
+      userId,
+      client: res.locals?.client,
+      moderation: [safety]
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+      },
+      metadata: { ...metadata, ...ids }
+    });
+  }
+
+  /**
+   * Send the `safety` SSE event when the prompt was flagged
+   * @param {Object} res - Express response object
+   * @param {Object} safety - Input moderation decision
+   */
+  static writeSafetyEvent(res, safety) {
+    const info = moderationService.toClientSafety(safety);
+    if (!info) {
+      return;
+    }
+
+    eventStreamService.send(res, 'safety', { ...info, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Stream the crisis answer instead of the model's (CRISIS_MODE=respond),
+   * spoken as well when voiceSettings are given
+   * @param {Object} res - Express response object
+   * @param {Object} options - Stream options
+   * @param {Object} options.safety - Input moderation decision
+   * @param {Object} options.voice - Resolved TTS provider and settings for stream-voice (optional)
+   * @param {Function} options.onComplete - Awaited with the result before the `done` event
+   */
+  static async streamCrisisResponse(res, { safety, voice, onComplete }) {
+    const content = moderationService.getCrisisResponse(safety);
+
+    eventStreamService.send(res, 'start', {
+      provider: 'moderation',
+      model: null,
+      ...(voice && eventStreamService.describeAudio(res)),
+      timestamp: new Date().toISOString()
+    });
+
+    if (voice) {
+      eventStreamService.send(res, 'text', { content, timestamp: new Date().toISOString() });
+      await openAIService.convertTextToSpeech(
+        openAIService.cleanTextForSpeech(content),
+        content,
+        res,
+        0,
+        voice
+      );
+    } else {
+      eventStreamService.send(res, 'chunk', { content, timestamp: new Date().toISOString() });
+    }
+
+    const extra = await onComplete({ content, usage: {}, provider: 'moderation', model: null, chunkCount: 1 });
+
+    eventStreamService.send(res, 'done', { ...extra, timestamp: new Date().toISOString() });
+    eventStreamService.end(res);
+  }
+
+  /**
+   * Track whether the client goes away before the response is finished
+   * @param {Object} res - Express response object
+   * @returns {{disconnected: boolean}} - Live connection state
+   */
+  static trackClientConnection(res) {
+    const connection = { disconnected: false };
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        connection.disconnected = true;
+      }
+    });
+    return connection;
+  }
+
+  /**
+   * Store a completed turn as a conversation record and, for sessions,
+   * in the session history. Storage failures never fail the request.
+   * @param {Object} turn - Turn data
+   * @param {string} turn.prompt - User prompt
+   * @param {string} turn.content - Assistant reply
+   * @param {Object} turn.metadata - Generation metadata (model, usage, ...)
+   * @param {string} turn.channel - json, stream or voice
+   * @param {string} turn.sessionId - Session to append to (optional)
+   * @param {Object} turn.sessionSummary - Session summary from buildMessages() (optional)
+   * @param {string} turn.userId - User the answer was given to (optional)
+   * @param {Object} turn.client - Authenticated API client, charged for the tokens (optional)
+   * @returns {Promise<Object>} - IDs to report back to the client
+   */
+  static async persistTurn({ prompt, content, metadata, channel, sessionId, sessionSummary, client, ...streamInfo }) {
+    const ids = {};
+
+    await authService.recordTokens(client, metadata.usage);
+
+    try {
+      ids.conversationId = await ConversationModel.create({
+        userInput: prompt,
+        aiResponse: { content },
+        metadata,
+        channel,
+        sessionId,
+        clientId: client?._id,
+        ...streamInfo
+      });
+      console.log(`✅ ${channel} conversation stored in database`);
+    } catch (dbError) {
+      console.error('❌ Failed to store conversation in database:', dbError.message);
+    }
+
+    if (sessionId) {
+      try {
+        await sessionService.recordTurn(sessionId, prompt, content, metadata.usage, sessionSummary);
+        ids.sessionId = sessionId;
+      } catch (dbError) {
+        console.error('❌ Failed to record session turn:', dbError.message);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Resume a stream for a client reconnecting with Last-Event-ID: send the
+   * events it missed, then the live tail
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static resumeStream(req, res) {
+    const lastEvent = eventStreamService.parseLastEventId(req.headers['last-event-id']);
+    if (!lastEvent) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Last-Event-ID must be an event ID from this stream (<streamId>:<n>)'
+      });
+    }
+
+    const found = eventStreamService.find(lastEvent, res.locals?.client?._id);
+    if (found.reason === 'not_found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Stream not found or expired'
+      });
+    }
+    if (found.reason === 'gone') {
+      return res.status(410).json({
+        error: 'Gone',
+        message: 'Events after Last-Event-ID are no longer buffered'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.setHeader('X-Stream-Id', found.stream.id);
+
+    eventStreamService.resume(res, found.stream, lastEvent.seq);
+  }
+
   /**
    * Handle streaming chat completion request
    * @param {Object} req - Express request object
@@ -116,8 +769,13 @@ export class OpenAIController {
       });
     }
 
+    // Reconnecting client: replay the events it missed instead of generating again
+    if (req.headers['last-event-id'] !== undefined) {
+      return OpenAIController.resumeStream(req, res);
+    }
+
     try {
-      const { prompt, context } = req.body;
+      const { prompt, context, sessionId, userId, provider, scripture } = req.body;
 
       // Validate request structure
       if (!prompt || typeof prompt !== 'string') {
@@ -127,46 +785,173 @@ export class OpenAIController {
         });
       }
 
+      if (provider !== undefined && !isProviderSupported(provider)) {
+        return OpenAIController.sendInvalidProvider(res);
+      }
+
+      if (scripture !== undefined && !guidanceService.isScriptureSupported(scripture)) {
+        return OpenAIController.sendInvalidScripture(res);
+      }
+
+      if (!OpenAIController.isValidUserId(userId)) {
+        return OpenAIController.sendInvalidUserId(res);
+      }
+
+      const template = await OpenAIController.resolveTemplate(req.body);
+
+      const safety = await OpenAIController.screenPrompt(req, prompt);
+      if (safety.action === 'block') {
+        return OpenAIController.sendBlockedPrompt(res);
+      }
+
+      const experiment = await experimentService.resolve({ sessionId, userId });
+      const generation = experimentService.getGenerationOptions(experiment, { provider });
+
+      const built = await OpenAIController.buildMessages({
+        prompt, context, template, experiment, sessionId, userId, scripture, scope: clientScope(res)
+      });
+      if (!built) {
+        return OpenAIController.sendSessionNotFound(res);
+      }
+      const { messages: builtMessages, sessionSummary, ...promptInfo } = built;
+      let messages = builtMessages;
+
+      if (safety.action === 'augment') {
+        messages = moderationService.applyCrisisInstruction(messages, safety);
+      }
+
+      // Structured mode: stream JSON and surface each quote as a `quote` event
+      let quoteStream = null;
+      if (scripture) {
+        messages = guidanceService.applyInstructions(messages, scripture);
+        quoteStream = guidanceService.createQuoteStream(res, messages, { ...generation, scripture });
+      }
+
+      // A cached answer is replayed as if it were streamed
+      const cacheRequest = responseCacheService.buildRequest({
+        prompt, scripture, template, context, provider, sessionId, userId, experiment, safety
+      });
+      const cache = { request: cacheRequest, lookup: await OpenAIController.lookupCache(res, cacheRequest) };
+
       console.log('🌊 Processing streaming request...');
 
       // Set up Server-Sent Events headers
       res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
       res.setHeader('Connection', 'keep-alive');
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Headers', 'Cache-Control');
+      const { signal } = eventStreamService.open(res, { clientId: res.locals?.client?._id });
+
+      const connection = OpenAIController.trackClientConnection(res);
+      OpenAIController.writeSafetyEvent(res, safety);
+
+      if (safety.action === 'respond') {
+        return await OpenAIController.streamCrisisResponse(res, {
+          safety,
+          onComplete: async (result) => OpenAIController.persistTurn({
+            prompt,
+            content: result.content,
+            metadata: result,
+            channel: 'stream',
+            sessionId,
+            sessionSummary,
+            userId,
+            client: res.locals?.client,
+            clientDisconnected: connection.disconnected,
+            moderation: [safety]
+          })
+        });
+      }
 
-      // Create messages array from prompt and context
-      const messages = [
-        {
-          role: 'system',
-          content: context || 'You are a helpful assistant.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ];
+      // Output is screened sentence by sentence before it is sent
+      const outputScreen = moderationService.createOutputScreen({ locale: safety.locale });
 
       // Generate streaming response using OpenAI service
-      await openAIService.generateStreamingChatCompletion(messages, res);
+      await openAIService.generateStreamingChatCompletion(messages, res, {
+        ...generation,
+        scripture,
+        responseFormat: scripture ? guidanceService.getResponseFormat(scripture) : null,
+        replay: cache.lookup.entry,
+        signal,
+        transformChunks: outputScreen.wrap,
+        onDelta: quoteStream?.onDelta,
+        onComplete: async (result) => {
+          // Screened output is not retried: the retry would skip the screen.
+          // Nor is an aborted stream: its JSON is always partial and nobody is listening
+          const structured = quoteStream
+            ? await quoteStream.finalize(result, {
+              retry: outputScreen.decision.action === 'allow' && !result.aborted
+            })
+            : null;
+          const content = structured ? structured.content : result.content;
+          if (structured?.retry) {
+            // The non-streamed retry is charged with the streamed call
+            result.usage = costService.sumUsage([result.usage, structured.retry.usage]);
+            result.cost = costService.sumCosts([result.cost, structured.retry.cost]);
+          }
+          const review = await OpenAIController.reviewCitations({
+            content,
+            quotes: structured?.guidance?.quotes,
+            scripture: result.selectedText
+          });
+
+          if (outputScreen.decision.action === 'allow' && !result.aborted) {
+            responseCacheService.store(cache.request, cache.lookup, {
+              ...result,
+              content,
+              guidance: structured?.guidance
+            });
+          }
+
+          const ids = await OpenAIController.persistTurn({
+            prompt,
+            content,
+            metadata: {
+              ...result,
+              ...promptInfo,
+              ...review,
+              cache: responseCacheService.toMetadata(cache.request, cache.lookup)
+            },
+            channel: 'stream',
+            sessionId,
+            sessionSummary,
+            userId,
+            client: res.locals?.client,
+            chunkCount: result.chunkCount,
+            clientDisconnected: connection.disconnected,
+            guidance: structured?.guidance,
+            moderation: [safety, outputScreen.decision]
+          });
+
+          return {
+            ...ids,
+            ...(structured?.retry ? { totalTokens: result.usage.total_tokens || 0 } : {}),
+            citations: review.citations,
+            cache: responseCacheService.toMetadata(cache.request, cache.lookup),
+            safety: moderationService.toClientSafety(safety, outputScreen.decision)
+          };
+        }
+      });
 
     } catch (error) {
+      if (error instanceof TemplateError && !res.headersSent) {
+        return OpenAIController.sendTemplateError(res, error);
+      }
       console.error('❌ Streaming request error:', error.message);
 
       // Send error event
-      res.write('event: error\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'error', {
         error: 'Internal server error',
         message: 'Failed to process streaming request'
-      })}\n\n`);
+      });
 
-      res.end();
+      eventStreamService.end(res);
     }
   }
 
   /**
-   * Handle streaming voice response request (combines OpenAI streaming + Deepgram TTS)
+   * Handle streaming voice response request (combines LLM streaming + TTS)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -184,8 +969,29 @@ export class OpenAIController {
       });
     }
 
+    // Reconnecting client: replay the events it missed (audio included)
+    if (req.headers['last-event-id'] !== undefined) {
+      return OpenAIController.resumeStream(req, res);
+    }
+
+    return OpenAIController.streamVoiceAnswer(req, res, req.body);
+  }
+
+  /**
+   * Answer a prompt as a voice stream: validation, safety screening, cache
+   * lookup, LLM streaming with TTS and persistence. Shared by
+   * /api/stream-voice and /api/speech-to-text.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} data - Request fields ({ prompt, context, userId, provider,
+   *   voiceSettings, templateId, variables, templateVersion, locale })
+   * @param {Object} data.transcript - Transcription the prompt came from
+   *   (optional); sent as the first `transcript` event and stored with the
+   *   conversation
+   */
+  static async streamVoiceAnswer(req, res, data) {
     try {
-      const { prompt, context, voiceSettings = {} } = req.body;
+      const { prompt, context, userId, provider, voiceSettings = {}, transcript } = data;
 
       // Validate request structure
       if (!prompt || typeof prompt !== 'string') {
@@ -195,72 +1001,225 @@ export class OpenAIController {
         });
       }
 
+      if (provider !== undefined && !isProviderSupported(provider)) {
+        return OpenAIController.sendInvalidProvider(res);
+      }
+
+      if (!OpenAIController.isValidUserId(userId)) {
+        return OpenAIController.sendInvalidUserId(res);
+      }
+
+      const voice = OpenAIController.resolveVoice(res, voiceSettings);
+      if (!voice) {
+        return;
+      }
+
+      const { transport = 'sse' } = voiceSettings;
+      if (!VOICE_TRANSPORTS.includes(transport) || (transport === 'http' && voice.settings.audioFormat !== 'mp3')) {
+        return OpenAIController.sendInvalidVoiceTransport(res);
+      }
+
+      const template = await OpenAIController.resolveTemplate(data);
+
+      const safety = await OpenAIController.screenPrompt(req, prompt, data.locale);
+      if (safety.action === 'block') {
+        return OpenAIController.sendBlockedPrompt(res);
+      }
+
+      const experiment = await experimentService.resolve({ userId });
+
+      // A cached answer is replayed (and spoken) as if it were streamed
+      const cacheRequest = responseCacheService.buildRequest({
+        prompt, template, context, provider, userId, experiment, safety
+      });
+      const cache = { request: cacheRequest, lookup: await OpenAIController.lookupCache(res, cacheRequest) };
+
       console.log('🎤🌊 Processing streaming voice request...');
 
       // Set up Server-Sent Events headers for streaming with enhanced error handling
       res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
       res.setHeader('Connection', 'keep-alive');
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Headers', 'Cache-Control');
       res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+      const { id: streamId, signal } = eventStreamService.open(res, { clientId: res.locals?.client?._id });
+
+      // Binary transport: audio bytes are fetched from /api/stream-voice/audio/:streamId
+      if (transport === 'http') {
+        eventStreamService.openAudio(res, { mimeType: voice.settings.mimeType, url: `/api/stream-voice/audio/${streamId}` });
+      }
+
+      // Spoken question: show what was heard before answering
+      if (transcript) {
+        eventStreamService.send(res, 'transcript', { ...transcript, timestamp: new Date().toISOString() });
+      }
 
       // Handle client disconnect gracefully
+      const connection = OpenAIController.trackClientConnection(res);
       req.on('close', () => {
-        console.log('🔌 Client disconnected from streaming voice endpoint');
+        if (connection.disconnected) {
+          console.log('🔌 Client disconnected from streaming voice endpoint');
+        }
       });
 
       req.on('error', (error) => {
         console.error('🔌 Client connection error:', error.message);
       });
 
-      // Create messages array from prompt and context
-      const messages = [
-        {
-          role: 'system',
-          content: context || 'You are a helpful assistant.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ];
+      OpenAIController.writeSafetyEvent(res, safety);
+
+      if (safety.action === 'respond') {
+        return await OpenAIController.streamCrisisResponse(res, {
+          safety,
+          voice,
+          onComplete: async (result) => OpenAIController.persistTurn({
+            prompt,
+            content: result.content,
+            metadata: result,
+            channel: 'voice',
+            userId,
+            client: res.locals?.client,
+            speechInput: transcript,
+            clientDisconnected: connection.disconnected,
+            moderation: [safety]
+          })
+        });
+      }
+
+      const { messages: builtMessages, ...promptInfo } = await OpenAIController.buildMessages({
+        prompt, context, template, experiment, userId
+      });
+      const messages = safety.action === 'augment'
+        ? moderationService.applyCrisisInstruction(builtMessages, safety)
+        : builtMessages;
+
+      // Output is screened sentence by sentence before it is shown or spoken
+      const outputScreen = moderationService.createOutputScreen({ locale: safety.locale });
 
       // Generate streaming voice response using both services
-      await openAIService.generateStreamingVoiceCompletion(messages, res, voiceSettings);
+      await openAIService.generateStreamingVoiceCompletion(messages, res, voiceSettings, {
+        ...experimentService.getGenerationOptions(experiment, { provider }),
+        replay: cache.lookup.entry,
+        signal,
+        voice,
+        transformChunks: outputScreen.wrap,
+        onComplete: async (result) => {
+          const review = await OpenAIController.reviewCitations({
+            content: result.content,
+            scripture: result.selectedText
+          });
+
+          if (outputScreen.decision.action === 'allow' && !result.aborted) {
+            responseCacheService.store(cache.request, cache.lookup, result);
+          }
+
+          const ids = await OpenAIController.persistTurn({
+            prompt,
+            content: result.content,
+            metadata: {
+              ...result,
+              ...promptInfo,
+              ...review,
+              cache: responseCacheService.toMetadata(cache.request, cache.lookup)
+            },
+            channel: 'voice',
+            userId,
+            client: res.locals?.client,
+            speechInput: transcript,
+            chunkCount: result.chunkCount,
+            audioTimings: result.timing,
+            clientDisconnected: connection.disconnected,
+            moderation: [safety, outputScreen.decision]
+          });
+
+          return {
+            ...ids,
+            citations: review.citations,
+            cache: responseCacheService.toMetadata(cache.request, cache.lookup),
+            safety: moderationService.toClientSafety(safety, outputScreen.decision)
+          };
+        }
+      });
 
     } catch (error) {
+      if (error instanceof TemplateError && !res.headersSent) {
+        return OpenAIController.sendTemplateError(res, error);
+      }
       console.error('❌ Streaming voice request error:', error.message);
 
       // Ensure headers are set even in error case
       if (!res.headersSent) {
         res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
         res.setHeader('Connection', 'keep-alive');
         res.setHeader('Access-Control-Allow-Origin', '*');
       }
 
       // Send detailed error event for frontend handling
-      res.write('event: error\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'error', {
         error: 'Streaming voice request failed',
         message: error.message,
         code: error.code || 'UNKNOWN_ERROR',
         retryable: error.retryable !== false, // Default to retryable
         timestamp: new Date().toISOString()
-      })}\n\n`);
+      });
 
       // Send fallback text-only mode suggestion
-      res.write('event: fallback\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'fallback', {
         mode: 'text-only',
         message: 'Voice features unavailable, falling back to text-only mode',
         endpoint: '/api/stream',
         timestamp: new Date().toISOString()
-      })}\n\n`);
+      });
 
-      res.end();
+      eventStreamService.end(res);
+    }
+  }
+
+  /**
+   * Stream the audio of a voice stream opened with voiceSettings.transport
+   * `http` as chunked audio/mpeg, from byte `offset` (default 0)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static streamVoiceAudio(req, res) {
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'offset must be a non-negative integer'
+      });
+    }
+
+    const found = eventStreamService.findAudio(req.params.streamId, offset, res.locals?.client?._id);
+    if (found.reason === 'not_found') {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Audio stream not found or expired'
+      });
+    }
+    if (found.reason === 'gone') {
+      return res.status(410).json({
+        error: 'Gone',
+        message: 'Audio before this offset is no longer buffered'
+      });
     }
+    if (offset > found.stream.audio.bytes) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `offset is beyond the ${found.stream.audio.bytes} bytes sent so far`
+      });
+    }
+
+    res.setHeader('Content-Type', found.stream.audio.mimeType);
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.setHeader('X-Stream-Id', found.stream.id);
+    res.flushHeaders();
+
+    eventStreamService.attachAudio(res, found.stream, offset);
   }
 
   /**
@@ -320,13 +1279,15 @@ export class OpenAIController {
 
       // Generate chat completion
       const { data, metadata } = await openAIService.generateChatCompletion(messages);
+      await authService.recordTokens(res.locals?.client, metadata.usage);
 
       // Store conversation in database
       try {
         await ConversationModel.create({
           userInput: userMessage.content,
           aiResponse: data.choices[0].message,
-          metadata
+          metadata,
+          clientId: res.locals?.client?._id
         });
         console.log('✅ Conversation stored in database');
       } catch (dbError) {
@@ -341,7 +1302,7 @@ export class OpenAIController {
       console.error('❌ OpenAI controller error:', error.message);
 
       // Return appropriate error response
-      if (error.message.includes('OpenAI API error')) {
+      if (error instanceof ProviderError) {
         return res.status(502).json({
           error: 'OpenAI API error',
           message: error.message
@@ -388,8 +1349,11 @@ export class OpenAIController {
    */
   static async getStats(req, res) {
     try {
-      const stats = await ConversationModel.getStats();
-      return res.status(200).json(stats);
+      const [stats, budget] = await Promise.all([
+        ConversationModel.getStats(),
+        costService.getStatus()
+      ]);
+      return res.status(200).json({ ...stats, budget });
     } catch (error) {
       console.error('❌ Error fetching stats:', error.message);
       return res.status(500).json({
@@ -400,7 +1364,140 @@ export class OpenAIController {
   }
 
   /**
-   * Get conversations with pagination (legacy method for backward compatibility)
+   * Conversation, token, response time and error timeseries
+   * GET /api/stats/timeseries?interval=day&timezone=Asia/Kolkata&from=...&to=...&compare=previous
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTimeseries(req, res) {
+    try {
+      const { interval = 'day', timezone = 'UTC', compare } = req.query;
+
+      if (!Object.hasOwn(TIMESERIES_INTERVALS, interval)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Interval must be one of: ${Object.keys(TIMESERIES_INTERVALS).join(', ')}`
+        });
+      }
+
+      if (!statsService.isValidTimezone(timezone)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'timezone must be an IANA timezone such as UTC or Asia/Kolkata'
+        });
+      }
+
+      const from = OpenAIController.parseDateQuery(req.query.from);
+      const to = OpenAIController.parseDateQuery(req.query.to);
+      if (from === null || to === null) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'from and to must be valid dates'
+        });
+      }
+
+      const range = statsService.resolveRange({ interval, from, to });
+      if (range.message) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: range.message
+        });
+      }
+
+      const stats = await statsService.getTimeseries({
+        interval,
+        timezone,
+        ...range,
+        compare: compare === 'previous' || compare === 'true'
+      });
+      return res.status(200).json(stats);
+    } catch (error) {
+      console.error('❌ Error fetching timeseries stats:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch timeseries statistics',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Most-cited verses and quote diversity over time
+   * GET /api/stats/quotes?scripture=BIBLE&days=30&interval=day&limit=20
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuoteStats(req, res) {
+    try {
+      const { scripture = 'ALL', interval = 'day' } = req.query;
+
+      if (!Object.hasOwn(SCRIPTURES, scripture)) {
+        return OpenAIController.sendInvalidScripture(res);
+      }
+
+      if (!['day', 'week', 'month'].includes(interval)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Interval must be one of: day, week, month'
+        });
+      }
+
+      const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      const stats = await diversityService.getQuoteStats({ scripture, since, interval, limit });
+      return res.status(200).json(stats);
+    } catch (error) {
+      console.error('❌ Error fetching quote stats:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch quote statistics',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Parse an optional string query parameter. The query parser turns
+   * `?model[$ne]=x` into an object, which must never reach a Mongo filter.
+   * @param {*} value - Query value
+   * @returns {string|null|undefined} - String, null when not a string, undefined when absent
+   */
+  static parseStringQuery(value) {
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    return typeof value === 'string' ? value : null;
+  }
+
+  /**
+   * Parse an optional numeric query parameter
+   * @param {string} value - Query value
+   * @returns {number|null|undefined} - Number, null when invalid, undefined when absent
+   */
+  static parseNumberQuery(value) {
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Parse an optional date query parameter
+   * @param {string} value - Query value
+   * @returns {Date|null|undefined} - Date, null when invalid, undefined when absent
+   */
+  static parseDateQuery(value) {
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Get the client's conversations with pagination, filters and text search
+   * GET /api/conversations?scripture=BIBLE&model=...&from=...&to=...&minTokens=...&maxTokens=...&q=...
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -409,22 +1506,69 @@ export class OpenAIController {
       // Parse query parameters with validation
       const page = Math.max(1, parseInt(req.query.page) || 1);
       const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
-      const sort = req.query.sort || 'timestamp';
+      const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 200) : '';
+      const sort = req.query.sort || (q ? 'relevance' : 'timestamp');
       const sortOrder = req.query.order === 'asc' ? 1 : -1;
 
+      if (!Object.hasOwn(CONVERSATION_SORT_FIELDS, sort) || (sort === 'relevance' && !q)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `sort must be one of: ${Object.keys(CONVERSATION_SORT_FIELDS).join(', ')} (relevance requires q)`
+        });
+      }
+
+      const filters = {
+        scripture: OpenAIController.parseStringQuery(req.query.scripture || req.query.optionChosen),
+        model: OpenAIController.parseStringQuery(req.query.model),
+        minTokens: OpenAIController.parseNumberQuery(req.query.minTokens),
+        maxTokens: OpenAIController.parseNumberQuery(req.query.maxTokens),
+        from: OpenAIController.parseDateQuery(req.query.from),
+        to: OpenAIController.parseDateQuery(req.query.to),
+        q
+      };
+
+      if (filters.scripture === null || filters.model === null) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'scripture and model must be strings'
+        });
+      }
+
+      if (filters.minTokens === null || filters.maxTokens === null) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'minTokens and maxTokens must be numbers'
+        });
+      }
+
+      if (filters.from === null || filters.to === null) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'from and to must be valid dates'
+        });
+      }
+
       // Calculate skip value
       const skip = (page - 1) * limit;
 
+      const filter = { ...ConversationModel.buildFilter(filters), ...clientScope(res) };
       const options = {
         limit,
         skip,
-        sort: { [sort]: sortOrder }
+        sort: sort === 'relevance'
+          ? { score: { $meta: 'textScore' } }
+          : { [CONVERSATION_SORT_FIELDS[sort]]: sortOrder },
+        filter
       };
 
+      await ConversationModel.ensureIndexesOnce();
+
       // Get conversations and total count in parallel
       const [conversations, totalCount] = await Promise.all([
-        ConversationModel.findAll(options),
-        ConversationModel.getTotalCount()
+        filters.from || filters.to
+          ? ConversationModel.findByDateRange(filters.from, filters.to, options)
+          : ConversationModel.findAll(options),
+        ConversationModel.getTotalCount(filter)
       ]);
 
       // Calculate pagination metadata
@@ -454,4 +1598,64 @@ export class OpenAIController {
       });
     }
   }
+
+  /**
+   * Get one of the client's conversations
+   * GET /api/conversations/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getConversation(req, res) {
+    try {
+      const conversation = await ConversationModel.findById(req.params.id, clientScope(res));
+
+      if (!conversation) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Conversation not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: conversation
+      });
+    } catch (error) {
+      console.error('❌ Error fetching conversation:', error.message);
+      return res.status(500).json({
+        error: 'Failed to fetch conversation',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete one of the client's conversations
+   * DELETE /api/conversations/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteConversation(req, res) {
+    try {
+      const deleted = await ConversationModel.deleteById(req.params.id, clientScope(res));
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Conversation not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Conversation deleted successfully'
+      });
+    } catch (error) {
+      console.error('❌ Error deleting conversation:', error.message);
+      return res.status(500).json({
+        error: 'Failed to delete conversation',
+        message: error.message
+      });
+    }
+  }
 }
@@ -0,0 +1,127 @@
+import { PronunciationModel } from '../models/pronunciation.js';
+import { speechNormalizerService } from '../services/speech-normalizer.service.js';
+
+/**
+ * Pronunciation Controller - the lexicon the speech normalizer uses to
+ * make TTS voices say scripture names correctly
+ */
+export class PronunciationController {
+  /**
+   * List the lexicon: built-in entries merged with stored ones
+   * GET /api/pronunciations
+   */
+  static async getAll(req, res) {
+    try {
+      const { entries } = await speechNormalizerService.getLexicon();
+      const pronunciations = [...entries.values()].sort((a, b) => a.term.localeCompare(b.term));
+
+      res.json({
+        success: true,
+        data: pronunciations,
+        count: pronunciations.length
+      });
+    } catch (error) {
+      console.error('❌ Error in PronunciationController.getAll:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Add or replace the pronunciation of a term (built-in ones included)
+   * PUT /api/pronunciations/:term
+   */
+  static async upsert(req, res) {
+    try {
+      const term = req.params.term.replace(/\s+/g, ' ').trim();
+      const { spoken, ipa } = req.body;
+
+      const invalid = speechNormalizerService.validatePronunciation({ term, spoken, ipa });
+      if (invalid) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: invalid
+        });
+      }
+
+      await PronunciationModel.ensureIndexes();
+      const { pronunciation, created } = await PronunciationModel.upsert({ term, spoken: spoken.trim(), ipa: ipa?.trim() });
+      speechNormalizerService.invalidate();
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Pronunciation created successfully' : 'Pronunciation updated successfully',
+        data: pronunciation
+      });
+    } catch (error) {
+      console.error('❌ Error in PronunciationController.upsert:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a stored pronunciation; a built-in one for the same term applies again
+   * DELETE /api/pronunciations/:term
+   */
+  static async delete(req, res) {
+    try {
+      const deleted = await PronunciationModel.deleteByTerm(req.params.term.replace(/\s+/g, ' ').trim());
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'No stored pronunciation for this term'
+        });
+      }
+
+      speechNormalizerService.invalidate();
+
+      res.json({
+        success: true,
+        message: 'Pronunciation deleted successfully'
+      });
+    } catch (error) {
+      console.error('❌ Error in PronunciationController.delete:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Show how text will be read, to check lexicon changes
+   * POST /api/pronunciations/preview
+   */
+  static async preview(req, res) {
+    try {
+      const { text, ssml = false } = req.body;
+
+      if (typeof text !== 'string' || !text.trim() || text.length > 5000) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'text must be a string of at most 5000 characters'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          text,
+          spoken: await speechNormalizerService.normalize(text, { ssml: ssml === true })
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error in PronunciationController.preview:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,67 @@
+import { scriptureService } from '../services/scripture.service.js';
+import { SCRIPTURES } from '../config/scriptures.js';
+
+/**
+ * Scripture Controller - the verse corpus used for retrieval and citation checks
+ */
+export class ScriptureController {
+  /**
+   * List the scriptures with a loaded corpus
+   * GET /api/scriptures
+   */
+  static async getAll(req, res) {
+    try {
+      const corpus = await scriptureService.getLoadedScriptures();
+
+      res.json({
+        success: true,
+        data: corpus
+      });
+    } catch (error) {
+      console.error('❌ Error in ScriptureController.getAll:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Search verses with BM25
+   * GET /api/scriptures/search?q=anger&scripture=BIBLE&limit=5
+   */
+  static async search(req, res) {
+    try {
+      const { q, scripture = 'ALL' } = req.query;
+
+      if (!q || typeof q !== 'string') {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Query parameter q is required'
+        });
+      }
+
+      if (!Object.hasOwn(SCRIPTURES, scripture)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `Scripture must be one of: ${Object.keys(SCRIPTURES).join(', ')}`
+        });
+      }
+
+      const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+      const verses = await scriptureService.search(q, { scripture, limit });
+
+      res.json({
+        success: true,
+        data: verses,
+        count: verses.length
+      });
+    } catch (error) {
+      console.error('❌ Error in ScriptureController.search:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,126 @@
+import { SessionModel } from '../models/session.js';
+import { OpenAIController } from './openai.controller.js';
+import { clientScope } from '../middleware/auth.js';
+
+/**
+ * Session Controller - multi-turn guidance conversations
+ */
+export class SessionController {
+  /**
+   * Create a new session
+   * POST /api/sessions
+   */
+  static async create(req, res) {
+    try {
+      const { title, context, metadata } = req.body || {};
+
+      if (context !== undefined && typeof context !== 'string') {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Context must be a string'
+        });
+      }
+
+      const session = await SessionModel.create({ title, context, metadata, ...clientScope(res) });
+
+      res.status(201).json({
+        success: true,
+        message: 'Session created successfully',
+        data: session
+      });
+    } catch (error) {
+      console.error('❌ Error in SessionController.create:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the client's sessions with pagination (without message history)
+   * GET /api/sessions
+   */
+  static async getAll(req, res) {
+    try {
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+      const skip = Math.max(0, parseInt(req.query.skip) || 0);
+      const filter = clientScope(res);
+
+      const [sessions, total] = await Promise.all([
+        SessionModel.findAll({ limit, skip, filter }),
+        SessionModel.getTotalCount(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: sessions,
+        pagination: {
+          total,
+          limit,
+          skip,
+          hasMore: skip + sessions.length < total
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error in SessionController.getAll:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one of the client's sessions, including its message history
+   * GET /api/sessions/:id
+   */
+  static async getById(req, res) {
+    try {
+      const session = await SessionModel.findById(req.params.id, clientScope(res));
+
+      if (!session) {
+        return OpenAIController.sendSessionNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      console.error('❌ Error in SessionController.getById:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Post a message to a session. Replies as JSON like /api/generic, or as
+   * Server-Sent Events like /api/stream when `stream: true` is sent.
+   * Sessions of other clients are reported as not found.
+   * POST /api/sessions/:id/messages
+   */
+  static async postMessage(req, res) {
+    const { prompt, scripture, locale, stream = false } = req.body || {};
+    req.body = { prompt, scripture, locale, sessionId: req.params.id };
+
+    try {
+      if (!await SessionModel.findById(req.params.id, clientScope(res))) {
+        return OpenAIController.sendSessionNotFound(res);
+      }
+    } catch (error) {
+      console.error('❌ Error in SessionController.postMessage:', error.message);
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+
+    if (stream) {
+      return OpenAIController.handleStreamingRequest(req, res);
+    }
+    return OpenAIController.handleGenericRequest(req, res);
+  }
+}
@@ -0,0 +1,153 @@
+import { speechToTextService } from '../services/speech-to-text.service.js';
+import { SttError } from '../stt/index.js';
+import { budgetMiddleware } from '../middleware/budget.js';
+import { OpenAIController } from './openai.controller.js';
+
+// Error names sent for each SttError status
+const STT_ERROR_NAMES = {
+  400: 'Invalid request',
+  413: 'Payload too large',
+  415: 'Unsupported media type',
+  500: 'Configuration error',
+  502: 'External service error'
+};
+
+/**
+ * Speech-to-Text Controller
+ */
+export class SpeechToTextController {
+  /**
+   * Handle speech-to-text API requests: transcribe an audio upload and
+   * either return the transcript or, with `respond=voice`, answer it as a
+   * /api/stream-voice stream that starts with a `transcript` event
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async handleSpeechToText(req, res) {
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    // Validate request method
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only POST requests are allowed'
+      });
+    }
+
+    // Reconnecting to a spoken answer: replay it like /api/stream-voice
+    if (req.headers['last-event-id'] !== undefined) {
+      return OpenAIController.resumeStream(req, res);
+    }
+
+    try {
+      const { audio, mimeType, fields } = await speechToTextService.readUpload(req);
+      const { sttProvider, language, respond } = fields;
+
+      if (respond !== undefined && respond !== 'voice') {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'respond must be "voice" when given'
+        });
+      }
+
+      const answer = respond === 'voice' ? SpeechToTextController.parseAnswerFields(fields) : null;
+      if (answer?.error) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: answer.error
+        });
+      }
+
+      // Answering calls the LLM, so the budget caps apply before paying for STT
+      if (answer) {
+        let withinBudget = false;
+        await budgetMiddleware(req, res, () => {
+          withinBudget = true;
+        });
+        if (!withinBudget) {
+          return;
+        }
+      }
+
+      console.log('🎙️ Processing speech-to-text request...');
+
+      const result = await speechToTextService.transcribe(audio, { provider: sttProvider, mimeType, language });
+      const transcript = {
+        text: result.transcript,
+        provider: result.provider,
+        confidence: result.confidence,
+        language: result.language,
+        durationMs: result.durationMs
+      };
+
+      if (!answer) {
+        return res.status(200).json({
+          ...transcript,
+          latencyMs: result.latencyMs,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!transcript.text) {
+        return res.status(422).json({
+          error: 'No speech detected',
+          message: 'The recording contained no words to answer'
+        });
+      }
+
+      return await OpenAIController.streamVoiceAnswer(req, res, { ...answer, prompt: transcript.text, transcript });
+
+    } catch (error) {
+      console.error('❌ Speech-to-text error:', error.message);
+
+      if (error instanceof SttError) {
+        return res.status(error.status).json({
+          error: STT_ERROR_NAMES[error.status] || 'Internal server error',
+          message: error.status === 502 ? 'Failed to transcribe speech' : error.message
+        });
+      }
+
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to process speech-to-text request'
+      });
+    }
+  }
+
+  /**
+   * Read the /api/stream-voice fields sent alongside the audio. Form fields
+   * are strings, so voiceSettings and variables arrive as JSON.
+   * @param {Object} fields - Form fields (or query string)
+   * @returns {Object} - Fields for OpenAIController.streamVoiceAnswer, or
+   *   { error } when one is malformed
+   */
+  static parseAnswerFields(fields) {
+    const { context, userId, provider, templateId, locale } = fields;
+    const answer = { context, userId, provider, templateId, locale };
+
+    for (const name of ['voiceSettings', 'variables']) {
+      if (fields[name] === undefined) {
+        continue;
+      }
+      try {
+        answer[name] = JSON.parse(fields[name]);
+      } catch {
+        answer[name] = null;
+      }
+      if (typeof answer[name] !== 'object' || answer[name] === null || Array.isArray(answer[name])) {
+        return { error: `${name} must be a JSON object` };
+      }
+    }
+
+    if (fields.templateVersion !== undefined) {
+      answer.templateVersion = /^\d+$/.test(fields.templateVersion)
+        ? parseInt(fields.templateVersion)
+        : fields.templateVersion;
+    }
+
+    return answer;
+  }
+}
@@ -0,0 +1,255 @@
+import { PromptTemplateModel } from '../models/prompt-template.js';
+import { templateService } from '../services/template.service.js';
+
+/**
+ * Send the 404 for an unknown template
+ * @param {Object} res - Response object
+ */
+function sendNotFound(res) {
+  res.status(404).json({
+    error: 'Not found',
+    message: 'Template not found'
+  });
+}
+
+/**
+ * Build a version from a request body, or return a validation message
+ * @param {Object} body - Request body
+ * @returns {{version: Object}|{message: string}}
+ */
+function parseVersion(body) {
+  const { content, note } = body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return { message: 'content is required' };
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    return { message: 'note must be a string' };
+  }
+
+  return {
+    version: {
+      content,
+      variables: templateService.extractVariables(content),
+      note: note || ''
+    }
+  };
+}
+
+/**
+ * Template Controller - manage versioned system prompt templates
+ */
+export class TemplateController {
+  /**
+   * Create a template with its first version
+   * POST /api/templates
+   */
+  static async create(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      if (!templateService.isValidName(name)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'name must be 1-64 lowercase letters, digits, - or _'
+        });
+      }
+
+      const parsed = parseVersion(req.body);
+      if (!parsed.version) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: parsed.message
+        });
+      }
+
+      await PromptTemplateModel.ensureIndexes();
+      const template = await PromptTemplateModel.create({ name, description, version: parsed.version });
+
+      if (!template) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Template ${name} already exists`
+        });
+      }
+
+      templateService.invalidate(name);
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('❌ Error in TemplateController.create:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List templates (without version history)
+   * GET /api/templates
+   */
+  static async getAll(req, res) {
+    try {
+      const templates = await PromptTemplateModel.findAll();
+
+      res.json({
+        success: true,
+        data: templates,
+        count: templates.length
+      });
+    } catch (error) {
+      console.error('❌ Error in TemplateController.getAll:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a template with all its versions
+   * GET /api/templates/:id
+   */
+  static async getById(req, res) {
+    try {
+      const template = await PromptTemplateModel.findByName(req.params.id);
+
+      if (!template) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('❌ Error in TemplateController.getById:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a template's description or roll the active version
+   * forward or back
+   * PUT /api/templates/:id
+   */
+  static async update(req, res) {
+    try {
+      const { id } = req.params;
+      const { description, activeVersion } = req.body;
+
+      const updateData = {};
+      if (description !== undefined) updateData.description = description;
+
+      if (activeVersion !== undefined) {
+        const template = await PromptTemplateModel.findByName(id);
+        if (!template) {
+          return sendNotFound(res);
+        }
+        if (!template.versions.some((version) => version.version === activeVersion)) {
+          return res.status(400).json({
+            error: 'Validation error',
+            message: `Template ${id} has no version ${activeVersion}`
+          });
+        }
+        updateData.activeVersion = activeVersion;
+      }
+
+      const template = await PromptTemplateModel.updateByName(id, updateData);
+
+      if (!template) {
+        return sendNotFound(res);
+      }
+
+      templateService.invalidate(id);
+
+      res.json({
+        success: true,
+        message: 'Template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('❌ Error in TemplateController.update:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Add a version, active by default
+   * POST /api/templates/:id/versions
+   */
+  static async addVersion(req, res) {
+    try {
+      const { id } = req.params;
+      const { activate = true } = req.body;
+
+      const parsed = parseVersion(req.body);
+      if (!parsed.version) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: parsed.message
+        });
+      }
+
+      const template = await PromptTemplateModel.addVersion(id, parsed.version, activate !== false);
+
+      if (!template) {
+        return sendNotFound(res);
+      }
+
+      templateService.invalidate(id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Template version added successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('❌ Error in TemplateController.addVersion:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a template and all its versions
+   * DELETE /api/templates/:id
+   */
+  static async delete(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await PromptTemplateModel.deleteByName(id);
+
+      if (!deleted) {
+        return sendNotFound(res);
+      }
+
+      templateService.invalidate(id);
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully'
+      });
+    } catch (error) {
+      console.error('❌ Error in TemplateController.delete:', error.message);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
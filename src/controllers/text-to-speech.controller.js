@@ -1,4 +1,5 @@
 import { textToSpeechService } from '../services/text-to-speech.service.js';
+import { TtsError } from '../tts/index.js';
 
 /**
  * Text-to-Speech Controller
@@ -24,7 +25,7 @@ export class TextToSpeechController {
     }
 
     try {
-      const { text } = req.body;
+      const { text, voiceSettings = {} } = req.body;
 
       // Validate request structure
       if (!text || typeof text !== 'string') {
@@ -42,14 +43,21 @@ export class TextToSpeechController {
         });
       }
 
+      if (typeof voiceSettings !== 'object' || voiceSettings === null || Array.isArray(voiceSettings)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'voiceSettings must be an object'
+        });
+      }
+
       console.log('🎤 Processing text-to-speech request...');
 
-      // Generate speech using Deepgram
-      const audioBuffer = await textToSpeechService.generateSpeech(text);
+      // Generate speech with the requested (or default) TTS provider
+      const { audio: audioBuffer, settings } = await textToSpeechService.generateSpeech(text, voiceSettings);
 
-      // Set appropriate headers for MP3 response
-      res.setHeader('Content-Type', 'audio/mpeg');
-      res.setHeader('Content-Disposition', 'inline; filename="speech.mp3"');
+      // Set appropriate headers for the audio format
+      res.setHeader('Content-Type', settings.mimeType);
+      res.setHeader('Content-Disposition', `inline; filename="speech.${settings.audioFormat}"`);
       res.setHeader('Content-Length', audioBuffer.length);
       res.setHeader('Cache-Control', 'no-cache');
 
@@ -59,14 +67,21 @@ export class TextToSpeechController {
     } catch (error) {
       console.error('❌ Text-to-speech error:', error.message);
 
-      if (error.message.includes('VOICE_KEY')) {
+      if (error instanceof TtsError && error.status === 400) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: error.message
+        });
+      }
+
+      if (error instanceof TtsError && error.status === 500) {
         return res.status(500).json({
           error: 'Configuration error',
-          message: 'Voice API key not configured'
+          message: `Voice provider ${error.provider} not configured`
         });
       }
 
-      if (error.message.includes('Deepgram')) {
+      if (error instanceof TtsError) {
         return res.status(502).json({
           error: 'External service error',
           message: 'Failed to generate speech'
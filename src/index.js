@@ -3,10 +3,12 @@ import helmet from 'helmet';
 import compression from 'compression';
 import dotenv from 'dotenv';
 import { initializeActuator, shutdownActuator } from './config/actuator.js';
-import { corsMiddleware } from './middleware/cors.js';
-import { OpenAIController } from './controllers/openai.controller.js';
-import { EventController } from './controllers/event.controller.js';
-import { CommentController } from './controllers/comment.controller.js';
+import {
+  registerRoutes,
+  routeCorsMiddleware,
+  sendNotFound,
+  sendInternalError
+} from './routes/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,15 +29,19 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-// Compression middleware
-app.use(compression());
+// Compression middleware. Event streams are sent uncompressed: gzip would
+// hold each event and heartbeat back until its buffer fills.
+app.use(compression({
+  filter: (req, res) => !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') &&
+    compression.filter(req, res)
+}));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// CORS middleware
-app.use(corsMiddleware);
+// CORS middleware (per-route policy from the route table)
+app.use(routeCorsMiddleware);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -47,31 +53,8 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check endpoint
-app.get('/health', OpenAIController.healthCheck);
-
-// API routes
-app.post('/api/openai-proxy', OpenAIController.handleChatCompletion);
-app.post('/api/generic', OpenAIController.handleGenericRequest);
-app.get('/api/stats', OpenAIController.getStats);
-app.get('/api/conversations', OpenAIController.getConversations);
-
-// Event routes (CRUD)
-app.get('/api/events/upcoming', EventController.getUpcoming);
-app.get('/api/events/range', EventController.getByDateRange);
-app.get('/api/events', EventController.getAll);
-app.get('/api/events/:id', EventController.getById);
-app.post('/api/events', EventController.create);
-app.put('/api/events/:id', EventController.update);
-app.delete('/api/events/:id', EventController.delete);
-
-// Comment routes (CRUD)
-app.get('/api/events/:eventId/comments', CommentController.getByEventId);
-app.get('/api/comments', CommentController.getAll);
-app.get('/api/comments/:id', CommentController.getById);
-app.post('/api/comments', CommentController.create);
-app.put('/api/comments/:id', CommentController.update);
-app.delete('/api/comments/:id', CommentController.delete);
+// API routes (shared with the Vercel functions in api/)
+registerRoutes(app);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -82,8 +65,22 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       openai: '/api/openai-proxy',
+      generic: '/api/generic',
+      stream: '/api/stream',
+      streamVoice: '/api/stream-voice',
+      streamVoiceAudio: '/api/stream-voice/audio/:streamId',
+      textToSpeech: '/api/text-to-speech',
+      speechToText: '/api/speech-to-text',
       stats: '/api/stats',
+      quoteStats: '/api/stats/quotes',
+      timeseries: '/api/stats/timeseries',
+      sessions: '/api/sessions',
+      scriptures: '/api/scriptures',
+      templates: '/api/templates',
+      experiments: '/api/experiments',
+      pronunciations: '/api/pronunciations',
       conversations: '/api/conversations',
+      flaggedFeedback: '/api/feedback/flagged',
       events: '/api/events',
       comments: '/api/comments',
       actuator: '/actuator'
@@ -93,41 +90,10 @@ app.get('/', (req, res) => {
 });
 
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    message: `Route ${req.originalUrl} not found`,
-    availableEndpoints: [
-      'GET /',
-      'GET /health',
-      'POST /api/openai-proxy',
-      'GET /api/stats',
-      'GET /api/conversations',
-      'GET /api/events',
-      'POST /api/events',
-      'GET /api/events/:id',
-      'PUT /api/events/:id',
-      'DELETE /api/events/:id',
-      'GET /api/comments',
-      'POST /api/comments',
-      'GET /api/comments/:id',
-      'PUT /api/comments/:id',
-      'DELETE /api/comments/:id',
-      'GET /api/events/:eventId/comments'
-    ]
-  });
-});
+app.use('*', sendNotFound);
 
 // Error handling middleware
-app.use((error, req, res, _next) => {
-  console.error('❌ Unhandled error:', error);
-
-  res.status(500).json({
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
-    timestamp: new Date().toISOString()
-  });
-});
+app.use((error, req, res, _next) => sendInternalError(res, error));
 
 /**
  * Start the server
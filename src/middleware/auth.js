@@ -0,0 +1,82 @@
+import { authService, AuthError } from '../services/auth.service.js';
+
+/**
+ * Set the quota headers on a response
+ * @param {Object} res - Response object
+ * @param {Object} remaining - { requests, tokens, reset } from authService
+ */
+function setQuotaHeaders(res, remaining) {
+  if (remaining.requests !== null) {
+    res.setHeader('X-Quota-Remaining-Requests', String(remaining.requests));
+  }
+  if (remaining.tokens !== null) {
+    res.setHeader('X-Quota-Remaining-Tokens', String(remaining.tokens));
+  }
+  res.setHeader('X-Quota-Reset', remaining.reset.toISOString());
+}
+
+/**
+ * Query filter limiting stored sessions and conversations to the
+ * authenticated client. Empty when authentication is disabled.
+ * @param {Object} res - Response object (after requireClient)
+ * @returns {Object} - { clientId } or {}
+ */
+export function clientScope(res) {
+  const client = res.locals?.client;
+  return client ? { clientId: client._id } : {};
+}
+
+/**
+ * Authentication middleware for one route. Identifies the client by API
+ * key (`X-API-Key` or `Authorization: Bearer`) or JWT, checks its allowed
+ * endpoints and origins, and counts the request against its daily quota.
+ * The client is left on `res.locals.client` so handlers can record tokens.
+ * @param {string} endpoint - Route path, as listed in a client's allowedEndpoints
+ * @returns {Function} - Middleware (req, res, next)
+ */
+export function requireClient(endpoint) {
+  return async function authMiddleware(req, res, next) {
+    if (!authService.enabled) {
+      return next();
+    }
+
+    try {
+      const client = await authService.authenticate(req.headers);
+      authService.authorize(client, { endpoint, origin: req.headers.origin });
+
+      const { allowed, remaining } = await authService.consumeRequest(client);
+      setQuotaHeaders(res, remaining);
+
+      if (!allowed) {
+        const retryAfter = Math.ceil((remaining.reset.getTime() - Date.now()) / 1000);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Quota exceeded',
+          message: 'Daily quota exhausted for this client',
+          remaining: { requests: remaining.requests, tokens: remaining.tokens },
+          reset: remaining.reset.toISOString()
+        });
+      }
+
+      res.locals = res.locals || {};
+      res.locals.client = client;
+      return next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        console.error('❌ Authentication error:', error.message);
+        return res.status(503).json({
+          error: 'Service unavailable',
+          message: 'Authentication is temporarily unavailable'
+        });
+      }
+
+      if (error.status === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+      }
+      return res.status(error.status).json({
+        error: { 401: 'Unauthorized', 403: 'Forbidden' }[error.status] || 'Service unavailable',
+        message: error.message
+      });
+    }
+  };
+}
@@ -0,0 +1,23 @@
+import { costService } from '../services/cost.service.js';
+
+/**
+ * Budget middleware for the AI routes. Answers 503 with Retry-After once a
+ * daily or monthly budget cap is exhausted; below the hard limit requests
+ * go through and openAIService switches them to the fallback model.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware
+ */
+export async function budgetMiddleware(req, res, next) {
+  const decision = await costService.check();
+  if (decision.action !== 'refuse') {
+    return next();
+  }
+
+  res.setHeader('Retry-After', String(Math.max(1, Math.ceil((decision.resetAt.getTime() - Date.now()) / 1000))));
+  return res.status(503).json({
+    error: 'Budget exceeded',
+    message: `The ${decision.period} LLM budget of $${decision.limitUsd} has been spent`,
+    reset: decision.resetAt.toISOString()
+  });
+}
@@ -21,6 +21,13 @@ const DEV_ORIGINS = [
   'http://127.0.0.1:*'
 ];
 
+// Rate limit and per-client quota headers set by the route middleware
+const LIMIT_HEADERS = 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, ' +
+  'X-Quota-Remaining-Requests, X-Quota-Remaining-Tokens, X-Quota-Reset, Retry-After';
+
+// Response cache status and the ID of a resumable event stream
+const STREAM_HEADERS = 'Cache-Status, X-Stream-Id';
+
 /**
  * Check if origin is allowed
  * @param {string} origin - Request origin
@@ -58,12 +65,12 @@ export function corsMiddleware(req, res, next) {
   // Set CORS headers with SSE support
   res.setHeader('Access-Control-Allow-Origin', isAllowed ? origin : '');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Cache-Control');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Requested-With, Cache-Control');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
 
   // Additional headers for SSE streaming
-  res.setHeader('Access-Control-Expose-Headers', 'X-SSE-Support, X-Stream-Type');
+  res.setHeader('Access-Control-Expose-Headers', `X-SSE-Support, X-Stream-Type, ${LIMIT_HEADERS}, ${STREAM_HEADERS}`);
   res.setHeader('X-SSE-Support', 'enabled');
   res.setHeader('X-Content-Type-Options', 'nosniff');
 
@@ -111,15 +118,15 @@ export function sseCorsMiddleware(req, res, next) {
   // Set SSE-specific CORS headers
   res.setHeader('Access-Control-Allow-Origin', isAllowed ? origin : '');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Cache-Control');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Requested-With, Cache-Control, Last-Event-ID');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Expose-Headers', 'X-SSE-Support, X-Stream-Type, Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', `X-SSE-Support, X-Stream-Type, Content-Type, ${LIMIT_HEADERS}, ${STREAM_HEADERS}`);
 
   // SSE-specific headers
   res.setHeader('X-SSE-Support', 'enabled');
   res.setHeader('X-Stream-Type', 'voice-enabled');
   res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
   res.setHeader('Connection', 'keep-alive');
 
   // Handle preflight requests
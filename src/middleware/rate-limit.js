@@ -0,0 +1,124 @@
+import dotenv from 'dotenv';
+import { ALGORITHMS, createStore } from '../services/rate-limit.service.js';
+
+dotenv.config();
+
+// Serverless instances do not share memory, so default to Mongo there
+const DEFAULT_STORE = process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? 'mongo' : 'memory');
+
+// Proxies in front of the app whose X-Forwarded-For entries are trusted.
+// Vercel's edge replaces the header with the caller's address.
+const TRUST_PROXY = process.env.TRUST_PROXY !== undefined
+  ? Math.max(0, parseInt(process.env.TRUST_PROXY) || 0)
+  : (process.env.VERCEL ? 1 : 0);
+
+const stores = {};
+
+/**
+ * Get the shared store instance for a type
+ * @param {string} type - memory or mongo
+ * @returns {Object} - Store
+ */
+function getStore(type) {
+  stores[type] ??= createStore(type);
+  return stores[type];
+}
+
+/**
+ * Caller's IP address. Each trusted proxy appends the address it received
+ * the request from to X-Forwarded-For, so the caller is the entry added by
+ * the outermost trusted proxy; anything left of it was sent by the caller
+ * and is ignored.
+ * @param {Object} req - Request object
+ * @param {number} trustProxy - Trusted proxy hops (default: TRUST_PROXY)
+ * @returns {string|null}
+ */
+export function getClientIp(req, trustProxy = TRUST_PROXY) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy > 0 && typeof forwarded === 'string' && forwarded) {
+    const hops = forwarded.split(',').map((entry) => entry.trim()).filter(Boolean);
+    return hops[Math.max(0, hops.length - trustProxy)] || null;
+  }
+  return req.socket?.remoteAddress || null;
+}
+
+/**
+ * Identify the caller for one key type
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object; `client` keys read the client
+ *   requireClient() authenticated
+ * @param {string} type - ip, client or session
+ * @returns {string|null} - Key, or null when the request has none
+ */
+export function getRequestKey(req, res, type) {
+  if (type === 'client') {
+    const client = res.locals?.client;
+    return client ? `client:${client._id}` : null;
+  }
+
+  if (type === 'session') {
+    const sessionId = req.params?.id || req.body?.sessionId;
+    return typeof sessionId === 'string' && sessionId ? `session:${sessionId}` : null;
+  }
+
+  return `ip:${getClientIp(req) || 'unknown'}`;
+}
+
+/**
+ * Create a rate limiting middleware usable from Express and from the
+ * Vercel handlers. Sets the RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers and answers 429 with
+ * Retry-After when the caller is over the limit. Store failures let the
+ * request through, so a database outage does not take the API down.
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Policy name, part of every key
+ * @param {string} options.algorithm - token-bucket or sliding-window
+ * @param {number} options.limit - Requests per window
+ * @param {number} options.windowMs - Window length in ms
+ * @param {Array<string>} options.keyBy - Key types in order of preference (ip, client, session).
+ *   Limiters keyed by client must run after requireClient(); without an
+ *   authenticated client they fall back to the next key type.
+ * @param {string} options.store - memory or mongo (default: RATE_LIMIT_STORE)
+ * @returns {Function} - Middleware (req, res, next)
+ */
+export function createRateLimiter({ name, algorithm = 'sliding-window', limit, windowMs, keyBy = ['ip'], store = DEFAULT_STORE }) {
+  const step = ALGORITHMS[algorithm];
+  if (!step) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+
+  const policy = { limit, windowMs };
+  const ttlMs = algorithm === 'sliding-window' ? windowMs * 2 : windowMs;
+  const policyHeader = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+  return async function rateLimitMiddleware(req, res, next) {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next();
+    }
+
+    const key = keyBy.map((type) => getRequestKey(req, res, type)).find(Boolean) || getRequestKey(req, res, 'ip');
+
+    let result;
+    try {
+      result = await getStore(store).update(`${name}:${key}`, (state) => step(state, Date.now(), policy), ttlMs);
+    } catch (error) {
+      console.error('❌ Rate limiter unavailable, allowing request:', error.message);
+      return next();
+    }
+
+    res.setHeader('RateLimit-Limit', String(limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+    res.setHeader('RateLimit-Policy', policyHeader);
+
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Rate limit of ${limit} requests per ${Math.ceil(windowMs / 1000)}s exceeded`
+      });
+    }
+
+    return next();
+  };
+}
@@ -0,0 +1,151 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+
+/**
+ * Client model for MongoDB operations
+ * Stores API clients (hashed API key and/or JWT subject, allowed endpoints
+ * and origins, daily quotas) and their per-day usage in `client_usage`.
+ */
+export class ClientModel {
+  static COLLECTION_NAME = 'clients';
+  static USAGE_COLLECTION_NAME = 'client_usage';
+
+  /**
+   * Create the indexes used by key, subject and usage lookups
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+
+      await db.collection(this.COLLECTION_NAME).createIndex(
+        { keyHash: 1 },
+        { unique: true, partialFilterExpression: { keyHash: { $type: 'string' } }, name: 'client_key' }
+      );
+      await db.collection(this.COLLECTION_NAME).createIndex(
+        { subject: 1 },
+        { unique: true, partialFilterExpression: { subject: { $type: 'string' } }, name: 'client_subject' }
+      );
+      await db.collection(this.USAGE_COLLECTION_NAME).createIndex(
+        { clientId: 1, day: 1 },
+        { unique: true, name: 'client_day' }
+      );
+      // Daily usage is only needed for quotas and recent reporting
+      await db.collection(this.USAGE_COLLECTION_NAME).createIndex(
+        { updatedAt: 1 },
+        { expireAfterSeconds: 90 * 24 * 60 * 60, name: 'usage_ttl' }
+      );
+    } catch (error) {
+      console.error('❌ Error creating client indexes:', error.message);
+      throw new Error(`Failed to create client indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new client
+   * @param {Object} clientData - The client data
+   * @param {string} clientData.name - Display name
+   * @param {string} clientData.keyHash - SHA-256 of the API key (optional)
+   * @param {string} clientData.keyPrefix - First characters of the key, for identification
+   * @param {string} clientData.subject - JWT `sub` claim accepted for this client (optional)
+   * @param {Array<string>} clientData.allowedEndpoints - Route paths, or ['*']
+   * @param {Array<string>} clientData.allowedOrigins - Origins; empty allows any
+   * @param {Object} clientData.quotas - { dailyRequests, dailyTokens }, null for unlimited
+   * @returns {Promise<Object>} - The inserted document
+   */
+  static async create(clientData) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const client = {
+        name: clientData.name,
+        keyHash: clientData.keyHash || null,
+        keyPrefix: clientData.keyPrefix || null,
+        subject: clientData.subject || null,
+        allowedEndpoints: clientData.allowedEndpoints || ['*'],
+        allowedOrigins: clientData.allowedOrigins || [],
+        quotas: {
+          dailyRequests: clientData.quotas?.dailyRequests ?? null,
+          dailyTokens: clientData.quotas?.dailyTokens ?? null
+        },
+        active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await collection.insertOne(client);
+      console.log('✅ Client created with ID:', result.insertedId);
+
+      return { _id: result.insertedId, ...client };
+    } catch (error) {
+      console.error('❌ Error creating client:', error.message);
+      throw new Error(`Failed to create client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an active client by API key hash
+   * @param {string} keyHash - SHA-256 of the API key
+   * @returns {Promise<Object|null>} - Client or null
+   */
+  static async findByKeyHash(keyHash) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOne({ keyHash, active: true });
+    } catch (error) {
+      console.error('❌ Error fetching client by key:', error.message);
+      throw new Error(`Failed to fetch client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an active client by JWT subject (its `subject` field or its ID)
+   * @param {string} subject - JWT `sub` claim
+   * @returns {Promise<Object|null>} - Client or null
+   */
+  static async findBySubject(subject) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const owners = [{ subject }];
+      if (ObjectId.isValid(subject)) {
+        owners.push({ _id: new ObjectId(subject) });
+      }
+
+      return await collection.findOne({ $or: owners, active: true });
+    } catch (error) {
+      console.error('❌ Error fetching client by subject:', error.message);
+      throw new Error(`Failed to fetch client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add to a client's usage for one day
+   * @param {ObjectId} clientId - Client ID
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   * @param {Object} amounts - Counters to increment ({ requests, tokens, rejected })
+   * @returns {Promise<Object>} - Usage document after the update
+   */
+  static async incrementUsage(clientId, day, amounts) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.USAGE_COLLECTION_NAME);
+
+      return await collection.findOneAndUpdate(
+        { clientId, day },
+        {
+          $inc: amounts,
+          $set: { updatedAt: new Date() }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('❌ Error updating client usage:', error.message);
+      throw new Error(`Failed to update client usage: ${error.message}`);
+    }
+  }
+}
@@ -1,15 +1,128 @@
+import { ObjectId } from 'mongodb';
 import { getDB } from '../config/database.js';
 
+// $group accumulators for rated answers
+const RATING_GROUP = {
+  ratings: { $sum: 1 },
+  positive: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+  flagged: { $sum: { $cond: ['$feedback.flagged', 1, 0] } }
+};
+
+/**
+ * Turn rating counts into a satisfaction summary
+ * @param {Object} group - { ratings, positive, flagged } (optional)
+ * @returns {{ratings: number, positive: number, flagged: number, satisfactionRate: number|null}}
+ */
+function toSatisfaction(group) {
+  const { ratings = 0, positive = 0, flagged = 0 } = group || {};
+  return { ratings, positive, flagged, satisfactionRate: ratings > 0 ? positive / ratings : null };
+}
+
 /**
  * Conversation model for MongoDB operations
  */
 export class ConversationModel {
+  static indexesReady = null;
+
+  /**
+   * Create the indexes used by listing filters, text search and the
+   * feedback review queue
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection('conversations');
+
+      await collection.createIndex({ timestamp: -1 }, { name: 'conversation_timestamp' });
+      await collection.createIndex({ optionChosen: 1, timestamp: -1 }, { name: 'conversation_scripture' });
+      await collection.createIndex({ model: 1, timestamp: -1 }, { name: 'conversation_model' });
+      await collection.createIndex({ clientId: 1, timestamp: -1 }, { name: 'conversation_client' });
+      // Covers every field the timeseries aggregation reads
+      await collection.createIndex(
+        { timestamp: 1, optionChosen: 1, model: 1, channel: 1, 'usage.total_tokens': 1, latencyMs: 1 },
+        { name: 'conversation_timeseries' }
+      );
+      await collection.createIndex(
+        { userInput: 'text', aiResponse: 'text' },
+        { name: 'conversation_text', weights: { userInput: 2, aiResponse: 1 } }
+      );
+      await collection.createIndex(
+        { 'feedback.createdAt': -1 },
+        { name: 'conversation_flagged', partialFilterExpression: { 'feedback.flagged': true } }
+      );
+      await collection.createIndex(
+        { clientId: 1, 'feedback.createdAt': -1 },
+        { name: 'conversation_client_flagged', partialFilterExpression: { 'feedback.flagged': true } }
+      );
+    } catch (error) {
+      console.error('❌ Error creating conversation indexes:', error.message);
+      throw new Error(`Failed to create conversation indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the indexes once per process (retried after a failure)
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexesOnce() {
+    this.indexesReady ??= this.ensureIndexes().catch((error) => {
+      this.indexesReady = null;
+      throw error;
+    });
+    await this.indexesReady;
+  }
+
+  /**
+   * Build a query from listing filters
+   * @param {Object} filters - Filters
+   * @param {string} filters.scripture - optionChosen (optional)
+   * @param {string} filters.model - Model (optional)
+   * @param {number} filters.minTokens - Minimum total tokens (optional)
+   * @param {number} filters.maxTokens - Maximum total tokens (optional)
+   * @param {Date} filters.from - Earliest timestamp (optional)
+   * @param {Date} filters.to - Latest timestamp (optional)
+   * @param {string} filters.q - Text search over userInput and aiResponse (optional)
+   * @returns {Object} - MongoDB query; non-string scripture and model values
+   *   (operator objects from the query string) are never copied into it
+   */
+  static buildFilter({ scripture, model, minTokens, maxTokens, from, to, q } = {}) {
+    const filter = {};
+    if (scripture && typeof scripture === 'string') filter.optionChosen = scripture;
+    if (model && typeof model === 'string') filter.model = model;
+    if (from || to) {
+      filter.timestamp = {
+        ...(from ? { $gte: from } : {}),
+        ...(to ? { $lte: to } : {})
+      };
+    }
+    if (minTokens !== undefined || maxTokens !== undefined) {
+      filter['usage.total_tokens'] = {
+        ...(minTokens !== undefined ? { $gte: minTokens } : {}),
+        ...(maxTokens !== undefined ? { $lte: maxTokens } : {})
+      };
+    }
+    if (q) filter.$text = { $search: q };
+    return filter;
+  }
+
   /**
    * Store a new conversation
    * @param {Object} conversationData - The conversation data
    * @param {string} conversationData.userInput - User's input message
    * @param {Object} conversationData.aiResponse - AI's response
    * @param {Object} conversationData.metadata - Additional metadata
+   * @param {string} conversationData.channel - Delivery channel: json, stream or voice
+   * @param {string} conversationData.sessionId - Session the turn belongs to (optional)
+   * @param {number} conversationData.chunkCount - Streamed chunks sent (optional)
+   * @param {Object} conversationData.audioTimings - Voice timing data (optional)
+   * @param {Object} conversationData.speechInput - Transcription of a spoken prompt ({ text, provider, confidence, language, durationMs }, optional)
+   * @param {boolean} conversationData.clientDisconnected - Client left mid-stream
+   * @param {Object} conversationData.guidance - Structured answer (optional)
+   * @param {string} conversationData.userId - Client-supplied user ID (optional)
+   * @param {ObjectId} conversationData.clientId - Authenticated API client (optional)
+   * @param {Array<Object>} conversationData.moderation - Moderation decisions (optional)
+   * @param {Object} conversationData.metadata.experiment - Experiment variant served ({ id, variant }, optional)
    * @returns {Promise<string>} - The inserted document ID
    */
   static async create(conversationData) {
@@ -28,11 +141,35 @@ export class ConversationModel {
         aiResponse: conversationData.aiResponse.content,
         timestamp: new Date(),
         optionChosen: conversationData.metadata.selectedText || 'ALL',
+        provider: conversationData.metadata.provider || 'openai',
         model: conversationData.metadata.model,
         temperature: conversationData.metadata.temperature,
         maxTokens: conversationData.metadata.maxTokens,
         usage: conversationData.metadata.usage || {},
+        cost: conversationData.metadata.cost || null,
+        budgetDowngraded: conversationData.metadata.budgetDowngraded || false,
+        cache: conversationData.metadata.cache || null,
         requestId: conversationData.metadata.requestId,
+        latencyMs: conversationData.metadata.latencyMs ?? null,
+        firstTokenMs: conversationData.metadata.firstTokenMs ?? null,
+        channel: conversationData.channel || 'json',
+        sessionId: conversationData.sessionId || null,
+        userId: conversationData.userId || null,
+        clientId: conversationData.clientId || null,
+        chunkCount: conversationData.chunkCount ?? null,
+        audioTimings: conversationData.audioTimings || null,
+        speechInput: conversationData.speechInput || null,
+        clientDisconnected: conversationData.clientDisconnected || false,
+        aborted: conversationData.metadata.aborted || false,
+        guidance: conversationData.guidance || null,
+        retrievedVerses: conversationData.metadata.retrievedVerses || [],
+        citations: conversationData.metadata.citations || null,
+        citedVerses: conversationData.metadata.citedVerses || [],
+        moderation: conversationData.moderation || [],
+        templateId: conversationData.metadata.template?.templateId || null,
+        templateVersion: conversationData.metadata.template?.version ?? null,
+        experiment: conversationData.metadata.experiment || null,
+        feedback: null,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -52,15 +189,19 @@ export class ConversationModel {
    * @param {number} options.limit - Number of documents to return
    * @param {number} options.skip - Number of documents to skip
    * @param {Object} options.sort - Sort criteria
+   * @param {Object} options.filter - Query from buildFilter() (optional)
    * @returns {Promise<Array>} - Array of conversations
    */
   static async findAll(options = {}) {
     try {
-      const { limit = 100, skip = 0, sort = { timestamp: -1 } } = options;
+      const { limit = 100, skip = 0, sort = { timestamp: -1 }, filter = {} } = options;
       const db = await getDB();
       const collection = db.collection('conversations');
 
-      return await collection.find({})
+      // Text matches carry their relevance score
+      const projection = filter.$text ? { score: { $meta: 'textScore' } } : {};
+
+      return await collection.find(filter, { projection })
         .sort(sort)
         .skip(skip)
         .limit(limit)
@@ -74,14 +215,19 @@ export class ConversationModel {
   /**
    * Get conversation by ID
    * @param {string} id - Conversation ID
+   * @param {Object} scope - Extra query, e.g. clientScope() (optional)
    * @returns {Promise<Object|null>} - Conversation object or null
    */
-  static async findById(id) {
+  static async findById(id, scope = {}) {
     try {
+      if (!ObjectId.isValid(id)) {
+        return null;
+      }
+
       const db = await getDB();
       const collection = db.collection('conversations');
 
-      return await collection.findOne({ _id: id });
+      return await collection.findOne({ _id: new ObjectId(id), ...scope });
     } catch (error) {
       console.error('❌ Error fetching conversation by ID:', error.message);
       throw new Error(`Failed to fetch conversation: ${error.message}`);
@@ -90,31 +236,16 @@ export class ConversationModel {
 
   /**
    * Get conversations by date range
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
-   * @param {Object} options - Query options
+   * @param {Date} startDate - Start date (optional for an open range)
+   * @param {Date} endDate - End date (optional for an open range)
+   * @param {Object} options - Query options, as for findAll()
    * @returns {Promise<Array>} - Array of conversations
    */
   static async findByDateRange(startDate, endDate, options = {}) {
-    try {
-      const { limit = 100, skip = 0 } = options;
-      const db = await getDB();
-      const collection = db.collection('conversations');
-
-      return await collection.find({
-        timestamp: {
-          $gte: startDate,
-          $lte: endDate
-        }
-      })
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(limit)
-        .toArray();
-    } catch (error) {
-      console.error('❌ Error fetching conversations by date range:', error.message);
-      throw new Error(`Failed to fetch conversations by date range: ${error.message}`);
-    }
+    return this.findAll({
+      ...options,
+      filter: { ...options.filter, ...this.buildFilter({ from: startDate, to: endDate }) }
+    });
   }
 
   /**
@@ -133,16 +264,59 @@ export class ConversationModel {
             totalConversations: { $sum: 1 },
             totalTokens: { $sum: '$usage.total_tokens' },
             avgTokens: { $avg: '$usage.total_tokens' },
+            totalCostUsd: { $sum: '$cost.totalUsd' },
+            avgCostUsd: { $avg: '$cost.totalUsd' },
+            cacheHits: { $sum: { $cond: [{ $eq: ['$cache.status', 'hit'] }, 1, 0] } },
             uniqueModels: { $addToSet: '$model' },
             uniqueOptions: { $addToSet: '$optionChosen' }
           }
         }
       ]).toArray();
 
+      // Records written before channels were tracked came from the JSON proxy
+      const channelStats = await collection.aggregate([
+        {
+          $group: {
+            _id: { $ifNull: ['$channel', 'json'] },
+            count: { $sum: 1 },
+            totalTokens: { $sum: '$usage.total_tokens' },
+            costUsd: { $sum: '$cost.totalUsd' },
+            clientDisconnects: { $sum: { $cond: ['$clientDisconnected', 1, 0] } },
+            aborted: { $sum: { $cond: ['$aborted', 1, 0] } }
+          }
+        }
+      ]).toArray();
+
+      const costStats = await collection.aggregate([
+        { $match: { 'cost.totalUsd': { $exists: true } } },
+        {
+          $group: {
+            _id: { $ifNull: ['$model', 'unknown'] },
+            conversations: { $sum: 1 },
+            costUsd: { $sum: '$cost.totalUsd' }
+          }
+        }
+      ]).toArray();
+
+      // Satisfaction is the share of `up` ratings among rated answers
+      const [ratings] = await collection.aggregate([
+        { $match: { 'feedback.rating': { $in: ['up', 'down'] } } },
+        {
+          $facet: {
+            overall: [{ $group: { _id: null, ...RATING_GROUP } }],
+            byScripture: [{ $group: { _id: '$optionChosen', ...RATING_GROUP } }],
+            byModel: [{ $group: { _id: { $ifNull: ['$model', 'unknown'] }, ...RATING_GROUP } }]
+          }
+        }
+      ]).toArray();
+
       const result = stats[0] || {
         totalConversations: 0,
         totalTokens: 0,
         avgTokens: 0,
+        totalCostUsd: 0,
+        avgCostUsd: null,
+        cacheHits: 0,
         uniqueModels: [],
         uniqueOptions: []
       };
@@ -150,7 +324,14 @@ export class ConversationModel {
       return {
         ...result,
         uniqueModelsCount: result.uniqueModels.length,
-        uniqueOptionsCount: result.uniqueOptions.length
+        uniqueOptionsCount: result.uniqueOptions.length,
+        byChannel: Object.fromEntries(channelStats.map(({ _id, ...counts }) => [_id, counts])),
+        costByModel: Object.fromEntries(costStats.map(({ _id, ...costs }) => [_id, costs])),
+        satisfaction: {
+          ...toSatisfaction(ratings.overall[0]),
+          byScripture: Object.fromEntries(ratings.byScripture.map((group) => [group._id, toSatisfaction(group)])),
+          byModel: Object.fromEntries(ratings.byModel.map((group) => [group._id, toSatisfaction(group)]))
+        }
       };
     } catch (error) {
       console.error('❌ Error fetching conversation stats:', error.message);
@@ -161,14 +342,19 @@ export class ConversationModel {
   /**
    * Delete conversation by ID
    * @param {string} id - Conversation ID
+   * @param {Object} scope - Extra query, e.g. clientScope() (optional)
    * @returns {Promise<boolean>} - Success status
    */
-  static async deleteById(id) {
+  static async deleteById(id, scope = {}) {
     try {
+      if (!ObjectId.isValid(id)) {
+        return false;
+      }
+
       const db = await getDB();
       const collection = db.collection('conversations');
 
-      const result = await collection.deleteOne({ _id: id });
+      const result = await collection.deleteOne({ _id: new ObjectId(id), ...scope });
       return result.deletedCount > 0;
     } catch (error) {
       console.error('❌ Error deleting conversation:', error.message);
@@ -176,16 +362,296 @@ export class ConversationModel {
     }
   }
 
+  /**
+   * Verses recently cited to a session or user
+   * @param {Object} options - Query options
+   * @param {string} options.sessionId - Session ID (optional)
+   * @param {string} options.userId - User ID (optional)
+   * @param {string} options.scripture - Only verses of this scripture (optional)
+   * @param {number} options.conversations - How many recent conversations to look at
+   * @param {number} options.limit - Maximum verses to return
+   * @returns {Promise<Array<string>>} - Verse references, most recently cited first
+   */
+  static async findRecentCitations({ sessionId, userId, scripture, conversations = 50, limit = 20 }) {
+    try {
+      const db = await getDB();
+      const collection = db.collection('conversations');
+
+      const owners = [];
+      if (sessionId) owners.push({ sessionId });
+      if (userId) owners.push({ userId });
+
+      const recent = await collection.aggregate([
+        { $match: { $or: owners, 'citedVerses.0': { $exists: true } } },
+        { $sort: { createdAt: -1 } },
+        { $limit: conversations },
+        { $unwind: '$citedVerses' },
+        ...(scripture ? [{ $match: { 'citedVerses.scripture': scripture } }] : []),
+        { $group: { _id: '$citedVerses.ref', lastCitedAt: { $max: '$createdAt' } } },
+        { $sort: { lastCitedAt: -1 } },
+        { $limit: limit }
+      ]).toArray();
+
+      return recent.map((verse) => verse._id);
+    } catch (error) {
+      console.error('❌ Error fetching recent citations:', error.message);
+      throw new Error(`Failed to fetch recent citations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Citation counts for quote statistics
+   * @param {Object} options - Query options
+   * @param {string} options.scripture - Only verses of this scripture (optional)
+   * @param {Date} options.since - Start of the period
+   * @param {string} options.interval - Bucket size: day, week or month
+   * @param {number} options.limit - Top verses to return
+   * @returns {Promise<Object>} - { topVerses, timeline, totals }, where each
+   *   timeline bucket and the totals carry the citation count of every verse
+   */
+  static async getQuoteStats({ scripture, since, interval = 'day', limit = 20 }) {
+    try {
+      const db = await getDB();
+      const collection = db.collection('conversations');
+
+      const period = { $dateTrunc: { date: '$createdAt', unit: interval } };
+      const citedMatch = scripture
+        ? [{ $match: { 'citedVerses.scripture': scripture } }]
+        : [];
+
+      const [result] = await collection.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: since },
+            ...(scripture ? { 'citedVerses.scripture': scripture } : { 'citedVerses.0': { $exists: true } })
+          }
+        },
+        {
+          $facet: {
+            conversations: [
+              { $group: { _id: period, count: { $sum: 1 } } }
+            ],
+            citations: [
+              { $unwind: '$citedVerses' },
+              ...citedMatch,
+              { $group: { _id: { period, ref: '$citedVerses.ref' }, count: { $sum: 1 } } }
+            ],
+            topVerses: [
+              { $unwind: '$citedVerses' },
+              ...citedMatch,
+              {
+                $group: {
+                  _id: '$citedVerses.ref',
+                  scripture: { $first: '$citedVerses.scripture' },
+                  count: { $sum: 1 },
+                  lastCitedAt: { $max: '$createdAt' }
+                }
+              },
+              { $sort: { count: -1, lastCitedAt: -1 } },
+              { $limit: limit }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const buckets = new Map(result.conversations.map((bucket) => [
+        bucket._id.toISOString(),
+        { period: bucket._id.toISOString(), conversations: bucket.count, total: 0, counts: [] }
+      ]));
+      const totalsByVerse = new Map();
+
+      for (const { _id, count } of result.citations) {
+        const bucket = buckets.get(_id.period.toISOString());
+        bucket.total += count;
+        bucket.counts.push(count);
+        totalsByVerse.set(_id.ref, (totalsByVerse.get(_id.ref) || 0) + count);
+      }
+
+      const counts = [...totalsByVerse.values()];
+
+      return {
+        topVerses: result.topVerses.map(({ _id, ...verse }) => ({ ref: _id, ...verse })),
+        timeline: [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period)),
+        totals: { total: counts.reduce((sum, count) => sum + count, 0), counts }
+      };
+    } catch (error) {
+      console.error('❌ Error fetching quote stats:', error.message);
+      throw new Error(`Failed to fetch quote stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a reader's feedback on a conversation
+   * @param {string} id - Conversation ID
+   * @param {Object} feedback - Feedback ({ rating, reason, comment, flagged })
+   * @param {Object} scope - Extra query, e.g. clientScope() (optional)
+   * @returns {Promise<Object|null>} - Updated conversation, or null if not found
+   */
+  static async setFeedback(id, feedback, scope = {}) {
+    try {
+      if (!ObjectId.isValid(id)) {
+        return null;
+      }
+
+      const db = await getDB();
+      const collection = db.collection('conversations');
+
+      return await collection.findOneAndUpdate(
+        { _id: new ObjectId(id), ...scope },
+        { $set: { feedback: { ...feedback, createdAt: new Date() }, updatedAt: new Date() } },
+        { returnDocument: 'after', projection: { feedback: 1, experiment: 1, optionChosen: 1, model: 1, cache: 1 } }
+      );
+    } catch (error) {
+      console.error('❌ Error recording feedback:', error.message);
+      throw new Error(`Failed to record feedback: ${error.message}`);
+    }
+  }
+
+  /**
+   * Conversation counts, tokens and response time percentiles per period,
+   * in total and per scripture, model and channel
+   * @param {Object} options - Query options
+   * @param {Date} options.from - Start of the range
+   * @param {Date} options.to - End of the range (exclusive)
+   * @param {Object} options.period - $dateTrunc expression for the bucket
+   * @returns {Promise<Object>} - { totals, byScripture, byModel, byChannel, summary },
+   *   each a list of { _id, conversations, tokens, latency: [p50, p95] } groups
+   */
+  static async getTimeseries({ from, to, period }) {
+    try {
+      const db = await getDB();
+      const collection = db.collection('conversations');
+
+      const metrics = {
+        conversations: { $sum: 1 },
+        tokens: { $sum: '$usage.total_tokens' },
+        latency: { $percentile: { input: '$latencyMs', p: [0.5, 0.95], method: 'approximate' } }
+      };
+
+      const [result] = await collection.aggregate([
+        { $match: { timestamp: { $gte: from, $lt: to } } },
+        // Only indexed fields, so the conversation_timeseries index covers the scan
+        {
+          $project: {
+            _id: 0, timestamp: 1, optionChosen: 1, model: 1, channel: 1, 'usage.total_tokens': 1, latencyMs: 1
+          }
+        },
+        {
+          $facet: {
+            totals: [{ $group: { _id: period, ...metrics } }],
+            byScripture: [{ $group: { _id: { period, key: '$optionChosen' }, ...metrics } }],
+            byModel: [{ $group: { _id: { period, key: { $ifNull: ['$model', 'unknown'] } }, ...metrics } }],
+            byChannel: [{ $group: { _id: { period, key: { $ifNull: ['$channel', 'json'] } }, ...metrics } }],
+            summary: [{ $group: { _id: null, ...metrics } }]
+          }
+        }
+      ]).toArray();
+
+      return result;
+    } catch (error) {
+      console.error('❌ Error fetching conversation timeseries:', error.message);
+      throw new Error(`Failed to fetch conversation timeseries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Flagged answers for review, most recently flagged first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.reason - Feedback reason code (optional)
+   * @param {string} filters.scripture - optionChosen (optional)
+   * @param {string} filters.model - Model (optional)
+   * @param {Date} filters.from - Flagged at or after (optional)
+   * @param {Date} filters.to - Flagged at or before (optional)
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.skip - Documents to skip
+   * @param {Object} scope - Extra query, e.g. clientScope() (optional)
+   * @returns {Promise<{conversations: Array, total: number}>}
+   */
+  static async findFlagged({ reason, scripture, model, from, to, limit = 20, skip = 0 }, scope = {}) {
+    try {
+      const db = await getDB();
+      const collection = db.collection('conversations');
+
+      const query = { 'feedback.flagged': true, ...scope };
+      if (reason) query['feedback.reason'] = reason;
+      if (scripture) query.optionChosen = scripture;
+      if (model) query.model = model;
+      if (from || to) {
+        query['feedback.createdAt'] = {
+          ...(from ? { $gte: from } : {}),
+          ...(to ? { $lte: to } : {})
+        };
+      }
+
+      const [conversations, total] = await Promise.all([
+        collection.find(query)
+          .sort({ 'feedback.createdAt': -1 })
+          .skip(skip)
+          .limit(limit)
+          .toArray(),
+        collection.countDocuments(query)
+      ]);
+
+      return { conversations, total };
+    } catch (error) {
+      console.error('❌ Error fetching flagged conversations:', error.message);
+      throw new Error(`Failed to fetch flagged conversations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Token usage, latency and feedback per variant of an experiment
+   * @param {string} experimentId - Experiment name
+   * @returns {Promise<Array<Object>>} - One entry per variant that served a conversation
+   */
+  static async getExperimentResults(experimentId) {
+    try {
+      const db = await getDB();
+      const collection = db.collection('conversations');
+
+      const results = await collection.aggregate([
+        { $match: { 'experiment.id': experimentId } },
+        {
+          $group: {
+            _id: '$experiment.variant',
+            conversations: { $sum: 1 },
+            totalTokens: { $sum: '$usage.total_tokens' },
+            avgTokens: { $avg: '$usage.total_tokens' },
+            totalCostUsd: { $sum: '$cost.totalUsd' },
+            avgCostUsd: { $avg: '$cost.totalUsd' },
+            cacheHits: { $sum: { $cond: [{ $eq: ['$cache.status', 'hit'] }, 1, 0] } },
+            avgLatencyMs: { $avg: '$latencyMs' },
+            avgFirstTokenMs: { $avg: '$firstTokenMs' },
+            ratings: { $sum: { $cond: [{ $in: ['$feedback.rating', ['up', 'down']] }, 1, 0] } },
+            positiveRatings: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+            firstAt: { $min: '$createdAt' },
+            lastAt: { $max: '$createdAt' }
+          }
+        }
+      ]).toArray();
+
+      return results.map(({ _id, ...result }) => ({
+        variant: _id,
+        ...result,
+        satisfactionRate: result.ratings > 0 ? result.positiveRatings / result.ratings : null
+      }));
+    } catch (error) {
+      console.error('❌ Error fetching experiment results:', error.message);
+      throw new Error(`Failed to fetch experiment results: ${error.message}`);
+    }
+  }
+
   /**
    * Get total count of conversations
+   * @param {Object} filter - Query from buildFilter() (optional)
    * @returns {Promise<number>} - Total count of conversations
    */
-  static async getTotalCount() {
+  static async getTotalCount(filter = {}) {
     try {
       const db = await getDB();
       const collection = db.collection('conversations');
 
-      return await collection.countDocuments({});
+      return await collection.countDocuments(filter);
     } catch (error) {
       console.error('❌ Error getting total count:', error.message);
       throw new Error(`Failed to get total count: ${error.message}`);
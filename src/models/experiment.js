@@ -0,0 +1,161 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Experiment model for MongoDB operations
+ * An experiment is keyed by its `name` and lists the variants requests are
+ * split between. Its `status` moves from draft to running to stopped.
+ */
+export class ExperimentModel {
+  static COLLECTION_NAME = 'experiments';
+
+  /**
+   * Create the unique name and status indexes
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.createIndex({ name: 1 }, { unique: true, name: 'experiment_name' });
+      await collection.createIndex({ status: 1 }, { name: 'experiment_status' });
+    } catch (error) {
+      console.error('❌ Error creating experiment indexes:', error.message);
+      throw new Error(`Failed to create experiment indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a draft experiment
+   * @param {Object} experimentData - The experiment data
+   * @param {string} experimentData.name - Unique name used as the experiment ID
+   * @param {string} experimentData.description - Description (optional)
+   * @param {number} experimentData.trafficPercent - Share of users enrolled (0-100)
+   * @param {Array<Object>} experimentData.variants - Variants with their weights and settings
+   * @returns {Promise<Object|null>} - The inserted document, or null if the name is taken
+   */
+  static async create(experimentData) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const now = new Date();
+      const experiment = {
+        name: experimentData.name,
+        description: experimentData.description || '',
+        status: 'draft',
+        trafficPercent: experimentData.trafficPercent,
+        variants: experimentData.variants,
+        startedAt: null,
+        stoppedAt: null,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const result = await collection.insertOne(experiment);
+      console.log('✅ Experiment created:', experiment.name);
+
+      return { _id: result.insertedId, ...experiment };
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      console.error('❌ Error creating experiment:', error.message);
+      throw new Error(`Failed to create experiment: ${error.message}`);
+    }
+  }
+
+  /**
+   * List experiments, newest first
+   * @param {Object} options - Query options
+   * @param {string} options.status - Only experiments with this status (optional)
+   * @returns {Promise<Array>} - Experiments
+   */
+  static async findAll({ status } = {}) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.find(status ? { status } : {})
+        .sort({ createdAt: -1 })
+        .toArray();
+    } catch (error) {
+      console.error('❌ Error fetching experiments:', error.message);
+      throw new Error(`Failed to fetch experiments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an experiment by name
+   * @param {string} name - Experiment name
+   * @returns {Promise<Object|null>} - Experiment or null
+   */
+  static async findByName(name) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOne({ name });
+    } catch (error) {
+      console.error('❌ Error fetching experiment:', error.message);
+      throw new Error(`Failed to fetch experiment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the running experiment
+   * @returns {Promise<Object|null>} - Experiment or null
+   */
+  static async findRunning() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOne({ status: 'running' }, { sort: { startedAt: -1 } });
+    } catch (error) {
+      console.error('❌ Error fetching running experiment:', error.message);
+      throw new Error(`Failed to fetch running experiment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an experiment
+   * @param {string} name - Experiment name
+   * @param {Object} updateData - Fields to set
+   * @param {Object} filter - Extra conditions, e.g. { status: 'draft' } (optional)
+   * @returns {Promise<Object|null>} - Updated experiment, or null if none matched
+   */
+  static async updateByName(name, updateData, filter = {}) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOneAndUpdate(
+        { ...filter, name },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('❌ Error updating experiment:', error.message);
+      throw new Error(`Failed to update experiment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an experiment
+   * @param {string} name - Experiment name
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async deleteByName(name) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const result = await collection.deleteOne({ name });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('❌ Error deleting experiment:', error.message);
+      throw new Error(`Failed to delete experiment: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,95 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Generation error model for MongoDB operations
+ * One document per failed generation, so dashboards can show error counts
+ * next to the conversations that succeeded.
+ */
+export class GenerationErrorModel {
+  static COLLECTION_NAME = 'generation_errors';
+
+  /**
+   * Create the index used by the timeseries stats
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.createIndex(
+        { timestamp: 1, optionChosen: 1, model: 1, channel: 1 },
+        { name: 'generation_error_timeseries' }
+      );
+    } catch (error) {
+      console.error('❌ Error creating generation error indexes:', error.message);
+      throw new Error(`Failed to create generation error indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a failed generation
+   * @param {Object} errorData - The error data
+   * @param {string} errorData.channel - json, stream or voice
+   * @param {string} errorData.optionChosen - Scripture option (optional)
+   * @param {string} errorData.provider - Requested provider (optional)
+   * @param {string} errorData.model - Requested model (optional)
+   * @param {string} errorData.message - Error message
+   * @returns {Promise<string>} - The inserted document ID
+   */
+  static async create(errorData) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const result = await collection.insertOne({
+        timestamp: new Date(),
+        channel: errorData.channel,
+        optionChosen: errorData.optionChosen || 'ALL',
+        provider: errorData.provider || null,
+        model: errorData.model || null,
+        message: errorData.message
+      });
+      return result.insertedId;
+    } catch (error) {
+      console.error('❌ Error storing generation error:', error.message);
+      throw new Error(`Failed to store generation error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Error counts per period, in total and per scripture, model and channel
+   * @param {Object} options - Query options
+   * @param {Date} options.from - Start of the range
+   * @param {Date} options.to - End of the range (exclusive)
+   * @param {Object} options.period - $dateTrunc expression for the bucket
+   * @returns {Promise<Object>} - { totals, byScripture, byModel, byChannel, summary },
+   *   each a list of { _id, errors } groups
+   */
+  static async getTimeseries({ from, to, period }) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const count = { errors: { $sum: 1 } };
+      const [result] = await collection.aggregate([
+        { $match: { timestamp: { $gte: from, $lt: to } } },
+        { $project: { _id: 0, timestamp: 1, optionChosen: 1, model: 1, channel: 1 } },
+        {
+          $facet: {
+            totals: [{ $group: { _id: period, ...count } }],
+            byScripture: [{ $group: { _id: { period, key: '$optionChosen' }, ...count } }],
+            byModel: [{ $group: { _id: { period, key: { $ifNull: ['$model', 'unknown'] } }, ...count } }],
+            byChannel: [{ $group: { _id: { period, key: '$channel' }, ...count } }],
+            summary: [{ $group: { _id: null, ...count } }]
+          }
+        }
+      ]).toArray();
+
+      return result;
+    } catch (error) {
+      console.error('❌ Error fetching generation error timeseries:', error.message);
+      throw new Error(`Failed to fetch generation error timeseries: ${error.message}`);
+    }
+  }
+}
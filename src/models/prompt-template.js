@@ -0,0 +1,176 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Prompt template model for MongoDB operations
+ * Each template is keyed by its `name` and keeps every version of its
+ * content; `activeVersion` points at the one used by default.
+ */
+export class PromptTemplateModel {
+  static COLLECTION_NAME = 'prompt_templates';
+
+  /**
+   * Create the unique name index
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.createIndex({ name: 1 }, { unique: true, name: 'template_name' });
+    } catch (error) {
+      console.error('❌ Error creating template indexes:', error.message);
+      throw new Error(`Failed to create template indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a template with its first version
+   * @param {Object} templateData - The template data
+   * @param {string} templateData.name - Unique name used as the template ID
+   * @param {string} templateData.description - Description (optional)
+   * @param {Object} templateData.version - First version ({ content, variables, note })
+   * @returns {Promise<Object|null>} - The inserted document, or null if the name is taken
+   */
+  static async create(templateData) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const now = new Date();
+      const template = {
+        name: templateData.name,
+        description: templateData.description || '',
+        versions: [{ ...templateData.version, version: 1, createdAt: now }],
+        latestVersion: 1,
+        activeVersion: 1,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const result = await collection.insertOne(template);
+      console.log('✅ Prompt template created:', template.name);
+
+      return { _id: result.insertedId, ...template };
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      console.error('❌ Error creating prompt template:', error.message);
+      throw new Error(`Failed to create prompt template: ${error.message}`);
+    }
+  }
+
+  /**
+   * List templates without their version history
+   * @returns {Promise<Array>} - Templates
+   */
+  static async findAll() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.find({}, { projection: { versions: 0 } })
+        .sort({ name: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('❌ Error fetching prompt templates:', error.message);
+      throw new Error(`Failed to fetch prompt templates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a template by name
+   * @param {string} name - Template name
+   * @returns {Promise<Object|null>} - Template or null
+   */
+  static async findByName(name) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOne({ name });
+    } catch (error) {
+      console.error('❌ Error fetching prompt template:', error.message);
+      throw new Error(`Failed to fetch prompt template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a version to a template
+   * @param {string} name - Template name
+   * @param {Object} version - Version data ({ content, variables, note })
+   * @param {boolean} activate - Make it the active version
+   * @returns {Promise<Object|null>} - Updated template, or null if not found
+   */
+  static async addVersion(name, version, activate) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      // Reserve the next version number first so concurrent writers never share one
+      const reserved = await collection.findOneAndUpdate(
+        { name },
+        { $inc: { latestVersion: 1 } },
+        { returnDocument: 'after', projection: { latestVersion: 1 } }
+      );
+      if (!reserved) {
+        return null;
+      }
+
+      const now = new Date();
+      const update = {
+        $push: { versions: { ...version, version: reserved.latestVersion, createdAt: now } },
+        $set: { updatedAt: now }
+      };
+      if (activate) {
+        update.$set.activeVersion = reserved.latestVersion;
+      }
+
+      return await collection.findOneAndUpdate({ name }, update, { returnDocument: 'after' });
+    } catch (error) {
+      console.error('❌ Error adding prompt template version:', error.message);
+      throw new Error(`Failed to add prompt template version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a template's description or active version
+   * @param {string} name - Template name
+   * @param {Object} updateData - { description, activeVersion }
+   * @returns {Promise<Object|null>} - Updated template, or null if not found
+   */
+  static async updateByName(name, updateData) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOneAndUpdate(
+        { name },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      console.error('❌ Error updating prompt template:', error.message);
+      throw new Error(`Failed to update prompt template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a template and all its versions
+   * @param {string} name - Template name
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async deleteByName(name) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const result = await collection.deleteOne({ name });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('❌ Error deleting prompt template:', error.message);
+      throw new Error(`Failed to delete prompt template: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,91 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Pronunciation model for MongoDB operations
+ * One document per lexicon term, keyed by the lowercased term so lookups
+ * and replacements are case-insensitive.
+ */
+export class PronunciationModel {
+  static COLLECTION_NAME = 'pronunciations';
+
+  /**
+   * Create the unique key index
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.createIndex({ key: 1 }, { unique: true, name: 'pronunciation_key' });
+    } catch (error) {
+      console.error('❌ Error creating pronunciation indexes:', error.message);
+      throw new Error(`Failed to create pronunciation indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all stored pronunciations, alphabetically
+   * @returns {Promise<Array>} - Pronunciations
+   */
+  static async findAll() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.find({}).sort({ key: 1 }).toArray();
+    } catch (error) {
+      console.error('❌ Error fetching pronunciations:', error.message);
+      throw new Error(`Failed to fetch pronunciations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace the pronunciation of a term
+   * @param {Object} pronunciationData - The pronunciation data
+   * @param {string} pronunciationData.term - Term as written
+   * @param {string} pronunciationData.spoken - Respelling read by the voice
+   * @param {string} pronunciationData.ipa - IPA for SSML engines (optional)
+   * @returns {Promise<{pronunciation: Object, created: boolean}>}
+   */
+  static async upsert({ term, spoken, ipa }) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const now = new Date();
+      const result = await collection.findOneAndUpdate(
+        { key: term.toLowerCase() },
+        {
+          $set: { term, spoken, ipa: ipa || null, updatedAt: now },
+          $setOnInsert: { createdAt: now }
+        },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+      );
+
+      console.log('✅ Pronunciation saved:', term);
+      return { pronunciation: result.value, created: !result.lastErrorObject?.updatedExisting };
+    } catch (error) {
+      console.error('❌ Error saving pronunciation:', error.message);
+      throw new Error(`Failed to save pronunciation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the pronunciation of a term
+   * @param {string} term - Term (any case)
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async deleteByTerm(term) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const result = await collection.deleteOne({ key: term.toLowerCase() });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('❌ Error deleting pronunciation:', error.message);
+      throw new Error(`Failed to delete pronunciation: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,91 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Rate limit model for MongoDB operations
+ * Stores one limiter state per key so serverless instances share limits.
+ * Writes are compare-and-set on `version`; expired keys are removed by a
+ * TTL index on `expiresAt`.
+ */
+export class RateLimitModel {
+  static COLLECTION_NAME = 'rate_limits';
+
+  /**
+   * Create the TTL index
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'rate_limit_ttl' });
+    } catch (error) {
+      console.error('❌ Error creating rate limit indexes:', error.message);
+      throw new Error(`Failed to create rate limit indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the state for a key
+   * @param {string} key - Limiter key
+   * @returns {Promise<Object|null>} - { _id, state, version, expiresAt } or null
+   */
+  static async findByKey(key) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOne({ _id: key });
+    } catch (error) {
+      console.error('❌ Error fetching rate limit state:', error.message);
+      throw new Error(`Failed to fetch rate limit state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a key's first state
+   * @param {string} key - Limiter key
+   * @param {Object} state - Limiter state
+   * @param {Date} expiresAt - When the state can be discarded
+   * @returns {Promise<boolean>} - False when another instance inserted it first
+   */
+  static async insert(key, state, expiresAt) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.insertOne({ _id: key, state, version: 1, expiresAt });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      console.error('❌ Error storing rate limit state:', error.message);
+      throw new Error(`Failed to store rate limit state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a key's state if nobody changed it since it was read
+   * @param {string} key - Limiter key
+   * @param {number} version - Version that was read
+   * @param {Object} state - New limiter state
+   * @param {Date} expiresAt - When the state can be discarded
+   * @returns {Promise<boolean>} - False when the version no longer matches
+   */
+  static async replace(key, version, state, expiresAt) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const result = await collection.updateOne(
+        { _id: key, version },
+        { $set: { state, expiresAt }, $inc: { version: 1 } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('❌ Error updating rate limit state:', error.message);
+      throw new Error(`Failed to update rate limit state: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,125 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Response cache model for MongoDB operations
+ * One document per cached answer, keyed by the normalized request. `scope`
+ * groups answers given under the same scripture, system prompt and format,
+ * which is where the similarity layer looks for near-identical questions.
+ * Entries are removed by a TTL index on `expiresAt`.
+ */
+export class ResponseCacheModel {
+  static COLLECTION_NAME = 'response_cache';
+
+  /**
+   * Create the lookup and TTL indexes
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await Promise.all([
+        collection.createIndex({ key: 1 }, { name: 'response_cache_key', unique: true }),
+        collection.createIndex({ scope: 1, expiresAt: -1 }, { name: 'response_cache_scope' }),
+        collection.createIndex({ expiresAt: 1 }, { name: 'response_cache_ttl', expireAfterSeconds: 0 })
+      ]);
+    } catch (error) {
+      console.error('❌ Error creating response cache indexes:', error.message);
+      throw new Error(`Failed to create response cache indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count one reuse of an entry, unless it has expired or reached its reuse cap
+   * @param {Object} filter - { key } or { _id }
+   * @param {number} maxReuse - Times one answer may be served from the cache
+   * @returns {Promise<Object|null>} - The entry, or null when it cannot be reused
+   */
+  static async claim(filter, maxReuse) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOneAndUpdate(
+        { ...filter, expiresAt: { $gt: new Date() }, hits: { $lt: maxReuse } },
+        { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+        { returnDocument: 'after', projection: { embedding: 0 } }
+      );
+    } catch (error) {
+      console.error('❌ Error reading response cache:', error.message);
+      throw new Error(`Failed to read response cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reusable entries in a scope that carry an embedding, newest first
+   * @param {string} scope - Scope hash
+   * @param {number} maxReuse - Times one answer may be served from the cache
+   * @param {number} limit - Maximum entries to return
+   * @returns {Promise<Array<{_id: ObjectId, embedding: Array<number>}>>}
+   */
+  static async findCandidates(scope, maxReuse, limit) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection
+        .find(
+          {
+            scope,
+            expiresAt: { $gt: new Date() },
+            hits: { $lt: maxReuse },
+            embedding: { $type: 'array' }
+          },
+          { projection: { embedding: 1 } }
+        )
+        .sort({ expiresAt: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      console.error('❌ Error reading response cache candidates:', error.message);
+      throw new Error(`Failed to read response cache candidates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store an answer, replacing any earlier entry for the same key
+   * @param {Object} entry - { key, scope, prompt, scripture, templateId, templateVersion,
+   *   content, guidance, provider, model, selectedText, embedding, expiresAt }
+   * @returns {Promise<void>}
+   */
+  static async upsert(entry) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.replaceOne(
+        { key: entry.key },
+        { ...entry, hits: 0, lastHitAt: null, createdAt: new Date() },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('❌ Error storing response cache entry:', error.message);
+      throw new Error(`Failed to store response cache entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an entry (e.g. after a reader flags the answer)
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  static async deleteByKey(key) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const result = await collection.deleteOne({ key });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('❌ Error deleting response cache entry:', error.message);
+      throw new Error(`Failed to delete response cache entry: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,140 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../config/database.js';
+
+/**
+ * Session model for MongoDB operations
+ * Stores multi-turn guidance conversations with their message history
+ */
+export class SessionModel {
+  static COLLECTION_NAME = 'sessions';
+
+  /**
+   * Create a new session
+   * @param {Object} sessionData - The session data
+   * @param {string} sessionData.title - Session title (optional)
+   * @param {string} sessionData.context - System prompt for every turn (optional)
+   * @param {Object} sessionData.metadata - Additional metadata (optional)
+   * @param {ObjectId} sessionData.clientId - API client owning the session (optional)
+   * @returns {Promise<Object>} - The inserted document
+   */
+  static async create(sessionData = {}) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const session = {
+        title: sessionData.title || 'Untitled session',
+        context: sessionData.context || null,
+        messages: [],
+        turnCount: 0,
+        summary: null,
+        summarizedCount: 0,
+        metadata: sessionData.metadata || {},
+        clientId: sessionData.clientId || null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await collection.insertOne(session);
+      console.log('✅ Session created with ID:', result.insertedId);
+
+      return { _id: result.insertedId, ...session };
+    } catch (error) {
+      console.error('❌ Error creating session:', error.message);
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all sessions with pagination (message history excluded)
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Number of documents to return
+   * @param {number} options.skip - Number of documents to skip
+   * @param {Object} options.filter - Query, e.g. clientScope() (optional)
+   * @returns {Promise<Array>} - Array of sessions
+   */
+  static async findAll(options = {}) {
+    try {
+      const { limit = 20, skip = 0, filter = {} } = options;
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.find(filter, { projection: { messages: 0 } })
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      console.error('❌ Error fetching sessions:', error.message);
+      throw new Error(`Failed to fetch sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get session by ID
+   * @param {string} id - Session ID
+   * @param {Object} scope - Extra query, e.g. clientScope() (optional)
+   * @returns {Promise<Object|null>} - Session object or null
+   */
+  static async findById(id, scope = {}) {
+    try {
+      if (!ObjectId.isValid(id)) {
+        return null;
+      }
+
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.findOne({ _id: new ObjectId(id), ...scope });
+    } catch (error) {
+      console.error('❌ Error fetching session by ID:', error.message);
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Append messages to a session's history
+   * @param {string} id - Session ID
+   * @param {Array} messages - Messages to append ({ role, content, ... })
+   * @param {Object} summary - Rolling summary to store with the turn,
+   *   { summary, summarizedCount } (optional)
+   * @returns {Promise<boolean>} - Whether the session was updated
+   */
+  static async appendMessages(id, messages, summary = {}) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const result = await collection.updateOne(
+        { _id: new ObjectId(id) },
+        {
+          $push: { messages: { $each: messages } },
+          $inc: { turnCount: 1 },
+          $set: { ...summary, updatedAt: new Date() }
+        }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error('❌ Error appending session messages:', error.message);
+      throw new Error(`Failed to append session messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get total count of sessions
+   * @param {Object} filter - Query, e.g. clientScope() (optional)
+   * @returns {Promise<number>} - Total count
+   */
+  static async getTotalCount(filter = {}) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      return await collection.countDocuments(filter);
+    } catch (error) {
+      console.error('❌ Error getting total count:', error.message);
+      throw new Error(`Failed to get total count: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,58 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Spend model for MongoDB operations
+ * One document per UTC day ({ _id: 'YYYY-MM-DD', costUsd, requests }), so
+ * every instance sees the same total when checking the budget caps.
+ */
+export class SpendModel {
+  static COLLECTION_NAME = 'spend';
+
+  /**
+   * Add the cost of one LLM call to a day
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   * @param {number} costUsd - Cost in US dollars
+   * @returns {Promise<void>}
+   */
+  static async add(day, costUsd) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.updateOne(
+        { _id: day },
+        {
+          $inc: { costUsd, requests: 1 },
+          $set: { updatedAt: new Date() }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('❌ Error recording spend:', error.message);
+      throw new Error(`Failed to record spend: ${error.message}`);
+    }
+  }
+
+  /**
+   * Total spend over a range of days
+   * @param {string} fromDay - First UTC day (YYYY-MM-DD)
+   * @param {string} toDay - Last UTC day, inclusive (YYYY-MM-DD)
+   * @returns {Promise<number>} - Cost in US dollars
+   */
+  static async getTotal(fromDay, toDay) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const [result] = await collection.aggregate([
+        { $match: { _id: { $gte: fromDay, $lte: toDay } } },
+        { $group: { _id: null, costUsd: { $sum: '$costUsd' } } }
+      ]).toArray();
+
+      return result?.costUsd || 0;
+    } catch (error) {
+      console.error('❌ Error fetching spend:', error.message);
+      throw new Error(`Failed to fetch spend: ${error.message}`);
+    }
+  }
+}
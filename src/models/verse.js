@@ -0,0 +1,234 @@
+import { getDB } from '../config/database.js';
+
+/**
+ * Verse model for MongoDB operations
+ * Stores the verse-level scripture corpus used for retrieval and citation
+ * checks. Each verse keeps its BM25 term statistics (`tokens`, `termFreqs`,
+ * `length`); per-scripture totals live in the `corpus_stats` collection and
+ * per-term document frequencies in `corpus_terms`.
+ */
+export class VerseModel {
+  static COLLECTION_NAME = 'verses';
+  static STATS_COLLECTION_NAME = 'corpus_stats';
+  static TERMS_COLLECTION_NAME = 'corpus_terms';
+
+  /**
+   * Create the indexes used by lookups and retrieval
+   * @returns {Promise<void>}
+   */
+  static async ensureIndexes() {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      await collection.createIndex(
+        { scripture: 1, bookKey: 1, chapter: 1, verse: 1 },
+        { unique: true, name: 'verse_reference' }
+      );
+      await collection.createIndex({ scripture: 1, tokens: 1 }, { name: 'verse_terms' });
+      await db.collection(this.TERMS_COLLECTION_NAME).createIndex(
+        { scripture: 1, term: 1 },
+        { unique: true, name: 'corpus_term' }
+      );
+    } catch (error) {
+      console.error('❌ Error creating verse indexes:', error.message);
+      throw new Error(`Failed to create verse indexes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Insert or replace verses, keyed by scripture, book, chapter and verse
+   * @param {Array<Object>} verses - Verse documents
+   * @returns {Promise<{inserted: number, updated: number}>}
+   */
+  static async upsertMany(verses) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      if (verses.length === 0) {
+        return { inserted: 0, updated: 0 };
+      }
+
+      const now = new Date();
+      const result = await collection.bulkWrite(verses.map((verse) => ({
+        updateOne: {
+          filter: {
+            scripture: verse.scripture,
+            bookKey: verse.bookKey,
+            chapter: verse.chapter,
+            verse: verse.verse
+          },
+          update: {
+            $set: { ...verse, updatedAt: now },
+            $setOnInsert: { createdAt: now }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      return { inserted: result.upsertedCount, updated: result.modifiedCount };
+    } catch (error) {
+      console.error('❌ Error storing verses:', error.message);
+      throw new Error(`Failed to store verses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recompute the corpus statistics (verse count, average length) and the
+   * document frequency of every term of a scripture
+   * @param {string} scripture - Scripture key
+   * @returns {Promise<Object>} - Updated statistics
+   */
+  static async refreshStats(scripture) {
+    try {
+      const db = await getDB();
+      const collection = db.collection(this.COLLECTION_NAME);
+
+      const [totals] = await collection.aggregate([
+        { $match: { scripture } },
+        { $group: { _id: null, verseCount: { $sum: 1 }, avgLength: { $avg: '$length' } } }
+      ]).toArray();
+
+      const terms = db.collection(this.TERMS_COLLECTION_NAME);
+      await terms.deleteMany({ scripture });
+      await collection.aggregate([
+        { $match: { scripture } },
+        { $unwind: '$tokens' },
+        { $group: { _id: '$tokens', df: { $sum: 1 } } },
+        { $project: { _id: 0, scripture: { $literal: scripture }, term: '$_id', df: 1 } },
+        { $merge: { into: this.TERMS_COLLECTION_NAME, on: ['scripture', 'term'], whenMatched: 'replace' } }
+      ]).toArray();
+
+      const stats = {
+        scripture,
+        verseCount: totals?.verseCount || 0,
+        avgLength: totals?.avgLength || 0,
+        termCount: await terms.countDocuments({ scripture }),
+        updatedAt: new Date()
+      };
+
+      await db.collection(this.STATS_COLLECTION_NAME)
+        .updateOne({ scripture }, { $set: stats }, { upsert: true });
+
+      return stats;
+    } catch (error) {
+      console.error('❌ Error refreshing corpus stats:', error.message);
+      throw new Error(`Failed to refresh corpus stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get corpus statistics for every loaded scripture
+   * @returns {Promise<Array>} - Statistics per scripture
+   */
+  static async getStats() {
+    try {
+      const db = await getDB();
+      return await db.collection(this.STATS_COLLECTION_NAME)
+        .find({ verseCount: { $gt: 0 } }, { projection: { _id: 0 } })
+        .toArray();
+    } catch (error) {
+      console.error('❌ Error fetching corpus stats:', error.message);
+      throw new Error(`Failed to fetch corpus stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count the verses containing a term (BM25 document frequency)
+   * @param {Array<string>} scriptures - Scripture keys to count in
+   * @param {string} term - Normalized term
+   * @returns {Promise<number>}
+   */
+  static async countWithTerm(scriptures, term) {
+    try {
+      const db = await getDB();
+      return await db.collection(this.COLLECTION_NAME)
+        .countDocuments({ scripture: { $in: scriptures }, tokens: term });
+    } catch (error) {
+      console.error('❌ Error counting verses:', error.message);
+      throw new Error(`Failed to count verses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Document frequencies of terms, summed over scriptures, from the
+   * statistics stored at ingest
+   * @param {Array<string>} scriptures - Scripture keys to count in
+   * @param {Array<string>} terms - Normalized terms
+   * @returns {Promise<Object>} - Verses containing each term (0 when none)
+   */
+  static async getDocumentFrequencies(scriptures, terms) {
+    try {
+      const db = await getDB();
+      const entries = await db.collection(this.TERMS_COLLECTION_NAME)
+        .find({ scripture: { $in: scriptures }, term: { $in: terms } }, { projection: { _id: 0, term: 1, df: 1 } })
+        .toArray();
+
+      const frequencies = Object.fromEntries(terms.map((term) => [term, 0]));
+      for (const { term, df } of entries) {
+        frequencies[term] += df;
+      }
+      return frequencies;
+    } catch (error) {
+      console.error('❌ Error fetching term frequencies:', error.message);
+      throw new Error(`Failed to fetch term frequencies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find verses containing a term but none of the given other terms
+   * @param {Array<string>} scriptures - Scripture keys to search
+   * @param {string} term - Normalized term
+   * @param {Object} options - Query options
+   * @param {Array<string>} options.without - Terms the verses must not contain
+   * @param {number} options.limit - Maximum verses to return
+   * @returns {Promise<Array>} - Candidate verses
+   */
+  static async findWithTerm(scriptures, term, { without = [], limit = 2000 } = {}) {
+    try {
+      const db = await getDB();
+      const tokens = without.length > 0 ? { $eq: term, $nin: without } : term;
+      return await db.collection(this.COLLECTION_NAME)
+        .find(
+          { scripture: { $in: scriptures }, tokens },
+          { projection: { tokens: 0 } }
+        )
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      console.error('❌ Error searching verses:', error.message);
+      throw new Error(`Failed to search verses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find verses by reference
+   * @param {Object} reference - Verse reference
+   * @param {Array<string>} reference.scriptures - Scripture keys to look in
+   * @param {string} reference.bookKey - Normalized book name (optional)
+   * @param {string} reference.chapter - Chapter
+   * @param {Array<string>} reference.verses - Verse numbers
+   * @returns {Promise<Array>} - Matching verses
+   */
+  static async findByReference({ scriptures, bookKey, chapter, verses }) {
+    try {
+      const db = await getDB();
+      const filter = {
+        scripture: { $in: scriptures },
+        chapter,
+        verse: { $in: verses }
+      };
+      if (bookKey) {
+        filter.bookKey = bookKey;
+      }
+
+      return await db.collection(this.COLLECTION_NAME)
+        .find(filter, { projection: { tokens: 0, termFreqs: 0 } })
+        .toArray();
+    } catch (error) {
+      console.error('❌ Error fetching verses:', error.message);
+      throw new Error(`Failed to fetch verses: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import { KeywordClassifier } from './keyword.classifier.js';
+import { OpenAIModerationClassifier } from './openai.classifier.js';
+
+dotenv.config();
+
+// Classifier factories configured from the environment
+const CLASSIFIER_FACTORIES = {
+  keyword: () => new KeywordClassifier(),
+  openai: () => new OpenAIModerationClassifier({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODERATION_MODEL,
+    timeoutMs: parseInt(process.env.MODERATION_TIMEOUT_MS) || 5000
+  })
+};
+
+const instances = new Map();
+
+/**
+ * Names of all available classifiers
+ * @returns {Array<string>}
+ */
+export function listClassifiers() {
+  return Object.keys(CLASSIFIER_FACTORIES);
+}
+
+/**
+ * Get a classifier by name
+ * @param {string} name - Classifier name
+ * @returns {Object} - Classifier
+ */
+export function getClassifier(name) {
+  if (!Object.hasOwn(CLASSIFIER_FACTORIES, name)) {
+    throw new Error(`Unknown moderation classifier "${name}". Available: ${listClassifiers().join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, CLASSIFIER_FACTORIES[name]());
+  }
+  return instances.get(name);
+}
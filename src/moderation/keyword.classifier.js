@@ -0,0 +1,38 @@
+import { MODERATION_RULES } from '../config/moderation-rules.js';
+
+/**
+ * Local keyword/regex classifier
+ *
+ * Every classifier exposes classify(text), resolving to
+ * { classifier, flagged, categories, scores }, where categories uses the
+ * OpenAI moderation names (self-harm, self-harm/intent, violence, ...) and
+ * scores maps each category to a 0-1 confidence.
+ */
+export class KeywordClassifier {
+  /**
+   * @param {Object} config - Classifier configuration
+   * @param {Array<{category: string, pattern: RegExp}>} config.rules - Rules to apply
+   */
+  constructor(config = {}) {
+    this.name = 'keyword';
+    this.rules = config.rules || MODERATION_RULES;
+  }
+
+  /**
+   * Classify text by matching each rule
+   * @param {string} text - Text to classify
+   * @returns {Promise<Object>} - Classification
+   */
+  async classify(text) {
+    const categories = [...new Set(
+      this.rules.filter((rule) => rule.pattern.test(text)).map((rule) => rule.category)
+    )];
+
+    return {
+      classifier: this.name,
+      flagged: categories.length > 0,
+      categories,
+      scores: Object.fromEntries(categories.map((category) => [category, 1]))
+    };
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * OpenAI moderation API classifier
+ * Returns the same shape as KeywordClassifier; categories are the ones the
+ * API reports as true.
+ */
+export class OpenAIModerationClassifier {
+  /**
+   * @param {Object} config - Classifier configuration
+   * @param {string} config.apiKey - OpenAI API key
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.model - Moderation model
+   * @param {number} config.timeoutMs - Request timeout
+   */
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = config.model || 'omni-moderation-latest';
+    this.timeoutMs = config.timeoutMs || 5000;
+  }
+
+  /**
+   * Classify text with the moderation endpoint
+   * @param {string} text - Text to classify
+   * @returns {Promise<Object>} - Classification
+   * @throws {Error} - When the API key is missing or the call fails
+   */
+  async classify(text) {
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY is not configured');
+    }
+
+    const response = await fetch(`${this.baseUrl}/moderations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({ model: this.model, input: text }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`OpenAI moderation API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    }
+
+    const [result] = (await response.json()).results;
+    return {
+      classifier: this.name,
+      flagged: result.flagged,
+      categories: Object.keys(result.categories).filter((category) => result.categories[category]),
+      scores: result.category_scores || {}
+    };
+  }
+}
@@ -0,0 +1,217 @@
+import { ProviderError } from './provider-error.js';
+import { readServerSentEvents } from './sse-reader.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic stop reasons mapped to their OpenAI finish_reason equivalents
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+/**
+ * Anthropic Messages API adapter
+ * See openai.provider.js for the shared request and chunk formats.
+ */
+export class AnthropicProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key sent as x-api-key
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.defaultModel - Model used when the request names none
+   */
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.label = 'Anthropic';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+    this.defaultModel = config.defaultModel || 'claude-3-5-haiku-latest';
+  }
+
+  /**
+   * Convert OpenAI-style messages to a system prompt plus alternating turns
+   * @param {Array} messages - Messages with system/user/assistant roles
+   * @returns {{system: string, messages: Array}}
+   */
+  convertMessages(messages) {
+    const system = messages
+      .filter((msg) => msg.role === 'system')
+      .map((msg) => msg.content)
+      .join('\n\n');
+
+    // The Messages API rejects consecutive turns from the same role
+    const turns = [];
+    for (const msg of messages.filter((m) => m.role !== 'system')) {
+      const last = turns[turns.length - 1];
+      if (last && last.role === msg.role) {
+        last.content += `\n\n${msg.content}`;
+      } else {
+        turns.push({ role: msg.role, content: msg.content });
+      }
+    }
+
+    return { system, messages: turns };
+  }
+
+  /**
+   * Build the request body for the Messages API
+   * @param {Object} request - Internal request
+   * @param {boolean} stream - Whether to request a streamed response
+   * @returns {Object} - API request body
+   */
+  buildBody(request, stream) {
+    const { system: prompt, messages } = this.convertMessages(request.messages);
+
+    // The Messages API has no JSON schema mode, so the schema goes in the prompt
+    const system = request.responseFormat
+      ? [
+        prompt,
+        'Respond with a single JSON object, and nothing else, matching this JSON schema:',
+        JSON.stringify(request.responseFormat.schema)
+      ].filter(Boolean).join('\n\n')
+      : prompt;
+
+    const body = {
+      model: request.model || this.defaultModel,
+      messages,
+      max_tokens: request.maxTokens,
+      stream
+    };
+
+    if (system) {
+      body.system = system;
+    }
+    if (request.temperature !== undefined) {
+      body.temperature = Math.min(1, request.temperature);
+    }
+    if (request.stop) {
+      body.stop_sequences = Array.isArray(request.stop) ? request.stop : [request.stop];
+    }
+
+    return body;
+  }
+
+  /**
+   * Convert Anthropic usage to the shared OpenAI-style usage shape
+   * @param {number} inputTokens - Prompt tokens
+   * @param {number} outputTokens - Completion tokens
+   * @returns {Object} - Usage
+   */
+  normalizeUsage(inputTokens = 0, outputTokens = 0) {
+    return {
+      prompt_tokens: inputTokens,
+      completion_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * POST a request body to the messages endpoint
+   * @param {Object} body - API request body
+   * @param {AbortSignal} signal - Cancels the request (optional)
+   * @returns {Promise<Response>} - Successful fetch response
+   */
+  async post(body, signal) {
+    if (!this.apiKey) {
+      throw new ProviderError('ANTHROPIC_API_KEY environment variable is required', {
+        provider: this.name,
+        retryable: false
+      });
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      // A cancelled request is not an upstream failure
+      if (signal?.aborted) {
+        throw error;
+      }
+      throw new ProviderError(`${this.label} API request failed: ${error.message}`, {
+        provider: this.name
+      });
+    }
+
+    if (!response.ok) {
+      throw await ProviderError.fromResponse(this.label, this.name, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Generate a complete (non-streamed) response
+   * @param {Object} request - Internal request
+   * @returns {Promise<Object>} - Normalized completion
+   */
+  async complete(request) {
+    const response = await this.post(this.buildBody(request, false), request.signal);
+    const data = await response.json();
+
+    const content = (data.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+
+    return {
+      id: data.id,
+      model: data.model,
+      content,
+      finishReason: FINISH_REASONS[data.stop_reason] || data.stop_reason || null,
+      usage: this.normalizeUsage(data.usage?.input_tokens, data.usage?.output_tokens)
+    };
+  }
+
+  /**
+   * Generate a streamed response
+   * @param {Object} request - Internal request
+   * @yields {Object} - Normalized stream chunks
+   */
+  async *stream(request) {
+    const response = await this.post(this.buildBody(request, true), request.signal);
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let finishReason = null;
+
+    for await (const { event, data } of readServerSentEvents(response)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (parseError) {
+        console.warn('⚠️ Failed to parse streaming chunk:', parseError.message);
+        continue;
+      }
+
+      const type = event || parsed.type;
+
+      if (type === 'message_start') {
+        inputTokens = parsed.message?.usage?.input_tokens || 0;
+        yield { type: 'start', id: parsed.message?.id, model: parsed.message?.model };
+      } else if (type === 'content_block_delta' && parsed.delta?.type === 'text_delta') {
+        yield { type: 'delta', content: parsed.delta.text };
+      } else if (type === 'message_delta') {
+        outputTokens = parsed.usage?.output_tokens ?? outputTokens;
+        finishReason = FINISH_REASONS[parsed.delta?.stop_reason] || parsed.delta?.stop_reason || finishReason;
+      } else if (type === 'error') {
+        throw new ProviderError(`${this.label} API error: ${parsed.error?.message || 'stream error'}`, {
+          provider: this.name
+        });
+      } else if (type === 'message_stop') {
+        break;
+      }
+    }
+
+    yield { type: 'usage', usage: this.normalizeUsage(inputTokens, outputTokens) };
+    yield { type: 'done', finishReason };
+  }
+}
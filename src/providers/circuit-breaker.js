@@ -0,0 +1,124 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+/**
+ * Circuit breaker for one LLM upstream
+ *
+ * CLOSED lets every request through and counts consecutive failures.
+ * After `failureThreshold` of them it goes OPEN and rejects requests for
+ * `cooldownMs`, then HALF_OPEN lets a single trial request through: success
+ * closes the circuit again, failure re-opens it for another cooldown.
+ * State is kept in memory, so each serverless instance has its own view.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Upstream name
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.cooldownMs - Time to stay open before a trial request
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Check whether a request may be sent, moving OPEN to HALF_OPEN once the
+   * cooldown has elapsed
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      console.log(`🟢 Circuit for ${this.name} closed`);
+    }
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error?.message || null;
+    this.trialInFlight = false;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        console.warn(`🔴 Circuit for ${this.name} opened after ${this.failures} failures`);
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Snapshot of the breaker for health reporting
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === CIRCUIT_STATES.OPEN
+        ? new Date(this.openedAt + this.cooldownMs).toISOString()
+        : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for an upstream
+ * @param {string} name - Upstream name
+ * @returns {CircuitBreaker}
+ */
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+      cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || 30000
+    }));
+  }
+  return breakers.get(name);
+}
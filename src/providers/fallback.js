@@ -0,0 +1,190 @@
+import dotenv from 'dotenv';
+import { getProvider } from './index.js';
+import { getCircuitBreaker } from './circuit-breaker.js';
+import { ProviderError } from './provider-error.js';
+
+dotenv.config();
+
+// Longest Retry-After we are willing to wait before moving to the next upstream
+const MAX_RETRY_AFTER_MS = 10000;
+
+/**
+ * Parse LLM_FALLBACK_CHAIN. Either a comma separated list of
+ * "provider:model" entries, or a JSON array of
+ * { provider, model, baseUrl, apiKeyEnv } objects for upstreams that need
+ * their own base URL and key.
+ * @param {string} value - Raw setting
+ * @returns {Array<Object>} - Chain entries
+ */
+export function parseFallbackChain(value) {
+  if (!value || !value.trim()) {
+    return [];
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+
+  return trimmed
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [provider, ...model] = entry.split(':');
+      return { provider, model: model.join(':') || undefined };
+    });
+}
+
+/**
+ * Resolve the ordered list of upstreams to try for a request. An explicitly
+ * requested provider/model goes first, followed by the configured chain.
+ * @param {Object} options - Request options
+ * @param {string} options.provider - Requested provider (optional)
+ * @param {string} options.model - Requested model (optional)
+ * @returns {Array<{name: string, provider: Object, model: string}>}
+ */
+export function resolveUpstreams(options = {}) {
+  const configured = parseFallbackChain(process.env.LLM_FALLBACK_CHAIN);
+  const entries = configured.length > 0
+    ? configured
+    : [{ model: process.env.LLM_MODEL }];
+
+  if (options.provider || options.model) {
+    entries.unshift({ provider: options.provider, model: options.model });
+  }
+
+  const upstreams = [];
+  for (const entry of entries) {
+    const provider = getProvider(entry.provider, entry);
+    const model = entry.model || provider.defaultModel;
+    const name = `${provider.name}:${model}@${new URL(provider.baseUrl).host}`;
+
+    if (!upstreams.some((upstream) => upstream.name === name)) {
+      upstreams.push({ name, provider, model });
+    }
+  }
+
+  return upstreams;
+}
+
+/**
+ * Delay before retrying a failed attempt, honoring Retry-After
+ * @param {Error} error - The failure
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {number|null} - Delay in ms, or null to give up on this upstream
+ */
+export function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const delay = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(error.retryAfter) - Date.now();
+
+    if (!Number.isNaN(delay)) {
+      return delay > MAX_RETRY_AFTER_MS ? null : Math.max(0, delay);
+    }
+  }
+
+  // Exponential backoff
+  return Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+}
+
+/**
+ * Run an operation against each upstream in turn until one succeeds.
+ * Retryable failures (network, 429, 5xx) are retried on the same upstream
+ * and counted by its circuit breaker; once attempts run out, or its circuit
+ * is open, the next upstream is tried. Other errors fail fast.
+ * @param {Array<Object>} upstreams - Upstreams from resolveUpstreams()
+ * @param {Function} operation - Async function called with an upstream
+ * @returns {Promise<*>} - The operation's result
+ */
+export async function withFallback(upstreams, operation) {
+  const maxAttempts = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+  let lastError = null;
+
+  for (const upstream of upstreams) {
+    const breaker = getCircuitBreaker(upstream.name);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (!breaker.canRequest()) {
+        console.warn(`⏭️ Skipping ${upstream.name}: circuit ${breaker.state}`);
+        break;
+      }
+
+      try {
+        const result = await operation(upstream);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        lastError = error;
+
+        if (!(error instanceof ProviderError) || !error.retryable) {
+          // The upstream answered, so it is healthy even though the request failed
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+        console.error(`❌ ${upstream.name} attempt ${attempt} failed:`, error.message);
+
+        if (attempt === maxAttempts) break;
+
+        const delay = getRetryDelay(error, attempt);
+        if (delay === null) break;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+
+    console.warn(`↪️ Falling back from ${upstream.name}`);
+  }
+
+  throw lastError || new ProviderError('All LLM upstreams are unavailable (circuits open)', {
+    status: 503
+  });
+}
+
+/**
+ * Generate a complete response through the fallback chain
+ * @param {Array<Object>} upstreams - Upstreams from resolveUpstreams()
+ * @param {Object} request - Internal request (model is set per upstream)
+ * @returns {Promise<{upstream: Object, completion: Object}>}
+ */
+export function completeWithFallback(upstreams, request) {
+  return withFallback(upstreams, async (upstream) => ({
+    upstream,
+    completion: await upstream.provider.complete({ ...request, model: upstream.model })
+  }));
+}
+
+/**
+ * Open a streamed response through the fallback chain. Only opening the
+ * stream (up to the first chunk) is retried: once content has reached the
+ * client a failure cannot be replayed elsewhere, so it is only counted
+ * against the upstream's circuit and rethrown. Aborting `request.signal`
+ * cancels the upstream request without counting a failure.
+ * @param {Array<Object>} upstreams - Upstreams from resolveUpstreams()
+ * @param {Object} request - Internal request (model is set per upstream)
+ * @returns {Promise<{upstream: Object, chunks: AsyncGenerator}>}
+ */
+export function openStreamWithFallback(upstreams, request) {
+  return withFallback(upstreams, async (upstream) => {
+    const iterator = upstream.provider.stream({ ...request, model: upstream.model });
+    const first = await iterator.next();
+
+    async function* chunks() {
+      try {
+        for (let step = first; !step.done; step = await iterator.next()) {
+          yield step.value;
+        }
+      } catch (error) {
+        if (!request.signal?.aborted) {
+          getCircuitBreaker(upstream.name).recordFailure(error);
+        }
+        throw error;
+      }
+    }
+
+    return { upstream, chunks: chunks() };
+  });
+}
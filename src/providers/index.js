@@ -0,0 +1,76 @@
+import dotenv from 'dotenv';
+import { OpenAIProvider } from './openai.provider.js';
+import { AnthropicProvider } from './anthropic.provider.js';
+import { OllamaProvider } from './ollama.provider.js';
+
+dotenv.config();
+
+export { ProviderError } from './provider-error.js';
+
+// Provider factories configured from the environment; `overrides` lets a
+// fallback upstream point the same adapter at another base URL and key
+const PROVIDER_FACTORIES = {
+  openai: (overrides) => new OpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    ...overrides
+  }),
+  anthropic: (overrides) => new AnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL,
+    defaultModel: process.env.ANTHROPIC_MODEL,
+    ...overrides
+  }),
+  ollama: (overrides) => new OllamaProvider({
+    apiKey: process.env.OLLAMA_API_KEY,
+    baseUrl: process.env.OLLAMA_BASE_URL,
+    defaultModel: process.env.OLLAMA_MODEL,
+    ...overrides
+  })
+};
+
+const instances = new Map();
+
+/**
+ * Names of all available providers
+ * @returns {Array<string>}
+ */
+export function listProviders() {
+  return Object.keys(PROVIDER_FACTORIES);
+}
+
+/**
+ * Check whether a provider name is known
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isProviderSupported(name) {
+  return Object.hasOwn(PROVIDER_FACTORIES, name);
+}
+
+/**
+ * Get a provider adapter by name, defaulting to LLM_PROVIDER (or openai)
+ * @param {string} name - Provider name (optional)
+ * @param {Object} upstream - Alternative upstream for the same adapter (optional)
+ * @param {string} upstream.baseUrl - API base URL
+ * @param {string} upstream.apiKeyEnv - Environment variable holding its API key
+ * @returns {Object} - Provider adapter
+ */
+export function getProvider(name, upstream = {}) {
+  const providerName = name || process.env.LLM_PROVIDER || 'openai';
+
+  if (!isProviderSupported(providerName)) {
+    throw new Error(`Unknown LLM provider "${providerName}". Available: ${listProviders().join(', ')}`);
+  }
+
+  const { baseUrl, apiKeyEnv } = upstream;
+  const cacheKey = `${providerName}|${baseUrl || ''}|${apiKeyEnv || ''}`;
+
+  if (!instances.has(cacheKey)) {
+    const overrides = {};
+    if (baseUrl) overrides.baseUrl = baseUrl;
+    if (apiKeyEnv) overrides.apiKey = process.env[apiKeyEnv];
+    instances.set(cacheKey, PROVIDER_FACTORIES[providerName](overrides));
+  }
+  return instances.get(cacheKey);
+}
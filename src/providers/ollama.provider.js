@@ -0,0 +1,28 @@
+import { OpenAIProvider } from './openai.provider.js';
+
+/**
+ * Ollama adapter
+ *
+ * Ollama serves an OpenAI-compatible API under /v1, so this only changes
+ * the defaults. Any other OpenAI-compatible local server (LM Studio, vLLM,
+ * llama.cpp) works by pointing OLLAMA_BASE_URL at it.
+ */
+export class OllamaProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - Optional key for servers behind auth
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.defaultModel - Model used when the request names none
+   */
+  constructor(config = {}) {
+    super({
+      ...config,
+      baseUrl: config.baseUrl || 'http://localhost:11434/v1',
+      defaultModel: config.defaultModel || 'llama3.1'
+    });
+    this.name = 'ollama';
+    this.label = 'Ollama';
+    this.apiKeyEnv = 'OLLAMA_API_KEY';
+    this.requiresApiKey = false;
+  }
+}
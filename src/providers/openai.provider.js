@@ -0,0 +1,178 @@
+import { ProviderError } from './provider-error.js';
+import { readServerSentEvents } from './sse-reader.js';
+
+/**
+ * OpenAI Chat Completions adapter
+ *
+ * Every provider exposes the same two methods over the same internal
+ * request shape ({ model, messages, maxTokens, temperature, topP,
+ * frequencyPenalty, presencePenalty, stop, responseFormat, signal }), where
+ * responseFormat ({ name, schema }) asks for JSON matching a JSON schema and
+ * signal (an AbortSignal) cancels the upstream request:
+ * - complete(request) resolves to { id, model, content, finishReason, usage }
+ * - stream(request) yields { type: 'start', id, model }, { type: 'delta', content },
+ *   { type: 'usage', usage } and finally { type: 'done', finishReason }
+ * Usage is always reported as { prompt_tokens, completion_tokens, total_tokens }.
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key sent as a Bearer token
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.defaultModel - Model used when the request names none
+   */
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI';
+    this.apiKeyEnv = 'OPENAI_API_KEY';
+    this.requiresApiKey = true;
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.defaultModel = config.defaultModel || 'gpt-4.1-nano';
+  }
+
+  /**
+   * Build the request body for the Chat Completions API
+   * @param {Object} request - Internal request
+   * @param {boolean} stream - Whether to request a streamed response
+   * @returns {Object} - API request body
+   */
+  buildBody(request, stream) {
+    const body = {
+      model: request.model || this.defaultModel,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP,
+      frequency_penalty: request.frequencyPenalty,
+      presence_penalty: request.presencePenalty,
+      stop: request.stop || null
+    };
+
+    if (request.responseFormat) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: request.responseFormat.name,
+          schema: request.responseFormat.schema,
+          strict: true
+        }
+      };
+    }
+
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    return body;
+  }
+
+  /**
+   * POST a request body to the chat completions endpoint
+   * @param {Object} body - API request body
+   * @param {AbortSignal} signal - Cancels the request (optional)
+   * @returns {Promise<Response>} - Successful fetch response
+   */
+  async post(body, signal) {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new ProviderError(`${this.apiKeyEnv} environment variable is required`, {
+        provider: this.name,
+        retryable: false
+      });
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      // A cancelled request is not an upstream failure
+      if (signal?.aborted) {
+        throw error;
+      }
+      throw new ProviderError(`${this.label} API request failed: ${error.message}`, {
+        provider: this.name
+      });
+    }
+
+    if (!response.ok) {
+      throw await ProviderError.fromResponse(this.label, this.name, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Generate a complete (non-streamed) response
+   * @param {Object} request - Internal request
+   * @returns {Promise<Object>} - Normalized completion
+   */
+  async complete(request) {
+    const response = await this.post(this.buildBody(request, false), request.signal);
+    const data = await response.json();
+    const choice = data.choices?.[0];
+
+    return {
+      id: data.id,
+      model: data.model,
+      content: choice?.message?.content ?? null,
+      finishReason: choice?.finish_reason || null,
+      usage: data.usage || {}
+    };
+  }
+
+  /**
+   * Generate a streamed response
+   * @param {Object} request - Internal request
+   * @yields {Object} - Normalized stream chunks
+   */
+  async *stream(request) {
+    const response = await this.post(this.buildBody(request, true), request.signal);
+    let started = false;
+    let finishReason = null;
+
+    for await (const { data } of readServerSentEvents(response)) {
+      if (data === '[DONE]') {
+        break;
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (parseError) {
+        console.warn('⚠️ Failed to parse streaming chunk:', parseError.message);
+        continue;
+      }
+
+      if (!started) {
+        started = true;
+        yield { type: 'start', id: parsed.id, model: parsed.model };
+      }
+
+      const choice = parsed.choices?.[0];
+      if (choice?.delta?.content) {
+        yield { type: 'delta', content: choice.delta.content };
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      // Usage arrives in a final chunk with empty choices
+      if (parsed.usage) {
+        yield { type: 'usage', usage: parsed.usage };
+      }
+    }
+
+    yield { type: 'done', finishReason };
+  }
+}
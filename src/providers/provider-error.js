@@ -0,0 +1,41 @@
+/**
+ * Error raised by an LLM provider adapter for a failed upstream call
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.provider - Provider name (openai, anthropic, ...)
+   * @param {number|null} details.status - Upstream HTTP status, null for network errors
+   * @param {string|null} details.retryAfter - Upstream Retry-After header value
+   * @param {boolean} details.retryable - Override the status-based classification
+   */
+  constructor(message, { provider, status = null, retryAfter = null, retryable } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    // Network errors, rate limits and server errors are worth retrying;
+    // any other 4xx will fail the same way again
+    this.retryable = retryable ?? (status === null || status === 429 || status >= 500);
+  }
+
+  /**
+   * Build an error from a non-2xx upstream response
+   * @param {string} label - Human readable provider name used in the message
+   * @param {string} provider - Provider name
+   * @param {Response} response - Fetch response
+   * @returns {Promise<ProviderError>}
+   */
+  static async fromResponse(label, provider, response) {
+    const errorData = await response.json().catch(() => ({}));
+    const detail = errorData.error?.message || response.statusText;
+
+    return new ProviderError(`${label} API error: ${response.status} - ${detail}`, {
+      provider,
+      status: response.status,
+      retryAfter: response.headers.get('retry-after')
+    });
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Read a Server-Sent Events response body
+ * @param {Response} response - Fetch response with an SSE body
+ * @yields {{event: string|null, data: string}} - One item per SSE message
+ */
+export async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let dataLines = [];
+
+  try {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const rawLine of lines) {
+        const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+        // A blank line terminates the current message
+        if (line === '') {
+          if (dataLines.length > 0) {
+            yield { event, data: dataLines.join('\n') };
+          }
+          event = null;
+          dataLines = [];
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+    }
+
+    // Flush a final message that was not followed by a blank line
+    if (dataLines.length > 0) {
+      yield { event, data: dataLines.join('\n') };
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,311 @@
+import { corsMiddleware, sseCorsMiddleware } from '../middleware/cors.js';
+import { requireClient } from '../middleware/auth.js';
+import { createRateLimiter } from '../middleware/rate-limit.js';
+import { budgetMiddleware } from '../middleware/budget.js';
+import { OpenAIController } from '../controllers/openai.controller.js';
+import { TextToSpeechController } from '../controllers/text-to-speech.controller.js';
+import { SpeechToTextController } from '../controllers/speech-to-text.controller.js';
+import { SessionController } from '../controllers/session.controller.js';
+import { ScriptureController } from '../controllers/scripture.controller.js';
+import { TemplateController } from '../controllers/template.controller.js';
+import { ExperimentController } from '../controllers/experiment.controller.js';
+import { FeedbackController } from '../controllers/feedback.controller.js';
+import { EventController } from '../controllers/event.controller.js';
+import { CommentController } from '../controllers/comment.controller.js';
+import { PronunciationController } from '../controllers/pronunciation.controller.js';
+
+/**
+ * CORS policies a route can opt into
+ */
+const CORS_POLICIES = {
+  default: corsMiddleware,
+  sse: sseCorsMiddleware
+};
+
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000;
+
+/**
+ * Rate limit policies a route can opt into (`default` when none is given).
+ * `default` is a sliding window per IP and runs before authentication on
+ * every rate-limited route, so credential guessing is limited too. The
+ * others run after authentication and are keyed by the authenticated
+ * client (IP when authentication is off); AI calls use a token bucket so
+ * short bursts are allowed.
+ */
+const RATE_LIMIT_POLICIES = {
+  default: createRateLimiter({
+    name: 'default',
+    algorithm: 'sliding-window',
+    limit: parseInt(process.env.RATE_LIMIT_DEFAULT_MAX) || 120,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    keyBy: ['ip']
+  }),
+  ai: createRateLimiter({
+    name: 'ai',
+    algorithm: 'token-bucket',
+    limit: parseInt(process.env.RATE_LIMIT_AI_MAX) || 20,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    keyBy: ['client', 'ip']
+  }),
+  session: createRateLimiter({
+    name: 'session',
+    algorithm: 'token-bucket',
+    limit: parseInt(process.env.RATE_LIMIT_SESSION_MAX) || 10,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    keyBy: ['session', 'client', 'ip']
+  })
+};
+
+/**
+ * Declarative route table shared by the Express server (src/index.js)
+ * and the Vercel functions in api/. Order matters: the first matching
+ * entry wins, so static segments must come before parameterised ones.
+ * Routes with `auth: true` require an API client (see middleware/auth.js);
+ * `rateLimit` names a RATE_LIMIT_POLICIES entry, or false for none.
+ * Routes with `budget: true` call the LLM and are refused with 503 once
+ * the spend caps are exhausted (see middleware/budget.js).
+ */
+export const routes = [
+  // Health
+  { method: 'GET', path: '/health', handler: OpenAIController.healthCheck, rateLimit: false },
+
+  // AI endpoints
+  { method: 'POST', path: '/api/openai-proxy', handler: OpenAIController.handleChatCompletion, auth: true, rateLimit: 'ai', budget: true },
+  { method: 'POST', path: '/api/generic', handler: OpenAIController.handleGenericRequest, auth: true, rateLimit: 'ai', budget: true },
+  { method: 'POST', path: '/api/stream', handler: OpenAIController.handleStreamingRequest, cors: 'sse', auth: true, rateLimit: 'ai', budget: true },
+  { method: 'POST', path: '/api/stream-voice', handler: OpenAIController.handleStreamingVoiceRequest, cors: 'sse', auth: true, rateLimit: 'ai', budget: true },
+  { method: 'GET', path: '/api/stream-voice/audio/:streamId', handler: OpenAIController.streamVoiceAudio, cors: 'sse', auth: true },
+  { method: 'POST', path: '/api/text-to-speech', handler: TextToSpeechController.handleTextToSpeech, auth: true, rateLimit: 'ai' },
+  { method: 'POST', path: '/api/speech-to-text', handler: SpeechToTextController.handleSpeechToText, cors: 'sse', auth: true, rateLimit: 'ai' },
+
+  // Multi-turn sessions
+  { method: 'GET', path: '/api/sessions', handler: SessionController.getAll, auth: true },
+  { method: 'POST', path: '/api/sessions', handler: SessionController.create, auth: true },
+  { method: 'GET', path: '/api/sessions/:id', handler: SessionController.getById, auth: true },
+  { method: 'POST', path: '/api/sessions/:id/messages', handler: SessionController.postMessage, cors: 'sse', auth: true, rateLimit: 'session', budget: true },
+
+  // Scripture corpus
+  { method: 'GET', path: '/api/scriptures', handler: ScriptureController.getAll },
+  { method: 'GET', path: '/api/scriptures/search', handler: ScriptureController.search },
+
+  // System prompt templates
+  { method: 'GET', path: '/api/templates', handler: TemplateController.getAll, auth: true },
+  { method: 'POST', path: '/api/templates', handler: TemplateController.create, auth: true },
+  { method: 'GET', path: '/api/templates/:id', handler: TemplateController.getById, auth: true },
+  { method: 'PUT', path: '/api/templates/:id', handler: TemplateController.update, auth: true },
+  { method: 'DELETE', path: '/api/templates/:id', handler: TemplateController.delete, auth: true },
+  { method: 'POST', path: '/api/templates/:id/versions', handler: TemplateController.addVersion, auth: true },
+
+  // A/B experiments
+  { method: 'GET', path: '/api/experiments', handler: ExperimentController.getAll, auth: true },
+  { method: 'POST', path: '/api/experiments', handler: ExperimentController.create, auth: true },
+  { method: 'GET', path: '/api/experiments/:id', handler: ExperimentController.getById, auth: true },
+  { method: 'PUT', path: '/api/experiments/:id', handler: ExperimentController.update, auth: true },
+  { method: 'DELETE', path: '/api/experiments/:id', handler: ExperimentController.delete, auth: true },
+  { method: 'GET', path: '/api/experiments/:id/results', handler: ExperimentController.getResults, auth: true },
+
+  // Pronunciation lexicon for TTS
+  { method: 'GET', path: '/api/pronunciations', handler: PronunciationController.getAll, auth: true },
+  { method: 'POST', path: '/api/pronunciations/preview', handler: PronunciationController.preview, auth: true },
+  { method: 'PUT', path: '/api/pronunciations/:term', handler: PronunciationController.upsert, auth: true },
+  { method: 'DELETE', path: '/api/pronunciations/:term', handler: PronunciationController.delete, auth: true },
+
+  // Conversation history
+  { method: 'GET', path: '/api/stats', handler: OpenAIController.getStats },
+  { method: 'GET', path: '/api/stats/quotes', handler: OpenAIController.getQuoteStats },
+  { method: 'GET', path: '/api/stats/timeseries', handler: OpenAIController.getTimeseries },
+  { method: 'GET', path: '/api/conversations', handler: OpenAIController.getConversations, auth: true },
+  { method: 'GET', path: '/api/conversations/:id', handler: OpenAIController.getConversation, auth: true },
+  { method: 'DELETE', path: '/api/conversations/:id', handler: OpenAIController.deleteConversation, auth: true },
+  { method: 'POST', path: '/api/conversations/:id/feedback', handler: FeedbackController.submit, auth: true },
+
+  // Reader feedback review
+  { method: 'GET', path: '/api/feedback/flagged', handler: FeedbackController.getFlagged, auth: true },
+
+  // Events (CRUD)
+  { method: 'GET', path: '/api/events/upcoming', handler: EventController.getUpcoming },
+  { method: 'GET', path: '/api/events/range', handler: EventController.getByDateRange },
+  { method: 'GET', path: '/api/events', handler: EventController.getAll },
+  { method: 'GET', path: '/api/events/:id', handler: EventController.getById },
+  { method: 'POST', path: '/api/events', handler: EventController.create },
+  { method: 'PUT', path: '/api/events/:id', handler: EventController.update },
+  { method: 'DELETE', path: '/api/events/:id', handler: EventController.delete },
+
+  // Comments (CRUD)
+  { method: 'GET', path: '/api/events/:eventId/comments', handler: CommentController.getByEventId },
+  { method: 'GET', path: '/api/comments', handler: CommentController.getAll },
+  { method: 'GET', path: '/api/comments/:id', handler: CommentController.getById },
+  { method: 'POST', path: '/api/comments', handler: CommentController.create },
+  { method: 'PUT', path: '/api/comments/:id', handler: CommentController.update },
+  { method: 'DELETE', path: '/api/comments/:id', handler: CommentController.delete }
+];
+
+/**
+ * Compile an Express-style path ("/api/events/:id") into a matcher
+ * @param {string} path - Route path
+ * @returns {{regex: RegExp, keys: Array<string>}}
+ */
+function compilePath(path) {
+  const keys = [];
+  const pattern = path
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+const compiledRoutes = routes.map((route) => ({
+  ...route,
+  ...compilePath(route.path),
+  // The per-IP limit runs before authentication so credential guessing is
+  // limited too; per-client policies need the authenticated client
+  middleware: [
+    route.rateLimit === false ? null : RATE_LIMIT_POLICIES.default,
+    route.auth ? requireClient(route.path) : null,
+    route.rateLimit && route.rateLimit !== 'default' ? RATE_LIMIT_POLICIES[route.rateLimit] : null,
+    route.budget ? budgetMiddleware : null
+  ].filter(Boolean)
+}));
+
+/**
+ * Find the route for a request path
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path without query string
+ * @returns {{route: Object|null, params: Object, allowedMethods: Array<string>}} -
+ *   no route and no allowed methods when a parameter is not valid percent-encoding
+ */
+export function matchRoute(method, pathname) {
+  const allowedMethods = [];
+
+  for (const route of compiledRoutes) {
+    const match = route.regex.exec(pathname);
+    if (!match) continue;
+
+    if (route.method === method) {
+      const params = {};
+      try {
+        route.keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(match[index + 1]);
+        });
+      } catch (error) {
+        if (error instanceof URIError) {
+          return { route: null, params: {}, allowedMethods: [] };
+        }
+        throw error;
+      }
+      return { route, params, allowedMethods: [route.method] };
+    }
+
+    if (!allowedMethods.includes(route.method)) {
+      allowedMethods.push(route.method);
+    }
+  }
+
+  return { route: null, params: {}, allowedMethods };
+}
+
+/**
+ * List all endpoints as "METHOD /path" strings
+ * @returns {Array<string>}
+ */
+export function listEndpoints() {
+  return ['GET /', ...routes.map((route) => `${route.method} ${route.path}`)];
+}
+
+/**
+ * Get the CORS middleware for a request path. Preflight requests carry
+ * no real method, so the policy is resolved from the path alone.
+ * @param {string} pathname - Request path
+ * @returns {Function} - CORS middleware
+ */
+export function resolveCorsPolicy(pathname) {
+  const route = compiledRoutes.find((candidate) => candidate.regex.test(pathname));
+  return CORS_POLICIES[route?.cors] || CORS_POLICIES.default;
+}
+
+/**
+ * CORS middleware applying each route's declared policy
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function routeCorsMiddleware(req, res, next) {
+  const policy = resolveCorsPolicy(req.path);
+  return policy(req, res, next);
+}
+
+/**
+ * Send the 404 response shared by all runtimes
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+export function sendNotFound(req, res) {
+  return res.status(404).json({
+    error: 'Not found',
+    message: `Route ${req.originalUrl || req.url} not found`,
+    availableEndpoints: listEndpoints()
+  });
+}
+
+/**
+ * Send the 405 response shared by all runtimes
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Array<string>} allowedMethods - Methods registered for the path
+ */
+export function sendMethodNotAllowed(req, res, allowedMethods) {
+  res.setHeader('Allow', allowedMethods.join(', '));
+  return res.status(405).json({
+    error: 'Method not allowed',
+    message: `${req.method} is not supported on ${req.originalUrl || req.url}`,
+    allowedMethods
+  });
+}
+
+/**
+ * Send the 500 response shared by all runtimes
+ * @param {Object} res - Response object
+ * @param {Error} error - Unhandled error
+ */
+export function sendInternalError(res, error) {
+  console.error('❌ Unhandled error:', error);
+
+  // Streaming responses have already committed their headers
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Register every route from the table on an Express app.
+ * CORS is applied separately through routeCorsMiddleware.
+ * @param {Object} app - Express application
+ */
+export function registerRoutes(app) {
+  for (const route of compiledRoutes) {
+    app[route.method.toLowerCase()](route.path, ...route.middleware, (req, res, next) => {
+      Promise.resolve(route.handler(req, res)).catch(next);
+    });
+  }
+
+  // Known paths with an unsupported method get a 405 instead of a 404
+  for (const path of new Set(routes.map((route) => route.path))) {
+    app.all(path, (req, res) => {
+      const { allowedMethods } = matchRoute(req.method, req.path);
+      return sendMethodNotAllowed(req, res, allowedMethods);
+    });
+  }
+}
@@ -0,0 +1,56 @@
+import {
+  matchRoute,
+  resolveCorsPolicy,
+  sendNotFound,
+  sendMethodNotAllowed,
+  sendInternalError
+} from './index.js';
+
+/**
+ * Create a Vercel serverless function handler backed by the shared route
+ * table. Every file in api/ exports one of these, so a request is routed
+ * by its path and method exactly as it would be under `npm start`.
+ * @returns {Function} - Vercel request handler
+ */
+export function createServerlessHandler() {
+  return async function handler(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    req.path = pathname;
+
+    // Apply the route's CORS policy; preflight requests end here
+    let corsPassed = false;
+    resolveCorsPolicy(pathname)(req, res, () => {
+      corsPassed = true;
+    });
+    if (!corsPassed) {
+      return;
+    }
+
+    try {
+      const { route, params, allowedMethods } = matchRoute(req.method, pathname);
+
+      if (!route) {
+        return allowedMethods.length > 0
+          ? sendMethodNotAllowed(req, res, allowedMethods)
+          : sendNotFound(req, res);
+      }
+
+      req.params = params;
+
+      // Run the route's middleware (rate limiting, authentication); any of them may respond
+      for (const middleware of route.middleware) {
+        let passed = false;
+        await middleware(req, res, () => {
+          passed = true;
+        });
+        if (!passed) {
+          return;
+        }
+      }
+
+      return await route.handler(req, res);
+    } catch (error) {
+      return sendInternalError(res, error);
+    }
+  };
+}
@@ -0,0 +1,70 @@
+import { parseArgs } from 'node:util';
+import { authService } from '../services/auth.service.js';
+import { ClientModel } from '../models/client.js';
+import { closeMongoDBConnection } from '../config/database.js';
+
+/**
+ * Register an API client
+ *
+ * Usage:
+ *   node src/scripts/create-client.js --name <name> [options]
+ *
+ * Options:
+ *   --endpoints <paths>       Comma-separated route paths (default: all)
+ *   --origins <origins>       Comma-separated allowed origins (default: any)
+ *   --daily-requests <n>      Daily request quota (default: unlimited)
+ *   --daily-tokens <n>        Daily token quota (default: unlimited)
+ *   --subject <sub>           JWT `sub` claim for this client
+ *   --no-key                  JWT only, do not issue an API key
+ *
+ * The API key is printed once; only its hash is stored.
+ */
+async function createClient(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      name: { type: 'string' },
+      endpoints: { type: 'string' },
+      origins: { type: 'string' },
+      'daily-requests': { type: 'string' },
+      'daily-tokens': { type: 'string' },
+      subject: { type: 'string' },
+      'no-key': { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.name) {
+    throw new Error('Usage: create-client.js --name <name> [--endpoints ...] [--origins ...]');
+  }
+
+  const list = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : undefined);
+  const quota = (value) => (value === undefined ? null : parseInt(value));
+  const credentials = values['no-key'] ? {} : authService.generateKey();
+
+  await ClientModel.ensureIndexes();
+  const client = await ClientModel.create({
+    name: values.name,
+    keyHash: credentials.keyHash,
+    keyPrefix: credentials.keyPrefix,
+    subject: values.subject,
+    allowedEndpoints: list(values.endpoints),
+    allowedOrigins: list(values.origins),
+    quotas: {
+      dailyRequests: quota(values['daily-requests']),
+      dailyTokens: quota(values['daily-tokens'])
+    }
+  });
+
+  console.log(`✅ Client ${client.name} (${client._id})`);
+  if (credentials.key) {
+    console.log(`🔑 API key (shown once): ${credentials.key}`);
+  }
+}
+
+createClient(process.argv.slice(2))
+  .then(() => closeMongoDBConnection())
+  .catch(async (error) => {
+    console.error('❌ Client creation failed:', error.message);
+    await closeMongoDBConnection();
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { scriptureService } from '../services/scripture.service.js';
+import { closeMongoDBConnection } from '../config/database.js';
+
+/**
+ * Load verse-level scripture files into the corpus
+ *
+ * Usage:
+ *   node src/scripts/ingest-corpus.js <SCRIPTURE> <file.json|file.csv> [...]
+ *   node src/scripts/ingest-corpus.js <directory>
+ *
+ * In directory mode the scripture is taken from each file name, up to the
+ * first dot (bible.json, bhagavad_gita.kjv.csv, ...).
+ */
+async function ingestCorpus(args) {
+  const [first, ...rest] = args;
+  if (!first) {
+    throw new Error('Usage: ingest-corpus.js <SCRIPTURE> <files...> | <directory>');
+  }
+
+  let jobs;
+  if ((await stat(first).catch(() => null))?.isDirectory()) {
+    const files = (await readdir(first)).filter((file) => /\.(json|csv)$/i.test(file));
+    jobs = files.map((file) => ({
+      scripture: file.split('.')[0].toUpperCase(),
+      file: path.join(first, file)
+    }));
+  } else {
+    jobs = rest.map((file) => ({ scripture: first.toUpperCase(), file }));
+  }
+
+  if (jobs.length === 0) {
+    throw new Error('No .json or .csv corpus files given');
+  }
+
+  for (const { scripture, file } of jobs) {
+    console.log(`📖 Loading ${file} as ${scripture}...`);
+    const format = path.extname(file).slice(1).toLowerCase();
+    const records = scriptureService.parseCorpus(await readFile(file, 'utf8'), format);
+    const result = await scriptureService.ingest(scripture, records);
+
+    console.log(`✅ ${scripture}: ${result.inserted} inserted, ${result.updated} updated, ` +
+      `${result.skipped} skipped (${result.stats.verseCount} verses in corpus)`);
+  }
+}
+
+ingestCorpus(process.argv.slice(2))
+  .then(() => closeMongoDBConnection())
+  .catch(async (error) => {
+    console.error('❌ Corpus ingestion failed:', error.message);
+    await closeMongoDBConnection();
+    process.exit(1);
+  });
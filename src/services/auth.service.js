@@ -0,0 +1,256 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual, verify } from 'node:crypto';
+import dotenv from 'dotenv';
+import { ClientModel } from '../models/client.js';
+
+dotenv.config();
+
+const API_KEY_PREFIX = 'epk_';
+const CLOCK_SKEW_SECONDS = 30;
+
+/**
+ * Error raised when a request cannot be authenticated or authorized
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status to respond with (401, 403, 503)
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Auth Service - identifies API clients by hashed API key or JWT and
+ * enforces their allowed endpoints, origins and daily quotas
+ */
+export class AuthService {
+  constructor() {
+    this.enabled = process.env.AUTH_ENABLED !== 'false';
+    this.jwtSecret = process.env.JWT_SECRET || null;
+    // Allow PEM keys stored on one line with literal \n
+    this.jwtPublicKey = process.env.JWT_PUBLIC_KEY?.replace(/\\n/g, '\n') || null;
+    this.jwtIssuer = process.env.JWT_ISSUER || null;
+    this.jwtAudience = process.env.JWT_AUDIENCE || null;
+  }
+
+  /**
+   * Generate a new API key. Only its hash is stored.
+   * @returns {{key: string, keyHash: string, keyPrefix: string}}
+   */
+  generateKey() {
+    const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    return { key, keyHash: this.hashKey(key), keyPrefix: key.slice(0, 8) };
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} key - API key
+   * @returns {string} - Hex SHA-256
+   */
+  hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Read the credential from `X-API-Key` or `Authorization: Bearer`
+   * @param {Object} headers - Request headers
+   * @returns {{type: string, token: string}|null} - 'key' or 'jwt', or null
+   */
+  getCredentials(headers) {
+    const apiKey = headers['x-api-key'];
+    if (apiKey) {
+      return { type: 'key', token: apiKey };
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    if (!match) {
+      return null;
+    }
+
+    const token = match[1];
+    return { type: token.split('.').length === 3 ? 'jwt' : 'key', token };
+  }
+
+  /**
+   * Verify a JWT signed with HS256 (JWT_SECRET) or RS256 (JWT_PUBLIC_KEY).
+   * Only algorithms with a configured key are accepted.
+   * @param {string} token - Compact JWT
+   * @param {number} now - Current time in seconds (for tests)
+   * @returns {Object} - Verified claims
+   * @throws {AuthError} - When the token is malformed, badly signed or expired
+   */
+  verifyJwt(token, now = Math.floor(Date.now() / 1000)) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+      throw new AuthError('Malformed token');
+    }
+
+    const signed = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature || '', 'base64url');
+
+    let valid = false;
+    if (header.alg === 'HS256' && this.jwtSecret) {
+      const expected = createHmac('sha256', this.jwtSecret).update(signed).digest();
+      valid = expected.length === signature.length && timingSafeEqual(expected, signature);
+    } else if (header.alg === 'RS256' && this.jwtPublicKey) {
+      valid = verify('RSA-SHA256', Buffer.from(signed), this.jwtPublicKey, signature);
+    } else {
+      throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    if (!valid) {
+      throw new AuthError('Invalid token signature');
+    }
+    if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW_SECONDS) {
+      throw new AuthError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+      throw new AuthError('Token not yet valid');
+    }
+    if (this.jwtIssuer && claims.iss !== this.jwtIssuer) {
+      throw new AuthError('Invalid token issuer');
+    }
+    if (this.jwtAudience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.jwtAudience)) {
+        throw new AuthError('Invalid token audience');
+      }
+    }
+    if (!claims.sub) {
+      throw new AuthError('Token has no subject');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Find the client a request belongs to
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - Client record
+   * @throws {AuthError} - When the credential is missing or unknown
+   */
+  async authenticate(headers) {
+    const credentials = this.getCredentials(headers);
+    if (!credentials) {
+      throw new AuthError('An API key or bearer token is required');
+    }
+
+    let client;
+    try {
+      client = credentials.type === 'jwt'
+        ? await ClientModel.findBySubject(String(this.verifyJwt(credentials.token).sub))
+        : await ClientModel.findByKeyHash(this.hashKey(credentials.token));
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      throw new AuthError('Authentication is temporarily unavailable', 503);
+    }
+
+    if (!client) {
+      throw new AuthError('Unknown API client');
+    }
+
+    return client;
+  }
+
+  /**
+   * Check a client's allowed endpoints and origins
+   * @param {Object} client - Client record
+   * @param {Object} request - Request details
+   * @param {string} request.endpoint - Route path (e.g. /api/sessions/:id/messages)
+   * @param {string} request.origin - Origin header, if any
+   * @throws {AuthError} - 403 when the client may not call this endpoint from this origin
+   */
+  authorize(client, { endpoint, origin }) {
+    const endpoints = client.allowedEndpoints || ['*'];
+    if (!endpoints.includes('*') && !endpoints.includes(endpoint)) {
+      throw new AuthError(`Client is not allowed to call ${endpoint}`, 403);
+    }
+
+    const origins = client.allowedOrigins || [];
+    if (origins.length > 0 && !origins.includes(origin)) {
+      throw new AuthError('Client is not allowed from this origin', 403);
+    }
+  }
+
+  /**
+   * UTC day used to bucket usage
+   * @param {Date} date - Point in time
+   * @returns {string} - YYYY-MM-DD
+   */
+  getDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Remaining quota for a day's usage
+   * @param {Object} client - Client record
+   * @param {Object} usage - Usage document ({ requests, tokens })
+   * @returns {{requests: number|null, tokens: number|null, reset: Date}} - null when unlimited
+   */
+  getRemaining(client, usage) {
+    const { dailyRequests = null, dailyTokens = null } = client.quotas || {};
+    const reset = new Date(`${this.getDay()}T00:00:00.000Z`);
+    reset.setUTCDate(reset.getUTCDate() + 1);
+
+    return {
+      requests: dailyRequests === null ? null : Math.max(0, dailyRequests - (usage?.requests || 0)),
+      tokens: dailyTokens === null ? null : Math.max(0, dailyTokens - (usage?.tokens || 0)),
+      reset
+    };
+  }
+
+  /**
+   * Count a request against the client's daily quota. The counter is
+   * incremented first so concurrent requests cannot overshoot it; a
+   * rejected request is moved to the `rejected` counter.
+   * @param {Object} client - Client record
+   * @returns {Promise<{allowed: boolean, remaining: Object}>}
+   */
+  async consumeRequest(client) {
+    const day = this.getDay();
+    const usage = await ClientModel.incrementUsage(client._id, day, { requests: 1 });
+    const { dailyRequests = null, dailyTokens = null } = client.quotas || {};
+
+    const allowed = (dailyRequests === null || usage.requests <= dailyRequests) &&
+      (dailyTokens === null || (usage.tokens || 0) < dailyTokens);
+
+    if (!allowed) {
+      const reverted = await ClientModel.incrementUsage(client._id, day, { requests: -1, rejected: 1 });
+      return { allowed, remaining: this.getRemaining(client, reverted) };
+    }
+
+    return { allowed, remaining: this.getRemaining(client, usage) };
+  }
+
+  /**
+   * Add a completion's token usage to the client's daily total.
+   * Failures are logged, never thrown.
+   * @param {Object} client - Client record (no-op when absent)
+   * @param {Object} usage - Provider usage ({ total_tokens, ... })
+   */
+  async recordTokens(client, usage) {
+    const tokens = usage?.total_tokens ||
+      (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+    if (!client || !tokens) {
+      return;
+    }
+
+    try {
+      await ClientModel.incrementUsage(client._id, this.getDay(), { tokens });
+    } catch (error) {
+      console.error('❌ Failed to record client token usage:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
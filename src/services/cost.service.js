@@ -0,0 +1,275 @@
+import dotenv from 'dotenv';
+import { FREE_PROVIDERS, MODEL_PRICES } from '../config/pricing.js';
+import { SpendModel } from '../models/spend.js';
+
+dotenv.config();
+
+const BUDGET_PERIODS = ['daily', 'monthly'];
+
+/**
+ * Round a dollar amount to millionths of a dollar
+ * @param {number} value - Amount in US dollars
+ * @returns {number}
+ */
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Cost Service - prices LLM calls from their token usage, keeps the shared
+ * spend ledger and enforces the global daily and monthly budget caps.
+ * Over a cap, requests switch to BUDGET_FALLBACK_MODEL when one is set and
+ * are refused otherwise; with a fallback model they are refused once spend
+ * reaches the cap times BUDGET_HARD_LIMIT_RATIO. Ledger failures let
+ * requests through, so a database outage does not take the API down.
+ */
+export class CostService {
+  constructor() {
+    this.prices = { ...MODEL_PRICES };
+    try {
+      Object.assign(this.prices, JSON.parse(process.env.MODEL_PRICES || '{}'));
+    } catch (error) {
+      console.error('❌ Ignoring invalid MODEL_PRICES:', error.message);
+    }
+    // Longest key first, so gpt-4o-mini wins over gpt-4o
+    this.priceKeys = Object.keys(this.prices).sort((a, b) => b.length - a.length);
+
+    this.limits = {
+      daily: parseFloat(process.env.BUDGET_DAILY_USD) || null,
+      monthly: parseFloat(process.env.BUDGET_MONTHLY_USD) || null
+    };
+    this.fallbackProvider = process.env.BUDGET_FALLBACK_PROVIDER || undefined;
+    this.fallbackModel = process.env.BUDGET_FALLBACK_MODEL || null;
+    this.hardLimitRatio = parseFloat(process.env.BUDGET_HARD_LIMIT_RATIO) || 1.25;
+    this.cacheTtlMs = parseInt(process.env.BUDGET_CACHE_TTL_MS) || 30000;
+    this.spend = null;
+  }
+
+  /**
+   * Whether any budget cap is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Boolean(this.limits.daily || this.limits.monthly);
+  }
+
+  /**
+   * Price of a model
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {{input: number, output: number}|null} - USD per million tokens,
+   *   or null when the model has no price
+   */
+  getPrice(provider, model) {
+    if (FREE_PROVIDERS.includes(provider)) {
+      return { input: 0, output: 0 };
+    }
+    const key = model && this.priceKeys.find((name) => model.startsWith(name));
+    return key ? this.prices[key] : null;
+  }
+
+  /**
+   * Cost of one LLM call
+   * @param {Object} call - Call details
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model name
+   * @param {Object} call.usage - { prompt_tokens, completion_tokens }
+   * @returns {{inputUsd: number, outputUsd: number, totalUsd: number}|null} -
+   *   Cost, or null when the model has no price or no usage was reported
+   */
+  computeCost({ provider, model, usage }) {
+    const price = this.getPrice(provider, model);
+    if (!price || !usage || usage.prompt_tokens === undefined) {
+      return null;
+    }
+
+    const inputUsd = ((usage.prompt_tokens || 0) * price.input) / 1e6;
+    const outputUsd = ((usage.completion_tokens || 0) * price.output) / 1e6;
+    return {
+      inputUsd: roundUsd(inputUsd),
+      outputUsd: roundUsd(outputUsd),
+      totalUsd: roundUsd(inputUsd + outputUsd)
+    };
+  }
+
+  /**
+   * Add up the token usage of several calls answering one request
+   * (e.g. a structured answer and its validation retries)
+   * @param {Array<Object>} usages - Usage objects (empty or missing ones skipped)
+   * @returns {Object} - Summed numeric fields ({} when nothing was reported)
+   */
+  sumUsage(usages) {
+    const total = {};
+    for (const usage of usages) {
+      for (const [field, value] of Object.entries(usage || {})) {
+        if (typeof value === 'number') {
+          total[field] = (total[field] || 0) + value;
+        }
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Add up the cost of several calls answering one request
+   * @param {Array<Object|null>} costs - Results of computeCost()
+   * @returns {Object|null} - Summed cost, or null when no call was priced
+   */
+  sumCosts(costs) {
+    const priced = costs.filter(Boolean);
+    if (priced.length === 0) {
+      return null;
+    }
+    const sum = (field) => roundUsd(priced.reduce((total, cost) => total + cost[field], 0));
+    return { inputUsd: sum('inputUsd'), outputUsd: sum('outputUsd'), totalUsd: sum('totalUsd') };
+  }
+
+  /**
+   * UTC day key for the spend ledger
+   * @param {Date} date - Date (default: now)
+   * @returns {string} - YYYY-MM-DD
+   */
+  getDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Add a call's cost to the spend ledger. Never throws.
+   * @param {Object|null} cost - Result of computeCost()
+   */
+  record(cost) {
+    if (!cost?.totalUsd) {
+      return;
+    }
+
+    const day = this.getDay();
+    SpendModel.add(day, cost.totalUsd).catch(() => {});
+
+    // Keep the cached totals current between reloads
+    if (this.spend?.day === day) {
+      this.spend.daily += cost.totalUsd;
+      this.spend.monthly += cost.totalUsd;
+    }
+  }
+
+  /**
+   * Spend today and this month (UTC), cached for BUDGET_CACHE_TTL_MS
+   * @param {Date} now - Current time (default: now)
+   * @returns {Promise<{day: string, daily: number, monthly: number}>}
+   */
+  async getSpend(now = new Date()) {
+    const day = this.getDay(now);
+    if (this.spend?.day === day && now.getTime() - this.spend.loadedAt < this.cacheTtlMs) {
+      return this.spend;
+    }
+
+    const [daily, monthly] = await Promise.all([
+      SpendModel.getTotal(day, day),
+      SpendModel.getTotal(`${day.slice(0, 8)}01`, day)
+    ]);
+    this.spend = { day, daily, monthly, loadedAt: now.getTime() };
+    return this.spend;
+  }
+
+  /**
+   * Decide what to do with new requests at a given spend
+   * @param {{daily: number, monthly: number}} spend - Current spend
+   * @returns {{action: string, period?: string, limitUsd?: number, spentUsd?: number}} -
+   *   action is allow, downgrade or refuse; period is the cap that was reached
+   */
+  evaluate(spend) {
+    let decision = { action: 'allow' };
+
+    for (const period of BUDGET_PERIODS) {
+      const limitUsd = this.limits[period];
+      const spentUsd = spend[period];
+      if (!limitUsd || spentUsd < limitUsd) {
+        continue;
+      }
+
+      const refuse = !this.fallbackModel || spentUsd >= limitUsd * this.hardLimitRatio;
+      if (refuse) {
+        return { action: 'refuse', period, limitUsd, spentUsd: roundUsd(spentUsd) };
+      }
+      if (decision.action === 'allow') {
+        decision = { action: 'downgrade', period, limitUsd, spentUsd: roundUsd(spentUsd) };
+      }
+    }
+
+    return decision;
+  }
+
+  /**
+   * When a budget period starts over
+   * @param {string} period - daily or monthly
+   * @param {Date} now - Current time (default: now)
+   * @returns {Date}
+   */
+  getResetAt(period, now = new Date()) {
+    return period === 'monthly'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+
+  /**
+   * Check the budget caps for a new request
+   * @returns {Promise<Object>} - evaluate() result, with resetAt when a cap was reached
+   */
+  async check() {
+    if (!this.enabled) {
+      return { action: 'allow' };
+    }
+
+    try {
+      const decision = this.evaluate(await this.getSpend());
+      return decision.period ? { ...decision, resetAt: this.getResetAt(decision.period) } : decision;
+    } catch (error) {
+      console.error('❌ Budget check unavailable, allowing request:', error.message);
+      return { action: 'allow' };
+    }
+  }
+
+  /**
+   * Switch generation options to the fallback model when a cap was reached
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - Options, with provider and model replaced
+   *   and `budgetDowngraded` set when the request was downgraded
+   */
+  async applyBudget(options = {}) {
+    const decision = await this.check();
+    if (decision.action === 'allow' || !this.fallbackModel) {
+      return options;
+    }
+
+    console.log(`💸 ${decision.period} budget reached, using ${this.fallbackModel}`);
+    return {
+      ...options,
+      provider: this.fallbackProvider,
+      model: this.fallbackModel,
+      budgetDowngraded: true
+    };
+  }
+
+  /**
+   * Budget caps and current spend for /api/stats
+   * @returns {Promise<Object|null>} - null when no cap is configured
+   */
+  async getStatus() {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const spend = await this.getSpend();
+    return {
+      dailyLimitUsd: this.limits.daily,
+      monthlyLimitUsd: this.limits.monthly,
+      spentTodayUsd: roundUsd(spend.daily),
+      spentThisMonthUsd: roundUsd(spend.monthly),
+      fallbackModel: this.fallbackModel,
+      action: this.evaluate(spend).action
+    };
+  }
+}
+
+// Export singleton instance
+export const costService = new CostService();
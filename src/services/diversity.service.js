@@ -0,0 +1,156 @@
+import dotenv from 'dotenv';
+import { ConversationModel } from '../models/conversation.js';
+import { scriptureService } from './scripture.service.js';
+
+dotenv.config();
+
+/**
+ * Quote diversity service
+ *
+ * Records which verses each answer cites and, for a returning session or
+ * user, tells the model which verses it quoted recently so it picks others.
+ */
+export class DiversityService {
+  constructor() {
+    this.exclusionLimit = parseInt(process.env.QUOTE_EXCLUSION_LIMIT) || 20;
+    this.exclusionWindow = parseInt(process.env.QUOTE_EXCLUSION_CONVERSATIONS) || 50;
+  }
+
+  /**
+   * Normalize citations (structured quotes or references found in free
+   * text) into the cited-verse records stored with a conversation
+   * @param {Array<Object>} citations - Citations with book, chapter and verse
+   * @param {string} scripture - Requested scripture key, or ALL
+   * @returns {Array<Object>} - { scripture, book, chapter, verse, ref }, deduplicated
+   */
+  toCitedVerses(citations, scripture) {
+    const cited = new Map();
+
+    for (const citation of citations || []) {
+      const key = scriptureService.toScriptureKey(citation.scripture) ||
+        scriptureService.toScriptureKey(citation.book) ||
+        (scripture && scripture !== 'ALL' ? scripture : null);
+
+      const verse = {
+        scripture: key,
+        book: citation.book,
+        chapter: String(citation.chapter),
+        verse: String(citation.verse)
+      };
+      verse.ref = key
+        ? scriptureService.formatReference(verse)
+        : `${verse.book} ${verse.chapter}:${verse.verse}`;
+
+      cited.set(verse.ref, verse);
+    }
+
+    return [...cited.values()];
+  }
+
+  /**
+   * Verses recently cited to the same session or user
+   * @param {Object} identity - Who is asking
+   * @param {string} identity.sessionId - Session ID (optional)
+   * @param {string} identity.userId - User ID (optional)
+   * @param {string} scripture - Scripture key, or ALL
+   * @returns {Promise<Array<string>>} - Verse references, most recent first
+   */
+  async getExclusions({ sessionId, userId }, scripture) {
+    if (!sessionId && !userId) {
+      return [];
+    }
+
+    try {
+      return await ConversationModel.findRecentCitations({
+        sessionId,
+        userId,
+        scripture: scripture === 'ALL' ? null : scripture,
+        conversations: this.exclusionWindow,
+        limit: this.exclusionLimit
+      });
+    } catch (error) {
+      console.error('❌ Failed to load recent citations:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Tell the model which verses to avoid
+   * @param {Array} messages - Messages array
+   * @param {Array<string>} exclusions - Verse references
+   * @returns {Array} - Messages with the exclusion list in the system message
+   */
+  applyExclusions(messages, exclusions) {
+    if (exclusions.length === 0) {
+      return messages;
+    }
+
+    const instruction =
+      'These verses were already quoted to this person recently. Do not quote ' +
+      `them again; choose different verses:\n${exclusions.map((ref) => `- ${ref}`).join('\n')}`;
+
+    const hasSystem = messages.some((msg) => msg.role === 'system');
+    if (!hasSystem) {
+      return [{ role: 'system', content: instruction }, ...messages];
+    }
+
+    return messages.map((msg) => (msg.role === 'system'
+      ? { ...msg, content: `${msg.content}\n\n${instruction}` }
+      : msg));
+  }
+
+  /**
+   * Diversity of a set of citation counts: normalized Shannon entropy,
+   * 1 when every citation is a different verse and 0 when all are the same
+   * @param {Array<number>} counts - Citations per verse
+   * @returns {number|null} - Score from 0 to 1, or null without citations
+   */
+  diversityScore(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total === 0) return null;
+    if (total === 1) return 1;
+
+    const entropy = counts.reduce((sum, count) => {
+      const p = count / total;
+      return sum - p * Math.log(p);
+    }, 0);
+
+    return Math.round((entropy / Math.log(total)) * 1000) / 1000;
+  }
+
+  /**
+   * Most-cited verses and diversity over time
+   * @param {Object} options - Query options
+   * @param {string} options.scripture - Scripture key, or ALL
+   * @param {Date} options.since - Start of the period
+   * @param {string} options.interval - Bucket size: day, week or month
+   * @param {number} options.limit - Top verses to return
+   * @returns {Promise<Object>} - Quote statistics
+   */
+  async getQuoteStats(options) {
+    const { topVerses, timeline, totals } = await ConversationModel.getQuoteStats({
+      ...options,
+      scripture: options.scripture === 'ALL' ? null : options.scripture
+    });
+
+    return {
+      scripture: options.scripture,
+      since: options.since.toISOString(),
+      interval: options.interval,
+      totalCitations: totals.total,
+      uniqueVerses: totals.counts.length,
+      diversityScore: this.diversityScore(totals.counts),
+      topVerses,
+      timeline: timeline.map((bucket) => ({
+        period: bucket.period,
+        conversations: bucket.conversations,
+        citations: bucket.total,
+        uniqueVerses: bucket.counts.length,
+        diversityScore: this.diversityScore(bucket.counts)
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+export const diversityService = new DiversityService();
@@ -0,0 +1,463 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Event Stream Service - numbered, resumable Server-Sent Events.
+ * Every frame of a stream gets the id `<streamId>:<n>` with n increasing
+ * from 1, and is kept in memory until STREAM_BUFFER_TTL_MS after the stream
+ * ends. A client that drops keeps the generation running; when it
+ * reconnects with `Last-Event-ID` it is sent the frames it missed and then
+ * the live tail. Each stream keeps at most STREAM_BUFFER_MAX_BYTES of
+ * frames (oldest dropped first), and all streams together at most
+ * STREAM_BUFFER_MAX_TOTAL_BYTES: over that, finished streams are forgotten
+ * first, oldest first, then the oldest frames of live streams are dropped.
+ * At most STREAM_BUFFER_MAX_STREAMS streams are buffered: a new stream
+ * replaces the oldest finished one, or else stops buffering the oldest live
+ * one, whose clients keep receiving it but can no longer resume it.
+ * Buffers live in the instance that served the stream.
+ *
+ * When no client has been connected for STREAM_ABORT_GRACE_MS the stream's
+ * AbortSignal fires so the upstream LLM and TTS work stops. Connected
+ * clients get a comment frame every STREAM_HEARTBEAT_MS so idle proxies
+ * keep the connection open during long pauses.
+ *
+ * A voice stream can also carry a binary audio channel: the audio bytes go
+ * to a separate chunked HTTP response (see attachAudio) instead of base64
+ * `audio` events, and are buffered the same way so a client can attach
+ * late or reconnect from a byte offset.
+ */
+export class EventStreamService {
+  constructor() {
+    this.ttlMs = parseInt(process.env.STREAM_BUFFER_TTL_MS) || 2 * 60 * 1000;
+    this.maxBytes = parseInt(process.env.STREAM_BUFFER_MAX_BYTES) || 8 * 1024 * 1024;
+    this.maxTotalBytes = parseInt(process.env.STREAM_BUFFER_MAX_TOTAL_BYTES) || 128 * 1024 * 1024;
+    this.maxStreams = parseInt(process.env.STREAM_BUFFER_MAX_STREAMS) || 500;
+    this.abortGraceMs = parseInt(process.env.STREAM_ABORT_GRACE_MS) || 5000;
+    this.heartbeatMs = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000;
+    this.streams = new Map();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Start a buffered stream for a response
+   * @param {Object} res - Express response object (SSE headers already set)
+   * @param {Object} options - Stream options
+   * @param {string} options.clientId - API client allowed to resume it (optional)
+   * @returns {Object} - The stream; `signal` aborts once every client is gone
+   */
+  open(res, { clientId } = {}) {
+    // Make room by dropping the oldest finished stream, else unbuffering the oldest live one
+    if (this.streams.size >= this.maxStreams) {
+      const streams = [...this.streams.values()];
+      const finished = streams.find((candidate) => candidate.ended);
+      if (finished) {
+        this.discard(finished.id);
+      } else {
+        this.unbuffer(streams[0]);
+      }
+    }
+
+    const stream = {
+      id: crypto.randomUUID(),
+      clientId: clientId ? String(clientId) : null,
+      seq: 0,
+      frames: [],
+      bytes: 0,
+      ended: false,
+      unbuffered: false,
+      subscribers: new Set(),
+      audio: null,
+      controller: new AbortController(),
+      timer: null,
+      abortTimer: null,
+      heartbeat: setInterval(() => this.sendHeartbeat(stream), this.heartbeatMs)
+    };
+    stream.signal = stream.controller.signal;
+    stream.heartbeat.unref?.();
+    this.streams.set(stream.id, stream);
+    res.eventStream = stream;
+    res.setHeader('X-Stream-Id', stream.id);
+    this.subscribe(stream, res);
+    return stream;
+  }
+
+  /**
+   * Receive a stream's frames on a response until it ends or closes
+   * @param {Object} stream - The stream
+   * @param {Object} res - Express response object
+   */
+  subscribe(stream, res) {
+    stream.subscribers.add(res);
+    clearTimeout(stream.abortTimer);
+
+    res.on('close', () => {
+      stream.subscribers.delete(res);
+      this.scheduleAbort(stream);
+    });
+  }
+
+  /**
+   * Whether any client is receiving a stream's events or audio
+   * @param {Object} stream - The stream
+   * @returns {boolean}
+   */
+  hasListeners(stream) {
+    return stream.subscribers.size > 0 || stream.audio?.listeners.size > 0;
+  }
+
+  /**
+   * Start the abort grace period once the last client has gone
+   * @param {Object} stream - The stream
+   */
+  scheduleAbort(stream) {
+    if (stream.ended || this.hasListeners(stream)) {
+      return;
+    }
+    clearTimeout(stream.abortTimer);
+    stream.abortTimer = setTimeout(() => this.abort(stream), this.abortGraceMs);
+    stream.abortTimer.unref?.();
+  }
+
+  /**
+   * Abort the work behind a stream nobody is listening to
+   * @param {Object} stream - The stream
+   */
+  abort(stream) {
+    if (stream.ended || this.hasListeners(stream) || stream.signal.aborted) {
+      return;
+    }
+    console.log(`🔌 No client reconnected to stream ${stream.id}, aborting upstream work`);
+    stream.controller.abort();
+  }
+
+  /**
+   * Write a heartbeat comment to every connected client
+   * @param {Object} stream - The stream
+   */
+  sendHeartbeat(stream) {
+    for (const subscriber of stream.subscribers) {
+      subscriber.write(': heartbeat\n\n');
+    }
+  }
+
+  /**
+   * Send one event. Responses without a buffered stream get a plain frame.
+   * @param {Object} res - Express response object
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload (JSON-encoded)
+   */
+  send(res, event, data) {
+    const stream = res.eventStream;
+    if (!stream) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return;
+    }
+    if (stream.ended) {
+      return;
+    }
+
+    stream.seq++;
+    const frame = `id: ${stream.id}:${stream.seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    if (!stream.unbuffered) {
+      const size = Buffer.byteLength(frame);
+      stream.frames.push({ seq: stream.seq, frame, size });
+      stream.bytes += size;
+      this.totalBytes += size;
+
+      while (stream.bytes > this.maxBytes && stream.frames.length > 1) {
+        this.dropFrame(stream);
+      }
+      this.enforceTotalBytes();
+    }
+
+    for (const subscriber of stream.subscribers) {
+      subscriber.write(frame);
+    }
+  }
+
+  /**
+   * Add a binary audio channel to a stream
+   * @param {Object} res - Express response object the stream was opened on
+   * @param {Object} options - Channel options
+   * @param {string} options.mimeType - Content type of the audio bytes
+   * @param {string} options.url - Where clients fetch the audio
+   * @returns {Object} - The audio channel
+   */
+  openAudio(res, { mimeType, url }) {
+    res.eventStream.audio = {
+      mimeType,
+      url,
+      parts: [],
+      bytes: 0,
+      bufferedBytes: 0,
+      listeners: new Set(),
+      ended: false
+    };
+    return res.eventStream.audio;
+  }
+
+  /**
+   * How a stream delivers audio, for the `start` event
+   * @param {Object} res - Express response object
+   * @returns {Object} - { transport: 'http', audioUrl, mimeType } or { transport: 'sse' }
+   */
+  describeAudio(res) {
+    const audio = res.eventStream?.audio;
+    return audio
+      ? { transport: 'http', audioUrl: audio.url, mimeType: audio.mimeType }
+      : { transport: 'sse' };
+  }
+
+  /**
+   * Append audio bytes to a stream's audio channel
+   * @param {Object} res - Express response object the stream was opened on
+   * @param {Uint8Array} bytes - Audio bytes
+   */
+  writeAudio(res, bytes) {
+    const audio = res.eventStream?.audio;
+    if (!audio || audio.ended) {
+      return;
+    }
+
+    const part = { offset: audio.bytes, data: Buffer.from(bytes) };
+    audio.bytes += part.data.length;
+    if (!res.eventStream.unbuffered) {
+      audio.parts.push(part);
+      audio.bufferedBytes += part.data.length;
+      this.totalBytes += part.data.length;
+
+      while (audio.bufferedBytes > this.maxBytes && audio.parts.length > 1) {
+        this.dropAudioPart(audio);
+      }
+      this.enforceTotalBytes();
+    }
+
+    for (const listener of audio.listeners) {
+      listener.write(part.data);
+    }
+  }
+
+  /**
+   * Drop a stream's oldest buffered frame
+   * @param {Object} stream - The stream
+   */
+  dropFrame(stream) {
+    const { size } = stream.frames.shift();
+    stream.bytes -= size;
+    this.totalBytes -= size;
+  }
+
+  /**
+   * Drop an audio channel's oldest buffered bytes
+   * @param {Object} audio - The audio channel
+   */
+  dropAudioPart(audio) {
+    const { length } = audio.parts.shift().data;
+    audio.bufferedBytes -= length;
+    this.totalBytes -= length;
+  }
+
+  /**
+   * Keep the buffers of all streams within maxTotalBytes: forget finished
+   * streams (oldest first), then drop the oldest frames and audio of live
+   * ones. Each live stream keeps its newest frame and audio part.
+   */
+  enforceTotalBytes() {
+    if (this.totalBytes <= this.maxTotalBytes) {
+      return;
+    }
+
+    for (const stream of [...this.streams.values()]) {
+      if (this.totalBytes <= this.maxTotalBytes) {
+        return;
+      }
+      if (stream.ended) {
+        this.discard(stream.id);
+      }
+    }
+
+    for (const stream of this.streams.values()) {
+      while (this.totalBytes > this.maxTotalBytes && stream.frames.length > 1) {
+        this.dropFrame(stream);
+      }
+      while (this.totalBytes > this.maxTotalBytes && stream.audio?.parts.length > 1) {
+        this.dropAudioPart(stream.audio);
+      }
+      if (this.totalBytes <= this.maxTotalBytes) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Find a stream whose audio a client may fetch from a byte offset
+   * @param {string} streamId - Stream ID
+   * @param {number} offset - First byte wanted
+   * @param {string} clientId - API client asking (optional)
+   * @returns {{stream: Object}|{reason: string}} - reason is not_found when
+   *   the stream is unknown, has no audio channel or belongs to another
+   *   client, or gone when the bytes from that offset were already dropped
+   */
+  findAudio(streamId, offset, clientId) {
+    const stream = this.streams.get(streamId);
+    if (!stream?.audio || (stream.clientId && stream.clientId !== String(clientId))) {
+      return { reason: 'not_found' };
+    }
+
+    const firstByte = stream.audio.parts[0]?.offset ?? stream.audio.bytes;
+    return offset < firstByte ? { reason: 'gone' } : { stream };
+  }
+
+  /**
+   * Send a stream's audio from a byte offset, then the live tail (or end if
+   * the stream is over)
+   * @param {Object} res - Express response object (audio headers already set)
+   * @param {Object} stream - Stream from findAudio()
+   * @param {number} offset - First byte wanted
+   */
+  attachAudio(res, stream, offset = 0) {
+    const { audio } = stream;
+    for (const part of audio.parts) {
+      if (part.offset + part.data.length > offset) {
+        res.write(part.data.subarray(Math.max(0, offset - part.offset)));
+      }
+    }
+
+    if (audio.ended) {
+      res.end();
+      return;
+    }
+
+    audio.listeners.add(res);
+    clearTimeout(stream.abortTimer);
+    res.on('close', () => {
+      audio.listeners.delete(res);
+      this.scheduleAbort(stream);
+    });
+  }
+
+  /**
+   * End a stream: close every connected response and keep the frames for
+   * late reconnects
+   * @param {Object} res - Express response object the stream was opened on
+   */
+  end(res) {
+    const stream = res.eventStream;
+    if (!stream) {
+      res.end();
+      return;
+    }
+    if (stream.ended) {
+      return;
+    }
+
+    stream.ended = true;
+    clearInterval(stream.heartbeat);
+    clearTimeout(stream.abortTimer);
+    for (const subscriber of stream.subscribers) {
+      subscriber.end();
+    }
+    stream.subscribers.clear();
+
+    if (stream.audio) {
+      stream.audio.ended = true;
+      for (const listener of stream.audio.listeners) {
+        listener.end();
+      }
+      stream.audio.listeners.clear();
+    }
+
+    if (!stream.unbuffered) {
+      stream.timer = setTimeout(() => this.discard(stream.id), this.ttlMs);
+      stream.timer.unref?.();
+    }
+  }
+
+  /**
+   * Stop buffering a live stream and forget it, to make room for a new one.
+   * Its clients keep receiving events, audio and heartbeats, but it can no
+   * longer be resumed and its bytes no longer count towards maxTotalBytes.
+   * @param {Object} stream - The stream
+   */
+  unbuffer(stream) {
+    this.totalBytes -= stream.bytes + (stream.audio?.bufferedBytes || 0);
+    stream.unbuffered = true;
+    stream.frames = [];
+    stream.bytes = 0;
+    if (stream.audio) {
+      stream.audio.parts = [];
+      stream.audio.bufferedBytes = 0;
+    }
+    this.streams.delete(stream.id);
+  }
+
+  /**
+   * Forget a stream
+   * @param {string} streamId - Stream ID
+   */
+  discard(streamId) {
+    const stream = this.streams.get(streamId);
+    if (stream) {
+      clearTimeout(stream.timer);
+      clearTimeout(stream.abortTimer);
+      clearInterval(stream.heartbeat);
+      this.totalBytes -= stream.bytes + (stream.audio?.bufferedBytes || 0);
+      this.streams.delete(streamId);
+    }
+  }
+
+  /**
+   * Parse a Last-Event-ID header
+   * @param {string} value - Header value (`<streamId>:<n>`)
+   * @returns {{streamId: string, seq: number}|null}
+   */
+  parseLastEventId(value) {
+    const match = /^([0-9a-f-]{36}):(\d+)$/i.exec(value?.trim() || '');
+    return match ? { streamId: match[1], seq: parseInt(match[2]) } : null;
+  }
+
+  /**
+   * Find a stream a client may resume from a given event
+   * @param {Object} lastEvent - parseLastEventId() result
+   * @param {string} clientId - API client asking (optional)
+   * @returns {{stream: Object}|{reason: string}} - reason is not_found when
+   *   the stream is unknown, expired or belongs to another client, or gone
+   *   when the frames after that event were already dropped
+   */
+  find({ streamId, seq }, clientId) {
+    const stream = this.streams.get(streamId);
+    if (!stream || (stream.clientId && stream.clientId !== String(clientId))) {
+      return { reason: 'not_found' };
+    }
+
+    const firstSeq = stream.frames[0]?.seq ?? stream.seq + 1;
+    return seq + 1 < firstSeq ? { reason: 'gone' } : { stream };
+  }
+
+  /**
+   * Resume a stream on a new response: send the frames after the last one
+   * the client saw, then the live tail (or end if the stream is over)
+   * @param {Object} res - Express response object (SSE headers already set)
+   * @param {Object} stream - Stream from find()
+   * @param {number} seq - Last event number the client received
+   */
+  resume(res, stream, seq) {
+    const missed = stream.frames.filter((frame) => frame.seq > seq);
+    console.log(`🔁 Resuming stream ${stream.id} after event ${seq} (${missed.length} missed)`);
+
+    for (const { frame } of missed) {
+      res.write(frame);
+    }
+
+    if (stream.ended) {
+      res.end();
+    } else {
+      this.subscribe(stream, res);
+    }
+  }
+}
+
+// Export singleton instance
+export const eventStreamService = new EventStreamService();
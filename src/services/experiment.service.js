@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { ExperimentModel } from '../models/experiment.js';
+import { isProviderSupported, listProviders } from '../providers/index.js';
+
+dotenv.config();
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_VARIANTS = 10;
+const MAX_SYSTEM_PROMPT_LENGTH = 20000;
+
+/**
+ * Check an optional number setting
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean}
+ */
+function isOptionalNumber(value, min, max) {
+  return value === undefined || (typeof value === 'number' && value >= min && value <= max);
+}
+
+/**
+ * Experiment Service - splits users between the variants of the running
+ * experiment and turns a variant into generation options
+ */
+export class ExperimentService {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.EXPERIMENT_CACHE_TTL_MS) || 30000;
+    this.cache = null;
+  }
+
+  /**
+   * Check an experiment or variant name (lowercase letters, digits, - and _)
+   * @param {string} name - Name
+   * @returns {boolean}
+   */
+  isValidName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Check a list of variants
+   * @param {Array<Object>} variants - Variants from a request body: { name,
+   *   weight, provider, model, temperature (number or { min, max }),
+   *   frequencyPenalty, presencePenalty, systemPrompt }
+   * @returns {string|null} - Validation message, or null when valid
+   */
+  validateVariants(variants) {
+    if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+      return `variants must be an array of 2-${MAX_VARIANTS} variants`;
+    }
+
+    const names = new Set();
+    for (const variant of variants) {
+      if (!variant || typeof variant !== 'object' || !this.isValidName(variant.name)) {
+        return 'Each variant needs a name of lowercase letters, digits, - or _';
+      }
+      if (names.has(variant.name)) {
+        return `Variant name ${variant.name} is used twice`;
+      }
+      names.add(variant.name);
+
+      const { weight, provider, model, temperature, frequencyPenalty, presencePenalty, systemPrompt } = variant;
+      if (weight !== undefined && !(typeof weight === 'number' && weight > 0)) {
+        return `Variant ${variant.name}: weight must be a positive number`;
+      }
+      if (provider !== undefined && !isProviderSupported(provider)) {
+        return `Variant ${variant.name}: provider must be one of: ${listProviders().join(', ')}`;
+      }
+      if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+        return `Variant ${variant.name}: model must be a string`;
+      }
+      const temperatureRange = temperature && typeof temperature === 'object'
+        ? isOptionalNumber(temperature.min, 0, 2) && isOptionalNumber(temperature.max, 0, 2) &&
+          typeof temperature.min === 'number' && temperature.min <= temperature.max
+        : isOptionalNumber(temperature, 0, 2);
+      if (!temperatureRange) {
+        return `Variant ${variant.name}: temperature must be 0-2 or { min, max } within 0-2`;
+      }
+      if (!isOptionalNumber(frequencyPenalty, -2, 2) || !isOptionalNumber(presencePenalty, -2, 2)) {
+        return `Variant ${variant.name}: penalties must be numbers from -2 to 2`;
+      }
+      if (systemPrompt !== undefined &&
+        (typeof systemPrompt !== 'string' || !systemPrompt.trim() || systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH)) {
+        return `Variant ${variant.name}: systemPrompt must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Map a unit ID to a stable point in [0, 1)
+   * @param {string} salt - Experiment name and purpose
+   * @param {string} unitId - User or session ID
+   * @returns {number}
+   */
+  hashToUnit(salt, unitId) {
+    const hex = crypto.createHash('sha256').update(`${salt}:${unitId}`).digest('hex');
+    return parseInt(hex.slice(0, 8), 16) / 0x100000000;
+  }
+
+  /**
+   * Pick a variant for a user or session. Enrollment and variant use
+   * separate hashes, so raising trafficPercent keeps everyone already
+   * enrolled on the same variant.
+   * @param {Object} experiment - Experiment
+   * @param {string} unitId - User or session ID
+   * @returns {Object|null} - Variant, or null when the unit is not enrolled
+   */
+  assign(experiment, unitId) {
+    if (this.hashToUnit(`${experiment.name}:traffic`, unitId) >= experiment.trafficPercent / 100) {
+      return null;
+    }
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+    let position = this.hashToUnit(`${experiment.name}:variant`, unitId) * totalWeight;
+    for (const variant of experiment.variants) {
+      position -= variant.weight ?? 1;
+      if (position < 0) {
+        return variant;
+      }
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  /**
+   * Get the running experiment, cached for EXPERIMENT_CACHE_TTL_MS
+   * @returns {Promise<Object|null>} - Experiment or null
+   */
+  async getRunning() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.experiment;
+    }
+
+    const experiment = await ExperimentModel.findRunning();
+    this.cache = { experiment, expiresAt: Date.now() + this.cacheTtlMs };
+    return experiment;
+  }
+
+  /**
+   * Drop the cached running experiment after experiments change
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Assign a request to a variant of the running experiment. Requests are
+   * identified by userId, or sessionId when there is none; anonymous
+   * requests are never enrolled. Lookup failures never fail the request.
+   * @param {Object} request - Request identifiers
+   * @param {string} request.sessionId - Session ID (optional)
+   * @param {string} request.userId - User ID (optional)
+   * @returns {Promise<{experimentId: string, variant: Object}|null>}
+   */
+  async resolve({ sessionId, userId }) {
+    const unitId = userId || sessionId;
+    if (!unitId) {
+      return null;
+    }
+
+    try {
+      const experiment = await this.getRunning();
+      const variant = experiment && this.assign(experiment, unitId);
+      return variant ? { experimentId: experiment.name, variant } : null;
+    } catch (error) {
+      console.error('❌ Experiment assignment failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Generation options for an assignment
+   * @param {Object|null} assignment - Result of resolve()
+   * @param {Object} defaults - Options from the request ({ provider })
+   * @returns {Object} - { provider, model, temperature, frequencyPenalty,
+   *   presencePenalty }, without the settings the variant leaves unset
+   */
+  getGenerationOptions(assignment, defaults = {}) {
+    const variant = assignment?.variant;
+    if (!variant) {
+      return { ...defaults };
+    }
+
+    const options = { ...defaults };
+    if (variant.provider || variant.model) {
+      options.provider = variant.provider;
+      options.model = variant.model;
+    }
+    if (typeof variant.temperature === 'number') {
+      options.temperature = variant.temperature;
+    } else if (variant.temperature) {
+      const { min, max } = variant.temperature;
+      options.temperature = Math.round((min + Math.random() * (max - min)) * 100) / 100;
+    }
+    if (variant.frequencyPenalty !== undefined) options.frequencyPenalty = variant.frequencyPenalty;
+    if (variant.presencePenalty !== undefined) options.presencePenalty = variant.presencePenalty;
+
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * What to store on the conversation for an assignment
+   * @param {Object|null} assignment - Result of resolve()
+   * @returns {{id: string, variant: string}|null}
+   */
+  toMetadata(assignment) {
+    return assignment ? { id: assignment.experimentId, variant: assignment.variant.name } : null;
+  }
+}
+
+// Export singleton instance
+export const experimentService = new ExperimentService();
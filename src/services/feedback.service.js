@@ -0,0 +1,85 @@
+import { ConversationModel } from '../models/conversation.js';
+import { FEEDBACK_REASONS, FLAGGED_REASONS } from '../config/feedback.js';
+import { responseCacheService } from './response-cache.service.js';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Feedback Service - validates reader feedback on answers and keeps the
+ * review queue of flagged answers
+ */
+export class FeedbackService {
+  /**
+   * Check feedback from a request body
+   * @param {Object} body - Request body ({ rating, reason, comment })
+   * @returns {{feedback: Object}|{message: string}} - Normalized feedback
+   *   with its `flagged` state, or a validation message
+   */
+  parse({ rating, reason, comment }) {
+    if (!['up', 'down'].includes(rating)) {
+      return { message: 'rating must be up or down' };
+    }
+    if (reason !== undefined && !FEEDBACK_REASONS.includes(reason)) {
+      return { message: `reason must be one of: ${FEEDBACK_REASONS.join(', ')}` };
+    }
+    if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      return { message: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    return {
+      feedback: {
+        rating,
+        reason: reason || null,
+        comment: comment?.trim() || null,
+        flagged: this.isFlagged(rating, reason)
+      }
+    };
+  }
+
+  /**
+   * Whether feedback puts the answer in the review queue
+   * @param {string} rating - up or down
+   * @param {string} reason - Reason code (optional)
+   * @returns {boolean}
+   */
+  isFlagged(rating, reason) {
+    return rating === 'down' || FLAGGED_REASONS.includes(reason);
+  }
+
+  /**
+   * Attach feedback to a conversation, replacing any earlier feedback
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} feedback - Feedback from parse()
+   * @param {Object} scope - Extra query, e.g. clientScope() (optional)
+   * @returns {Promise<Object|null>} - Updated conversation, or null if not found
+   *   or owned by another client
+   */
+  async submit(conversationId, feedback, scope = {}) {
+    await ConversationModel.ensureIndexesOnce();
+    const conversation = await ConversationModel.setFeedback(conversationId, feedback, scope);
+
+    if (conversation && feedback.flagged) {
+      console.log(`🚩 Answer ${conversationId} flagged (${feedback.reason || feedback.rating})`);
+
+      // Stop serving a flagged answer from the response cache
+      if (conversation.cache?.key) {
+        await responseCacheService.evict(conversation.cache.key);
+      }
+    }
+    return conversation;
+  }
+
+  /**
+   * List flagged answers, most recently flagged first
+   * @param {Object} filters - { reason, scripture, model, from, to, limit, skip }
+   * @param {Object} scope - Extra query, e.g. clientScope() (optional)
+   * @returns {Promise<{conversations: Array, total: number}>}
+   */
+  async getFlagged(filters, scope = {}) {
+    await ConversationModel.ensureIndexesOnce();
+    return ConversationModel.findFlagged(filters, scope);
+  }
+}
+
+// Export singleton instance
+export const feedbackService = new FeedbackService();
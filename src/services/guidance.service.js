@@ -0,0 +1,426 @@
+import dotenv from 'dotenv';
+import { openAIService } from './openai.service.js';
+import { eventStreamService } from './event-stream.service.js';
+import { costService } from './cost.service.js';
+import { SCRIPTURES } from '../config/scriptures.js';
+
+dotenv.config();
+
+/**
+ * Structured guidance answers
+ *
+ * When a client names a scripture, the model is asked for a JSON answer
+ * ({ summary, quotes: [{ scripture, book, chapter, verse, text }],
+ * practicalAdvice }) via the provider's JSON schema mode. Answers are
+ * validated, repaired when the JSON is merely malformed, and regenerated
+ * with the validation errors when they still don't fit the schema.
+ */
+export class GuidanceService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.GUIDANCE_MAX_ATTEMPTS) || 2;
+  }
+
+  /**
+   * Check whether a scripture key is known
+   * @param {string} scripture - Scripture key (BHAGAVAD_GITA, QURAN, ...)
+   * @returns {boolean}
+   */
+  isScriptureSupported(scripture) {
+    return Object.hasOwn(SCRIPTURES, scripture);
+  }
+
+  /**
+   * Scripture names a quote may cite for the requested scripture
+   * @param {string} scripture - Scripture key
+   * @returns {Array<string>}
+   */
+  getAllowedScriptures(scripture) {
+    if (scripture === 'ALL') {
+      return Object.entries(SCRIPTURES)
+        .filter(([key]) => key !== 'ALL')
+        .map(([, name]) => name);
+    }
+    return [SCRIPTURES[scripture]];
+  }
+
+  /**
+   * Build the response format (JSON schema) for a scripture
+   * @param {string} scripture - Scripture key
+   * @returns {{name: string, schema: Object}}
+   */
+  getResponseFormat(scripture) {
+    return {
+      name: 'scripture_guidance',
+      schema: {
+        type: 'object',
+        properties: {
+          summary: {
+            type: 'string',
+            description: 'Short answer to the user\'s situation'
+          },
+          quotes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                scripture: { type: 'string', enum: this.getAllowedScriptures(scripture) },
+                book: { type: 'string', description: 'Book, surah, mandala or section' },
+                chapter: { type: 'string', description: 'Chapter (or ang/page)' },
+                verse: { type: 'string', description: 'Verse number or range' },
+                text: { type: 'string', description: 'Verse text' }
+              },
+              required: ['scripture', 'book', 'chapter', 'verse', 'text'],
+              additionalProperties: false
+            }
+          },
+          practicalAdvice: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        },
+        required: ['summary', 'quotes', 'practicalAdvice'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  /**
+   * Add the structured answer instructions to the system message
+   * @param {Array} messages - Messages array
+   * @param {string} scripture - Scripture key
+   * @returns {Array} - Messages with the instructions applied
+   */
+  applyInstructions(messages, scripture) {
+    const source = scripture === 'ALL'
+      ? `each of: ${this.getAllowedScriptures(scripture).join(', ')}`
+      : `the ${SCRIPTURES[scripture]} only`;
+
+    const instruction =
+      `Answer as JSON. Quote verses from ${source}. For every quote give the ` +
+      'scripture, book, chapter, verse and the verse text, then finish with ' +
+      'practical advice as a list of short, actionable steps.';
+
+    const hasSystem = messages.some((msg) => msg.role === 'system');
+    if (!hasSystem) {
+      return [{ role: 'system', content: instruction }, ...messages];
+    }
+
+    return messages.map((msg) => (msg.role === 'system'
+      ? { ...msg, content: `${msg.content}\n\n${instruction}` }
+      : msg));
+  }
+
+  /**
+   * Parse a model reply, repairing common JSON mistakes (code fences,
+   * surrounding prose, trailing commas, numeric chapter/verse)
+   * @param {string} content - Raw model reply
+   * @returns {Object|null} - Parsed answer, or null if it is not JSON
+   */
+  parse(content) {
+    if (!content) return null;
+
+    const candidates = [content];
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      const sliced = content.slice(start, end + 1);
+      candidates.push(sliced, sliced.replace(/,\s*([}\]])/g, '$1'));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        return this.normalize(JSON.parse(candidate));
+      } catch {
+        // Try the next repair
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Coerce near-miss values into the schema's types
+   * @param {Object} answer - Parsed answer
+   * @returns {Object} - Normalized answer
+   */
+  normalize(answer) {
+    if (!answer || typeof answer !== 'object') return answer;
+
+    const normalized = { ...answer };
+    if (typeof normalized.practicalAdvice === 'string') {
+      normalized.practicalAdvice = [normalized.practicalAdvice];
+    }
+    if (Array.isArray(normalized.quotes)) {
+      normalized.quotes = normalized.quotes.map((quote) => this.normalizeQuote(quote));
+    }
+    return normalized;
+  }
+
+  /**
+   * Coerce a quote's numeric fields to strings
+   * @param {Object} quote - Parsed quote
+   * @returns {Object} - Normalized quote
+   */
+  normalizeQuote(quote) {
+    if (!quote || typeof quote !== 'object') return quote;
+
+    const normalized = { ...quote };
+    for (const field of ['book', 'chapter', 'verse']) {
+      if (typeof normalized[field] === 'number') {
+        normalized[field] = String(normalized[field]);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate an answer against the guidance schema
+   * @param {Object} answer - Parsed answer
+   * @param {string} scripture - Scripture key
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validate(answer, scripture) {
+    if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+      return ['Response is not a JSON object'];
+    }
+
+    const errors = [];
+    const allowed = this.getAllowedScriptures(scripture);
+
+    if (typeof answer.summary !== 'string' || !answer.summary.trim()) {
+      errors.push('summary must be a non-empty string');
+    }
+
+    if (!Array.isArray(answer.quotes) || answer.quotes.length === 0) {
+      errors.push('quotes must be a non-empty array');
+    } else {
+      answer.quotes.forEach((quote, index) => {
+        if (!quote || typeof quote !== 'object') {
+          errors.push(`quotes[${index}] must be an object`);
+          return;
+        }
+        for (const field of ['scripture', 'book', 'chapter', 'verse', 'text']) {
+          if (typeof quote[field] !== 'string') {
+            errors.push(`quotes[${index}].${field} must be a string`);
+          }
+        }
+        if (typeof quote.text === 'string' && !quote.text.trim()) {
+          errors.push(`quotes[${index}].text must not be empty`);
+        }
+        if (typeof quote.scripture === 'string' && !allowed.includes(quote.scripture)) {
+          errors.push(`quotes[${index}].scripture must be one of: ${allowed.join(', ')}`);
+        }
+      });
+    }
+
+    if (!Array.isArray(answer.practicalAdvice) ||
+        answer.practicalAdvice.some((advice) => typeof advice !== 'string')) {
+      errors.push('practicalAdvice must be an array of strings');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse and validate a model reply
+   * @param {string} content - Raw model reply
+   * @param {string} scripture - Scripture key
+   * @returns {{guidance: Object|null, errors: Array<string>}}
+   */
+  check(content, scripture) {
+    const answer = this.parse(content);
+    if (!answer) {
+      return { guidance: null, errors: ['Response is not valid JSON'] };
+    }
+
+    const errors = this.validate(answer, scripture);
+    return { guidance: errors.length === 0 ? answer : null, errors };
+  }
+
+  /**
+   * Extract the quotes that are complete so far from a partial JSON reply,
+   * so streamed answers can surface each quote as soon as it is finished
+   * @param {string} partial - Accumulated (possibly incomplete) JSON
+   * @returns {Array<Object>} - Complete quote objects, in order
+   */
+  extractQuotes(partial) {
+    const match = /"quotes"\s*:\s*\[/.exec(partial);
+    if (!match) return [];
+
+    const quotes = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let objectStart = -1;
+
+    for (let i = match.index + match[0].length; i < partial.length; i++) {
+      const char = partial[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0) objectStart = i;
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) break; // End of the quotes array
+        depth--;
+        if (depth === 0 && objectStart !== -1) {
+          try {
+            quotes.push(this.normalizeQuote(JSON.parse(partial.slice(objectStart, i + 1))));
+          } catch {
+            // Incomplete or malformed quote, left for the final parse
+          }
+          objectStart = -1;
+        }
+      }
+    }
+
+    return quotes;
+  }
+
+  /**
+   * Generate a structured answer, retrying with the validation errors when
+   * the reply doesn't fit the schema
+   * @param {Array} messages - Messages with the instructions applied
+   * @param {Object} options - Generation options
+   * @param {string} options.scripture - Scripture key
+   * @param {string} options.provider - LLM provider (optional)
+   * @returns {Promise<Object>} - { data, metadata, guidance, errors }, where
+   *   guidance is null when every attempt failed validation and
+   *   metadata.usage and metadata.cost cover every attempt
+   */
+  async generate(messages, options) {
+    const { scripture } = options;
+    const responseFormat = this.getResponseFormat(scripture);
+    let attemptMessages = messages;
+    let result;
+    let checked;
+    const usages = [];
+    const costs = [];
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      result = await openAIService.generateChatCompletion(attemptMessages, {
+        ...options,
+        responseFormat
+      });
+      usages.push(result.metadata.usage);
+      costs.push(result.metadata.cost);
+
+      const { content } = result.data.choices[0].message;
+      checked = this.check(content, scripture);
+      if (checked.guidance) {
+        break;
+      }
+
+      console.warn(`⚠️ Structured answer attempt ${attempt} failed validation:`, checked.errors.join('; '));
+
+      attemptMessages = [
+        ...messages,
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `That reply did not match the required JSON schema: ${checked.errors.join('; ')}. ` +
+            'Reply again with only the corrected JSON object.'
+        }
+      ];
+    }
+
+    return {
+      data: result.data,
+      metadata: {
+        ...result.metadata,
+        usage: costService.sumUsage(usages),
+        cost: costService.sumCosts(costs),
+        attempts: usages.length,
+        structured: true,
+        validationErrors: checked.errors
+      },
+      guidance: checked.guidance,
+      errors: checked.errors
+    };
+  }
+
+  /**
+   * Send quotes as `quote` SSE events
+   * @param {Object} res - Express response object
+   * @param {Array<Object>} quotes - Quotes found so far
+   * @param {number} fromIndex - First quote not yet sent
+   * @returns {number} - Number of quotes sent in total
+   */
+  writeQuotes(res, quotes, fromIndex) {
+    quotes.slice(fromIndex).forEach((quote, offset) => {
+      eventStreamService.send(res, 'quote', {
+        index: fromIndex + offset,
+        ...quote,
+        timestamp: new Date().toISOString()
+      });
+    });
+    return Math.max(fromIndex, quotes.length);
+  }
+
+  /**
+   * Hooks for a streamed structured answer: `onDelta` sends each quote as
+   * soon as it is complete, `finalize` validates the full reply (falling
+   * back to a non-streamed retry) and sends the `guidance` event. After a
+   * retry the quotes are re-sent from index 0, and finalize returns the
+   * retry's usage and cost so they are charged with the streamed call.
+   * Pass `{ retry: false }` to finalize when the streamed output was
+   * altered by the output screen (a retry would not be screened) or the
+   * stream was aborted.
+   * @param {Object} res - Express response object
+   * @param {Array} messages - Messages with the instructions applied
+   * @param {Object} options - Generation options (scripture, provider)
+   * @returns {{onDelta: Function, finalize: Function}}
+   */
+  createQuoteStream(res, messages, options) {
+    let sent = 0;
+
+    return {
+      onDelta: (content) => {
+        sent = this.writeQuotes(res, this.extractQuotes(content), sent);
+      },
+
+      finalize: async (result, { retry: allowRetry = true } = {}) => {
+        let { content } = result;
+        let { guidance, errors } = this.check(content, options.scripture);
+        let retry = null;
+
+        if (!guidance && allowRetry) {
+          console.warn('⚠️ Streamed structured answer failed validation:', errors.join('; '));
+          const retried = await this.generate(messages, options);
+          ({ content } = retried.data.choices[0].message);
+          ({ guidance, errors } = retried);
+          retry = { usage: retried.metadata.usage, cost: retried.metadata.cost };
+          sent = 0;
+        }
+
+        if (guidance) {
+          sent = this.writeQuotes(res, guidance.quotes, sent);
+        }
+
+        eventStreamService.send(res, 'guidance', {
+          guidance,
+          valid: Boolean(guidance),
+          errors,
+          timestamp: new Date().toISOString()
+        });
+
+        return { content, guidance, errors, retry };
+      }
+    };
+  }
+}
+
+// Export singleton instance
+export const guidanceService = new GuidanceService();
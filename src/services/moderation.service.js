@@ -0,0 +1,342 @@
+import dotenv from 'dotenv';
+import { getClassifier } from '../moderation/index.js';
+import { HELPLINES } from '../config/helplines.js';
+
+dotenv.config();
+
+// Output is screened a segment at a time; a segment ends at a sentence
+// break, or at a space once this many characters are buffered
+const MAX_SEGMENT_LENGTH = 400;
+
+/**
+ * Split a comma-separated setting into a list
+ * @param {string} value - Setting value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Moderation Service - screens prompts before generation and answers
+ * before they are returned, streamed or spoken, and detects crisis language
+ */
+export class ModerationService {
+  constructor() {
+    this.enabled = process.env.MODERATION_ENABLED !== 'false';
+    this.inputClassifiers = parseList(process.env.MODERATION_CLASSIFIERS || 'keyword');
+    this.outputClassifiers = parseList(process.env.MODERATION_OUTPUT_CLASSIFIERS || 'keyword');
+    this.inputBlock = parseList(process.env.MODERATION_INPUT_BLOCK || 'sexual/minors');
+    this.outputBlock = parseList(process.env.MODERATION_OUTPUT_BLOCK ||
+      'self-harm/instructions,sexual/minors,hate/threatening,violence/graphic');
+    // augment: answer with crisis resources; respond: skip the model entirely
+    this.crisisMode = process.env.CRISIS_MODE === 'respond' ? 'respond' : 'augment';
+    this.defaultLocale = process.env.DEFAULT_LOCALE || 'en-US';
+
+    this.helplines = { ...HELPLINES };
+    try {
+      Object.assign(this.helplines, JSON.parse(process.env.CRISIS_HELPLINES || '{}'));
+    } catch (error) {
+      console.error('❌ Ignoring invalid CRISIS_HELPLINES:', error.message);
+    }
+  }
+
+  /**
+   * Pick the locale for helpline resources
+   * @param {Object} request - Request details
+   * @param {string} request.locale - Locale from the request body (optional)
+   * @param {string} request.acceptLanguage - Accept-Language header (optional)
+   * @returns {string} - Locale such as en-IN
+   */
+  resolveLocale({ locale, acceptLanguage } = {}) {
+    const candidates = [locale, acceptLanguage?.split(',')[0]?.split(';')[0]?.trim()];
+    const match = candidates.find((value) => typeof value === 'string' && /^[a-z]{2,3}(-[a-z]{2})?$/i.test(value));
+    return match || this.defaultLocale;
+  }
+
+  /**
+   * Helplines for a locale's region
+   * @param {string} locale - Locale such as en-IN
+   * @returns {Array<Object>} - { name, phone, text, url }
+   */
+  getHelplines(locale) {
+    const region = locale?.split('-')[1]?.toUpperCase();
+    return this.helplines[region] || this.helplines.default;
+  }
+
+  /**
+   * Format helplines as a list for prompts and canned answers
+   * @param {Array<Object>} helplines - Helplines
+   * @returns {string}
+   */
+  formatHelplines(helplines) {
+    return helplines.map((line) => {
+      const contact = [
+        line.phone && `call ${line.phone}`,
+        line.text && `text ${line.text}`,
+        line.url
+      ].filter(Boolean).join(', ');
+      return `- ${line.name}: ${contact}`;
+    }).join('\n');
+  }
+
+  /**
+   * Run classifiers and merge their categories. A failing classifier is
+   * recorded and skipped, so one outage does not stop screening.
+   * @param {string} text - Text to classify
+   * @param {Array<string>} names - Classifier names
+   * @returns {Promise<{categories: Array<string>, classifiers: Array<Object>}>}
+   */
+  async classify(text, names) {
+    // async so an unknown name rejects like any other failure instead of throwing
+    const settled = await Promise.allSettled(names.map(async (name) => getClassifier(name).classify(text)));
+
+    const classifiers = settled.map((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        const { classifier, flagged, categories } = outcome.value;
+        return { classifier, flagged, categories };
+      }
+      console.error(`❌ Moderation classifier ${names[index]} failed:`, outcome.reason.message);
+      return { classifier: names[index], error: outcome.reason.message };
+    });
+
+    return {
+      categories: [...new Set(classifiers.flatMap((result) => result.categories || []))],
+      classifiers
+    };
+  }
+
+  /**
+   * Whether any category is crisis language
+   * @param {Array<string>} categories - Categories
+   * @returns {boolean}
+   */
+  isCrisis(categories) {
+    return categories.some((category) => category.startsWith('self-harm'));
+  }
+
+  /**
+   * Screen a prompt before generation
+   * @param {string} text - User prompt
+   * @param {Object} options - Screening options
+   * @param {string} options.locale - Locale for helplines
+   * @returns {Promise<Object>} - Decision: { stage, action, crisis, categories,
+   *   classifiers, locale, helplines, createdAt }, where action is allow,
+   *   augment (add crisis resources), respond (answer without the model)
+   *   or block
+   */
+  async screenInput(text, { locale } = {}) {
+    const decision = {
+      stage: 'input',
+      action: 'allow',
+      crisis: false,
+      categories: [],
+      classifiers: [],
+      locale: locale || this.defaultLocale,
+      helplines: null,
+      createdAt: new Date()
+    };
+
+    if (!this.enabled) {
+      return decision;
+    }
+
+    Object.assign(decision, await this.classify(text, this.inputClassifiers));
+    decision.crisis = this.isCrisis(decision.categories);
+
+    if (decision.categories.some((category) => this.inputBlock.includes(category))) {
+      decision.action = 'block';
+    } else if (decision.crisis) {
+      decision.action = this.crisisMode;
+      decision.helplines = this.getHelplines(decision.locale);
+      console.log(`🆘 Crisis language detected (${decision.categories.join(', ')}), action: ${decision.action}`);
+    }
+
+    return decision;
+  }
+
+  /**
+   * Ask the model to answer with care and point to crisis resources
+   * @param {Array} messages - Messages array
+   * @param {Object} decision - Input decision with helplines
+   * @returns {Array} - Messages with the instruction in the system message
+   */
+  applyCrisisInstruction(messages, decision) {
+    const instruction =
+      'Safety note: this person\'s message suggests they may be thinking about harming themselves. ' +
+      'Respond with warmth and without judgement, acknowledge their pain, gently encourage them to ' +
+      'contact one of these services or someone they trust today, and never describe methods of ' +
+      `self-harm:\n${this.formatHelplines(decision.helplines)}`;
+
+    const hasSystem = messages.some((msg) => msg.role === 'system');
+    if (!hasSystem) {
+      return [{ role: 'system', content: instruction }, ...messages];
+    }
+
+    return messages.map((msg) => (msg.role === 'system'
+      ? { ...msg, content: `${msg.content}\n\n${instruction}` }
+      : msg));
+  }
+
+  /**
+   * Answer sent instead of the model's when crisis mode is `respond`
+   * @param {Object} decision - Input decision with helplines
+   * @returns {string}
+   */
+  getCrisisResponse(decision) {
+    return 'It sounds like you are carrying something very heavy right now, and I am glad you reached out. ' +
+      'You do not have to go through this alone. Please contact one of these services now. ' +
+      `They are free, confidential and there to listen:\n${this.formatHelplines(decision.helplines)}\n` +
+      'If you are in immediate danger, call your local emergency number.';
+  }
+
+  /**
+   * Answer sent in place of a blocked model response
+   * @param {string} locale - Locale for helplines
+   * @returns {string}
+   */
+  getBlockedResponse(locale) {
+    return 'I am sorry, I cannot share that response. If you are struggling, please reach out to ' +
+      `someone you trust or one of these services:\n${this.formatHelplines(this.getHelplines(locale))}`;
+  }
+
+  /**
+   * Start an output decision
+   * @param {string} locale - Locale for helplines
+   * @returns {Object} - Decision with action allow
+   */
+  createOutputDecision(locale) {
+    return {
+      stage: 'output',
+      action: 'allow',
+      crisis: false,
+      categories: [],
+      classifiers: [],
+      locale: locale || this.defaultLocale,
+      segments: 0,
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * Screen one piece of output and update the decision
+   * @param {Object} decision - Output decision (mutated)
+   * @param {string} text - Output text
+   * @returns {Promise<boolean>} - Whether the text may be sent
+   */
+  async screenSegment(decision, text) {
+    decision.segments += 1;
+    if (!this.enabled || !text.trim()) {
+      return true;
+    }
+
+    const { categories, classifiers } = await this.classify(text, this.outputClassifiers);
+    decision.categories = [...new Set([...decision.categories, ...categories])];
+    decision.crisis = this.isCrisis(decision.categories);
+    // Keep classifier results for flagged or failed segments only
+    decision.classifiers.push(...classifiers.filter((result) => result.flagged || result.error));
+
+    if (categories.some((category) => this.outputBlock.includes(category))) {
+      decision.action = 'block';
+      console.log(`🛑 Model output blocked (${categories.join(', ')})`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Screen a complete answer
+   * @param {string} text - Model output
+   * @param {Object} options - Screening options
+   * @param {string} options.locale - Locale for helplines
+   * @returns {Promise<{decision: Object, content: string}>} - Output decision
+   *   and the text to send (a safe replacement when blocked)
+   */
+  async screenOutput(text, { locale } = {}) {
+    const decision = this.createOutputDecision(locale);
+    const allowed = await this.screenSegment(decision, text);
+
+    return { decision, content: allowed ? text : this.getBlockedResponse(decision.locale) };
+  }
+
+  /**
+   * Find where the next screenable segment of buffered output ends
+   * @param {string} buffer - Buffered text
+   * @returns {number} - End index, 0 when more text is needed
+   */
+  findSegmentEnd(buffer) {
+    let end = 0;
+    for (const match of buffer.matchAll(/[.!?\n]["')\]]*\s/g)) {
+      end = match.index + match[0].length;
+    }
+    if (end === 0 && buffer.length >= MAX_SEGMENT_LENGTH) {
+      end = buffer.lastIndexOf(' ') + 1;
+    }
+    return end;
+  }
+
+  /**
+   * Screen streamed output before it reaches the client. Deltas are held
+   * back until a sentence is complete, each sentence is screened, and a
+   * blocked sentence ends the stream with a safe replacement.
+   * @param {Object} options - Screening options
+   * @param {string} options.locale - Locale for helplines
+   * @returns {{decision: Object, wrap: Function}} - `wrap(chunks)` returns the
+   *   screened chunk iterator; `decision` is final once it is exhausted
+   */
+  createOutputScreen({ locale } = {}) {
+    const decision = this.createOutputDecision(locale);
+    const service = this;
+
+    async function* wrap(chunks) {
+      let buffer = '';
+
+      for await (const chunk of chunks) {
+        if (chunk.type !== 'delta') {
+          yield chunk;
+          continue;
+        }
+
+        buffer += chunk.content;
+        const end = service.findSegmentEnd(buffer);
+        if (end === 0) {
+          continue;
+        }
+
+        const segment = buffer.slice(0, end);
+        buffer = buffer.slice(end);
+        if (!await service.screenSegment(decision, segment)) {
+          yield { type: 'delta', content: service.getBlockedResponse(decision.locale) };
+          return;
+        }
+        yield { type: 'delta', content: segment };
+      }
+
+      if (buffer) {
+        const allowed = await service.screenSegment(decision, buffer);
+        yield { type: 'delta', content: allowed ? buffer : service.getBlockedResponse(decision.locale) };
+      }
+    }
+
+    return { decision, wrap };
+  }
+
+  /**
+   * Safety details for the client, or null when there is nothing to show
+   * @param {Object} input - Input decision
+   * @param {Object} output - Output decision (optional)
+   * @returns {Object|null} - { action, crisis, categories, locale, helplines, outputBlocked }
+   */
+  toClientSafety(input, output) {
+    const outputBlocked = output?.action === 'block';
+    if (input.action === 'allow' && !outputBlocked) {
+      return null;
+    }
+
+    const { action, crisis, categories, locale, helplines } = input;
+    return { action, crisis, categories, locale, helplines, outputBlocked };
+  }
+}
+
+// Export singleton instance
+export const moderationService = new ModerationService();
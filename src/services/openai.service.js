@@ -1,21 +1,51 @@
+import { PassThrough } from 'stream';
 import dotenv from 'dotenv';
 import { getCustomMetric } from '../config/actuator.js';
+import { completeWithFallback, openStreamWithFallback, resolveUpstreams } from '../providers/fallback.js';
+import { GenerationErrorModel } from '../models/generation-error.js';
+import { costService } from './cost.service.js';
+import { responseCacheService } from './response-cache.service.js';
+import { eventStreamService } from './event-stream.service.js';
+import { SpeechQueue } from './speech-queue.js';
+import { textToSpeechService } from './text-to-speech.service.js';
+import { speechNormalizerService } from './speech-normalizer.service.js';
 
 dotenv.config();
 
 /**
  * OpenAI API Service
+ * Generation goes through a pluggable LLM provider (see src/providers),
+ * selected per request via options.provider or globally via LLM_PROVIDER,
+ * with LLM_FALLBACK_CHAIN listing the upstreams to try when it fails.
  */
 export class OpenAIService {
   constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.model = 'gpt-4.1-nano';
     this.maxTokens = parseInt(process.env.OPENAI_TOKEN) || 1000;
     this.baseTemperature = parseFloat(process.env.OPENAI_TEMPERATURE) || 0.8;
+    this.ttsConcurrency = parseInt(process.env.TTS_CONCURRENCY) || 3;
+  }
 
-    if (!this.apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is required');
-    }
+  /**
+   * Wrap a normalized provider completion in the Chat Completions shape
+   * that API clients already consume
+   * @param {Object} completion - Normalized completion from a provider
+   * @returns {Object} - chat.completion object
+   */
+  toChatCompletion(completion) {
+    return {
+      id: completion.id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: completion.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: completion.content },
+          finish_reason: completion.finishReason
+        }
+      ],
+      usage: completion.usage
+    };
   }
 
   /**
@@ -128,6 +158,24 @@ export class OpenAIService {
     ));
   }
 
+  /**
+   * Sampling parameters shared by JSON, streaming and voice requests
+   * @param {Object} options - Request options
+   * @returns {Object} - { temperature, maxTokens, topP, frequencyPenalty,
+   *   presencePenalty, stop, responseFormat }
+   */
+  buildRequestOptions(options = {}) {
+    return {
+      temperature: options.temperature ?? this.generateRandomizedTemperature(),
+      maxTokens: options.maxTokens || this.maxTokens,
+      topP: options.topP || 0.85,
+      frequencyPenalty: options.frequencyPenalty ?? 0.4,
+      presencePenalty: options.presencePenalty ?? 0.2,
+      stop: options.stop || null,
+      responseFormat: options.responseFormat || null
+    };
+  }
+
   /**
    * Add diversity instruction to prevent repetitive quotes
    * @param {Array} messages - Original messages array
@@ -151,56 +199,57 @@ export class OpenAIService {
   }
 
   /**
-   * Make API call to OpenAI with retry logic
-   * @param {Object} requestData - Request data
-   * @param {number} retries - Number of retries
-   * @returns {Promise<Object>} - OpenAI API response
+   * Make API call through the fallback chain (retries, circuit breakers and
+   * fallback upstreams are handled in src/providers/fallback.js)
+   * @param {Array<Object>} upstreams - Upstreams to try, in order
+   * @param {Object} requestData - Internal request data
+   * @returns {Promise<{upstream: Object, data: Object, cost: Object|null}>} -
+   *   Upstream used, chat completion response and its cost
    */
-  async makeAPICall(requestData, retries = 3) {
+  async makeAPICall(upstreams, requestData) {
     const startTime = Date.now();
+    const { upstream, completion } = await completeWithFallback(upstreams, requestData);
+    const data = this.toChatCompletion(completion);
 
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          body: JSON.stringify(requestData)
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-        }
+    // Record metrics
+    const cost = this.recordMetrics(startTime, upstream, data);
 
-        const data = await response.json();
-
-        // Record metrics
-        this.recordMetrics(startTime, data);
-
-        return data;
-      } catch (error) {
-        console.error(`❌ OpenAI API attempt ${attempt} failed:`, error.message);
-
-        if (attempt === retries) {
-          throw error;
-        }
+    return { upstream, data, cost };
+  }
 
-        // Exponential backoff
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-        await new Promise((resolve) => setTimeout(resolve, delay));
+  /**
+   * Price a completed call, add it to the spend ledger and the
+   * epic_cost_usd_total counter
+   * @param {Object} upstream - Upstream that answered
+   * @param {Object} usage - Token usage
+   * @returns {Object|null} - Cost ({ inputUsd, outputUsd, totalUsd }), or
+   *   null when the model has no price
+   */
+  recordCost(upstream, usage) {
+    const cost = costService.computeCost({ provider: upstream.provider.name, model: upstream.model, usage });
+    if (!cost) {
+      if (usage?.prompt_tokens !== undefined) {
+        console.warn(`⚠️ No price for ${upstream.model}, cost not recorded`);
       }
+      return null;
+    }
+
+    costService.record(cost);
+    const costCounter = getCustomMetric('epic_cost_usd_total');
+    if (costCounter && cost.totalUsd > 0) {
+      costCounter.inc(cost.totalUsd);
     }
+    return cost;
   }
 
   /**
    * Record metrics for monitoring
    * @param {number} startTime - Start time of the request
-   * @param {Object} _data - Response data
+   * @param {Object} upstream - Upstream that answered
+   * @param {Object} data - Response data
+   * @returns {Object|null} - Cost of the call
    */
-  recordMetrics(startTime, _data) {
+  recordMetrics(startTime, upstream, data) {
     try {
       const responseTime = (Date.now() - startTime) / 1000;
 
@@ -217,11 +266,133 @@ export class OpenAIService {
         conversationsCounter.inc();
         console.log('✅ Incremented epic_conversations_total');
       }
+
+      return this.recordCost(upstream, data.usage);
     } catch (error) {
       console.error('❌ Error recording metrics:', error.message);
+      return null;
     }
   }
 
+  /**
+   * Open a cached answer as if it were an upstream stream
+   * @param {Object} entry - Response cache entry
+   * @returns {{upstream: Object, chunks: AsyncIterable<Object>}}
+   */
+  openReplay(entry) {
+    return {
+      upstream: {
+        name: 'cache',
+        provider: { name: entry.provider, label: 'Response cache' },
+        model: entry.model
+      },
+      chunks: responseCacheService.replayChunks(entry)
+    };
+  }
+
+  /**
+   * Pass stream chunks through until the signal aborts. The abort error the
+   * upstream read throws is swallowed so the caller can finish with what
+   * it has received.
+   * @param {AsyncIterable<Object>} chunks - Stream chunks
+   * @param {AbortSignal} signal - Client disconnect signal (optional)
+   * @yields {Object} - The same chunks
+   */
+  async *stopOnAbort(chunks, signal) {
+    try {
+      for await (const chunk of chunks) {
+        if (signal?.aborted) {
+          return;
+        }
+        yield chunk;
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Observe the voice pipeline's stage latencies in the
+   * epic_voice_first_token_seconds, epic_voice_first_tts_byte_seconds and
+   * epic_voice_first_audio_seconds histograms
+   * @param {Object} stages - { firstTokenMs, firstTtsByteMs, firstAudioMs }
+   */
+  recordVoiceStages({ firstTokenMs, firstTtsByteMs, firstAudioMs }) {
+    const observations = [
+      ['epic_voice_first_token_seconds', firstTokenMs],
+      ['epic_voice_first_tts_byte_seconds', firstTtsByteMs],
+      ['epic_voice_first_audio_seconds', firstAudioMs]
+    ];
+
+    for (const [name, ms] of observations) {
+      const histogram = getCustomMetric(name);
+      if (histogram && ms !== null) {
+        histogram.observe(ms / 1000);
+      }
+    }
+  }
+
+  /**
+   * Count a stream whose client went away in epic_streams_aborted_total
+   * @param {string} channel - stream or voice
+   */
+  recordAborted(channel) {
+    const counter = getCustomMetric('epic_streams_aborted_total');
+    if (counter) {
+      counter.inc();
+    }
+    console.log(`🔌 ${channel} generation aborted after the client disconnected`);
+  }
+
+  /**
+   * Count a response cache lookup in epic_cache_hits_total or
+   * epic_cache_misses_total
+   * @param {Object} lookup - responseCacheService.lookup() result
+   */
+  recordCacheLookup(lookup) {
+    if (lookup.status === 'bypass') {
+      return;
+    }
+
+    const counter = getCustomMetric(lookup.status === 'hit' ? 'epic_cache_hits_total' : 'epic_cache_misses_total');
+    if (counter) {
+      counter.inc();
+    }
+    console.log(lookup.status === 'hit' ? `♻️ Response cache hit (${lookup.match})` : '🔍 Response cache miss');
+  }
+
+  /**
+   * Store a failed generation for the error counts in /api/stats/timeseries.
+   * Never throws; storage failures are only logged.
+   * @param {string} channel - json, stream or voice
+   * @param {Array} messages - Messages that were sent
+   * @param {Object} options - Generation options (provider, model, scripture)
+   * @param {Error} error - The failure
+   */
+  recordGenerationError(channel, messages, options, error) {
+    let provider = options.provider || null;
+    let model = options.model || null;
+    try {
+      const [upstream] = resolveUpstreams(options);
+      provider = upstream.provider.name;
+      ({ model } = upstream);
+    } catch (resolveError) {
+      // Unknown provider: keep what the request asked for
+    }
+
+    GenerationErrorModel.create({
+      channel,
+      optionChosen: options.scripture || this.extractSelectedText(
+        messages.find((msg) => msg.role === 'user')?.content || ''
+      ),
+      provider,
+      model,
+      message: error.message
+    }).catch(() => {});
+  }
+
   /**
    * Generate chat completion
    * @param {Array} messages - Array of message objects
@@ -229,44 +400,52 @@ export class OpenAIService {
    * @returns {Promise<Object>} - Generated response
    */
   async generateChatCompletion(messages, options = {}) {
+    // Over a budget cap, switch to the fallback model
+    options = await costService.applyBudget(options);
+
     try {
       // Extract user message for analysis
       const userMessage = messages.find((msg) => msg.role === 'user')?.content || '';
-      const selectedText = this.extractSelectedText(userMessage);
+      const selectedText = options.scripture || this.extractSelectedText(userMessage);
+
+      const upstreams = resolveUpstreams(options);
 
-      // Prepare request data with options override
+      // Prepare request data with options override (model is set per upstream)
       const requestData = {
-        model: options.model || this.model,
         messages: options.skipDiversityInstruction ? messages : this.addDiversityInstruction(messages),
-        temperature: options.temperature || this.generateRandomizedTemperature(),
-        max_tokens: options.maxTokens || this.maxTokens,
-        top_p: options.topP || 0.85,
-        frequency_penalty: options.frequencyPenalty || 0.4,
-        presence_penalty: options.presencePenalty || 0.2,
-        stop: options.stop || null
+        ...this.buildRequestOptions(options)
       };
 
-      console.log('🚀 Making OpenAI API request...');
-      const data = await this.makeAPICall(requestData);
+      console.log(`🚀 Making LLM API request (${upstreams[0].name})...`);
+      const startTime = Date.now();
+      const { upstream, data, cost } = await this.makeAPICall(upstreams, requestData);
+      const latencyMs = Date.now() - startTime;
 
-      if (!data.choices || data.choices.length === 0) {
-        throw new Error('No response generated from OpenAI API');
+      if (!data.choices[0].message.content) {
+        throw new Error(`No response generated from ${upstream.provider.label} API`);
       }
 
       return {
         data,
         metadata: {
           selectedText,
-          model: requestData.model,
+          provider: upstream.provider.name,
+          model: upstream.model,
           temperature: requestData.temperature,
-          maxTokens: requestData.max_tokens,
+          frequencyPenalty: requestData.frequencyPenalty,
+          presencePenalty: requestData.presencePenalty,
+          maxTokens: requestData.maxTokens,
           usage: data.usage || {},
+          cost,
+          budgetDowngraded: Boolean(options.budgetDowngraded),
           requestId: data.id,
-          customOptions: options
+          latencyMs,
+          customOptions: { ...options, responseFormat: options.responseFormat?.name }
         }
       };
     } catch (error) {
       console.error('❌ Error generating chat completion:', error.message);
+      this.recordGenerationError('json', messages, options, error);
 
       // Record error metric
       const errorsCounter = getCustomMetric('epic_errors_total');
@@ -283,11 +462,25 @@ export class OpenAIService {
    * @param {Array} messages - Array of messages
    * @param {Object} res - Express response object
    * @param {Object} options - Optional parameters for customization
-   * @returns {Promise<void>} - Streams response to client
+   * @param {Function} options.onDelta - Called with the accumulated content
+   *   after each chunk event
+   * @param {Function} options.transformChunks - Wraps the provider's chunk
+   *   iterator before anything is sent (e.g. output moderation)
+   * @param {Object} options.replay - Cached answer to stream instead of calling
+   *   the LLM (see response-cache.service.js)
+   * @param {AbortSignal} options.signal - Aborts the upstream LLM (and TTS)
+   *   requests once the client is gone; the result is then flagged `aborted`
+   * @param {Function} options.onComplete - Awaited with the accumulated result
+   *   before the `done` event; its return value is merged into that event
+   * @returns {Promise<Object|undefined>} - Accumulated content and usage, or
+   *   undefined when the stream failed
    */
   async generateStreamingChatCompletion(messages, res, options = {}) {
+    // Over a budget cap, switch to the fallback model
+    options = await costService.applyBudget(options);
+
     try {
-      const selectedText = this.extractSelectedText(
+      const selectedText = options.scripture || this.extractSelectedText(
         messages.find((msg) => msg.role === 'user')?.content || ''
       );
 
@@ -302,107 +495,98 @@ export class OpenAIService {
 
       // Prepare request data for streaming
       const requestData = {
-        model: options.model || this.model,
         messages: diversifiedMessages,
-        max_tokens: options.maxTokens || this.maxTokens,
-        temperature: options.temperature || this.generateRandomizedTemperature(),
-        stream: true, // Enable streaming
-        stream_options: {
-          include_usage: true
-        }
+        ...this.buildRequestOptions(options),
+        signal: options.signal
       };
 
-      console.log('🚀 Starting streaming request to OpenAI API...');
-
-      // Make streaming API call
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestData)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-      }
+      console.log('🚀 Starting streaming LLM request...');
+      const startTime = Date.now();
+
+      // Open the stream, falling back to the next upstream until one responds
+      const opened = options.replay
+        ? this.openReplay(options.replay)
+        : await openStreamWithFallback(resolveUpstreams(options), requestData);
+      const { upstream } = opened;
+      const chunks = this.stopOnAbort(
+        options.transformChunks ? options.transformChunks(opened.chunks) : opened.chunks,
+        options.signal
+      );
 
       console.log('✅ Streaming response received, processing chunks...');
 
       // Send initial metadata
-      res.write('event: start\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'start', {
         selectedText,
-        model: requestData.model,
+        provider: upstream.provider.name,
+        model: upstream.model,
         temperature: requestData.temperature,
-        maxTokens: requestData.max_tokens
-      })}\n\n`);
+        maxTokens: requestData.maxTokens
+      });
 
-      // Process streaming response
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
       let totalTokens = 0;
+      let content = '';
+      let usage = {};
+      let requestId = null;
+      let chunkCount = 0;
+      let firstTokenMs = null;
+
+      for await (const chunk of chunks) {
+        if (chunk.type === 'start') {
+          requestId = chunk.id;
+        } else if (chunk.type === 'delta') {
+          content += chunk.content;
+          chunkCount++;
+          firstTokenMs ??= Date.now() - startTime;
+
+          // Send content chunk
+          eventStreamService.send(res, 'chunk', {
+            content: chunk.content,
+            timestamp: new Date().toISOString()
+          });
+
+          options.onDelta?.(content);
+        } else if (chunk.type === 'usage') {
+          ({ usage } = chunk);
+          totalTokens = usage.total_tokens;
+        }
+      }
+
+      const result = {
+        content,
+        usage,
+        requestId,
+        selectedText,
+        provider: upstream.provider.name,
+        model: upstream.model,
+        temperature: requestData.temperature,
+        frequencyPenalty: requestData.frequencyPenalty,
+        presencePenalty: requestData.presencePenalty,
+        maxTokens: requestData.maxTokens,
+        cost: this.recordCost(upstream, usage),
+        budgetDowngraded: Boolean(options.budgetDowngraded),
+        aborted: Boolean(options.signal?.aborted),
+        chunkCount,
+        latencyMs: Date.now() - startTime,
+        firstTokenMs
+      };
 
-      try {
-        // eslint-disable-next-line no-constant-condition
-        while (true) {
-          const { done, value } = await reader.read();
+      // Let the caller persist the result before the response is closed
+      const extra = options.onComplete ? await options.onComplete(result) : null;
 
-          if (done) {
-            break;
-          }
+      // Send completion event
+      eventStreamService.send(res, 'done', {
+        totalTokens,
+        cost: result.cost,
+        selectedText,
+        ...extra,
+        timestamp: new Date().toISOString()
+      });
+      eventStreamService.end(res);
 
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-
-              if (data === '[DONE]') {
-                // Send completion event
-                res.write('event: done\n');
-                res.write(`data: ${JSON.stringify({
-                  totalTokens,
-                  selectedText,
-                  timestamp: new Date().toISOString()
-                })}\n\n`);
-                res.end();
-                return;
-              }
-
-              try {
-                const parsed = JSON.parse(data);
-
-                if (parsed.choices && parsed.choices[0]) {
-                  const { delta } = parsed.choices[0];
-
-                  if (delta.content) {
-                    // Send content chunk
-                    res.write('event: chunk\n');
-                    res.write(`data: ${JSON.stringify({
-                      content: delta.content,
-                      timestamp: new Date().toISOString()
-                    })}\n\n`);
-                  }
-
-                  // Track usage if available
-                  if (parsed.usage) {
-                    totalTokens = parsed.usage.total_tokens;
-                  }
-                }
-              } catch (parseError) {
-                console.warn('⚠️ Failed to parse streaming chunk:', parseError.message);
-              }
-            }
-          }
-        }
-      } finally {
-        reader.releaseLock();
+      if (result.aborted) {
+        this.recordAborted('stream');
+        return result;
       }
 
       // Record success metric
@@ -411,8 +595,18 @@ export class OpenAIService {
         successCounter.inc();
       }
 
+      return result;
+
     } catch (error) {
+      // The client left before the upstream answered
+      if (options.signal?.aborted) {
+        this.recordAborted('stream');
+        eventStreamService.end(res);
+        return;
+      }
+
       console.error('❌ Error in streaming chat completion:', error.message);
+      this.recordGenerationError('stream', messages, options, error);
 
       // Record error metric
       const errorsCounter = getCustomMetric('epic_errors_total');
@@ -421,38 +615,51 @@ export class OpenAIService {
       }
 
       // Send error event
-      res.write('event: error\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'error', {
         error: 'Stream processing failed',
         message: error.message,
         timestamp: new Date().toISOString()
-      })}\n\n`);
+      });
 
-      res.end();
+      eventStreamService.end(res);
     }
   }
 
   /**
-   * Generate streaming voice completion (OpenAI + Deepgram TTS)
+   * Generate streaming voice completion (LLM + pluggable TTS provider)
    * @param {Array} messages - Array of messages
    * @param {Object} res - Express response object
    * @param {Object} voiceSettings - Voice configuration options
-   * @returns {Promise<void>} - Streams voice response to client
+   * @param {Object} options - Optional parameters for customization
+   * @param {Object} options.voice - TTS provider and settings already resolved
+   *   from voiceSettings (see textToSpeechService.resolveVoice)
+   * @param {Function} options.transformChunks - Wraps the provider's chunk
+   *   iterator before anything is sent or spoken (e.g. output moderation)
+   * @param {Object} options.replay - Cached answer to stream instead of calling
+   *   the LLM (see response-cache.service.js)
+   * @param {AbortSignal} options.signal - Aborts the upstream LLM (and TTS)
+   *   requests once the client is gone; the result is then flagged `aborted`
+   * @param {Function} options.onComplete - Awaited with the accumulated result
+   *   before the `done` event; its return value is merged into that event
+   * @returns {Promise<Object|undefined>} - Accumulated content, usage and audio
+   *   timings, or undefined when the stream failed
    */
-  async generateStreamingVoiceCompletion(messages, res, voiceSettings = {}) {
+  async generateStreamingVoiceCompletion(messages, res, voiceSettings = {}, options = {}) {
+    // Over a budget cap, switch to the fallback model
+    options = await costService.applyBudget(options);
+
     try {
-      const selectedText = this.extractSelectedText(
+      const selectedText = options.scripture || this.extractSelectedText(
         messages.find((msg) => msg.role === 'user')?.content || ''
       );
 
       // Voice configuration with enhanced chunking
+      const voice = options.voice ?? textToSpeechService.resolveVoice(voiceSettings);
+      const { audioFormat, sampleRate, speed } = voice.settings;
       const {
-        model = 'aura-2-draco-en',
         chunkSize = 30, // Reduced for lower latency
         minChunkSize = 15, // Minimum words before forcing chunk
         maxChunkSize = 60, // Maximum to prevent memory issues
-        audioFormat = 'mp3', // Default format
-        sampleRate = 24000, // Higher quality
         naturalBreaks = true // Enable natural speech breaks
       } = voiceSettings;
 
@@ -467,25 +674,33 @@ export class OpenAIService {
 
       // Prepare request data for streaming
       const requestData = {
-        model: this.model,
         messages: diversifiedMessages,
-        max_tokens: this.maxTokens,
-        temperature: this.generateRandomizedTemperature(),
-        stream: true,
-        stream_options: {
-          include_usage: true
-        }
+        ...this.buildRequestOptions(options),
+        signal: options.signal
       };
 
       console.log('🎤 Starting streaming voice request...');
+      const startTime = Date.now();
+
+      // Open the stream, falling back to the next upstream until one responds
+      const opened = options.replay
+        ? this.openReplay(options.replay)
+        : await openStreamWithFallback(resolveUpstreams(options), requestData);
+      const { upstream } = opened;
+      const chunks = this.stopOnAbort(
+        options.transformChunks ? options.transformChunks(opened.chunks) : opened.chunks,
+        options.signal
+      );
 
       // Send initial metadata with enhanced voice configuration
-      res.write('event: start\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'start', {
         selectedText,
-        model: requestData.model,
-        voiceModel: model,
+        provider: upstream.provider.name,
+        model: upstream.model,
+        voiceProvider: voice.provider.name,
+        voiceModel: voice.settings.voice,
         voiceSettings: {
+          speed,
           chunkSize,
           minChunkSize,
           maxChunkSize,
@@ -493,220 +708,220 @@ export class OpenAIService {
           sampleRate,
           naturalBreaks
         },
+        ...eventStreamService.describeAudio(res),
         timestamp: new Date().toISOString()
-      })}\n\n`);
-
-      // Make streaming API call to OpenAI
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestData)
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-      }
-
       // Process streaming response and convert to voice
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
       let textBuffer = '';
       let totalTokens = 0;
+      let content = '';
+      let usage = {};
+      let requestId = null;
       let chunkIndex = 0;
       const streamStartTime = Date.now();
       let firstChunkTime = null;
+      let firstTokenTime = null;
+      let firstTtsByteTime = null;
+      let firstAudioTime = null;
       const audioChunkTimes = [];
 
-      try {
-        // eslint-disable-next-line no-constant-condition
-        while (true) {
-          const { done, value } = await reader.read();
-
-          if (done) {
-            // Process any remaining text in buffer
-            if (textBuffer.trim()) {
-              if (!firstChunkTime) {
-                firstChunkTime = Date.now();
-              }
-
-              const finalChunkStartTime = Date.now();
-              const finalText = textBuffer.trim();
-              const cleanedFinalText = this.cleanTextForSpeech(finalText);
-
-              // Only process TTS if cleaned text has meaningful content
-              if (cleanedFinalText.trim().length > 3) {
-                await this.convertTextToSpeech(
-                  cleanedFinalText,  // Send cleaned text to TTS
-                  finalText,         // Send original text to client
-                  res,
-                  chunkIndex,
-                  model,
-                  {
-                    audioFormat,
-                    sampleRate,
-                    estimatedDuration: this.estimateAudioDuration(cleanedFinalText),
-                    streamingLatency: finalChunkStartTime - streamStartTime
-                  }
-                );
-              } else {
-                console.log(`⏭️ Skipping final TTS chunk (cleaned text too short): "${cleanedFinalText}"`);
-              }
-
-              // Record final chunk timing
-              audioChunkTimes.push({
-                chunkIndex,
-                startTime: finalChunkStartTime,
-                processingTime: Date.now() - finalChunkStartTime,
-                wordCount: finalText.split(' ').length
-              });
-
-              chunkIndex++;
+      // Chunks are synthesized in parallel while tokens keep streaming in,
+      // and sent to the client in chunk order
+      const speech = new SpeechQueue({
+        concurrency: this.ttsConcurrency,
+        synthesize: (job) => this.synthesizeSpeech(job, voice, { signal: options.signal }),
+        deliver: async (job) => {
+          const sentAt = await this.deliverSpeech(res, job);
+          await job.synthesis;
+
+          firstAudioTime ??= sentAt;
+          if (job.firstByteAt) {
+            firstTtsByteTime = Math.min(firstTtsByteTime ?? Infinity, job.firstByteAt);
+          }
+
+          // Record chunk processing time
+          audioChunkTimes.push({
+            chunkIndex: job.input.chunkIndex,
+            startTime: job.input.queuedAt,
+            processingTime: Date.now() - job.input.queuedAt,
+            synthesisTime: job.firstByteAt ? job.firstByteAt - job.startedAt : null,
+            wordCount: job.input.originalText.split(' ').length
+          });
+        }
+      });
+
+      /**
+       * Queue one chunk of text for speech
+       * @param {string} chunkText - Original chunk text (with markdown)
+       */
+      const processVoiceChunk = (chunkText) => {
+        // Nobody is left to hear it
+        if (options.signal?.aborted) {
+          return;
+        }
+
+        // Record timing for first chunk
+        if (!firstChunkTime) {
+          firstChunkTime = Date.now();
+        }
+
+        const chunkStartTime = Date.now();
+
+        // Clean text for TTS while preserving original for client
+        const cleanedTextForTTS = this.cleanTextForSpeech(chunkText);
+
+        // Skip TTS if cleaned text is empty or too short
+        if (cleanedTextForTTS.trim().length > 3) {
+          speech.push({
+            cleanedText: cleanedTextForTTS,  // Send cleaned text to TTS
+            originalText: chunkText,         // Send original text to client
+            chunkIndex,
+            audioFormat,
+            sampleRate,
+            mimeType: voice.settings.mimeType,
+            estimatedDuration: this.estimateAudioDuration(cleanedTextForTTS),
+            streamingLatency: chunkStartTime - streamStartTime,
+            queuedAt: chunkStartTime,
+            signal: options.signal
+          });
+        } else {
+          console.log(`⏭️ Skipping TTS for chunk ${chunkIndex} (cleaned text too short): "${cleanedTextForTTS}"`);
+          audioChunkTimes.push({
+            chunkIndex,
+            startTime: chunkStartTime,
+            processingTime: 0,
+            synthesisTime: null,
+            wordCount: chunkText.split(' ').length
+          });
+        }
+
+        chunkIndex++;
+      };
+
+      for await (const chunk of chunks) {
+        if (chunk.type === 'start') {
+          requestId = chunk.id;
+        } else if (chunk.type === 'usage') {
+          ({ usage } = chunk);
+          totalTokens = usage.total_tokens;
+        } else if (chunk.type === 'delta') {
+          content += chunk.content;
+          textBuffer += chunk.content;
+          firstTokenTime ??= Date.now();
+
+          // Send text chunk for real-time display
+          eventStreamService.send(res, 'text', {
+            content: chunk.content,
+            timestamp: new Date().toISOString()
+          });
+
+          // Check if we have enough text for audio conversion
+          const words = textBuffer.split(' ');
+          let shouldCreateChunk = false;
+          let chunkText = '';
+
+          if (naturalBreaks && words.length >= minChunkSize) {
+            // Look for natural break points (sentence endings, commas, etc.)
+            const breakIndex = this.findNaturalBreakPoint(textBuffer, chunkSize);
+            if (breakIndex > 0) {
+              chunkText = textBuffer.substring(0, breakIndex).trim();
+              textBuffer = textBuffer.substring(breakIndex).trim();
+              shouldCreateChunk = true;
             }
-            break;
           }
 
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-
-              if (data === '[DONE]') {
-                const streamEndTime = Date.now();
-                const totalStreamingTime = streamEndTime - streamStartTime;
-                const avgChunkProcessingTime = audioChunkTimes.length > 0
-                  ? audioChunkTimes.reduce((sum, chunk) => sum + chunk.processingTime, 0) / audioChunkTimes.length
-                  : 0;
-
-                // Send completion event with comprehensive timing data
-                res.write('event: done\n');
-                res.write(`data: ${JSON.stringify({
-                  totalTokens,
-                  totalChunks: chunkIndex,
-                  selectedText,
-                  timing: {
-                    totalStreamingTime,
-                    timeToFirstChunk: firstChunkTime ? firstChunkTime - streamStartTime : null,
-                    averageChunkProcessingTime: Math.round(avgChunkProcessingTime),
-                    totalAudioDuration: audioChunkTimes.reduce((sum, chunk) =>
-                      sum + this.estimateAudioDuration(chunk.wordCount * 5), 0), // Rough estimate
-                    chunkTimings: audioChunkTimes
-                  },
-                  performance: {
-                    wordsPerSecond: totalTokens > 0 ? Math.round((totalTokens * 0.75) / (totalStreamingTime / 1000)) : 0,
-                    chunksPerSecond: chunkIndex > 0 ? Math.round(chunkIndex / (totalStreamingTime / 1000)) : 0
-                  },
-                  timestamp: new Date().toISOString()
-                })}\n\n`);
-                res.end();
-                return;
-              }
-
-              try {
-                const parsed = JSON.parse(data);
-
-                if (parsed.choices && parsed.choices[0]) {
-                  const { delta } = parsed.choices[0];
-
-                  if (delta.content) {
-                    textBuffer += delta.content;
-
-                    // Send text chunk for real-time display
-                    res.write('event: text\n');
-                    res.write(`data: ${JSON.stringify({
-                      content: delta.content,
-                      timestamp: new Date().toISOString()
-                    })}\n\n`);
-
-                    // Check if we have enough text for audio conversion
-                    const words = textBuffer.split(' ');
-                    let shouldCreateChunk = false;
-                    let chunkText = '';
-
-                    if (naturalBreaks && words.length >= minChunkSize) {
-                      // Look for natural break points (sentence endings, commas, etc.)
-                      const breakIndex = this.findNaturalBreakPoint(textBuffer, chunkSize);
-                      if (breakIndex > 0) {
-                        chunkText = textBuffer.substring(0, breakIndex).trim();
-                        textBuffer = textBuffer.substring(breakIndex).trim();
-                        shouldCreateChunk = true;
-                      }
-                    }
-
-                    // Fallback to word-count based chunking
-                    if (!shouldCreateChunk) {
-                      if (words.length >= chunkSize ||
-                          (words.length >= maxChunkSize)) {
-                        const actualChunkSize = Math.min(words.length, chunkSize);
-                        chunkText = words.slice(0, actualChunkSize).join(' ');
-                        textBuffer = words.slice(actualChunkSize).join(' ');
-                        shouldCreateChunk = true;
-                      }
-                    }
-
-                    if (shouldCreateChunk && chunkText) {
-                      // Record timing for first chunk
-                      if (!firstChunkTime) {
-                        firstChunkTime = Date.now();
-                      }
-
-                      const chunkStartTime = Date.now();
-
-                      // Clean text for TTS while preserving original for client
-                      const cleanedTextForTTS = this.cleanTextForSpeech(chunkText);
-                      
-                      // Skip TTS if cleaned text is empty or too short
-                      if (cleanedTextForTTS.trim().length > 3) {
-                        // Convert to speech asynchronously with enhanced metadata
-                        await this.convertTextToSpeech(
-                          cleanedTextForTTS,  // Send cleaned text to TTS
-                          chunkText,          // Send original text to client
-                          res,
-                          chunkIndex,
-                          model,
-                          {
-                            audioFormat,
-                            sampleRate,
-                            estimatedDuration: this.estimateAudioDuration(cleanedTextForTTS),
-                            streamingLatency: chunkStartTime - streamStartTime
-                          }
-                        );
-                      } else {
-                        console.log(`⏭️ Skipping TTS for chunk ${chunkIndex} (cleaned text too short): "${cleanedTextForTTS}"`);
-                      }
-
-                      // Record chunk processing time
-                      audioChunkTimes.push({
-                        chunkIndex,
-                        startTime: chunkStartTime,
-                        processingTime: Date.now() - chunkStartTime,
-                        wordCount: chunkText.split(' ').length
-                      });
-
-                      chunkIndex++;
-                    }
-                  }
-
-                  // Track usage if available
-                  if (parsed.usage) {
-                    totalTokens = parsed.usage.total_tokens;
-                  }
-                }
-              } catch (parseError) {
-                console.warn('⚠️ Failed to parse streaming chunk:', parseError.message);
-              }
+          // Fallback to word-count based chunking
+          if (!shouldCreateChunk) {
+            if (words.length >= chunkSize ||
+                (words.length >= maxChunkSize)) {
+              const actualChunkSize = Math.min(words.length, chunkSize);
+              chunkText = words.slice(0, actualChunkSize).join(' ');
+              textBuffer = words.slice(actualChunkSize).join(' ');
+              shouldCreateChunk = true;
             }
           }
+
+          if (shouldCreateChunk && chunkText) {
+            processVoiceChunk(chunkText);
+          }
         }
-      } finally {
-        reader.releaseLock();
+      }
+
+      // Process any remaining text in buffer
+      if (textBuffer.trim()) {
+        processVoiceChunk(textBuffer.trim());
+      }
+
+      // Wait for the remaining audio to be sent
+      await speech.drain();
+
+      const streamEndTime = Date.now();
+      const totalStreamingTime = streamEndTime - streamStartTime;
+      const avgChunkProcessingTime = audioChunkTimes.length > 0
+        ? audioChunkTimes.reduce((sum, chunk) => sum + chunk.processingTime, 0) / audioChunkTimes.length
+        : 0;
+
+      const timing = {
+        totalStreamingTime,
+        timeToFirstChunk: firstChunkTime ? firstChunkTime - streamStartTime : null,
+        averageChunkProcessingTime: Math.round(avgChunkProcessingTime),
+        totalAudioDuration: audioChunkTimes.reduce((sum, chunk) =>
+          sum + this.estimateAudioDuration(chunk.wordCount * 5), 0), // Rough estimate
+        chunkTimings: audioChunkTimes.sort((a, b) => a.chunkIndex - b.chunkIndex),
+        ttsConcurrency: this.ttsConcurrency,
+        // Per-stage latency from the start of the request
+        stages: {
+          firstTokenMs: firstTokenTime ? firstTokenTime - startTime : null,
+          firstTtsByteMs: firstTtsByteTime ? firstTtsByteTime - startTime : null,
+          firstAudioMs: firstAudioTime ? firstAudioTime - startTime : null
+        }
+      };
+      this.recordVoiceStages(timing.stages);
+
+      const result = {
+        content,
+        usage,
+        requestId,
+        selectedText,
+        provider: upstream.provider.name,
+        model: upstream.model,
+        temperature: requestData.temperature,
+        frequencyPenalty: requestData.frequencyPenalty,
+        presencePenalty: requestData.presencePenalty,
+        maxTokens: requestData.maxTokens,
+        cost: this.recordCost(upstream, usage),
+        budgetDowngraded: Boolean(options.budgetDowngraded),
+        aborted: Boolean(options.signal?.aborted),
+        chunkCount: chunkIndex,
+        latencyMs: totalStreamingTime,
+        firstTokenMs: timing.stages.firstTokenMs,
+        timing
+      };
+
+      // Let the caller persist the result before the response is closed
+      const extra = options.onComplete ? await options.onComplete(result) : null;
+
+      // Send completion event with comprehensive timing data
+      eventStreamService.send(res, 'done', {
+        totalTokens,
+        cost: result.cost,
+        totalChunks: chunkIndex,
+        audioBytes: res.eventStream?.audio?.bytes,
+        selectedText,
+        timing,
+        performance: {
+          wordsPerSecond: totalTokens > 0 ? Math.round((totalTokens * 0.75) / (totalStreamingTime / 1000)) : 0,
+          chunksPerSecond: chunkIndex > 0 ? Math.round(chunkIndex / (totalStreamingTime / 1000)) : 0
+        },
+        ...extra,
+        timestamp: new Date().toISOString()
+      });
+      eventStreamService.end(res);
+
+      if (result.aborted) {
+        this.recordAborted('voice');
+        return result;
       }
 
       // Record success metric
@@ -715,8 +930,18 @@ export class OpenAIService {
         successCounter.inc();
       }
 
+      return result;
+
     } catch (error) {
+      // The client left before the upstream answered
+      if (options.signal?.aborted) {
+        this.recordAborted('voice');
+        eventStreamService.end(res);
+        return;
+      }
+
       console.error('❌ Error in streaming voice completion:', error.message);
+      this.recordGenerationError('voice', messages, options, error);
 
       // Record error metric
       const errorsCounter = getCustomMetric('epic_errors_total');
@@ -725,121 +950,209 @@ export class OpenAIService {
       }
 
       // Send error event
-      res.write('event: error\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'error', {
         error: 'Voice streaming failed',
         message: error.message,
         timestamp: new Date().toISOString()
-      })}\n\n`);
+      });
 
-      res.end();
+      eventStreamService.end(res);
     }
   }
 
   /**
-   * Convert text to speech using Deepgram and stream as base64
+   * Convert one chunk of text to speech and send it (see synthesizeSpeech
+   * and deliverSpeech). Used where there is a single chunk to speak.
    * @param {string} cleanedText - Cleaned text for TTS (without markdown/emojis)
    * @param {string} originalText - Original text for client display (with markdown)
    * @param {Object} res - Response object
    * @param {number} chunkIndex - Audio chunk index
-   * @param {string} voiceModel - Deepgram voice model
+   * @param {Object} voice - Resolved TTS provider and settings
+   *   (see textToSpeechService.resolveVoice)
    * @param {Object} options - Additional options for TTS
+   * @param {AbortSignal} options.signal - Cancels the TTS request (optional)
    */
-  async convertTextToSpeech(cleanedText, originalText, res, chunkIndex, voiceModel, options = {}) {
-    try {
-      const voiceKey = process.env.VOICE_KEY;
-      if (!voiceKey) {
-        console.warn('⚠️ VOICE_KEY not configured, skipping TTS');
-        return;
-      }
+  async convertTextToSpeech(cleanedText, originalText, res, chunkIndex, voice, options = {}) {
+    const { audioFormat, sampleRate, mimeType } = voice.settings;
+    const job = { input: { cleanedText, originalText, chunkIndex, audioFormat, sampleRate, mimeType, ...options } };
+    const synthesis = this.synthesizeSpeech(job, voice, options);
+    await this.deliverSpeech(res, job);
+    await synthesis;
+  }
 
-      const {
-        audioFormat = 'mp3',
-        sampleRate = 24000,
-        estimatedDuration = 0,
-        streamingLatency = 0
-      } = options;
+  /**
+   * Request speech for a chunk from the TTS provider. Sets `job.audio`, a
+   * stream the audio bytes are written to as they arrive, before its first
+   * await, and `job.firstByteAt` when the first byte comes in. Never throws:
+   * a failure destroys `job.audio` with the error. When the provider is not
+   * configured (e.g. no VOICE_KEY) the job is marked `skipped`.
+   * @param {Object} job - Speech job ({ input: { cleanedText, originalText, chunkIndex } })
+   * @param {Object} voice - Resolved TTS provider and settings
+   * @param {Object} options - TTS options
+   * @param {AbortSignal} options.signal - Cancels the TTS request (optional)
+   */
+  async synthesizeSpeech(job, { provider, settings }, { signal } = {}) {
+    job.audio = new PassThrough();
+    job.startedAt = Date.now();
+    // Errors are read by deliverSpeech(), which may not be listening yet
+    job.audio.on('error', () => {});
+
+    if (!provider.isConfigured()) {
+      console.warn(`⚠️ ${provider.label} TTS not configured, skipping TTS`);
+      job.skipped = true;
+      job.audio.end();
+      return;
+    }
 
+    try {
+      const { cleanedText, originalText, chunkIndex } = job.input;
       console.log(`🎵 Converting chunk ${chunkIndex} to speech:`);
       console.log(`   Original: "${originalText.substring(0, 50)}..."`);
       console.log(`   Cleaned:  "${cleanedText.substring(0, 50)}..."`);
 
-      // Build Deepgram URL with enhanced parameters
-      const deepgramUrl = new URL('https://api.deepgram.com/v1/speak');
-      deepgramUrl.searchParams.append('model', voiceModel);
-      deepgramUrl.searchParams.append('encoding', audioFormat === 'wav' ? 'linear16' : 'mp3');
-      if (audioFormat === 'wav' && sampleRate) {
-        deepgramUrl.searchParams.append('sample_rate', sampleRate);
+      // Send CLEANED text to the provider (no markdown/emojis), normalized
+      // for speech (verse references, numbers, lexicon, quote pauses)
+      const spokenText = await speechNormalizerService.normalize(cleanedText, { ssml: provider.supportsSsml });
+      for await (const bytes of provider.synthesize(spokenText, settings, { signal })) {
+        job.firstByteAt ??= Date.now();
+        job.audio.write(bytes);
       }
+      job.audio.end();
+    } catch (error) {
+      job.audio.destroy(error);
+    }
+  }
 
-      // Send CLEANED text to Deepgram (no markdown/emojis)
-      const response = await fetch(deepgramUrl.toString(), {
-        method: 'POST',
-        headers: {
-          'Authorization': `Token ${voiceKey}`,
-          'Content-Type': 'text/plain'
-        },
-        body: cleanedText  // ← Use cleaned text for TTS
-      });
+  /**
+   * Send a synthesized chunk to the client: a base64 `audio` event, or, when
+   * the stream has a binary audio channel, the bytes piped to that channel
+   * as they arrive with `audio` and `audio-end` events marking which bytes
+   * speak which text. Failures are reported as `audio-error` events.
+   * @param {Object} res - Response object
+   * @param {Object} job - Job passed to synthesizeSpeech()
+   * @returns {Promise<number|null>} - When the first audio was sent (ms epoch), or null
+   */
+  async deliverSpeech(res, job) {
+    const {
+      cleanedText,
+      originalText,
+      audioFormat,
+      sampleRate,
+      mimeType,
+      estimatedDuration = 0,
+      streamingLatency = 0,
+      signal,
+      chunkIndex
+    } = job.input;
+
+    if (job.skipped) {
+      return null;
+    }
 
-      if (!response.ok) {
-        console.warn(`⚠️ Deepgram TTS failed for chunk ${chunkIndex}:`, response.status);
-        // Send error event but continue processing
-        res.write('event: audio-error\n');
-        res.write(`data: ${JSON.stringify({
-          chunkIndex,
-          text: originalText,  // Send original text to client
-          cleanedText,         // Include cleaned text for debugging
-          error: `TTS API error: ${response.status}`,
-          timestamp: new Date().toISOString()
-        })}\n\n`);
-        return;
+    try {
+      if (res.eventStream?.audio) {
+        return await this.pipeSpeech(res, job);
       }
 
-      // Get audio buffer and convert to base64
-      const audioBuffer = Buffer.from(await response.arrayBuffer());
+      // Collect the audio and convert to base64
+      const parts = [];
+      for await (const bytes of job.audio) {
+        parts.push(bytes);
+      }
+      const audioBuffer = Buffer.concat(parts);
       const base64Audio = audioBuffer.toString('base64');
 
-      // Determine MIME type based on format
-      const mimeType = audioFormat === 'wav' ? 'audio/wav' : 'audio/mpeg';
-
       // Send enhanced audio chunk with metadata
-      res.write('event: audio\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'audio', {
         chunkIndex,
         audio: base64Audio,
         text: originalText,  // Send ORIGINAL text to client (with markdown)
         mimeType,
         audioFormat,
-        sampleRate: audioFormat === 'wav' ? sampleRate : undefined,
+        sampleRate: sampleRate ?? undefined,
         estimatedDuration,
         actualSize: audioBuffer.length,
         streamingLatency,
         timing: {
-          queuedAt: Date.now(),
+          queuedAt: job.startedAt,
           processingStarted: Date.now() - streamingLatency
         },
         timestamp: new Date().toISOString(),
         wordCount: originalText.split(' ').length,
         cleanedWordCount: cleanedText.split(' ').length  // Show how much was cleaned
-      })}\n\n`);
+      });
 
       console.log(`✅ Audio chunk ${chunkIndex} sent (${audioBuffer.length} bytes, ~${estimatedDuration}ms)`);
       console.log(`   Word count: ${originalText.split(' ').length} → ${cleanedText.split(' ').length} (cleaned)`);
+      return Date.now();
 
     } catch (error) {
+      // Cancelled because the client disconnected
+      if (signal?.aborted) {
+        return null;
+      }
+
       console.error(`❌ TTS conversion failed for chunk ${chunkIndex}:`, error.message);
 
       // Send error for this specific chunk, but continue processing
-      res.write('event: audio-error\n');
-      res.write(`data: ${JSON.stringify({
+      eventStreamService.send(res, 'audio-error', {
         chunkIndex,
         text: originalText,  // Send original text to client
         cleanedText,         // Include cleaned text for debugging
         error: error.message,
         timestamp: new Date().toISOString()
-      })}\n\n`);
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Pipe a chunk's audio to the stream's binary audio channel as the bytes
+   * arrive. `audio` announces the byte offset the chunk starts at and
+   * `audio-end` its length, so clients can align playback with the text.
+   * @param {Object} res - Response object with an audio channel
+   * @param {Object} job - Job passed to synthesizeSpeech()
+   * @returns {Promise<number|null>} - When the first byte was sent (ms epoch), or null
+   * @throws {Error} - When synthesis failed before any byte was sent
+   */
+  async pipeSpeech(res, job) {
+    const { originalText, cleanedText, chunkIndex, estimatedDuration = 0, streamingLatency = 0 } = job.input;
+    const { audio } = res.eventStream;
+    const byteOffset = audio.bytes;
+    let firstSentAt = null;
+
+    try {
+      for await (const bytes of job.audio) {
+        if (firstSentAt === null) {
+          // Announce the chunk once the provider has accepted it
+          eventStreamService.send(res, 'audio', {
+            chunkIndex,
+            text: originalText,
+            mimeType: audio.mimeType,
+            byteOffset,
+            estimatedDuration,
+            streamingLatency,
+            timestamp: new Date().toISOString(),
+            wordCount: originalText.split(' ').length,
+            cleanedWordCount: cleanedText.split(' ').length
+          });
+          firstSentAt = Date.now();
+        }
+        eventStreamService.writeAudio(res, bytes);
+      }
+    } finally {
+      if (firstSentAt !== null) {
+        eventStreamService.send(res, 'audio-end', {
+          chunkIndex,
+          byteOffset,
+          byteLength: audio.bytes - byteOffset,
+          timestamp: new Date().toISOString()
+        });
+      }
     }
+
+    console.log(`✅ Audio chunk ${chunkIndex} streamed (${audio.bytes - byteOffset} bytes, ~${estimatedDuration}ms)`);
+    return firstSentAt;
   }
 }
 
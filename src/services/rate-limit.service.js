@@ -0,0 +1,174 @@
+import { RateLimitModel } from '../models/rate-limit.js';
+
+const MAX_WRITE_ATTEMPTS = 5;
+const MEMORY_SWEEP_INTERVAL = 1000;
+
+/**
+ * Token bucket: `limit` tokens refilled evenly over `windowMs`, so bursts
+ * up to `limit` are allowed and the long-run rate is limit per window.
+ * @param {Object} state - Previous state ({ tokens, updatedAt }) or null
+ * @param {number} now - Current time in ms
+ * @param {Object} policy - { limit, windowMs }
+ * @returns {{state: Object, allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number}}
+ */
+export function tokenBucket(state, now, { limit, windowMs }) {
+  const refillPerMs = limit / windowMs;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  let tokens = state ? Math.min(limit, state.tokens + elapsed * refillPerMs) : limit;
+
+  const allowed = tokens >= 1;
+  if (allowed) {
+    tokens -= 1;
+  }
+
+  return {
+    state: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((limit - tokens) / refillPerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+  };
+}
+
+/**
+ * Sliding window counter: the previous fixed window's count is weighted
+ * by how much of it still overlaps the last `windowMs`
+ * @param {Object} state - Previous state ({ windowStart, current, previous }) or null
+ * @param {number} now - Current time in ms
+ * @param {Object} policy - { limit, windowMs }
+ * @returns {{state: Object, allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number}}
+ */
+export function slidingWindow(state, now, { limit, windowMs }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  let current = 0;
+  let previous = 0;
+  if (state?.windowStart === windowStart) {
+    ({ current, previous } = state);
+  } else if (state?.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const overlap = 1 - (now - windowStart) / windowMs;
+  const estimate = previous * overlap + current;
+  const allowed = estimate + 1 <= limit;
+  if (allowed) {
+    current += 1;
+  }
+
+  const resetMs = windowStart + windowMs - now;
+  return {
+    state: { windowStart, current, previous },
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - previous * overlap - current)),
+    resetMs,
+    retryAfterMs: allowed ? 0 : resetMs
+  };
+}
+
+export const ALGORITHMS = {
+  'token-bucket': tokenBucket,
+  'sliding-window': slidingWindow
+};
+
+/**
+ * In-process store for `npm start`. Every instance has its own counts.
+ */
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.updates = 0;
+  }
+
+  /**
+   * Apply a limiter step to a key's state
+   * @param {string} key - Limiter key
+   * @param {Function} step - (state) => { state, ... }
+   * @param {number} ttlMs - How long an idle state is kept
+   * @returns {Promise<Object>} - The step's result
+   */
+  async update(key, step, ttlMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    const entry = this.entries.get(key);
+    const result = step(entry && entry.expiresAt > now ? entry.state : null);
+    this.entries.set(key, { state: result.state, expiresAt: now + ttlMs });
+
+    return result;
+  }
+
+  /**
+   * Drop expired keys every few hundred updates
+   * @param {number} now - Current time in ms
+   */
+  sweep(now) {
+    this.updates += 1;
+    if (this.updates % MEMORY_SWEEP_INTERVAL !== 0) {
+      return;
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * MongoDB store shared by every serverless instance
+ */
+export class MongoStore {
+  constructor() {
+    this.indexesReady = null;
+  }
+
+  /**
+   * Apply a limiter step to a key's state with compare-and-set, retrying
+   * when another instance wrote the key in between
+   * @param {string} key - Limiter key
+   * @param {Function} step - (state) => { state, ... }
+   * @param {number} ttlMs - How long an idle state is kept
+   * @returns {Promise<Object>} - The step's result
+   */
+  async update(key, step, ttlMs) {
+    this.indexesReady ??= RateLimitModel.ensureIndexes().catch((error) => {
+      this.indexesReady = null;
+      throw error;
+    });
+    await this.indexesReady;
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+      const doc = await RateLimitModel.findByKey(key);
+      const live = doc && doc.expiresAt > new Date() ? doc : null;
+      const result = step(live?.state ?? null);
+      const expiresAt = new Date(Date.now() + ttlMs);
+
+      const written = doc
+        ? await RateLimitModel.replace(key, doc.version, result.state, expiresAt)
+        : await RateLimitModel.insert(key, result.state, expiresAt);
+
+      if (written) {
+        return result;
+      }
+    }
+
+    throw new Error(`Rate limit state for ${key} is under contention`);
+  }
+}
+
+/**
+ * Create a store by name
+ * @param {string} type - memory or mongo
+ * @returns {MemoryStore|MongoStore}
+ */
+export function createStore(type) {
+  if (type === 'mongo') {
+    return new MongoStore();
+  }
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+  throw new Error(`Unknown rate limit store: ${type}`);
+}
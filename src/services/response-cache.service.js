@@ -0,0 +1,304 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { ResponseCacheModel } from '../models/response-cache.js';
+
+dotenv.config();
+
+/**
+ * Response Cache Service - reuses answers to repeated questions.
+ * The exact layer matches the normalized prompt within a scope (scripture,
+ * system prompt or template, provider and answer format). The optional
+ * similarity layer embeds the prompt and reuses the closest answer in the
+ * same scope when its cosine similarity reaches CACHE_SIMILARITY_THRESHOLD.
+ * Each answer is served at most CACHE_MAX_REUSE times so readers still get
+ * varied quotes. Cache failures are treated as misses.
+ */
+export class ResponseCacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.ttlMs = parseInt(process.env.CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+    this.maxReuse = parseInt(process.env.CACHE_MAX_REUSE) || 20;
+    this.semanticEnabled = process.env.CACHE_SEMANTIC_ENABLED === 'true';
+    this.similarityThreshold = parseFloat(process.env.CACHE_SIMILARITY_THRESHOLD) || 0.92;
+    this.candidateLimit = parseInt(process.env.CACHE_SEMANTIC_CANDIDATES) || 200;
+    this.embeddingModel = process.env.CACHE_EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.embeddingTimeoutMs = parseInt(process.env.CACHE_EMBEDDING_TIMEOUT_MS) || 3000;
+    this.replayChunkWords = 4;
+    this.replayDelayMs = parseInt(process.env.CACHE_REPLAY_DELAY_MS) || 0;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Normalize a prompt so trivially different wordings share a key
+   * @param {string} prompt - User prompt
+   * @returns {string}
+   */
+  normalizePrompt(prompt) {
+    return prompt
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * SHA-256 hex digest of a value
+   * @param {*} value - Value to hash (JSON-encoded)
+   * @returns {string}
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+  }
+
+  /**
+   * Build the cache request for a generation, or null when the answer
+   * depends on more than the prompt: session history, the quotes a user
+   * was already given, an experiment variant or a safety intervention
+   * @param {Object} request - Request details
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.scripture - Requested scripture (optional)
+   * @param {Object} request.template - Rendered template (optional)
+   * @param {string} request.context - System prompt sent by the client (optional)
+   * @param {string} request.provider - Requested provider (optional)
+   * @param {string} request.sessionId - Session ID (optional)
+   * @param {string} request.userId - User ID (optional)
+   * @param {Object} request.experiment - Experiment assignment (optional)
+   * @param {Object} request.safety - Input moderation decision
+   * @returns {Object|null} - { key, scope, prompt, normalized, scripture, template }
+   */
+  buildRequest({ prompt, scripture, template, context, provider, sessionId, userId, experiment, safety }) {
+    if (!this.enabled || sessionId || userId || experiment || safety?.action !== 'allow') {
+      return null;
+    }
+
+    const normalized = this.normalizePrompt(prompt);
+    if (!normalized) {
+      return null;
+    }
+
+    const scope = this.hash({
+      scripture: scripture || null,
+      systemPrompt: template?.content ?? context ?? null,
+      provider: provider || null,
+      structured: Boolean(scripture)
+    });
+
+    return {
+      key: this.hash({ scope, prompt: normalized }),
+      scope,
+      prompt,
+      normalized,
+      scripture: scripture || null,
+      template: template ? { templateId: template.templateId, version: template.version } : null
+    };
+  }
+
+  /**
+   * Create the cache indexes once per instance
+   * @returns {Promise<void>}
+   */
+  async ensureIndexes() {
+    this.indexesReady ??= ResponseCacheModel.ensureIndexes().catch((error) => {
+      this.indexesReady = null;
+      throw error;
+    });
+    return this.indexesReady;
+  }
+
+  /**
+   * Embed text with the OpenAI embeddings API
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>}
+   * @throws {Error} - When the API key is missing or the call fails
+   */
+  async embed(text) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is not configured');
+    }
+
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const response = await fetch(`${baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({ model: this.embeddingModel, input: text }),
+      signal: AbortSignal.timeout(this.embeddingTimeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI embeddings API error: ${response.status}`);
+    }
+
+    const { data } = await response.json();
+    return data[0].embedding;
+  }
+
+  /**
+   * Cosine similarity of two vectors
+   * @param {Array<number>} a - First vector
+   * @param {Array<number>} b - Second vector
+   * @returns {number} - Between -1 and 1 (0 for mismatched or empty vectors)
+   */
+  cosineSimilarity(a, b) {
+    if (!a?.length || a.length !== b?.length) {
+      return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Look up a cached answer, counting the reuse on a hit
+   * @param {Object|null} request - Result of buildRequest()
+   * @returns {Promise<Object>} - { status: 'hit', match: 'exact'|'similar', entry, similarity },
+   *   { status: 'miss', embedding } or { status: 'bypass' }
+   */
+  async lookup(request) {
+    if (!request) {
+      return { status: 'bypass' };
+    }
+
+    let embedding = null;
+    try {
+      await this.ensureIndexes();
+
+      const exact = await ResponseCacheModel.claim({ key: request.key }, this.maxReuse);
+      if (exact) {
+        return { status: 'hit', match: 'exact', entry: exact, similarity: 1 };
+      }
+
+      if (this.semanticEnabled) {
+        embedding = await this.embed(request.normalized);
+        const candidates = await ResponseCacheModel.findCandidates(request.scope, this.maxReuse, this.candidateLimit);
+
+        const best = candidates
+          .map((candidate) => ({ id: candidate._id, similarity: this.cosineSimilarity(embedding, candidate.embedding) }))
+          .sort((a, b) => b.similarity - a.similarity)[0];
+
+        if (best && best.similarity >= this.similarityThreshold) {
+          const entry = await ResponseCacheModel.claim({ _id: best.id }, this.maxReuse);
+          if (entry) {
+            return { status: 'hit', match: 'similar', entry, similarity: Math.round(best.similarity * 1000) / 1000 };
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Response cache lookup failed, generating:', error.message);
+    }
+
+    return { status: 'miss', embedding };
+  }
+
+  /**
+   * Store an answer for later reuse. Never throws.
+   * @param {Object} request - Result of buildRequest()
+   * @param {Object} lookup - Result of lookup() for the same request
+   * @param {Object} answer - { content, guidance, provider, model, selectedText }
+   */
+  async store(request, lookup, answer) {
+    if (!request || lookup.status !== 'miss' || !answer.content) {
+      return;
+    }
+
+    try {
+      let { embedding } = lookup;
+      if (this.semanticEnabled && !embedding) {
+        embedding = await this.embed(request.normalized);
+      }
+
+      await ResponseCacheModel.upsert({
+        key: request.key,
+        scope: request.scope,
+        prompt: request.prompt,
+        scripture: request.scripture,
+        templateId: request.template?.templateId || null,
+        templateVersion: request.template?.version ?? null,
+        content: answer.content,
+        guidance: answer.guidance || null,
+        provider: answer.provider,
+        model: answer.model,
+        selectedText: answer.selectedText,
+        embedding,
+        expiresAt: new Date(Date.now() + this.ttlMs)
+      });
+    } catch (error) {
+      console.error('❌ Failed to store response cache entry:', error.message);
+    }
+  }
+
+  /**
+   * Drop a cached answer, e.g. after a reader flags it. Never throws.
+   * @param {string} key - Entry key
+   */
+  async evict(key) {
+    try {
+      if (await ResponseCacheModel.deleteByKey(key)) {
+        console.log(`🗑️ Evicted cached answer ${key.slice(0, 12)}`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to evict response cache entry:', error.message);
+    }
+  }
+
+  /**
+   * Cache-Status header value (RFC 9211) for a lookup
+   * @param {Object} lookup - Result of lookup()
+   * @returns {string}
+   */
+  toCacheStatus(lookup) {
+    if (lookup.status === 'hit') {
+      const ttl = Math.max(0, Math.round((lookup.entry.expiresAt.getTime() - Date.now()) / 1000));
+      return `epic; hit; ttl=${ttl}; detail=${lookup.match}`;
+    }
+    return `epic; fwd=${lookup.status === 'bypass' ? 'bypass' : 'miss'}`;
+  }
+
+  /**
+   * What to store on the conversation for a lookup
+   * @param {Object|null} request - Result of buildRequest()
+   * @param {Object} lookup - Result of lookup()
+   * @returns {Object|null} - { status, match, similarity, key }
+   */
+  toMetadata(request, lookup) {
+    if (!request) {
+      return null;
+    }
+    return lookup.status === 'hit'
+      ? { status: 'hit', match: lookup.match, similarity: lookup.similarity, key: lookup.entry.key }
+      : { status: 'miss', key: request.key };
+  }
+
+  /**
+   * Replay a cached answer as provider stream chunks, a few words at a time
+   * @param {Object} entry - Cached entry
+   * @yields {Object} - Normalized stream chunks
+   */
+  async *replayChunks(entry) {
+    yield { type: 'start', id: `cache-${entry._id}`, model: entry.model };
+
+    const words = entry.content.match(/\s*\S+/g) || [];
+    for (let i = 0; i < words.length; i += this.replayChunkWords) {
+      if (this.replayDelayMs) {
+        await new Promise((resolve) => setTimeout(resolve, this.replayDelayMs));
+      }
+      yield { type: 'delta', content: words.slice(i, i + this.replayChunkWords).join('') };
+    }
+
+    yield { type: 'done', finishReason: 'stop' };
+  }
+}
+
+// Export singleton instance
+export const responseCacheService = new ResponseCacheService();
@@ -0,0 +1,589 @@
+import dotenv from 'dotenv';
+import { VerseModel } from '../models/verse.js';
+import { SCRIPTURES } from '../config/scriptures.js';
+
+dotenv.config();
+
+// Common English and archaic (KJV-style) words that carry no meaning for retrieval
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has',
+  'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the',
+  'their', 'them', 'then', 'there', 'they', 'this', 'to', 'us', 'was', 'we',
+  'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your',
+  'am', 'do', 'can', 'should', 'would', 'about', 'all', 'any', 'also',
+  'thee', 'thou', 'thy', 'thine', 'ye', 'unto', 'shall', 'hath', 'doth', 'art'
+]);
+
+// Suffixes stripped by the light stemmer, longest first
+const SUFFIXES = ['ing', 'eth', 'est', 'ed', 's'];
+
+// Matches references such as "Bhagavad Gita 2.47", "Proverbs 15:1" or
+// "1 Corinthians 13:4-7" in free-text answers
+const REFERENCE_PATTERN = /\b((?:[1-3]\s)?[A-Z][\w'-]*(?:\s[A-Z][\w'-]*)*)\s+(\d+)[:.](\d+(?:\s?-\s?\d+)?)/g;
+
+/**
+ * Scripture corpus service
+ *
+ * Loads verse-level scripture files into Mongo, ranks verses with BM25 for
+ * retrieval-augmented prompts, and checks the verses an answer cites
+ * against the corpus.
+ */
+export class ScriptureService {
+  constructor() {
+    this.enabled = process.env.RAG_ENABLED !== 'false';
+    this.topK = parseInt(process.env.RAG_TOP_K) || 5;
+    this.matchThreshold = parseFloat(process.env.CITATION_MATCH_THRESHOLD) || 0.5;
+    this.maxCandidates = parseInt(process.env.RAG_MAX_CANDIDATES) || 2000;
+    this.k1 = 1.2;
+    this.b = 0.75;
+  }
+
+  /**
+   * Split text into normalized, stemmed terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Terms, in order, with repeats
+   */
+  tokenize(text) {
+    const words = String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [];
+
+    return words
+      .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+      .map((word) => this.stem(word));
+  }
+
+  /**
+   * Light suffix stripping so "loveth", "loved" and "loves" meet at "lov"
+   * @param {string} word - Lowercase word
+   * @returns {string} - Stem
+   */
+  stem(word) {
+    let stem = word;
+    const suffix = SUFFIXES.find((s) => stem.endsWith(s) && !stem.endsWith(`s${s}`));
+    if (suffix && stem.length - suffix.length >= 3) {
+      stem = stem.slice(0, -suffix.length);
+    }
+    if (stem.endsWith('e') && stem.length > 3) {
+      stem = stem.slice(0, -1);
+    }
+    return stem;
+  }
+
+  /**
+   * Normalize a book name for lookups ("1 Corinthians" -> "1corinthians")
+   * @param {string} book - Book name
+   * @returns {string}
+   */
+  toBookKey(book) {
+    return String(book || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  /**
+   * Find the scripture key for a scripture name ("Bhagavad Gita" -> BHAGAVAD_GITA)
+   * @param {string} name - Scripture name or key
+   * @returns {string|null}
+   */
+  toScriptureKey(name) {
+    const key = this.toBookKey(name);
+    const match = Object.entries(SCRIPTURES).find(([scripture, label]) =>
+      scripture !== 'ALL' && (this.toBookKey(scripture) === key || this.toBookKey(label) === key));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Format a verse reference for prompts and reports
+   * @param {Object} verse - Verse with scripture, book, chapter and verse
+   * @returns {string} - e.g. "Bible, Proverbs 15:1"
+   */
+  formatReference(verse) {
+    const label = SCRIPTURES[verse.scripture] || verse.scripture;
+    const book = verse.book && verse.book !== label ? `, ${verse.book}` : '';
+    return `${label}${book} ${verse.chapter}:${verse.verse}`;
+  }
+
+  /**
+   * Parse CSV text with a header row (book, chapter, verse, text).
+   * Quoted fields may contain commas, newlines and "" escapes.
+   * @param {string} content - CSV text
+   * @returns {Array<Object>} - Records keyed by header
+   */
+  parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter((r) => r.some((value) => value.trim()));
+    const columns = header.map((name) => name.trim().toLowerCase());
+
+    return records.map((values) =>
+      Object.fromEntries(columns.map((column, index) => [column, values[index]?.trim()])));
+  }
+
+  /**
+   * Parse a corpus file
+   * @param {string} content - File contents
+   * @param {string} format - json or csv
+   * @returns {Array<Object>} - Records with book, chapter, verse and text
+   */
+  parseCorpus(content, format) {
+    if (format === 'csv') {
+      return this.parseCsv(content);
+    }
+
+    const parsed = JSON.parse(content);
+    const records = Array.isArray(parsed) ? parsed : parsed.verses;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON corpus must be an array of verses or { "verses": [...] }');
+    }
+    return records;
+  }
+
+  /**
+   * Build the stored verse document for a corpus record
+   * @param {string} scripture - Scripture key
+   * @param {Object} record - Record with book, chapter, verse and text
+   * @returns {Object|null} - Verse document, or null if the record is incomplete
+   */
+  toVerseDocument(scripture, record) {
+    const text = String(record.text ?? '').trim();
+    const chapter = String(record.chapter ?? '').trim();
+    const verse = String(record.verse ?? '').trim();
+    if (!text || !chapter || !verse) {
+      return null;
+    }
+
+    const book = String(record.book || SCRIPTURES[scripture]).trim();
+    const terms = this.tokenize(text);
+    const termFreqs = {};
+    for (const term of terms) {
+      termFreqs[term] = (termFreqs[term] || 0) + 1;
+    }
+
+    return {
+      scripture,
+      book,
+      bookKey: this.toBookKey(book),
+      chapter,
+      verse,
+      text,
+      tokens: Object.keys(termFreqs),
+      termFreqs,
+      length: terms.length
+    };
+  }
+
+  /**
+   * Load corpus records for a scripture into Mongo
+   * @param {string} scripture - Scripture key
+   * @param {Array<Object>} records - Parsed corpus records
+   * @returns {Promise<Object>} - Counts and refreshed corpus statistics
+   */
+  async ingest(scripture, records) {
+    if (!Object.hasOwn(SCRIPTURES, scripture) || scripture === 'ALL') {
+      throw new Error(`Unknown scripture "${scripture}"`);
+    }
+
+    const documents = records
+      .map((record) => this.toVerseDocument(scripture, record))
+      .filter(Boolean);
+
+    await VerseModel.ensureIndexes();
+
+    let inserted = 0;
+    let updated = 0;
+    for (let i = 0; i < documents.length; i += 1000) {
+      const result = await VerseModel.upsertMany(documents.slice(i, i + 1000));
+      inserted += result.inserted;
+      updated += result.updated;
+    }
+
+    const stats = await VerseModel.refreshStats(scripture);
+
+    return {
+      scripture,
+      inserted,
+      updated,
+      skipped: records.length - documents.length,
+      stats
+    };
+  }
+
+  /**
+   * Rank candidate verses with Okapi BM25
+   * @param {Array<string>} terms - Query terms (unique)
+   * @param {Array<Object>} candidates - Verses with termFreqs and length
+   * @param {Object} corpus - Corpus statistics
+   * @param {number} corpus.verseCount - Verses in the searched scriptures
+   * @param {number} corpus.avgLength - Average verse length in terms
+   * @param {Object} corpus.documentFrequencies - Verses containing each term
+   * @returns {Array<Object>} - Candidates with a score, best first
+   */
+  rankBM25(terms, candidates, { verseCount, avgLength, documentFrequencies }) {
+    const avgdl = avgLength || 1;
+
+    return candidates
+      .map((verse) => {
+        let score = 0;
+        for (const term of terms) {
+          const tf = verse.termFreqs?.[term] || 0;
+          if (!tf) continue;
+
+          const df = documentFrequencies[term] || 0;
+          const idf = Math.log(1 + (verseCount - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (this.k1 + 1)) /
+            (tf + this.k1 * (1 - this.b + this.b * (verse.length / avgdl)));
+        }
+        return { ...verse, score };
+      })
+      .filter((verse) => verse.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Query terms found in the corpus, rarest (highest IDF) first
+   * @param {Array<string>} terms - Query terms (unique)
+   * @param {Object} documentFrequencies - Verses containing each term
+   * @returns {Array<string>}
+   */
+  orderByRarity(terms, documentFrequencies) {
+    return terms
+      .filter((term) => documentFrequencies[term] > 0)
+      .sort((a, b) => documentFrequencies[a] - documentFrequencies[b]);
+  }
+
+  /**
+   * Document frequencies of the query terms. Corpora ingested before term
+   * statistics were stored (no `termCount`) are counted verse by verse.
+   * @param {Array<Object>} loaded - Corpus statistics of the searched scriptures
+   * @param {Array<string>} terms - Query terms (unique)
+   * @returns {Promise<Object>} - Verses containing each term
+   */
+  async getDocumentFrequencies(loaded, terms) {
+    const scriptures = loaded.map((entry) => entry.scripture);
+    if (loaded.every((entry) => entry.termCount !== undefined)) {
+      return VerseModel.getDocumentFrequencies(scriptures, terms);
+    }
+
+    const frequencies = await Promise.all(terms.map((term) => VerseModel.countWithTerm(scriptures, term)));
+    return Object.fromEntries(terms.map((term, index) => [term, frequencies[index]]));
+  }
+
+  /**
+   * Collect up to maxCandidates verses to rank, taking every verse of the
+   * rarest terms first: those carry the highest IDF, so only verses that
+   * match nothing but common terms can be left out.
+   * @param {Array<string>} scriptures - Scripture keys to search
+   * @param {Array<string>} terms - Query terms (unique)
+   * @param {Object} documentFrequencies - Verses containing each term
+   * @returns {Promise<Array<Object>>} - Candidate verses, each fetched once
+   */
+  async findCandidates(scriptures, terms, documentFrequencies) {
+    const candidates = [];
+    const rarer = [];
+
+    for (const term of this.orderByRarity(terms, documentFrequencies)) {
+      const limit = this.maxCandidates - candidates.length;
+      if (limit <= 0) {
+        break;
+      }
+      // Verses with a rarer term were all fetched already
+      candidates.push(...await VerseModel.findWithTerm(scriptures, term, { without: rarer, limit }));
+      rarer.push(term);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Scriptures with a loaded corpus, narrowed to the requested one
+   * @param {string} scripture - Scripture key, or ALL
+   * @returns {Promise<Array<Object>>} - Corpus statistics per scripture
+   */
+  async getLoadedScriptures(scripture = 'ALL') {
+    const stats = await VerseModel.getStats();
+    return scripture && scripture !== 'ALL'
+      ? stats.filter((entry) => entry.scripture === scripture)
+      : stats;
+  }
+
+  /**
+   * Search the corpus
+   * @param {string} query - Free-text query
+   * @param {Object} options - Search options
+   * @param {string} options.scripture - Scripture key, or ALL
+   * @param {number} options.limit - Maximum verses to return
+   * @returns {Promise<Array<Object>>} - Verses with a BM25 score, best first
+   */
+  async search(query, { scripture = 'ALL', limit = this.topK } = {}) {
+    const terms = [...new Set(this.tokenize(query))];
+    const loaded = await this.getLoadedScriptures(scripture);
+    if (terms.length === 0 || loaded.length === 0) {
+      return [];
+    }
+
+    const scriptures = loaded.map((entry) => entry.scripture);
+    const verseCount = loaded.reduce((sum, entry) => sum + entry.verseCount, 0);
+    const avgLength = loaded.reduce((sum, entry) => sum + entry.avgLength * entry.verseCount, 0) / verseCount;
+
+    const documentFrequencies = await this.getDocumentFrequencies(loaded, terms);
+    const candidates = await this.findCandidates(scriptures, terms, documentFrequencies);
+
+    return this.rankBM25(terms, candidates, { verseCount, avgLength, documentFrequencies })
+      .slice(0, limit)
+      .map((verse) => ({
+        scripture: verse.scripture,
+        book: verse.book,
+        chapter: verse.chapter,
+        verse: verse.verse,
+        text: verse.text,
+        score: Math.round(verse.score * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Retrieve verses relevant to the user's situation and add them to the
+   * system message. Retrieval problems never fail the request.
+   * @param {Array} messages - Messages array
+   * @param {Object} options - Retrieval options
+   * @param {string} options.query - User prompt
+   * @param {string} options.scripture - Scripture key, or ALL
+   * @returns {Promise<{messages: Array, verses: Array}>}
+   */
+  async augmentMessages(messages, { query, scripture }) {
+    if (!this.enabled) {
+      return { messages, verses: [] };
+    }
+
+    let verses;
+    try {
+      verses = await this.search(query, { scripture });
+    } catch (error) {
+      console.error('❌ Verse retrieval failed:', error.message);
+      return { messages, verses: [] };
+    }
+
+    if (verses.length === 0) {
+      return { messages, verses };
+    }
+
+    console.log(`📚 Retrieved ${verses.length} verses for the prompt`);
+
+    const context = [
+      'Relevant verses from the scripture corpus. Prefer quoting these, cite ' +
+        'them exactly as referenced, and never invent verses or references:',
+      ...verses.map((verse) => `- ${this.formatReference(verse)}: "${verse.text}"`)
+    ].join('\n');
+
+    const hasSystem = messages.some((msg) => msg.role === 'system');
+    const augmented = hasSystem
+      ? messages.map((msg) => (msg.role === 'system' ? { ...msg, content: `${msg.content}\n\n${context}` } : msg))
+      : [{ role: 'system', content: context }, ...messages];
+
+    return { messages: augmented, verses };
+  }
+
+  /**
+   * Find verse references in a free-text answer
+   * @param {string} content - Answer text
+   * @returns {Array<Object>} - Citations with book, chapter and verse
+   */
+  extractCitations(content) {
+    const citations = [];
+    for (const match of String(content || '').matchAll(REFERENCE_PATTERN)) {
+      // Drop sentence words caught by the capitalized-name pattern ("In Proverbs 15:1")
+      const words = match[1].split(' ');
+      while (words.length > 1 && STOPWORDS.has(words[0].toLowerCase())) {
+        words.shift();
+      }
+      const book = words.join(' ');
+      if (STOPWORDS.has(book.toLowerCase()) || /^(chapter|verse)s?$/i.test(book)) {
+        continue;
+      }
+
+      citations.push({ book, chapter: match[2], verse: match[3].replace(/\s/g, '') });
+    }
+    return citations;
+  }
+
+  /**
+   * Expand a verse field ("47", "4-7", "4,6") to individual verse numbers
+   * @param {string} verse - Verse field
+   * @returns {Array<string>}
+   */
+  expandVerses(verse) {
+    return String(verse).split(',').flatMap((part) => {
+      const [start, end] = part.trim().split('-').map((n) => parseInt(n));
+      if (Number.isNaN(start)) return [part.trim()];
+      if (Number.isNaN(end) || end < start || end - start > 20) return [String(start)];
+      return Array.from({ length: end - start + 1 }, (_, i) => String(start + i));
+    });
+  }
+
+  /**
+   * Share of the quoted text's terms that appear in the corpus text
+   * @param {string} quoted - Text as cited
+   * @param {string} actual - Text in the corpus
+   * @returns {number} - 0 to 1
+   */
+  textOverlap(quoted, actual) {
+    const quotedTerms = new Set(this.tokenize(quoted));
+    if (quotedTerms.size === 0) return 0;
+
+    const actualTerms = new Set(this.tokenize(actual));
+    let shared = 0;
+    for (const term of quotedTerms) {
+      if (actualTerms.has(term)) shared++;
+    }
+    return shared / quotedTerms.size;
+  }
+
+  /**
+   * Check one citation against the corpus
+   * @param {Object} citation - Citation (scripture?, book, chapter, verse, text?)
+   * @param {Array<string>} loaded - Scripture keys with a loaded corpus
+   * @param {string} scripture - Requested scripture key, or ALL
+   * @returns {Promise<Object>} - Citation with a status: verified,
+   *   text_mismatch, not_found or unverifiable (no corpus for it)
+   */
+  async verifyCitation(citation, loaded, scripture) {
+    const named = this.toScriptureKey(citation.scripture) || this.toScriptureKey(citation.book);
+    const candidates = named ? [named] : (scripture && scripture !== 'ALL' ? [scripture] : loaded);
+    const scriptures = candidates.filter((key) => loaded.includes(key));
+
+    if (scriptures.length === 0) {
+      return { ...citation, status: 'unverifiable' };
+    }
+
+    const reference = {
+      scriptures,
+      chapter: String(citation.chapter),
+      verses: this.expandVerses(citation.verse)
+    };
+
+    // The book can be the scripture itself ("Bhagavad Gita 2.47"); otherwise
+    // match it, falling back to any book when the reference is unambiguous
+    const bookKey = this.toScriptureKey(citation.book) ? null : this.toBookKey(citation.book);
+    let verses = await VerseModel.findByReference({ ...reference, bookKey });
+    if (verses.length === 0 && bookKey) {
+      const anyBook = await VerseModel.findByReference(reference);
+      if (new Set(anyBook.map((verse) => `${verse.scripture}|${verse.bookKey}`)).size === 1) {
+        verses = anyBook;
+      }
+    } else if (!bookKey && new Set(verses.map((verse) => `${verse.scripture}|${verse.bookKey}`)).size > 1) {
+      verses = [];
+    }
+
+    if (verses.length === 0) {
+      return { ...citation, status: 'not_found' };
+    }
+
+    if (citation.text) {
+      const actual = verses.map((verse) => verse.text).join(' ');
+      const overlap = this.textOverlap(citation.text, actual);
+      if (overlap < this.matchThreshold) {
+        return { ...citation, status: 'text_mismatch', overlap: Math.round(overlap * 100) / 100 };
+      }
+    }
+
+    return { ...citation, status: 'verified' };
+  }
+
+  /**
+   * Check the verses an answer cites against the corpus. Structured
+   * answers are checked quote by quote (reference and text); free-text
+   * answers by the references found in them.
+   * @param {Object} answer - Answer to check
+   * @param {string} answer.content - Answer text
+   * @param {Array<Object>} answer.quotes - Structured quotes (optional)
+   * @param {string} answer.scripture - Requested scripture key, or ALL
+   * @returns {Promise<Object|null>} - { checked, verified, unverifiable,
+   *   flagged }, or null when nothing could be checked
+   */
+  async verifyCitations({ content, quotes, scripture }) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const citations = quotes || this.extractCitations(content);
+    if (citations.length === 0) {
+      return null;
+    }
+
+    try {
+      const loaded = (await this.getLoadedScriptures()).map((entry) => entry.scripture);
+      if (loaded.length === 0) {
+        return null;
+      }
+
+      const results = await Promise.all(
+        citations.map((citation) => this.verifyCitation(citation, loaded, scripture))
+      );
+
+      const flagged = results
+        .filter((result) => result.status === 'not_found' || result.status === 'text_mismatch')
+        .map((result) => ({
+          scripture: result.scripture,
+          book: result.book,
+          chapter: result.chapter,
+          verse: result.verse,
+          status: result.status,
+          overlap: result.overlap
+        }));
+
+      if (flagged.length > 0) {
+        console.warn(`⚠️ ${flagged.length} cited verses not found in the corpus`);
+      }
+
+      return {
+        checked: results.length,
+        verified: results.filter((result) => result.status === 'verified').length,
+        unverifiable: results.filter((result) => result.status === 'unverifiable').length,
+        flagged
+      };
+    } catch (error) {
+      console.error('❌ Citation verification failed:', error.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export const scriptureService = new ScriptureService();
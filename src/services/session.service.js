@@ -0,0 +1,164 @@
+import dotenv from 'dotenv';
+import { SessionModel } from '../models/session.js';
+import { openAIService } from './openai.service.js';
+
+dotenv.config();
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant.';
+
+/**
+ * Session Service - builds token-budgeted history for multi-turn sessions
+ */
+export class SessionService {
+  constructor() {
+    this.historyTokenBudget = parseInt(process.env.SESSION_HISTORY_TOKENS) || 3000;
+    this.summarizeEnabled = process.env.SESSION_SUMMARIZE !== 'false';
+    this.summaryMaxTokens = 300;
+  }
+
+  /**
+   * Rough token estimate (~4 characters per token plus per-message overhead)
+   * @param {string} text - Text to estimate
+   * @returns {number} - Estimated token count
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4) + 4;
+  }
+
+  /**
+   * Build the system message, including the rolling summary if any
+   * @param {Object} session - Session document
+   * @param {string} summary - Summary of earlier turns
+   * @returns {Object} - System message
+   */
+  buildSystemMessage(session, summary) {
+    const context = session.context || DEFAULT_SYSTEM_PROMPT;
+    return {
+      role: 'system',
+      content: summary
+        ? `${context}\n\nSummary of the earlier conversation:\n${summary}`
+        : context
+    };
+  }
+
+  /**
+   * Summarize messages that no longer fit in the history budget
+   * @param {string|null} previousSummary - Existing summary to extend
+   * @param {Array} messages - Messages to fold into the summary
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarize(previousSummary, messages) {
+    const transcript = messages
+      .map((msg) => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+      .join('\n\n');
+
+    const { data } = await openAIService.generateChatCompletion([
+      {
+        role: 'system',
+        content: 'Summarize the conversation below for the assistant\'s own memory. ' +
+          'Keep the user\'s situation, feelings, questions asked and the scriptures ' +
+          'and verses already quoted. Write at most 150 words.'
+      },
+      {
+        role: 'user',
+        content: previousSummary
+          ? `Existing summary:\n${previousSummary}\n\nNew messages:\n${transcript}`
+          : transcript
+      }
+    ], {
+      skipDiversityInstruction: true,
+      temperature: 0.2,
+      maxTokens: this.summaryMaxTokens
+    });
+
+    return data.choices[0].message.content.trim();
+  }
+
+  /**
+   * Build the messages for the next turn of a session.
+   * The newest messages are replayed as long as they fit in the token
+   * budget; older ones are folded into a rolling summary (or simply
+   * dropped when summarization is disabled or fails). The new summary is
+   * not stored here: recordTurn() saves it once the turn succeeds.
+   * @param {Object} session - Session document
+   * @param {string} prompt - New user message
+   * @returns {Promise<{messages: Array, summary: Object|null}>} - Messages
+   *   for the OpenAI service, and the new { summary, summarizedCount } if
+   *   older messages were summarized
+   */
+  async buildMessages(session, prompt) {
+    const history = session.messages || [];
+    const summarizedCount = session.summarizedCount || 0;
+    let { summary } = session;
+
+    let budget = this.historyTokenBudget -
+      this.estimateTokens(this.buildSystemMessage(session, summary).content) -
+      this.estimateTokens(prompt);
+
+    // Walk backwards from the newest message while the budget allows
+    let cutIndex = history.length;
+    while (cutIndex > summarizedCount) {
+      const cost = this.estimateTokens(history[cutIndex - 1].content);
+      if (cost > budget) break;
+      budget -= cost;
+      cutIndex--;
+    }
+
+    let pending = null;
+    if (cutIndex > summarizedCount && this.summarizeEnabled) {
+      try {
+        summary = await this.summarize(summary, history.slice(summarizedCount, cutIndex));
+        pending = { summary, summarizedCount: cutIndex };
+        console.log(`🧾 Summarized ${cutIndex - summarizedCount} messages for session ${session._id}`);
+      } catch (error) {
+        console.error('❌ Failed to summarize session history, truncating instead:', error.message);
+      }
+    }
+
+    const messages = [
+      this.buildSystemMessage(session, summary),
+      ...history.slice(cutIndex).map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: prompt }
+    ];
+    return { messages, summary: pending };
+  }
+
+  /**
+   * Load a session and build the messages for its next turn
+   * @param {string} sessionId - Session ID
+   * @param {string} prompt - New user message
+   * @param {Object} scope - Owner filter from clientScope() (optional)
+   * @returns {Promise<{session: Object, messages: Array, summary: Object|null}|null>} -
+   *   null if not found or owned by another client; summary is passed to
+   *   recordTurn()
+   */
+  async prepareTurn(sessionId, prompt, scope = {}) {
+    const session = await SessionModel.findById(sessionId, scope);
+    if (!session) {
+      return null;
+    }
+
+    const { messages, summary } = await this.buildMessages(session, prompt);
+    return { session, messages, summary };
+  }
+
+  /**
+   * Store a completed turn in the session history, with the summary built
+   * for it, so a failed turn leaves the session unchanged
+   * @param {string} sessionId - Session ID
+   * @param {string} prompt - User message
+   * @param {string} reply - Assistant reply
+   * @param {Object} usage - Token usage reported for the turn
+   * @param {Object} summary - Summary from prepareTurn() (optional)
+   */
+  async recordTurn(sessionId, prompt, reply, usage = {}, summary = null) {
+    const timestamp = new Date();
+    await SessionModel.appendMessages(sessionId, [
+      { role: 'user', content: prompt, timestamp },
+      { role: 'assistant', content: reply, usage, timestamp }
+    ], summary || {});
+  }
+}
+
+// Export singleton instance
+export const sessionService = new SessionService();
@@ -0,0 +1,350 @@
+import dotenv from 'dotenv';
+import { PronunciationModel } from '../models/pronunciation.js';
+import { DEFAULT_PRONUNCIATIONS } from '../config/pronunciations.js';
+
+dotenv.config();
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+// Irregular ordinals; the rest add -th (twenty -> twentieth)
+const ORDINALS = {
+  one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+
+// Abbreviations expanded before anything else, matched case-sensitively
+const ABBREVIATIONS = {
+  'vs.': 'verse',
+  'vv.': 'verses',
+  'ch.': 'chapter',
+  'chap.': 'chapter',
+  'e.g.': 'for example',
+  'i.e.': 'that is',
+  'etc.': 'et cetera',
+  'cf.': 'compare',
+  'St.': 'Saint',
+  'Dr.': 'Doctor',
+  'Mt.': 'Mount',
+  'BCE': 'B C E',
+  'CE': 'C E'
+};
+
+// Words after which a chapter:verse reference needs no "chapter"
+const CHAPTER_WORDS = /(?:surah|sura|chapter|adhyaya)\s*$/i;
+
+const BOOK_NUMBERS = { 1: 'First', 2: 'Second', 3: 'Third' };
+
+// Letters, combining marks and digits: what a lexicon term may not touch
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+/**
+ * Spell out a whole number
+ * @param {number} value - Integer from 0 to 999,999,999,999
+ * @returns {string}
+ */
+export function numberToWords(value) {
+  if (value < 20) {
+    return ONES[value];
+  }
+  if (value < 100) {
+    return `${TENS[Math.floor(value / 10)]}${value % 10 ? `-${ONES[value % 10]}` : ''}`;
+  }
+  if (value < 1000) {
+    return `${ONES[Math.floor(value / 100)]} hundred${value % 100 ? ` ${numberToWords(value % 100)}` : ''}`;
+  }
+  for (const [scale, name] of SCALES) {
+    if (value >= scale) {
+      const rest = value % scale;
+      return `${numberToWords(Math.floor(value / scale))} ${name}${rest ? ` ${numberToWords(rest)}` : ''}`;
+    }
+  }
+  return String(value);
+}
+
+/**
+ * Spell out an ordinal number
+ * @param {number} value - Integer from 0 to 999,999,999,999
+ * @returns {string} - e.g. twenty-first
+ */
+export function ordinalToWords(value) {
+  return numberToWords(value).replace(/([a-z]+)$/, (last) =>
+    ORDINALS[last] || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`));
+}
+
+/**
+ * Read a year the usual way (1984 -> nineteen eighty-four)
+ * @param {number} value - Year from 1100 to 1999
+ * @returns {string}
+ */
+function yearToWords(value) {
+  const rest = value % 100;
+  return `${numberToWords(Math.floor(value / 100))} ${rest === 0 ? 'hundred' : rest < 10 ? `oh ${ONES[rest]}` : numberToWords(rest)}`;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape text for SSML
+ * @param {string} value - Plain text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for a quoted SSML attribute. Text content keeps its quotes
+ * so quote pauses can find them.
+ * @param {string} value - Plain text
+ * @returns {string}
+ */
+function escapeXmlAttribute(value) {
+  return escapeXml(value).replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+const ABBREVIATION_WORDS = Object.keys(ABBREVIATIONS).sort((a, b) => b.length - a.length).map(escapeRegExp);
+const ABBREVIATION_PATTERN = new RegExp(
+  `(?<!${WORD_CHAR})(?:${ABBREVIATION_WORDS.join('|')})(?!${WORD_CHAR}|(?<=[A-Z])\\.)`,
+  'gu'
+);
+
+/**
+ * Speech Normalizer Service - rewrites text so TTS voices read it the way
+ * a person would: verse references ("2:47" -> "chapter two, verse
+ * forty-seven"), abbreviations, numbers, scripture names from the
+ * pronunciation lexicon and pauses around quotations. The lexicon is the
+ * built-in one merged with the `pronunciations` collection, cached for
+ * LEXICON_CACHE_TTL_MS.
+ */
+export class SpeechNormalizerService {
+  constructor() {
+    this.enabled = process.env.SPEECH_NORMALIZATION_ENABLED !== 'false';
+    this.cacheTtlMs = parseInt(process.env.LEXICON_CACHE_TTL_MS) || 60000;
+    this.quotePauseMs = parseInt(process.env.SPEECH_QUOTE_PAUSE_MS) || 400;
+    this.cache = null;
+  }
+
+  /**
+   * Check a pronunciation from a request
+   * @param {Object} pronunciation - { term, spoken, ipa }
+   * @returns {string|null} - Validation message, or null when valid
+   */
+  validatePronunciation({ term, spoken, ipa }) {
+    if (typeof term !== 'string' || !/^[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}' .-]{0,98}[\p{L}\p{M}\p{N}])?$/u.test(term)) {
+      return 'term must be 1-100 characters of letters, digits, spaces, apostrophes, dots or hyphens';
+    }
+    if (typeof spoken !== 'string' || !spoken.trim() || spoken.length > 200) {
+      return 'spoken must be a respelling of at most 200 characters';
+    }
+    if (ipa !== undefined && ipa !== null && (typeof ipa !== 'string' || !ipa.trim() || ipa.length > 200)) {
+      return 'ipa must be a string of at most 200 characters';
+    }
+    return null;
+  }
+
+  /**
+   * Merge stored pronunciations over the built-in ones and compile them
+   * @param {Array<Object>} stored - Documents from the pronunciations collection
+   * @returns {Object} - { entries: Map(lowercased term -> entry), pattern }
+   */
+  buildLexicon(stored = []) {
+    const entries = new Map();
+    for (const entry of DEFAULT_PRONUNCIATIONS) {
+      entries.set(entry.term.toLowerCase(), { ...entry, source: 'default' });
+    }
+    for (const entry of stored) {
+      entries.set(entry.term.toLowerCase(), { term: entry.term, spoken: entry.spoken, ipa: entry.ipa || null, source: 'stored' });
+    }
+
+    // Longest terms first so "Japji Sahib" wins over "Sahib"
+    const terms = [...entries.keys()].sort((a, b) => b.length - a.length);
+    const pattern = terms.length > 0
+      ? new RegExp(`(?<!${WORD_CHAR})(?:${terms.map(escapeRegExp).join('|')})(?!${WORD_CHAR})`, 'giu')
+      : null;
+
+    return { entries, pattern };
+  }
+
+  /**
+   * Get the lexicon, cached for LEXICON_CACHE_TTL_MS. When MongoDB is
+   * unavailable the built-in entries are used.
+   * @returns {Promise<Object>} - buildLexicon() result
+   */
+  async getLexicon() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.lexicon;
+    }
+
+    let stored = [];
+    try {
+      stored = await PronunciationModel.findAll();
+    } catch (error) {
+      console.warn('⚠️ Pronunciation lexicon unavailable, using built-in entries:', error.message);
+    }
+
+    const lexicon = this.buildLexicon(stored);
+    this.cache = { lexicon, expiresAt: Date.now() + this.cacheTtlMs };
+    return lexicon;
+  }
+
+  /**
+   * Drop the cached lexicon after pronunciations change
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Normalize text for a TTS voice
+   * @param {string} text - Cleaned text (no markdown)
+   * @param {Object} options - Normalization options
+   * @param {boolean} options.ssml - Return an SSML document with phonemes and
+   *   breaks, for engines that read SSML
+   * @returns {Promise<string>}
+   */
+  async normalize(text, { ssml = false } = {}) {
+    if (!this.enabled) {
+      return ssml ? `<speak>${escapeXml(text)}</speak>` : text;
+    }
+    return this.normalizeWith(text, await this.getLexicon(), { ssml });
+  }
+
+  /**
+   * Normalize text with a given lexicon
+   * @param {string} text - Cleaned text (no markdown)
+   * @param {Object} lexicon - buildLexicon() result
+   * @param {Object} options - See normalize()
+   * @returns {string}
+   */
+  normalizeWith(text, lexicon, { ssml = false } = {}) {
+    // SSML tags are parked behind placeholders so later steps leave them alone
+    const markup = [];
+    const hold = (tag) => {
+      markup.push(tag);
+      return `\uE000${String.fromCharCode(0xE100 + markup.length - 1)}`;
+    };
+
+    let result = ssml ? escapeXml(text) : text;
+
+    result = this.expandAbbreviations(result);
+    result = this.expandVerseReferences(result);
+    result = this.applyLexicon(result, lexicon, { ssml, hold });
+    result = this.expandNumbers(result);
+    result = this.addQuotePauses(result, { ssml, hold });
+    result = result.replace(/\s+/g, ' ').trim();
+    result = result.replace(/\uE000(.)/gu, (match, index) => markup[index.charCodeAt(0) - 0xE100]);
+
+    return ssml ? `<speak>${result}</speak>` : result;
+  }
+
+  /**
+   * Expand abbreviations (vs., e.g., St., ...)
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  expandAbbreviations(text) {
+    return text.replace(ABBREVIATION_PATTERN, (match) => ABBREVIATIONS[match]);
+  }
+
+  /**
+   * Expand chapter:verse references so they are not read as times:
+   * "John 3:16" -> "John chapter 3, verse 16", "2:47-48" -> "chapter 2,
+   * verses 47 to 48", "1 Corinthians" -> "First Corinthians". Times with
+   * am/pm and h:m:s are left alone.
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  expandVerseReferences(text) {
+    return text
+      .replace(/(?<![\w:])([1-3]) (?=[A-Z][a-z]+ \d+:\d+)/g, (match, number) => `${BOOK_NUMBERS[number]} `)
+      .replace(
+        /(?<![\d:])(\d{1,3}):(\d{1,3})(?:\s*[-–]\s*(\d{1,3}))?(?![\d:])(?!\s*(?:[ap]\.?m\.?)(?![a-z]))/gi,
+        (match, chapter, verse, lastVerse, offset, whole) => {
+          const prefix = CHAPTER_WORDS.test(whole.slice(0, offset)) ? '' : 'chapter ';
+          const verses = lastVerse ? `verses ${verse} to ${lastVerse}` : `verse ${verse}`;
+          return `${prefix}${chapter}, ${verses}`;
+        }
+      );
+  }
+
+  /**
+   * Replace lexicon terms with their pronunciation: the respelling, or an
+   * SSML phoneme when the entry has IPA and SSML is requested
+   * @param {string} text - Text
+   * @param {Object} lexicon - buildLexicon() result
+   * @param {Object} options - { ssml, hold }; hold(tag) returns a
+   *   placeholder for SSML markup
+   * @returns {string}
+   */
+  applyLexicon(text, lexicon, { ssml = false, hold = (tag) => tag } = {}) {
+    if (!lexicon.pattern) {
+      return text;
+    }
+    return text.replace(lexicon.pattern, (match) => {
+      const entry = lexicon.entries.get(match.toLowerCase());
+      if (ssml && entry.ipa) {
+        return `${hold(`<phoneme alphabet="ipa" ph="${escapeXmlAttribute(entry.ipa)}">`)}${match}${hold('</phoneme>')}`;
+      }
+      return ssml ? escapeXml(entry.spoken) : entry.spoken;
+    });
+  }
+
+  /**
+   * Spell out numbers: ordinals (21st), percentages, decimals, years
+   * (1100-1999) and whole numbers with or without thousands separators.
+   * Colon-separated digits are skipped: expandVerseReferences() has already
+   * read bare ones (6:30) as verses, and the times it leaves (6:30 pm,
+   * 6:30:15) are for the voice to read.
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  expandNumbers(text) {
+    return text
+      .replace(/(?<![\w.:])(\d+)(st|nd|rd|th)\b/gi, (match, digits) => ordinalToWords(parseInt(digits)))
+      .replace(/(?<![\w.,:])(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(\s*%)?(?![\w:]|[.,]\d)/g, (match, whole, fraction, percent) => {
+        const value = parseInt(whole.replace(/,/g, ''));
+        if (value > 999999999999) {
+          return match;
+        }
+        let words = !fraction && !percent && !whole.includes(',') && value >= 1100 && value <= 1999
+          ? yearToWords(value)
+          : numberToWords(value);
+        if (fraction) {
+          words += ` point ${[...fraction].map((digit) => ONES[digit]).join(' ')}`;
+        }
+        return percent ? `${words} percent` : words;
+      });
+  }
+
+  /**
+   * Pause around quotations: an SSML break, or an ellipsis that plain-text
+   * voices read as a pause
+   * @param {string} text - Text
+   * @param {Object} options - { ssml, hold }; hold(tag) returns a
+   *   placeholder for SSML markup
+   * @returns {string}
+   */
+  addQuotePauses(text, { ssml = false, hold = (tag) => tag } = {}) {
+    const pause = ssml ? hold(`<break time="${this.quotePauseMs}ms"/>`) : '...';
+    // Curly quotes are paused on their own, as a quotation may be split
+    // across speech chunks; straight quotes only in pairs
+    return text
+      .replace(/"([^"]+)"/g, ` ${pause} "$1" ${pause} `)
+      .replace(/“/g, ` ${pause} “`)
+      .replace(/”/g, `” ${pause} `);
+  }
+}
+
+// Export singleton instance
+export const speechNormalizerService = new SpeechNormalizerService();
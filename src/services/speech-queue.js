@@ -0,0 +1,86 @@
+/**
+ * Speech Queue - synthesizes text chunks concurrently and delivers them in
+ * order. Up to `concurrency` synthesize() calls run at once while the
+ * caller keeps pushing chunks; deliver() is called strictly in push order,
+ * one chunk at a time, as soon as the previous chunk has been delivered and
+ * this chunk's synthesis has started, so a chunk can be delivered while its
+ * audio is still arriving.
+ */
+export class SpeechQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Synthesize calls allowed at once
+   * @param {Function} options.synthesize - Called with a job ({ index, input });
+   *   may attach results to the job before its first await
+   * @param {Function} options.deliver - Awaited with each job, in index order
+   */
+  constructor({ concurrency = 3, synthesize, deliver }) {
+    this.concurrency = Math.max(1, concurrency);
+    this.synthesize = synthesize;
+    this.deliver = deliver;
+    this.jobs = [];
+    this.waiting = [];
+    this.running = 0;
+    this.delivered = Promise.resolve();
+    this.error = null;
+  }
+
+  /**
+   * Queue a chunk for synthesis. Returns immediately.
+   * @param {*} input - Chunk to synthesize
+   * @returns {Object} - The job
+   */
+  push(input) {
+    const job = { index: this.jobs.length, input };
+    job.started = new Promise((resolve) => {
+      job.start = resolve;
+    });
+    this.jobs.push(job);
+    this.waiting.push(job);
+    this.startNext();
+
+    // Chain delivery so jobs are delivered one at a time, in order
+    this.delivered = this.delivered
+      .then(() => job.started)
+      .then(() => this.deliver(job))
+      .catch((error) => {
+        this.error ??= error;
+      });
+
+    return job;
+  }
+
+  /**
+   * Start waiting jobs while there are free slots
+   */
+  startNext() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const job = this.waiting.shift();
+      this.running++;
+
+      // Runs synthesize() synchronously up to its first await
+      const run = async () => this.synthesize(job);
+      job.synthesis = run()
+        .catch((error) => {
+          job.error = error;
+        })
+        .finally(() => {
+          this.running--;
+          this.startNext();
+        });
+      job.start();
+    }
+  }
+
+  /**
+   * Wait until every queued chunk has been delivered
+   * @returns {Promise<void>}
+   * @throws {Error} - The first error thrown by deliver()
+   */
+  async drain() {
+    await this.delivered;
+    if (this.error) {
+      throw this.error;
+    }
+  }
+}
@@ -0,0 +1,135 @@
+import dotenv from 'dotenv';
+import { getAudioFormat, getSttProvider, isSttProviderSupported, listSttProviders, SttError } from '../stt/index.js';
+
+dotenv.config();
+
+// Upload types named in error messages (getAudioFormat also accepts aliases)
+const ACCEPTED_TYPES = 'audio/webm, audio/ogg, audio/wav, audio/mpeg';
+
+/**
+ * Speech-to-Text Service on top of the pluggable STT providers
+ * (Deepgram, OpenAI Whisper, local command). Uploads are read whole, up
+ * to STT_MAX_BYTES, then sent to the provider in one request.
+ */
+export class SpeechToTextService {
+  constructor() {
+    this.maxBytes = parseInt(process.env.STT_MAX_BYTES) || 25 * 1024 * 1024;
+  }
+
+  /**
+   * Read an audio upload: a raw audio body (sent whole or in chunks) or a
+   * multipart form with an `audio` file
+   * @param {Object} req - Express request object
+   * @returns {Promise<{audio: Buffer, mimeType: string, fields: Object}>} -
+   *   Audio bytes, their content type and the other form fields (the query
+   *   string for raw bodies)
+   * @throws {SttError} - 400 without audio, 413 when too large, 415 for
+   *   other content types
+   */
+  async readUpload(req) {
+    const contentType = req.headers['content-type'] || '';
+
+    if (contentType.startsWith('multipart/form-data')) {
+      const body = await this.readBody(req);
+      const form = await new Response(body, { headers: { 'Content-Type': contentType } }).formData()
+        .catch(() => {
+          throw new SttError('Malformed multipart body', { status: 400 });
+        });
+
+      const file = form.get('audio');
+      if (!file || typeof file === 'string') {
+        throw new SttError('Form field "audio" must be an audio file', { status: 400 });
+      }
+
+      const fields = {};
+      for (const [name, value] of form) {
+        if (name !== 'audio' && typeof value === 'string') {
+          fields[name] = value;
+        }
+      }
+      return { audio: Buffer.from(await file.arrayBuffer()), mimeType: file.type, fields };
+    }
+
+    if (!getAudioFormat(contentType)) {
+      throw new SttError(`Content-Type must be multipart/form-data or one of: ${ACCEPTED_TYPES}`, { status: 415 });
+    }
+
+    return { audio: await this.readBody(req), mimeType: contentType, fields: { ...req.query } };
+  }
+
+  /**
+   * Read a request body into a buffer
+   * @param {Object} req - Express request object (or a Vercel request with a parsed Buffer body)
+   * @returns {Promise<Buffer>}
+   * @throws {SttError} - 413 past STT_MAX_BYTES
+   */
+  async readBody(req) {
+    const tooLarge = () => new SttError(`Audio must be at most ${this.maxBytes} bytes`, { status: 413 });
+
+    if (Buffer.isBuffer(req.body)) {
+      if (req.body.length > this.maxBytes) {
+        throw tooLarge();
+      }
+      return req.body;
+    }
+
+    const parts = [];
+    let bytes = 0;
+    for await (const part of req) {
+      bytes += part.length;
+      if (bytes > this.maxBytes) {
+        req.destroy();
+        throw tooLarge();
+      }
+      parts.push(part);
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Transcribe recorded audio
+   * @param {Buffer} audio - Audio bytes
+   * @param {Object} options - Transcription options
+   * @param {string} options.provider - STT provider name (optional, STT_PROVIDER otherwise)
+   * @param {string} options.mimeType - Audio content type
+   * @param {string} options.language - BCP-47 language code (optional, detected otherwise)
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @returns {Promise<Object>} - { transcript, confidence, language, durationMs, provider, latencyMs }
+   * @throws {SttError}
+   */
+  async transcribe(audio, { provider: providerName, mimeType, language, signal } = {}) {
+    if (providerName !== undefined && !isSttProviderSupported(providerName)) {
+      throw new SttError(`Unknown STT provider "${providerName}". Available: ${listSttProviders().join(', ')}`, {
+        provider: providerName,
+        status: 400
+      });
+    }
+    if (!audio || audio.length === 0) {
+      throw new SttError('Audio is empty', { provider: providerName, status: 400 });
+    }
+    if (!getAudioFormat(mimeType)) {
+      throw new SttError(`Audio must be one of: ${ACCEPTED_TYPES}`, { provider: providerName, status: 415 });
+    }
+    if (language !== undefined && !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/.test(language)) {
+      throw new SttError('language must be a language code such as "en" or "en-US"', { provider: providerName, status: 400 });
+    }
+
+    const provider = getSttProvider(providerName);
+    const startTime = Date.now();
+
+    try {
+      console.log(`🎙️ Transcribing ${audio.length} bytes of ${mimeType} with ${provider.label}...`);
+      const result = await provider.transcribe(audio, { mimeType, language, signal });
+      const latencyMs = Date.now() - startTime;
+
+      console.log(`✅ Speech transcribed in ${latencyMs}ms (${result.transcript.split(' ').filter(Boolean).length} words)`);
+      return { ...result, provider: provider.name, latencyMs };
+    } catch (error) {
+      console.error('❌ Speech-to-text failed:', error.message);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const speechToTextService = new SpeechToTextService();
@@ -0,0 +1,216 @@
+import { ConversationModel } from '../models/conversation.js';
+import { GenerationErrorModel } from '../models/generation-error.js';
+
+// Bucket sizes for /api/stats/timeseries and the default range for each
+export const TIMESERIES_INTERVALS = {
+  hour: { ms: 60 * 60 * 1000, defaultBuckets: 24 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultBuckets: 30 },
+  week: { ms: 7 * 24 * 60 * 60 * 1000, defaultBuckets: 12 }
+};
+
+const MAX_BUCKETS = 1000;
+const DIMENSIONS = ['byScripture', 'byModel', 'byChannel'];
+
+/**
+ * Turn a conversation group into bucket metrics
+ * @param {Object} group - { conversations, tokens, latency: [p50, p95] } (optional)
+ * @returns {Object}
+ */
+function toMetrics(group) {
+  return {
+    conversations: group?.conversations || 0,
+    tokens: group?.tokens || 0,
+    p50LatencyMs: group?.latency?.[0] != null ? Math.round(group.latency[0]) : null,
+    p95LatencyMs: group?.latency?.[1] != null ? Math.round(group.latency[1]) : null,
+    errors: 0
+  };
+}
+
+/**
+ * Relative change from a previous value
+ * @param {number|null} current - Current value
+ * @param {number|null} previous - Previous value
+ * @returns {number|null} - e.g. 0.25 for +25%, null when there is nothing to compare
+ */
+function relativeChange(current, previous) {
+  if (current == null || !previous) {
+    return null;
+  }
+  return Math.round(((current - previous) / previous) * 10000) / 10000;
+}
+
+/**
+ * Stats Service - conversation and error timeseries for dashboards
+ */
+export class StatsService {
+  constructor() {
+    this.indexesReady = null;
+  }
+
+  /**
+   * Check an IANA timezone name
+   * @param {string} timezone - e.g. Asia/Kolkata
+   * @returns {boolean}
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Work out the range to report
+   * @param {Object} options - Range options
+   * @param {string} options.interval - hour, day or week
+   * @param {Date} options.from - Start (optional, defaults to the interval's default range)
+   * @param {Date} options.to - End (optional, defaults to now)
+   * @returns {{from: Date, to: Date}|{message: string}} - Range, or a validation message
+   */
+  resolveRange({ interval, from, to }) {
+    const { ms, defaultBuckets } = TIMESERIES_INTERVALS[interval];
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - ms * defaultBuckets);
+
+    if (start >= end) {
+      return { message: 'from must be before to' };
+    }
+    if ((end - start) / ms > MAX_BUCKETS) {
+      return { message: `The range may span at most ${MAX_BUCKETS} ${interval} buckets` };
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * $dateTrunc expression for a bucket; weeks start on Monday
+   * @param {string} interval - hour, day or week
+   * @param {string} timezone - IANA timezone
+   * @returns {Object}
+   */
+  getPeriod(interval, timezone) {
+    return {
+      $dateTrunc: {
+        date: '$timestamp',
+        unit: interval,
+        timezone,
+        ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+      }
+    };
+  }
+
+  /**
+   * Combine conversation and error aggregations into ordered buckets
+   * @param {Object} conversations - ConversationModel.getTimeseries() result
+   * @param {Object} errors - GenerationErrorModel.getTimeseries() result
+   * @returns {{summary: Object, buckets: Array<Object>}}
+   */
+  mergeBuckets(conversations, errors) {
+    const buckets = new Map();
+    const getBucket = (date) => {
+      const period = date.toISOString();
+      if (!buckets.has(period)) {
+        buckets.set(period, {
+          period,
+          ...toMetrics(),
+          byScripture: {},
+          byModel: {},
+          byChannel: {}
+        });
+      }
+      return buckets.get(period);
+    };
+
+    for (const group of conversations.totals) {
+      Object.assign(getBucket(group._id), toMetrics(group));
+    }
+    for (const group of errors.totals) {
+      getBucket(group._id).errors = group.errors;
+    }
+
+    for (const dimension of DIMENSIONS) {
+      for (const group of conversations[dimension]) {
+        getBucket(group._id.period)[dimension][group._id.key] = toMetrics(group);
+      }
+      for (const group of errors[dimension]) {
+        const split = getBucket(group._id.period)[dimension];
+        split[group._id.key] ??= toMetrics();
+        split[group._id.key].errors = group.errors;
+      }
+    }
+
+    const summary = {
+      ...toMetrics(conversations.summary[0]),
+      errors: errors.summary[0]?.errors || 0
+    };
+
+    return {
+      summary,
+      buckets: [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period))
+    };
+  }
+
+  /**
+   * Timeseries for one range
+   * @param {Object} options - { from, to, interval, timezone }
+   * @returns {Promise<Object>} - { from, to, summary, buckets }
+   */
+  async getRange({ from, to, interval, timezone }) {
+    const period = this.getPeriod(interval, timezone);
+    const [conversations, errors] = await Promise.all([
+      ConversationModel.getTimeseries({ from, to, period }),
+      GenerationErrorModel.getTimeseries({ from, to, period })
+    ]);
+
+    return { from, to, ...this.mergeBuckets(conversations, errors) };
+  }
+
+  /**
+   * Conversations, tokens, response times and errors per bucket, optionally
+   * compared with the period of the same length just before
+   * @param {Object} options - Query options
+   * @param {string} options.interval - hour, day or week
+   * @param {string} options.timezone - IANA timezone for bucket boundaries
+   * @param {Date} options.from - Start of the range
+   * @param {Date} options.to - End of the range
+   * @param {boolean} options.compare - Include the previous period
+   * @returns {Promise<Object>}
+   */
+  async getTimeseries({ interval, timezone, from, to, compare }) {
+    this.indexesReady ??= Promise.all([
+      ConversationModel.ensureIndexesOnce(),
+      GenerationErrorModel.ensureIndexes()
+    ]).catch((error) => {
+      this.indexesReady = null;
+      throw error;
+    });
+    await this.indexesReady;
+
+    const current = await this.getRange({ from, to, interval, timezone });
+    const result = { interval, timezone, ...current };
+
+    if (compare) {
+      const span = to.getTime() - from.getTime();
+      const previous = await this.getRange({
+        from: new Date(from.getTime() - span),
+        to: from,
+        interval,
+        timezone
+      });
+
+      result.previous = previous;
+      result.change = Object.fromEntries(
+        ['conversations', 'tokens', 'errors', 'p50LatencyMs', 'p95LatencyMs'].map((metric) => [
+          metric,
+          relativeChange(current.summary[metric], previous.summary[metric])
+        ])
+      );
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+export const statsService = new StatsService();
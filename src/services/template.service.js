@@ -0,0 +1,143 @@
+import dotenv from 'dotenv';
+import { PromptTemplateModel } from '../models/prompt-template.js';
+
+dotenv.config();
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_VARIABLE_LENGTH = 2000;
+
+/**
+ * Error raised when a template cannot be found or rendered
+ */
+export class TemplateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status to respond with (400 or 404)
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+  }
+}
+
+/**
+ * Template Service - renders server-managed system prompts from
+ * `{{variable}}` templates
+ */
+export class TemplateService {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.TEMPLATE_CACHE_TTL_MS) || 60000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Check a template name (lowercase letters, digits, - and _)
+   * @param {string} name - Template name
+   * @returns {boolean}
+   */
+  isValidName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+  }
+
+  /**
+   * List the variables a template uses
+   * @param {string} content - Template content
+   * @returns {Array<string>} - Variable names, in order of first use
+   */
+  extractVariables(content) {
+    return [...new Set([...content.matchAll(VARIABLE_PATTERN)].map((match) => match[1]))];
+  }
+
+  /**
+   * Fill in a template's variables
+   * @param {string} content - Template content
+   * @param {Object} variables - Values by name
+   * @returns {string} - Rendered text
+   * @throws {TemplateError} - When a variable is missing or not a short scalar
+   */
+  render(content, variables = {}) {
+    const values = variables || {};
+    const missing = this.extractVariables(content).filter((name) => values[name] === undefined || values[name] === null);
+    if (missing.length > 0) {
+      throw new TemplateError(`Missing template variables: ${missing.join(', ')}`);
+    }
+
+    return content.replace(VARIABLE_PATTERN, (match, name) => {
+      const value = values[name];
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new TemplateError(`Template variable ${name} must be a string, number or boolean`);
+      }
+      if (String(value).length > MAX_VARIABLE_LENGTH) {
+        throw new TemplateError(`Template variable ${name} exceeds ${MAX_VARIABLE_LENGTH} characters`);
+      }
+      return String(value);
+    });
+  }
+
+  /**
+   * Get a template, cached for TEMPLATE_CACHE_TTL_MS
+   * @param {string} name - Template name
+   * @returns {Promise<Object|null>} - Template or null
+   */
+  async getTemplate(name) {
+    const cached = this.cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    const template = await PromptTemplateModel.findByName(name);
+    this.cache.set(name, { template, expiresAt: Date.now() + this.cacheTtlMs });
+    return template;
+  }
+
+  /**
+   * Drop a template from the cache after it changes
+   * @param {string} name - Template name
+   */
+  invalidate(name) {
+    this.cache.delete(name);
+  }
+
+  /**
+   * Render the system prompt for a request
+   * @param {Object} options - Template options from the request body
+   * @param {string} options.templateId - Template name
+   * @param {Object} options.variables - Variable values
+   * @param {number} options.templateVersion - Version to use instead of the active one (optional)
+   * @returns {Promise<{templateId: string, version: number, content: string}>}
+   * @throws {TemplateError} - When the template or version does not exist or cannot be rendered
+   */
+  async resolve({ templateId, variables, templateVersion }) {
+    if (!this.isValidName(templateId)) {
+      throw new TemplateError('templateId must be a template name');
+    }
+    if (templateVersion !== undefined && !Number.isInteger(templateVersion)) {
+      throw new TemplateError('templateVersion must be an integer');
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      throw new TemplateError('variables must be an object');
+    }
+
+    const template = await this.getTemplate(templateId);
+    if (!template) {
+      throw new TemplateError(`Template ${templateId} not found`, 404);
+    }
+
+    const versionNumber = templateVersion ?? template.activeVersion;
+    const version = template.versions.find((candidate) => candidate.version === versionNumber);
+    if (!version) {
+      throw new TemplateError(`Template ${templateId} has no version ${templateVersion}`, 404);
+    }
+
+    return {
+      templateId,
+      version: version.version,
+      content: this.render(version.content, variables)
+    };
+  }
+}
+
+// Export singleton instance
+export const templateService = new TemplateService();
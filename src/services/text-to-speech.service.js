@@ -1,51 +1,64 @@
+import { getTtsProvider, isTtsProviderSupported, listTtsProviders, TtsError } from '../tts/index.js';
+import { speechNormalizerService } from './speech-normalizer.service.js';
+
 /**
- * Text-to-Speech Service using Deepgram API
+ * Text-to-Speech Service on top of the pluggable TTS providers
+ * (Deepgram, OpenAI, local espeak-ng/piper).
  * Serverless-friendly version that works entirely in memory
  */
 class TextToSpeechService {
-  constructor() {
-    this.voiceKey = process.env.VOICE_KEY;
-    this.deepgramApiUrl = 'https://api.deepgram.com/v1/speak';
+  /**
+   * Pick a provider and validate voice settings against it
+   * @param {Object} voiceSettings - { provider, voice, audioFormat, sampleRate, speed }
+   *   (all optional); `model` is accepted as an older name for `voice`
+   * @returns {{provider: Object, settings: Object}} - Provider adapter and the
+   *   settings it will use, including mimeType
+   * @throws {TtsError} - 400 for an unknown provider or unsupported settings
+   */
+  resolveVoice(voiceSettings = {}) {
+    const { provider: providerName, voice, model, audioFormat, sampleRate, speed } = voiceSettings;
+
+    if (providerName !== undefined && !isTtsProviderSupported(providerName)) {
+      throw new TtsError(`Unknown TTS provider "${providerName}". Available: ${listTtsProviders().join(', ')}`, {
+        provider: providerName,
+        status: 400
+      });
+    }
+
+    const provider = getTtsProvider(providerName);
+    const settings = provider.validate({ voice: voice ?? model, audioFormat, sampleRate, speed });
+    return { provider, settings };
   }
 
   /**
-   * Generate speech from text using Deepgram API
+   * Generate speech from text
    * @param {string} text - Text to convert to speech
-   * @returns {Buffer} - Audio buffer
+   * @param {Object} voiceSettings - See resolveVoice() (optional)
+   * @returns {Promise<{audio: Buffer, settings: Object}>} - Audio buffer and
+   *   the settings it was rendered with
    */
-  async generateSpeech(text) {
-    if (!this.voiceKey) {
-      throw new Error('VOICE_KEY environment variable is not set');
-    }
-
+  async generateSpeech(text, voiceSettings = {}) {
     if (!text || typeof text !== 'string' || text.trim().length === 0) {
       throw new Error('Invalid text input');
     }
 
+    const { provider, settings } = this.resolveVoice(voiceSettings);
+
     try {
-      console.log('🎵 Generating speech with Deepgram...');
-
-      // Make request to Deepgram API
-      const response = await fetch(`${this.deepgramApiUrl}?model=aura-2-draco-en`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Token ${this.voiceKey}`,
-          'Content-Type': 'text/plain'
-        },
-        body: text
-      });
+      console.log(`🎵 Generating speech with ${provider.label} (${settings.voice})...`);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Deepgram API error (${response.status}): ${errorText}`);
-      }
+      // Verse references, numbers, lexicon terms and quote pauses
+      const spokenText = await speechNormalizerService.normalize(text, { ssml: provider.supportsSsml });
 
-      // Get audio buffer directly from response
-      const audioBuffer = Buffer.from(await response.arrayBuffer());
+      const parts = [];
+      for await (const bytes of provider.synthesize(spokenText, settings)) {
+        parts.push(Buffer.from(bytes));
+      }
+      const audioBuffer = Buffer.concat(parts);
 
       console.log(`✅ Speech generated successfully (${audioBuffer.length} bytes)`);
 
-      return audioBuffer;
+      return { audio: audioBuffer, settings };
 
     } catch (error) {
       console.error('❌ Text-to-speech generation failed:', error.message);
@@ -0,0 +1,20 @@
+// Accepted upload content types and the format each one is
+export const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3'
+};
+
+/**
+ * Format of an audio content type, ignoring parameters such as codecs
+ * @param {string} mimeType - Content type (e.g. audio/webm;codecs=opus)
+ * @returns {string|null} - webm, ogg, wav or mp3, or null when unsupported
+ */
+export function getAudioFormat(mimeType) {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return AUDIO_TYPES[type] || null;
+}
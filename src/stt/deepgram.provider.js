@@ -0,0 +1,85 @@
+import { SttError } from './stt-error.js';
+
+/**
+ * Deepgram pre-recorded transcription adapter (POST /listen)
+ *
+ * Every STT provider exposes the same method:
+ * - transcribe(audio, { mimeType, language, signal }) resolves to
+ *   { transcript, confidence, language, durationMs }, where confidence and
+ *   durationMs are null when the provider does not report them and language
+ *   is the one requested or detected
+ * plus isConfigured(), false when the provider cannot be called at all.
+ */
+export class DeepgramSttProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - Deepgram API key (VOICE_KEY)
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.model - Transcription model
+   */
+  constructor(config = {}) {
+    this.name = 'deepgram';
+    this.label = 'Deepgram';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.deepgram.com/v1').replace(/\/+$/, '');
+    this.model = config.model || 'nova-3';
+  }
+
+  /**
+   * Whether an API key is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Transcribe recorded audio
+   * @param {Buffer} audio - Audio bytes
+   * @param {Object} options - Transcription options
+   * @param {string} options.mimeType - Audio content type
+   * @param {string} options.language - Spoken language (optional, detected otherwise)
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @returns {Promise<Object>} - { transcript, confidence, language, durationMs }
+   */
+  async transcribe(audio, { mimeType, language, signal } = {}) {
+    if (!this.apiKey) {
+      throw new SttError('VOICE_KEY environment variable is not set', { provider: this.name, status: 500 });
+    }
+
+    const url = new URL(`${this.baseUrl}/listen`);
+    url.searchParams.append('model', this.model);
+    url.searchParams.append('smart_format', 'true');
+    if (language) {
+      url.searchParams.append('language', language);
+    } else {
+      url.searchParams.append('detect_language', 'true');
+    }
+
+    const response = await fetch(url.toString(), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Token ${this.apiKey}`,
+        'Content-Type': mimeType
+      },
+      body: audio,
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new SttError(`Deepgram API error (${response.status}): ${errorText}`, { provider: this.name });
+    }
+
+    const data = await response.json();
+    const channel = data.results?.channels?.[0];
+    const alternative = channel?.alternatives?.[0];
+
+    return {
+      transcript: alternative?.transcript?.trim() || '',
+      confidence: alternative?.confidence ?? null,
+      language: language || channel?.detected_language || null,
+      durationMs: data.metadata?.duration != null ? Math.round(data.metadata.duration * 1000) : null
+    };
+  }
+}
@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+import { DeepgramSttProvider } from './deepgram.provider.js';
+import { OpenAISttProvider } from './openai.provider.js';
+import { LocalSttProvider } from './local.provider.js';
+
+dotenv.config();
+
+export { SttError } from './stt-error.js';
+export { AUDIO_TYPES, getAudioFormat } from './audio-types.js';
+
+// STT provider factories configured from the environment
+const STT_FACTORIES = {
+  deepgram: () => new DeepgramSttProvider({
+    apiKey: process.env.VOICE_KEY,
+    baseUrl: process.env.DEEPGRAM_BASE_URL,
+    model: process.env.DEEPGRAM_STT_MODEL
+  }),
+  openai: () => new OpenAISttProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_STT_MODEL
+  }),
+  local: () => new LocalSttProvider({
+    command: process.env.LOCAL_STT_COMMAND
+  })
+};
+
+const instances = new Map();
+
+/**
+ * Names of all available STT providers
+ * @returns {Array<string>}
+ */
+export function listSttProviders() {
+  return Object.keys(STT_FACTORIES);
+}
+
+/**
+ * Check whether an STT provider name is known
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isSttProviderSupported(name) {
+  return Object.hasOwn(STT_FACTORIES, name);
+}
+
+/**
+ * Get an STT provider adapter by name, defaulting to STT_PROVIDER (or deepgram)
+ * @param {string} name - Provider name (optional)
+ * @returns {Object} - STT provider adapter
+ */
+export function getSttProvider(name) {
+  const providerName = name || process.env.STT_PROVIDER || 'deepgram';
+
+  if (!isSttProviderSupported(providerName)) {
+    throw new Error(`Unknown STT provider "${providerName}". Available: ${listSttProviders().join(', ')}`);
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, STT_FACTORIES[providerName]());
+  }
+  return instances.get(providerName);
+}
@@ -0,0 +1,82 @@
+import { spawn } from 'child_process';
+import { SttError } from './stt-error.js';
+
+/**
+ * Local adapter that pipes the audio through a command
+ *
+ * Implements the STT provider interface described in deepgram.provider.js.
+ * The command gets the audio on stdin, with STT_MIME_TYPE and STT_LANGUAGE
+ * in its environment, and prints the transcript on stdout. It can wrap an
+ * offline engine (e.g. ffmpeg + whisper.cpp) or, in development and tests,
+ * be a script that prints a fixed sentence.
+ */
+export class LocalSttProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.command - Executable to run (LOCAL_STT_COMMAND)
+   */
+  constructor(config = {}) {
+    this.name = 'local';
+    this.label = 'Local';
+    this.command = config.command;
+  }
+
+  /**
+   * Whether a command is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.command);
+  }
+
+  /**
+   * Transcribe recorded audio
+   * @param {Buffer} audio - Audio bytes
+   * @param {Object} options - Transcription options
+   * @param {string} options.mimeType - Audio content type
+   * @param {string} options.language - Spoken language (optional)
+   * @param {AbortSignal} options.signal - Kills the command (optional)
+   * @returns {Promise<Object>} - { transcript, confidence, language, durationMs }
+   */
+  async transcribe(audio, { mimeType, language, signal } = {}) {
+    if (!this.command) {
+      throw new SttError('LOCAL_STT_COMMAND environment variable is not set', { provider: this.name, status: 500 });
+    }
+
+    const child = spawn(this.command, [], {
+      signal,
+      env: { ...process.env, STT_MIME_TYPE: mimeType, STT_LANGUAGE: language || '' }
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => {
+      stdout += data;
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data;
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(audio);
+
+    const { error, code } = await new Promise((resolve) => {
+      child.once('error', (spawnError) => resolve({ error: spawnError }));
+      child.once('close', (exitCode) => resolve({ code: exitCode }));
+    });
+
+    if (error?.name === 'AbortError') {
+      throw error;
+    }
+    if (error) {
+      throw new SttError(
+        error.code === 'ENOENT' ? `${this.command} is not installed` : `Local STT failed: ${error.message}`,
+        { provider: this.name, status: error.code === 'ENOENT' ? 500 : 502 }
+      );
+    }
+    if (code !== 0) {
+      throw new SttError(`Local STT exited with code ${code}: ${stderr.trim()}`, { provider: this.name });
+    }
+
+    return { transcript: stdout.trim(), confidence: null, language: language || null, durationMs: null };
+  }
+}
@@ -0,0 +1,80 @@
+import { SttError } from './stt-error.js';
+import { getAudioFormat } from './audio-types.js';
+
+/**
+ * OpenAI transcription adapter (POST /audio/transcriptions, Whisper)
+ *
+ * Implements the STT provider interface described in deepgram.provider.js.
+ * OpenAI reports no confidence; whisper models report the language and
+ * duration (verbose_json), newer transcription models only the text.
+ */
+export class OpenAISttProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key sent as a Bearer token
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.model - Transcription model
+   */
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = config.model || 'whisper-1';
+  }
+
+  /**
+   * Whether an API key is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Transcribe recorded audio
+   * @param {Buffer} audio - Audio bytes
+   * @param {Object} options - Transcription options
+   * @param {string} options.mimeType - Audio content type
+   * @param {string} options.language - Spoken language (optional, detected otherwise)
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @returns {Promise<Object>} - { transcript, confidence, language, durationMs }
+   */
+  async transcribe(audio, { mimeType, language, signal } = {}) {
+    if (!this.apiKey) {
+      throw new SttError('OPENAI_API_KEY environment variable is not set', { provider: this.name, status: 500 });
+    }
+
+    const verbose = this.model.startsWith('whisper');
+    const form = new FormData();
+    // OpenAI detects the format from the file name
+    form.append('file', new Blob([audio], { type: mimeType }), `speech.${getAudioFormat(mimeType)}`);
+    form.append('model', this.model);
+    form.append('response_format', verbose ? 'verbose_json' : 'json');
+    if (language) {
+      form.append('language', language);
+    }
+
+    const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: form,
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new SttError(`OpenAI transcription API error (${response.status}): ${errorText}`, { provider: this.name });
+    }
+
+    const data = await response.json();
+    return {
+      transcript: data.text?.trim() || '',
+      confidence: null,
+      language: language || data.language || null,
+      durationMs: data.duration != null ? Math.round(data.duration * 1000) : null
+    };
+  }
+}
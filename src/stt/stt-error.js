@@ -0,0 +1,19 @@
+/**
+ * Error raised while transcribing speech
+ */
+export class SttError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.provider - STT provider name (deepgram, openai, local)
+   * @param {number} details.status - HTTP status to answer with: 400 for an
+   *   invalid request, 413 for oversized audio, 415 for an unsupported audio
+   *   type, 500 for a missing key or command, 502 when the provider failed
+   */
+  constructor(message, { provider, status = 502 } = {}) {
+    super(message);
+    this.name = 'SttError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
@@ -0,0 +1,100 @@
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import assert from 'node:assert/strict';
+import { AuthError, AuthService } from '../services/auth.service.js';
+import { clientScope } from '../middleware/auth.js';
+
+/**
+ * Build a compact JWT
+ * @param {Object} header - JOSE header
+ * @param {Object} claims - Payload
+ * @param {Function} signer - (signingInput) => Buffer
+ * @returns {string}
+ */
+function buildJwt(header, claims, signer) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signed = `${encode(header)}.${encode(claims)}`;
+  return `${signed}.${signer(signed).toString('base64url')}`;
+}
+
+/**
+ * Test API key handling, JWT verification and client authorization (no database needed)
+ */
+async function testAuth() {
+  try {
+    console.log('🧪 Testing authentication...\n');
+
+    const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.JWT_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+    process.env.JWT_ISSUER = 'epic-auth';
+    const auth = new AuthService();
+    const now = 1_700_000_000;
+
+    console.log('1. Reading credentials...');
+    const { key, keyHash } = auth.generateKey();
+    assert.match(key, /^epk_/);
+    assert.equal(auth.hashKey(key), keyHash);
+    assert.deepEqual(auth.getCredentials({ 'x-api-key': key }), { type: 'key', token: key });
+    assert.deepEqual(auth.getCredentials({ authorization: `Bearer ${key}` }), { type: 'key', token: key });
+    assert.equal(auth.getCredentials({ authorization: 'Basic abc' }), null);
+    console.log('✅ API keys hashed and read from headers\n');
+
+    console.log('2. Verifying JWTs...');
+    const claims = { sub: 'portfolio', iss: 'epic-auth', exp: now + 60 };
+    const hmac = (input) => createHmac('sha256', 'test-secret').update(input).digest();
+    const rsa = (input) => sign('RSA-SHA256', Buffer.from(input), privateKey);
+
+    assert.equal(auth.verifyJwt(buildJwt({ alg: 'HS256' }, claims, hmac), now).sub, 'portfolio');
+    assert.equal(auth.verifyJwt(buildJwt({ alg: 'RS256' }, claims, rsa), now).sub, 'portfolio');
+    assert.throws(() => auth.verifyJwt(buildJwt({ alg: 'HS256' }, claims, hmac), now + 600), /expired/);
+    assert.throws(() => auth.verifyJwt(buildJwt({ alg: 'HS256' }, { ...claims, iss: 'other' }, hmac), now), /issuer/);
+    assert.throws(() => auth.verifyJwt(buildJwt({ alg: 'none' }, claims, () => Buffer.alloc(0)), now), /algorithm/);
+
+    const tampered = buildJwt({ alg: 'HS256' }, claims, hmac).split('.');
+    tampered[1] = Buffer.from(JSON.stringify({ ...claims, sub: 'admin' })).toString('base64url');
+    assert.throws(() => auth.verifyJwt(tampered.join('.'), now), AuthError);
+    console.log('✅ HS256 and RS256 tokens verified, forged tokens rejected\n');
+
+    console.log('3. Authorizing clients...');
+    const client = {
+      allowedEndpoints: ['/api/generic'],
+      allowedOrigins: ['https://beingmartinbmc.github.io'],
+      quotas: { dailyRequests: 100, dailyTokens: null }
+    };
+    auth.authorize(client, { endpoint: '/api/generic', origin: 'https://beingmartinbmc.github.io' });
+    assert.throws(() => auth.authorize(client, { endpoint: '/api/openai-proxy', origin: 'https://beingmartinbmc.github.io' }), { status: 403 });
+    assert.throws(() => auth.authorize(client, { endpoint: '/api/generic' }), { status: 403 });
+
+    const remaining = auth.getRemaining(client, { requests: 40, tokens: 5000 });
+    assert.equal(remaining.requests, 60);
+    assert.equal(remaining.tokens, null);
+    assert.ok(remaining.reset > new Date());
+    console.log('✅ Endpoints, origins and quotas checked\n');
+
+    console.log('4. Scoping stored history to the client...');
+    assert.deepEqual(clientScope({ locals: { client: { _id: 'client-a' } } }), { clientId: 'client-a' });
+    assert.deepEqual(clientScope({ locals: {} }), {});
+    assert.deepEqual(clientScope({}), {});
+    console.log('✅ Sessions and conversations filtered by clientId when authenticated\n');
+
+    console.log('🎉 All auth tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Auth test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testAuth()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testAuth };
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { ConversationModel } from '../models/conversation.js';
+
+/**
+ * Test conversation listing filters
+ */
+async function testConversations() {
+  try {
+    console.log('🧪 Testing conversation filters...\n');
+
+    console.log('1. Building filters...');
+    assert.deepEqual(ConversationModel.buildFilter({}), {});
+    const from = new Date('2026-01-01T00:00:00Z');
+    assert.deepEqual(ConversationModel.buildFilter({
+      scripture: 'BIBLE',
+      model: 'gpt-4o-mini',
+      minTokens: 100,
+      from,
+      q: 'forgiveness'
+    }), {
+      optionChosen: 'BIBLE',
+      model: 'gpt-4o-mini',
+      timestamp: { $gte: from },
+      'usage.total_tokens': { $gte: 100 },
+      $text: { $search: 'forgiveness' }
+    });
+    assert.deepEqual(ConversationModel.buildFilter({ maxTokens: 0 }), { 'usage.total_tokens': { $lte: 0 } });
+    assert.deepEqual(ConversationModel.buildFilter({ scripture: { $ne: 'x' }, model: { $regex: '.*' } }), {});
+    console.log('✅ Scripture, model, date, token and text filters combined; operator objects dropped\n');
+
+    console.log('2. Looking up invalid IDs...');
+    assert.equal(await ConversationModel.findById('not-an-object-id'), null);
+    assert.equal(await ConversationModel.deleteById('not-an-object-id'), false);
+    console.log('✅ Invalid IDs answered without a query\n');
+
+    console.log('🎉 All conversation tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Conversation test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testConversations()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testConversations };
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { CostService } from '../services/cost.service.js';
+
+/**
+ * Test token pricing and budget decisions
+ */
+async function testCost() {
+  try {
+    console.log('🧪 Testing cost accounting...\n');
+
+    const costs = new CostService();
+
+    console.log('1. Looking up prices...');
+    assert.deepEqual(costs.getPrice('openai', 'gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+    assert.deepEqual(costs.getPrice('openai', 'gpt-4o'), { input: 2.5, output: 10 });
+    assert.deepEqual(costs.getPrice('ollama', 'llama3.1'), { input: 0, output: 0 });
+    assert.equal(costs.getPrice('openai', 'unknown-model'), null);
+    console.log('✅ Dated snapshots use the longest matching price\n');
+
+    console.log('2. Computing costs...');
+    assert.deepEqual(costs.computeCost({
+      provider: 'openai',
+      model: 'gpt-4.1-nano',
+      usage: { prompt_tokens: 1200, completion_tokens: 300, total_tokens: 1500 }
+    }), { inputUsd: 0.00012, outputUsd: 0.00012, totalUsd: 0.00024 });
+    assert.equal(costs.computeCost({ provider: 'openai', model: 'gpt-4.1-nano', usage: {} }), null);
+    assert.deepEqual(costs.sumUsage([
+      { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120, prompt_tokens_details: { cached_tokens: 0 } },
+      {},
+      { prompt_tokens: 150, completion_tokens: 30, total_tokens: 180 }
+    ]), { prompt_tokens: 250, completion_tokens: 50, total_tokens: 300 });
+    assert.deepEqual(costs.sumCosts([
+      { inputUsd: 0.0001, outputUsd: 0.0002, totalUsd: 0.0003 },
+      null,
+      { inputUsd: 0.0001, outputUsd: 0.0001, totalUsd: 0.0002 }
+    ]), { inputUsd: 0.0002, outputUsd: 0.0003, totalUsd: 0.0005 });
+    assert.equal(costs.sumCosts([null]), null);
+    console.log('✅ Input and output tokens priced separately; retries added up\n');
+
+    console.log('3. Evaluating budget caps...');
+    costs.limits = { daily: 10, monthly: 100 };
+    costs.fallbackModel = null;
+    assert.equal(costs.evaluate({ daily: 9.99, monthly: 50 }).action, 'allow');
+    assert.deepEqual(costs.evaluate({ daily: 10, monthly: 50 }), {
+      action: 'refuse', period: 'daily', limitUsd: 10, spentUsd: 10
+    });
+
+    costs.fallbackModel = 'gpt-4.1-nano';
+    assert.equal(costs.evaluate({ daily: 11, monthly: 50 }).action, 'downgrade');
+    assert.equal(costs.evaluate({ daily: 12.5, monthly: 50 }).action, 'refuse');
+    assert.equal(costs.evaluate({ daily: 1, monthly: 130 }).period, 'monthly');
+    console.log('✅ Downgrade over a cap, refuse over the hard limit\n');
+
+    console.log('4. Resetting periods...');
+    const now = new Date('2026-02-28T18:30:00Z');
+    assert.equal(costs.getResetAt('daily', now).toISOString(), '2026-03-01T00:00:00.000Z');
+    assert.equal(costs.getResetAt('monthly', now).toISOString(), '2026-03-01T00:00:00.000Z');
+    console.log('✅ Caps reset at the next UTC day and month\n');
+
+    console.log('5. Applying budgets without caps...');
+    const uncapped = new CostService();
+    uncapped.limits = { daily: null, monthly: null };
+    assert.deepEqual(await uncapped.applyBudget({ provider: 'anthropic' }), { provider: 'anthropic' });
+    assert.equal(await uncapped.getStatus(), null);
+    console.log('✅ Requests untouched when no cap is configured\n');
+
+    console.log('🎉 All cost tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Cost test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testCost()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testCost };
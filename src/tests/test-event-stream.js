@@ -0,0 +1,243 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { EventStreamService } from '../services/event-stream.service.js';
+
+/**
+ * Minimal stand-in for an Express response that records what was written
+ */
+function createResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.body = '';
+  res.ended = false;
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.write = (chunk) => {
+    res.body += chunk;
+  };
+  res.end = () => {
+    res.ended = true;
+  };
+  return res;
+}
+
+/**
+ * Event IDs written to a response, in order
+ */
+function eventIds(res) {
+  return [...res.body.matchAll(/^id: (.+)$/gm)].map((match) => match[1]);
+}
+
+/**
+ * Test SSE event numbering and resuming
+ */
+async function testEventStream() {
+  try {
+    console.log('🧪 Testing resumable event streams...\n');
+
+    const streams = new EventStreamService();
+
+    console.log('1. Numbering events...');
+    const first = createResponse();
+    const stream = streams.open(first, { clientId: 'client-a' });
+    streams.send(first, 'start', { provider: 'openai' });
+    streams.send(first, 'chunk', { content: 'Be still' });
+    assert.equal(first.headers['X-Stream-Id'], stream.id);
+    assert.deepEqual(eventIds(first), [`${stream.id}:1`, `${stream.id}:2`]);
+    assert.match(first.body, /event: chunk\ndata: {"content":"Be still"}\n\n$/);
+    console.log('✅ Each event carries <streamId>:<n>\n');
+
+    console.log('2. Resuming after a dropped connection...');
+    first.emit('close');
+    streams.send(first, 'chunk', { content: ', and know' });
+    assert.deepEqual(streams.parseLastEventId(`${stream.id}:1`), { streamId: stream.id, seq: 1 });
+    assert.equal(streams.parseLastEventId('42'), null);
+
+    const found = streams.find(streams.parseLastEventId(`${stream.id}:1`), 'client-a');
+    assert.equal(found.stream, stream);
+    const second = createResponse();
+    streams.resume(second, found.stream, 1);
+    assert.deepEqual(eventIds(second), [`${stream.id}:2`, `${stream.id}:3`]);
+
+    streams.send(first, 'done', {});
+    streams.end(first);
+    assert.deepEqual(eventIds(second), [`${stream.id}:2`, `${stream.id}:3`, `${stream.id}:4`]);
+    assert.equal(second.ended, true);
+    assert.equal(eventIds(first).length, 2);
+    console.log('✅ Missed events replayed, then the live tail\n');
+
+    console.log('3. Resuming a finished stream...');
+    const late = createResponse();
+    streams.resume(late, streams.find({ streamId: stream.id, seq: 3 }, 'client-a').stream, 3);
+    assert.deepEqual(eventIds(late), [`${stream.id}:4`]);
+    assert.equal(late.ended, true);
+    console.log('✅ Remaining events sent and the response closed\n');
+
+    console.log('4. Refusing streams that cannot be resumed...');
+    assert.equal(streams.find({ streamId: stream.id, seq: 1 }, 'client-b').reason, 'not_found');
+    assert.equal(streams.find({ streamId: crypto.randomUUID(), seq: 1 }, 'client-a').reason, 'not_found');
+
+    const capped = new EventStreamService();
+    capped.maxBytes = 200;
+    const big = createResponse();
+    const bigStream = capped.open(big);
+    for (let i = 0; i < 5; i++) {
+      capped.send(big, 'audio', { audio: 'A'.repeat(60) });
+    }
+    assert.equal(capped.find({ streamId: bigStream.id, seq: 0 }).reason, 'gone');
+    assert.equal(capped.find({ streamId: bigStream.id, seq: 4 }).stream, bigStream);
+
+    streams.discard(stream.id);
+    assert.equal(streams.find({ streamId: stream.id, seq: 3 }, 'client-a').reason, 'not_found');
+    console.log('✅ Other clients, dropped events and expired streams refused\n');
+
+    console.log('5. Writing plain frames without a buffer...');
+    const plain = createResponse();
+    streams.send(plain, 'error', { error: 'Internal server error' });
+    streams.end(plain);
+    assert.equal(plain.body, 'event: error\ndata: {"error":"Internal server error"}\n\n');
+    assert.equal(plain.ended, true);
+    console.log('✅ Unbuffered responses keep the old frame format\n');
+
+    console.log('6. Aborting streams nobody is listening to...');
+    const watched = new EventStreamService();
+    watched.abortGraceMs = 20;
+    watched.heartbeatMs = 10;
+    const live = createResponse();
+    const liveStream = watched.open(live);
+    await new Promise((resolve) => setTimeout(resolve, 35));
+    assert.match(live.body, /^: heartbeat\n\n/);
+
+    live.emit('close');
+    const back = createResponse();
+    watched.resume(back, liveStream, 0);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(liveStream.signal.aborted, false);
+
+    back.emit('close');
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(liveStream.signal.aborted, true);
+    watched.end(live);
+    console.log('✅ Heartbeats sent; signal aborted only after the grace period without clients\n');
+
+    console.log('7. Streaming binary audio...');
+    const voice = new EventStreamService();
+    const sse = createResponse();
+    const voiceStream = voice.open(sse, { clientId: 'client-a' });
+    assert.deepEqual(voice.describeAudio(sse), { transport: 'sse' });
+    voice.openAudio(sse, { mimeType: 'audio/mpeg', url: `/api/stream-voice/audio/${voiceStream.id}` });
+    assert.deepEqual(voice.describeAudio(sse), {
+      transport: 'http',
+      audioUrl: `/api/stream-voice/audio/${voiceStream.id}`,
+      mimeType: 'audio/mpeg'
+    });
+
+    voice.writeAudio(sse, Buffer.from('abc'));
+    voice.writeAudio(sse, new Uint8Array([100, 101]));
+    const listener = createResponse();
+    listener.body = Buffer.alloc(0);
+    listener.write = (chunk) => {
+      listener.body = Buffer.concat([listener.body, chunk]);
+    };
+    voice.attachAudio(listener, voice.findAudio(voiceStream.id, 2, 'client-a').stream, 2);
+    voice.writeAudio(sse, Buffer.from('f'));
+    assert.equal(listener.body.toString(), 'cdef');
+    assert.equal(sse.body.includes('cdef'), false);
+
+    assert.equal(voice.findAudio(voiceStream.id, 0, 'client-b').reason, 'not_found');
+    assert.equal(voice.findAudio(stream.id, 0, 'client-a').reason, 'not_found');
+    voice.maxBytes = 3;
+    voice.writeAudio(sse, Buffer.from('gh'));
+    assert.equal(voice.findAudio(voiceStream.id, 2, 'client-a').reason, 'gone');
+    assert.equal(voice.findAudio(voiceStream.id, 6, 'client-a').stream, voiceStream);
+
+    sse.emit('close');
+    assert.equal(voice.hasListeners(voiceStream), true);
+    voice.end(sse);
+    assert.equal(listener.ended, true);
+    assert.equal(voiceStream.audio.bytes, 8);
+    console.log('✅ Audio bytes piped in order, resumable from an offset\n');
+
+    console.log('8. Capping memory across streams...');
+    const pooled = new EventStreamService();
+    pooled.maxTotalBytes = 600;
+    const done = createResponse();
+    const doneStream = pooled.open(done);
+    pooled.send(done, 'chunk', { content: 'é'.repeat(100) });
+    assert.equal(pooled.totalBytes, doneStream.frames[0].frame.length + 100);
+    pooled.end(done);
+
+    const busy = createResponse();
+    const busyStream = pooled.open(busy);
+    pooled.send(busy, 'chunk', { content: 'A'.repeat(200) });
+    assert.equal(pooled.streams.has(doneStream.id), true);
+    pooled.send(busy, 'chunk', { content: 'B'.repeat(200) });
+    assert.equal(pooled.streams.has(doneStream.id), false);
+    assert.equal(busyStream.frames.length, 2);
+
+    pooled.send(busy, 'chunk', { content: 'C'.repeat(200) });
+    assert.deepEqual(busyStream.frames.map((frame) => frame.seq), [2, 3]);
+    assert.ok(pooled.totalBytes <= pooled.maxTotalBytes);
+    assert.equal(pooled.totalBytes, busyStream.bytes);
+    pooled.discard(busyStream.id);
+    assert.equal(pooled.totalBytes, 0);
+    console.log('✅ Sizes counted in bytes; finished streams evicted before live frames\n');
+
+    console.log('9. Making room for new streams...');
+    const crowded = new EventStreamService();
+    crowded.maxStreams = 2;
+    crowded.heartbeatMs = 10;
+    const oldest = createResponse();
+    const oldestStream = crowded.open(oldest);
+    crowded.send(oldest, 'chunk', { content: 'first' });
+    const finished = createResponse();
+    const finishedStream = crowded.open(finished);
+    crowded.send(finished, 'chunk', { content: 'second' });
+    crowded.end(finished);
+
+    const newer = createResponse();
+    const newerStream = crowded.open(newer);
+    assert.equal(crowded.streams.has(finishedStream.id), false);
+    assert.equal(crowded.streams.has(oldestStream.id), true);
+
+    const newest = createResponse();
+    crowded.open(newest);
+    assert.equal(crowded.streams.has(oldestStream.id), false);
+    assert.equal(oldestStream.unbuffered, true);
+    assert.equal(crowded.totalBytes, newerStream.bytes);
+
+    crowded.send(oldest, 'chunk', { content: 'still live' });
+    assert.match(oldest.body, /data: {"content":"still live"}/);
+    assert.equal(oldestStream.frames.length, 0);
+    assert.equal(crowded.totalBytes, newerStream.bytes);
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    assert.match(oldest.body, /: heartbeat\n\n$/);
+
+    crowded.end(oldest);
+    crowded.end(newer);
+    crowded.end(newest);
+    assert.equal(oldest.ended, true);
+    console.log('✅ Finished streams make room first; an unbuffered live stream keeps its client and stops counting\n');
+
+    console.log('🎉 All event stream tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Event stream test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testEventStream()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testEventStream };
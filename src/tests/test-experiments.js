@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { ExperimentService } from '../services/experiment.service.js';
+
+/**
+ * Test variant validation, deterministic assignment and generation options
+ */
+async function testExperiments() {
+  try {
+    console.log('🧪 Testing A/B experiments...\n');
+
+    const experiments = new ExperimentService();
+    const experiment = {
+      name: 'gentle-tone',
+      status: 'running',
+      trafficPercent: 100,
+      variants: [
+        { name: 'control', weight: 1 },
+        { name: 'gentle', weight: 1, model: 'gpt-4o-mini', temperature: { min: 0.5, max: 0.7 }, systemPrompt: 'Be gentle.' }
+      ]
+    };
+
+    console.log('1. Validating variants...');
+    assert.equal(experiments.validateVariants(experiment.variants), null);
+    assert.match(experiments.validateVariants([{ name: 'only' }]), /2-10 variants/);
+    assert.match(experiments.validateVariants([{ name: 'a' }, { name: 'a' }]), /used twice/);
+    assert.match(experiments.validateVariants([{ name: 'a' }, { name: 'b', temperature: { min: 0.9, max: 0.2 } }]), /temperature/);
+    assert.match(experiments.validateVariants([{ name: 'a' }, { name: 'b', provider: 'nope' }]), /provider/);
+    console.log('✅ Invalid variants rejected\n');
+
+    console.log('2. Assigning users...');
+    const users = Array.from({ length: 2000 }, (_, index) => `user-${index}`);
+    const assigned = users.map((user) => experiments.assign(experiment, user).name);
+    assert.deepEqual(users.map((user) => experiments.assign(experiment, user).name), assigned);
+    const gentleShare = assigned.filter((name) => name === 'gentle').length / users.length;
+    assert.ok(gentleShare > 0.45 && gentleShare < 0.55, `gentle share ${gentleShare}`);
+
+    const partial = { ...experiment, trafficPercent: 30 };
+    const enrolled = users.filter((user) => experiments.assign(partial, user));
+    assert.ok(enrolled.length > 500 && enrolled.length < 700, `enrolled ${enrolled.length}`);
+    // Raising traffic keeps enrolled users on the same variant
+    for (const user of enrolled) {
+      assert.equal(experiments.assign(partial, user).name, experiments.assign(experiment, user).name);
+    }
+    console.log('✅ Assignment is stable, weighted and respects trafficPercent\n');
+
+    console.log('3. Resolving requests...');
+    experiments.cache = { experiment, expiresAt: Date.now() + 60000 };
+    assert.equal(await experiments.resolve({}), null);
+    const assignment = await experiments.resolve({ sessionId: 'session-1', userId: 'user-7' });
+    assert.equal(assignment.variant.name, experiments.assign(experiment, 'user-7').name);
+    assert.deepEqual(experiments.toMetadata(assignment), { id: 'gentle-tone', variant: assignment.variant.name });
+
+    const options = experiments.getGenerationOptions({ experimentId: 'gentle-tone', variant: experiment.variants[1] }, { provider: 'anthropic' });
+    assert.equal(options.model, 'gpt-4o-mini');
+    assert.equal(options.provider, undefined);
+    assert.ok(options.temperature >= 0.5 && options.temperature <= 0.7);
+    assert.deepEqual(experiments.getGenerationOptions(null, { provider: 'ollama' }), { provider: 'ollama' });
+    console.log('✅ Variants turned into generation options\n');
+
+    console.log('🎉 All experiment tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Experiment test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testExperiments()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testExperiments };
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { FeedbackService } from '../services/feedback.service.js';
+
+/**
+ * Test feedback validation and flagging
+ */
+async function testFeedback() {
+  try {
+    console.log('🧪 Testing reader feedback...\n');
+
+    const feedback = new FeedbackService();
+
+    console.log('1. Validating feedback...');
+    assert.deepEqual(feedback.parse({ rating: 'up', reason: 'comforting', comment: '  Thank you  ' }).feedback, {
+      rating: 'up',
+      reason: 'comforting',
+      comment: 'Thank you',
+      flagged: false
+    });
+    assert.match(feedback.parse({ rating: 5 }).message, /up or down/);
+    assert.match(feedback.parse({ rating: 'down', reason: 'bad' }).message, /reason must be one of/);
+    assert.match(feedback.parse({ rating: 'down', comment: 'x'.repeat(2001) }).message, /2000 characters/);
+    console.log('✅ Ratings, reason codes and comments checked\n');
+
+    console.log('2. Flagging answers...');
+    assert.equal(feedback.parse({ rating: 'down' }).feedback.flagged, true);
+    assert.equal(feedback.parse({ rating: 'up', reason: 'misquoted_verse' }).feedback.flagged, true);
+    assert.equal(feedback.parse({ rating: 'up', reason: 'helpful' }).feedback.flagged, false);
+    console.log('✅ Down ratings and serious reasons flagged for review\n');
+
+    console.log('🎉 All feedback tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Feedback test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testFeedback()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testFeedback };
@@ -0,0 +1,130 @@
+import http from 'node:http';
+import assert from 'node:assert/strict';
+import { ModerationService } from '../services/moderation.service.js';
+import { KeywordClassifier } from '../moderation/keyword.classifier.js';
+import { OpenAIModerationClassifier } from '../moderation/openai.classifier.js';
+
+/**
+ * Yield provider-style chunks for a list of deltas
+ * @param {Array<string>} deltas - Delta contents
+ */
+async function* fakeStream(deltas) {
+  yield { type: 'start', id: 'test' };
+  for (const content of deltas) {
+    yield { type: 'delta', content };
+  }
+  yield { type: 'usage', usage: { total_tokens: 10 } };
+}
+
+/**
+ * Collect a chunk iterator's deltas into one string
+ * @param {AsyncIterable} chunks - Chunks
+ * @returns {Promise<string>}
+ */
+async function collect(chunks) {
+  let content = '';
+  for await (const chunk of chunks) {
+    if (chunk.type === 'delta') content += chunk.content;
+  }
+  return content;
+}
+
+/**
+ * Test the classifiers, crisis detection and output screening
+ */
+async function testModeration() {
+  let server;
+
+  try {
+    console.log('🧪 Testing moderation pipeline...\n');
+
+    const moderation = new ModerationService();
+
+    console.log('1. Keyword classifier...');
+    const keyword = new KeywordClassifier();
+    assert.deepEqual((await keyword.classify('I just want to die, there is no reason to live')).categories, ['self-harm/intent']);
+    assert.equal((await keyword.classify('How do I forgive my brother?')).flagged, false);
+    console.log('✅ Crisis language matched, ordinary prompts left alone\n');
+
+    console.log('2. Screening prompts...');
+    const crisis = await moderation.screenInput('I have been thinking about killing myself', { locale: 'en-IN' });
+    assert.equal(crisis.action, 'augment');
+    assert.equal(crisis.crisis, true);
+    assert.equal(crisis.helplines[0].name, 'Tele-MANAS');
+    assert.match(moderation.applyCrisisInstruction([{ role: 'system', content: 'Be kind.' }], crisis)[0].content, /14416/);
+    assert.equal((await moderation.screenInput('What does the Gita say about duty?')).action, 'allow');
+
+    moderation.crisisMode = 'respond';
+    assert.equal((await moderation.screenInput('I want to end my life')).action, 'respond');
+    moderation.inputBlock = ['violence'];
+    assert.equal((await moderation.screenInput('I am going to hurt them all, I will hurt them')).action, 'block');
+
+    const unknown = await moderation.classify('I want to end my life', ['keyword', 'typo']);
+    assert.deepEqual(unknown.categories, ['self-harm/intent']);
+    assert.match(unknown.classifiers[1].error, /Unknown moderation classifier "typo"/);
+
+    assert.equal(moderation.resolveLocale({ acceptLanguage: 'en-GB,en;q=0.9' }), 'en-GB');
+    assert.equal(moderation.resolveLocale({ locale: 'not a locale' }), 'en-US');
+    assert.equal(moderation.getHelplines('fr-FR')[0].name, 'Find A Helpline');
+    console.log('✅ Crisis prompts augmented or answered, blocked categories rejected, unknown classifiers skipped\n');
+
+    console.log('3. Screening streamed output...');
+    const clean = moderation.createOutputScreen();
+    assert.equal(await collect(clean.wrap(fakeStream(['Peace comes ', 'from within. ', 'Do not seek it without.']))),
+      'Peace comes from within. Do not seek it without.');
+    assert.equal(clean.decision.action, 'allow');
+    assert.equal(clean.decision.segments, 2);
+
+    const unsafe = moderation.createOutputScreen({ locale: 'en-US' });
+    const screened = await collect(unsafe.wrap(fakeStream(['Be gentle. ', 'The lethal dose ', 'is high. More text.'])));
+    assert.ok(screened.startsWith('Be gentle. I am sorry, I cannot share that response.'));
+    assert.match(screened, /988/);
+    assert.equal(unsafe.decision.action, 'block');
+    assert.deepEqual(unsafe.decision.categories, ['self-harm/instructions']);
+    console.log('✅ Unsafe sentences replaced before they are sent\n');
+
+    console.log('4. OpenAI moderation adapter...');
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        results: [{
+          flagged: true,
+          categories: { 'self-harm': true, 'self-harm/intent': true, violence: false },
+          category_scores: { 'self-harm': 0.9, 'self-harm/intent': 0.8, violence: 0.01 }
+        }]
+      }));
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const openai = new OpenAIModerationClassifier({
+      apiKey: 'test',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`
+    });
+    const result = await openai.classify('text');
+    assert.deepEqual(result.categories, ['self-harm', 'self-harm/intent']);
+    assert.equal(result.classifier, 'openai');
+    await assert.rejects(new OpenAIModerationClassifier({}).classify('text'), /OPENAI_API_KEY/);
+    console.log('✅ Moderation API categories mapped\n');
+
+    console.log('🎉 All moderation tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Moderation test failed:', error.message);
+    return false;
+  } finally {
+    server?.close();
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testModeration()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testModeration };
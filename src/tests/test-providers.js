@@ -0,0 +1,260 @@
+import http from 'node:http';
+import assert from 'node:assert/strict';
+import { OpenAIProvider } from '../providers/openai.provider.js';
+import { AnthropicProvider } from '../providers/anthropic.provider.js';
+import { OllamaProvider } from '../providers/ollama.provider.js';
+import { ProviderError } from '../providers/provider-error.js';
+import { completeWithFallback, getRetryDelay, openStreamWithFallback, resolveUpstreams } from '../providers/fallback.js';
+import { CIRCUIT_STATES, getCircuitBreaker } from '../providers/circuit-breaker.js';
+
+const messages = [
+  { role: 'system', content: 'You are a wise teacher.' },
+  { role: 'user', content: 'How do I deal with anger?' }
+];
+
+/**
+ * Write Server-Sent Events to a mock response
+ * @param {Object} res - HTTP response
+ * @param {Array<{event?: string, data: Object|string}>} events - Events to send
+ */
+function writeEvents(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const { event, data } of events) {
+    if (event) res.write(`event: ${event}\n`);
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  }
+  res.end();
+}
+
+/**
+ * Mock upstream speaking both the OpenAI and the Anthropic wire formats
+ */
+function createMockServer() {
+  return http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+
+      if (body.model === 'fail-model') {
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '2' });
+        res.end(JSON.stringify({ error: { message: 'Rate limit reached' } }));
+        return;
+      }
+
+      if (body.model === 'bad-model') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Invalid model' } }));
+        return;
+      }
+
+      if (req.url === '/v1/chat/completions') {
+        if (!body.stream) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            id: 'chatcmpl-1',
+            model: body.model,
+            choices: [{ message: { role: 'assistant', content: 'Breathe first.' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 }
+          }));
+          return;
+        }
+
+        writeEvents(res, [
+          { data: { id: 'chatcmpl-2', model: body.model, choices: [{ delta: { role: 'assistant' } }] } },
+          { data: { id: 'chatcmpl-2', choices: [{ delta: { content: 'Breathe ' } }] } },
+          { data: { id: 'chatcmpl-2', choices: [{ delta: { content: 'first.' }, finish_reason: 'stop' }] } },
+          { data: { id: 'chatcmpl-2', choices: [], usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 } } },
+          { data: '[DONE]' }
+        ]);
+        return;
+      }
+
+      if (req.url === '/v1/messages') {
+        assert.equal(req.headers['x-api-key'], 'test-key');
+        assert.equal(body.system, 'You are a wise teacher.');
+        assert.deepEqual(body.messages.map((m) => m.role), ['user']);
+
+        if (!body.stream) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            id: 'msg_1',
+            model: body.model,
+            content: [{ type: 'text', text: 'Breathe first.' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 10, output_tokens: 3 }
+          }));
+          return;
+        }
+
+        writeEvents(res, [
+          { event: 'message_start', data: { type: 'message_start', message: { id: 'msg_2', model: body.model, usage: { input_tokens: 10 } } } },
+          { event: 'content_block_start', data: { type: 'content_block_start', index: 0 } },
+          { event: 'content_block_delta', data: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Breathe ' } } },
+          { event: 'ping', data: { type: 'ping' } },
+          { event: 'content_block_delta', data: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'first.' } } },
+          { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } } },
+          { event: 'message_stop', data: { type: 'message_stop' } }
+        ]);
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+}
+
+/**
+ * Collect every chunk a provider streams
+ * @param {Object} provider - Provider adapter
+ * @param {Object} request - Internal request
+ * @returns {Promise<Array>}
+ */
+async function collect(provider, request) {
+  const chunks = [];
+  for await (const chunk of provider.stream(request)) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Check that a provider normalizes both response styles identically
+ * @param {Object} provider - Provider adapter
+ */
+async function checkProvider(provider) {
+  const completion = await provider.complete({ messages, maxTokens: 50, temperature: 0.7 });
+  assert.equal(completion.content, 'Breathe first.');
+  assert.equal(completion.finishReason, 'stop');
+  assert.deepEqual(completion.usage, { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 });
+
+  const chunks = await collect(provider, { messages, maxTokens: 50, temperature: 0.7 });
+  assert.equal(chunks[0].type, 'start');
+  assert.equal(chunks.filter((c) => c.type === 'delta').map((c) => c.content).join(''), 'Breathe first.');
+  assert.deepEqual(chunks.find((c) => c.type === 'usage').usage, completion.usage);
+  assert.deepEqual(chunks[chunks.length - 1], { type: 'done', finishReason: 'stop' });
+}
+
+/**
+ * Test the LLM provider adapters against a local mock server
+ */
+async function testProviders() {
+  const server = createMockServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  try {
+    console.log('🧪 Testing LLM provider adapters...\n');
+
+    console.log('1. OpenAI adapter...');
+    await checkProvider(new OpenAIProvider({ apiKey: 'test-key', baseUrl }));
+    console.log('✅ OpenAI adapter normalized\n');
+
+    console.log('2. Anthropic adapter...');
+    await checkProvider(new AnthropicProvider({ apiKey: 'test-key', baseUrl }));
+    console.log('✅ Anthropic adapter normalized\n');
+
+    console.log('3. Ollama adapter (no API key)...');
+    await checkProvider(new OllamaProvider({ baseUrl }));
+    console.log('✅ Ollama adapter normalized\n');
+
+    console.log('4. Upstream errors...');
+    await assert.rejects(
+      new OpenAIProvider({ apiKey: 'test-key', baseUrl }).complete({ model: 'fail-model', messages }),
+      (error) => error instanceof ProviderError && error.status === 429 && error.retryAfter === '2'
+    );
+    await assert.rejects(
+      new OpenAIProvider({ baseUrl }).complete({ messages }),
+      /OPENAI_API_KEY environment variable is required/
+    );
+    console.log('✅ Upstream errors surfaced as ProviderError\n');
+
+    console.log('5. JSON schema response format...');
+    const responseFormat = { name: 'answer', schema: { type: 'object' } };
+    const openAIBody = new OpenAIProvider().buildBody({ messages, responseFormat }, false);
+    assert.deepEqual(openAIBody.response_format, {
+      type: 'json_schema',
+      json_schema: { name: 'answer', schema: { type: 'object' }, strict: true }
+    });
+    const anthropicBody = new AnthropicProvider().buildBody({ messages, responseFormat }, false);
+    assert.match(anthropicBody.system, /^You are a wise teacher\.\n\n.*JSON schema:\n\n\{"type":"object"\}$/s);
+    console.log('✅ Response format mapped for each provider\n');
+
+    console.log('6. Retry classification...');
+    assert.equal(new ProviderError('network').retryable, true);
+    assert.equal(new ProviderError('rate limited', { status: 429 }).retryable, true);
+    assert.equal(new ProviderError('server', { status: 503 }).retryable, true);
+    assert.equal(new ProviderError('unauthorized', { status: 401 }).retryable, false);
+    assert.equal(getRetryDelay(new ProviderError('x', { retryAfter: '2' }), 1), 2000);
+    assert.equal(getRetryDelay(new ProviderError('x', { retryAfter: '120' }), 1), null);
+    assert.equal(getRetryDelay(new ProviderError('x'), 3), 4000);
+    console.log('✅ Retries classified by status\n');
+
+    console.log('7. Fallback chain and circuit breaker...');
+    process.env.LLM_MAX_ATTEMPTS = '1';
+    process.env.CIRCUIT_BREAKER_THRESHOLD = '1';
+    process.env.TEST_LLM_KEY = 'test-key';
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.OPENAI_BASE_URL = baseUrl;
+    process.env.LLM_FALLBACK_CHAIN = JSON.stringify([
+      { provider: 'openai', model: 'fail-model', baseUrl, apiKeyEnv: 'TEST_LLM_KEY' },
+      { provider: 'openai', model: 'cheap-model', baseUrl, apiKeyEnv: 'TEST_LLM_KEY' }
+    ]);
+
+    const upstreams = resolveUpstreams();
+    assert.deepEqual(upstreams.map((u) => u.model), ['fail-model', 'cheap-model']);
+
+    const { upstream, completion } = await completeWithFallback(upstreams, { messages, maxTokens: 50 });
+    assert.equal(upstream.model, 'cheap-model');
+    assert.equal(completion.content, 'Breathe first.');
+    assert.equal(getCircuitBreaker(upstreams[0].name).state, CIRCUIT_STATES.OPEN);
+
+    const opened = await openStreamWithFallback(upstreams, { messages, maxTokens: 50 });
+    assert.equal(opened.upstream.model, 'cheap-model');
+    let streamed = '';
+    for await (const chunk of opened.chunks) {
+      if (chunk.type === 'delta') streamed += chunk.content;
+    }
+    assert.equal(streamed, 'Breathe first.');
+
+    await assert.rejects(
+      completeWithFallback(resolveUpstreams({ provider: 'openai', model: 'bad-model' }), { messages }),
+      (error) => error.status === 400
+    );
+    console.log('✅ Fell back past the failing upstream, 4xx failed fast\n');
+
+    console.log('8. Cancelled requests...');
+    const cheap = upstreams[1];
+    await assert.rejects(
+      openStreamWithFallback([cheap], { messages, maxTokens: 50, signal: AbortSignal.abort() }),
+      (error) => error.name === 'AbortError'
+    );
+    assert.equal(getCircuitBreaker(cheap.name).state, CIRCUIT_STATES.CLOSED);
+    console.log('✅ Aborted requests are neither retried nor counted as failures\n');
+
+    console.log('🎉 All provider tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Provider test failed:', error.message);
+    return false;
+  } finally {
+    server.close();
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testProviders()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testProviders };
@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { MemoryStore, slidingWindow, tokenBucket } from '../services/rate-limit.service.js';
+import { createRateLimiter, getClientIp, getRequestKey } from '../middleware/rate-limit.js';
+
+/**
+ * Minimal response recording status, headers and body
+ * @returns {Object}
+ */
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Test the limiter algorithms, memory store and middleware (no database needed)
+ */
+async function testRateLimit() {
+  try {
+    console.log('🧪 Testing rate limiting...\n');
+
+    const policy = { limit: 3, windowMs: 60000 };
+
+    console.log('1. Token bucket...');
+    let state = null;
+    const taken = [];
+    for (let i = 0; i < 4; i++) {
+      const result = tokenBucket(state, 0, policy);
+      ({ state } = result);
+      taken.push(result.allowed);
+    }
+    assert.deepEqual(taken, [true, true, true, false]);
+    assert.equal(tokenBucket(state, 0, policy).retryAfterMs, 20000);
+    assert.equal(tokenBucket(state, 20000, policy).allowed, true);
+    console.log('✅ Bursts allowed up to the limit, then refilled over time\n');
+
+    console.log('2. Sliding window...');
+    state = null;
+    for (let i = 0; i < 3; i++) {
+      ({ state } = slidingWindow(state, 59000, policy));
+    }
+    assert.equal(slidingWindow(state, 59000, policy).allowed, false);
+    // Just after the boundary most of the previous window still counts
+    assert.equal(slidingWindow(state, 61000, policy).allowed, false);
+    assert.equal(slidingWindow(state, 100000, policy).allowed, true);
+    assert.equal(slidingWindow(state, 200000, policy).remaining, 2);
+    console.log('✅ Previous window weighted by its overlap\n');
+
+    console.log('3. Middleware...');
+    const limiter = createRateLimiter({
+      name: 'test',
+      algorithm: 'sliding-window',
+      limit: 2,
+      windowMs: 60000,
+      keyBy: ['client', 'ip'],
+      store: 'memory'
+    });
+    const req = { headers: { 'x-forwarded-for': '198.51.100.1' }, socket: { remoteAddress: '203.0.113.7' } };
+    assert.equal(getRequestKey(req, {}, 'ip'), 'ip:203.0.113.7');
+    assert.equal(getRequestKey({ headers: {}, params: { id: 'abc' } }, {}, 'session'), 'session:abc');
+    assert.equal(getRequestKey(req, { locals: { client: { _id: 'c1' } } }, 'client'), 'client:c1');
+    assert.equal(getRequestKey(req, {}, 'client'), null);
+
+    let passed = 0;
+    const responses = [];
+    for (let i = 0; i < 3; i++) {
+      const res = mockResponse();
+      await limiter(req, res, () => {
+        passed += 1;
+      });
+      responses.push(res);
+    }
+    assert.equal(passed, 2);
+    assert.equal(responses[0].headers['RateLimit-Limit'], '2');
+    assert.equal(responses[0].headers['RateLimit-Remaining'], '1');
+    assert.equal(responses[0].headers['RateLimit-Policy'], '2;w=60');
+    assert.equal(responses[2].statusCode, 429);
+    assert.ok(Number(responses[2].headers['Retry-After']) >= 1);
+
+    // Unverified credentials share the IP's limit; an authenticated client has its own
+    await limiter({ ...req, headers: { ...req.headers, 'x-api-key': 'epk_guess' } }, mockResponse(), () => {
+      passed += 1;
+    });
+    assert.equal(passed, 2);
+    await limiter(req, { ...mockResponse(), locals: { client: { _id: 'c1' } } }, () => {
+      passed += 1;
+    });
+    assert.equal(passed, 3);
+    console.log('✅ RateLimit headers set and 429 returned over the limit\n');
+
+    console.log('4. Trusting X-Forwarded-For...');
+    const proxied = { headers: { 'x-forwarded-for': '6.6.6.6, 198.51.100.1, 10.0.0.2' }, socket: { remoteAddress: '10.0.0.3' } };
+    assert.equal(getClientIp(proxied, 0), '10.0.0.3');
+    assert.equal(getClientIp(proxied, 1), '10.0.0.2');
+    assert.equal(getClientIp(proxied, 2), '198.51.100.1');
+    assert.equal(getClientIp(proxied, 5), '6.6.6.6');
+    assert.equal(getClientIp({ headers: {}, socket: { remoteAddress: '10.0.0.3' } }, 1), '10.0.0.3');
+    console.log('✅ Only entries added by trusted proxies used\n');
+
+    console.log('5. Memory store...');
+    const store = new MemoryStore();
+    const step = (previous) => ({ state: { count: (previous?.count || 0) + 1 } });
+    await store.update('a', step, 60000);
+    assert.equal((await store.update('a', step, 60000)).state.count, 2);
+    assert.equal((await store.update('b', step, -1)).state.count, 1);
+    assert.equal((await store.update('b', step, 60000)).state.count, 1);
+    console.log('✅ State kept per key until it expires\n');
+
+    console.log('🎉 All rate limit tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Rate limit test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testRateLimit()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testRateLimit };
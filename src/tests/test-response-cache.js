@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { ResponseCacheService } from '../services/response-cache.service.js';
+
+/**
+ * Test response cache keys, similarity and replay
+ */
+async function testResponseCache() {
+  try {
+    console.log('🧪 Testing response cache...\n');
+
+    const cache = new ResponseCacheService();
+    cache.enabled = true;
+    const allow = { action: 'allow' };
+
+    console.log('1. Building cache keys...');
+    assert.equal(cache.normalizePrompt('  How do I deal with ANGER?! '), 'how do i deal with anger');
+    const first = cache.buildRequest({ prompt: 'How do I deal with anger?', scripture: 'BIBLE', safety: allow });
+    const second = cache.buildRequest({ prompt: 'how do i deal with anger', scripture: 'BIBLE', safety: allow });
+    const otherScripture = cache.buildRequest({ prompt: 'How do I deal with anger?', scripture: 'QURAN', safety: allow });
+    const otherTemplate = cache.buildRequest({
+      prompt: 'How do I deal with anger?',
+      scripture: 'BIBLE',
+      template: { templateId: 'guide', version: 2, content: 'Answer in Hindi.' },
+      safety: allow
+    });
+    assert.equal(first.key, second.key);
+    assert.notEqual(first.key, otherScripture.key);
+    assert.notEqual(first.scope, otherTemplate.scope);
+    assert.deepEqual(otherTemplate.template, { templateId: 'guide', version: 2 });
+    console.log('✅ Wording variants share a key; scripture and template change it\n');
+
+    console.log('2. Bypassing personalized requests...');
+    assert.equal(cache.buildRequest({ prompt: 'Coping with loss', sessionId: 's1', safety: allow }), null);
+    assert.equal(cache.buildRequest({ prompt: 'Coping with loss', userId: 'u1', safety: allow }), null);
+    assert.equal(cache.buildRequest({ prompt: 'Coping with loss', experiment: { variant: {} }, safety: allow }), null);
+    assert.equal(cache.buildRequest({ prompt: 'Coping with loss', safety: { action: 'augment' } }), null);
+    const lookup = await cache.lookup(null);
+    assert.deepEqual(lookup, { status: 'bypass' });
+    assert.equal(cache.toCacheStatus(lookup), 'epic; fwd=bypass');
+    console.log('✅ Sessions, users, experiments and safety interventions bypass the cache\n');
+
+    console.log('3. Comparing embeddings...');
+    assert.equal(cache.cosineSimilarity([1, 0], [1, 0]), 1);
+    assert.equal(cache.cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cache.cosineSimilarity([1, 0], [1, 0, 0]), 0);
+    assert.ok(cache.cosineSimilarity([0.9, 0.1], [1, 0]) > 0.99);
+    console.log('✅ Cosine similarity computed\n');
+
+    console.log('4. Reporting cache status...');
+    const entry = {
+      _id: 'abc',
+      key: first.key,
+      provider: 'openai',
+      model: 'gpt-4.1-nano',
+      content: 'Be still, and know. Anger rests in the bosom of fools.',
+      expiresAt: new Date(Date.now() + 60000)
+    };
+    const hit = { status: 'hit', match: 'similar', entry, similarity: 0.95 };
+    assert.match(cache.toCacheStatus(hit), /^epic; hit; ttl=(59|60); detail=similar$/);
+    assert.equal(cache.toCacheStatus({ status: 'miss' }), 'epic; fwd=miss');
+    assert.deepEqual(cache.toMetadata(first, hit), { status: 'hit', match: 'similar', similarity: 0.95, key: first.key });
+    assert.deepEqual(cache.toMetadata(first, { status: 'miss' }), { status: 'miss', key: first.key });
+    assert.equal(cache.toMetadata(null, lookup), null);
+    console.log('✅ Cache-Status header and conversation metadata built\n');
+
+    console.log('5. Replaying a cached answer...');
+    const chunks = [];
+    for await (const chunk of cache.replayChunks(entry)) {
+      chunks.push(chunk);
+    }
+    assert.deepEqual(chunks[0], { type: 'start', id: 'cache-abc', model: 'gpt-4.1-nano' });
+    assert.deepEqual(chunks.at(-1), { type: 'done', finishReason: 'stop' });
+    const deltas = chunks.filter((chunk) => chunk.type === 'delta');
+    assert.equal(deltas.length, 3);
+    assert.equal(deltas.map((chunk) => chunk.content).join(''), entry.content);
+    console.log('✅ Answer replayed as stream chunks\n');
+
+    console.log('🎉 All response cache tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Response cache test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testResponseCache()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testResponseCache };
@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { matchRoute, routes } from '../routes/index.js';
+import { createServerlessHandler } from '../routes/serverless.js';
+
+/**
+ * Minimal Vercel request
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @returns {Object}
+ */
+function createRequest(method, url, headers = {}) {
+  return { method, url, headers, body: {}, socket: { remoteAddress: '203.0.113.7' } };
+}
+
+/**
+ * Minimal Vercel response recording status, headers and body
+ * @returns {Object}
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    headersSent: false,
+    ended: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+/**
+ * Test the shared route table and the serverless adapter
+ */
+async function testRoutes() {
+  try {
+    console.log('🧪 Testing the route table...\n');
+
+    console.log('1. Matching paths...');
+    assert.equal(matchRoute('GET', '/api/events/upcoming').route.path, '/api/events/upcoming');
+    const byId = matchRoute('GET', '/api/events/abc123/');
+    assert.equal(byId.route.path, '/api/events/:id');
+    assert.deepEqual(byId.params, { id: 'abc123' });
+    assert.deepEqual(matchRoute('PUT', '/api/pronunciations/Japji%20Sahib').params, { term: 'Japji Sahib' });
+    assert.equal(matchRoute('GET', '/api/nothing-here').route, null);
+    console.log('✅ Static segments win over parameters; parameters decoded\n');
+
+    console.log('2. Listing allowed methods...');
+    const wrongMethod = matchRoute('PATCH', '/api/events/abc123');
+    assert.equal(wrongMethod.route, null);
+    assert.deepEqual(wrongMethod.allowedMethods.sort(), ['DELETE', 'GET', 'PUT']);
+    assert.deepEqual(matchRoute('GET', '/api/events/%E0%A4%A'), { route: null, params: {}, allowedMethods: [] });
+    assert.ok(routes.every((route) => typeof route.handler === 'function'));
+    console.log('✅ Known paths report their methods; malformed encoding is not a match\n');
+
+    console.log('3. Answering through the serverless handler...');
+    const handler = createServerlessHandler();
+
+    const missing = createResponse();
+    await handler(createRequest('GET', '/api/nothing-here'), missing);
+    assert.equal(missing.statusCode, 404);
+    assert.ok(missing.body.availableEndpoints.includes('GET /health'));
+
+    const notAllowed = createResponse();
+    await handler(createRequest('PATCH', '/api/events/abc123?x=1'), notAllowed);
+    assert.equal(notAllowed.statusCode, 405);
+    assert.equal(notAllowed.headers.allow.split(', ').sort().join(', '), 'DELETE, GET, PUT');
+
+    const malformed = createResponse();
+    await handler(createRequest('GET', '/api/events/%E0%A4%A'), malformed);
+    assert.equal(malformed.statusCode, 404);
+    console.log('✅ 404 and 405 answered; bad encoding does not throw\n');
+
+    console.log('4. Stopping at middleware that responds...');
+    const preflight = createResponse();
+    await handler(createRequest('OPTIONS', '/api/generic', { origin: 'http://localhost:3000' }), preflight);
+    assert.equal(preflight.statusCode, 200);
+    assert.equal(preflight.ended, true);
+    assert.equal(preflight.body, undefined);
+
+    if (process.env.AUTH_ENABLED !== 'false') {
+      const unauthenticated = createResponse();
+      await handler(createRequest('POST', '/api/generic'), unauthenticated);
+      assert.equal(unauthenticated.statusCode, 401);
+      assert.equal(unauthenticated.headers['www-authenticate'], 'Bearer');
+      assert.equal(unauthenticated.headers['ratelimit-policy'], '120;w=60');
+
+      const anonymousFeedback = createResponse();
+      await handler(createRequest('POST', '/api/conversations/abc123/feedback'), anonymousFeedback);
+      assert.equal(anonymousFeedback.statusCode, 401);
+    }
+    console.log('✅ Preflight ends in CORS; missing credentials stop before the handler\n');
+
+    console.log('🎉 All route tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Route test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testRoutes()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testRoutes };
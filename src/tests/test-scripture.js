@@ -0,0 +1,104 @@
+import { readFile } from 'node:fs/promises';
+import assert from 'node:assert/strict';
+import { scriptureService } from '../services/scripture.service.js';
+import { diversityService } from '../services/diversity.service.js';
+
+/**
+ * Test corpus parsing, BM25 ranking and citation extraction (no database needed)
+ */
+async function testScripture() {
+  try {
+    console.log('🧪 Testing scripture corpus helpers...\n');
+
+    console.log('1. Tokenizing...');
+    assert.deepEqual(scriptureService.tokenize('A soft answer turneth away wrath'), ['soft', 'answer', 'turn', 'away', 'wrath']);
+    assert.equal(scriptureService.stem('loveth'), scriptureService.stem('loves'));
+    assert.equal(scriptureService.stem('loved'), scriptureService.stem('love'));
+    console.log('✅ Text tokenized and stemmed\n');
+
+    console.log('2. Parsing corpus files...');
+    const csv = 'book,chapter,verse,text\r\nProverbs,15,1,"A soft answer, ""turneth"" away wrath"\n\nJames,1,19,Slow to wrath\n';
+    assert.deepEqual(scriptureService.parseCorpus(csv, 'csv'), [
+      { book: 'Proverbs', chapter: '15', verse: '1', text: 'A soft answer, "turneth" away wrath' },
+      { book: 'James', chapter: '1', verse: '19', text: 'Slow to wrath' }
+    ]);
+
+    const sample = new URL('../../data/scriptures/bible.sample.json', import.meta.url);
+    const records = scriptureService.parseCorpus(await readFile(sample, 'utf8'), 'json');
+    const verses = records.map((record) => scriptureService.toVerseDocument('BIBLE', record));
+    assert.equal(verses.length, 5);
+    assert.equal(verses[0].bookKey, 'proverbs');
+    assert.equal(verses[0].chapter, '15');
+    assert.equal(scriptureService.toVerseDocument('BIBLE', { chapter: 1, verse: 1 }), null);
+    console.log('✅ JSON and CSV corpus parsed\n');
+
+    console.log('3. Ranking with BM25...');
+    const terms = [...new Set(scriptureService.tokenize('How do I control my anger and wrath?'))];
+    const documentFrequencies = Object.fromEntries(
+      terms.map((term) => [term, verses.filter((verse) => verse.tokens.includes(term)).length])
+    );
+    const ranked = scriptureService.rankBM25(terms, verses, {
+      verseCount: verses.length,
+      avgLength: verses.reduce((sum, verse) => sum + verse.length, 0) / verses.length,
+      documentFrequencies
+    });
+    assert.equal(ranked[0].book, 'Proverbs');
+    assert.ok(ranked.every((verse) => verse.score > 0));
+    assert.ok(!ranked.some((verse) => verse.book === 'Matthew'));
+    assert.deepEqual(scriptureService.orderByRarity(['lov', 'wrath', 'anger'], { lov: 40, wrath: 3, anger: 0 }), ['wrath', 'lov']);
+    console.log('✅ Relevant verses ranked first; candidates gathered from the rarest terms\n');
+
+    console.log('4. Extracting citations...');
+    assert.deepEqual(
+      scriptureService.extractCitations('In Proverbs 15:1 and 1 Corinthians 13:4-7, also Bhagavad Gita 2.47.'),
+      [
+        { book: 'Proverbs', chapter: '15', verse: '1' },
+        { book: '1 Corinthians', chapter: '13', verse: '4-7' },
+        { book: 'Bhagavad Gita', chapter: '2', verse: '47' }
+      ]
+    );
+    assert.deepEqual(scriptureService.expandVerses('4-7'), ['4', '5', '6', '7']);
+    assert.equal(scriptureService.toScriptureKey('Bhagavad Gita'), 'BHAGAVAD_GITA');
+    assert.ok(scriptureService.textOverlap('A soft answer turns away wrath', verses[0].text) >= 0.8);
+    assert.ok(scriptureService.textOverlap('Love your enemies', verses[0].text) < 0.5);
+    console.log('✅ Citations extracted and compared\n');
+
+    console.log('5. Tracking quote diversity...');
+    const cited = diversityService.toCitedVerses([
+      { scripture: 'Bible', book: 'Proverbs', chapter: 15, verse: 1 },
+      { book: 'Proverbs', chapter: '15', verse: '1' },
+      { book: 'Bhagavad Gita', chapter: '2', verse: '47' }
+    ], 'BIBLE');
+    assert.deepEqual(cited.map((verse) => verse.ref), ['Bible, Proverbs 15:1', 'Bhagavad Gita 2:47']);
+    const excluded = diversityService.applyExclusions(
+      [{ role: 'system', content: 'Be kind.' }],
+      ['Bible, Proverbs 15:1']
+    );
+    assert.match(excluded[0].content, /^Be kind\.[\s\S]*- Bible, Proverbs 15:1$/);
+    assert.equal(diversityService.diversityScore([]), null);
+    assert.equal(diversityService.diversityScore([4]), 0);
+    assert.equal(diversityService.diversityScore([1, 1, 1, 1]), 1);
+    assert.ok(diversityService.diversityScore([3, 1]) < diversityService.diversityScore([2, 2]));
+    console.log('✅ Cited verses recorded and scored\n');
+
+    console.log('🎉 All scripture tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Scripture test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testScripture()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testScripture };
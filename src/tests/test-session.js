@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { SessionService } from '../services/session.service.js';
+
+/**
+ * Session with alternating user and assistant messages of 40 characters
+ * (14 estimated tokens each)
+ * @param {number} count - Number of messages
+ * @param {Object} fields - Extra session fields
+ * @returns {Object}
+ */
+function createSession(count, fields = {}) {
+  const messages = Array.from({ length: count }, (_, index) => ({
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: `message ${index}`.padEnd(40, '.')
+  }));
+  return { _id: 'session-1', context: 'Be kind.', messages, ...fields };
+}
+
+/**
+ * Test token-budgeted history and rolling summaries
+ */
+async function testSession() {
+  try {
+    console.log('🧪 Testing session history...\n');
+
+    const sessions = new SessionService();
+    // System prompt and prompt take 6 tokens each, leaving room for two messages
+    sessions.historyTokenBudget = 40;
+
+    console.log('1. Estimating tokens...');
+    assert.equal(sessions.estimateTokens(''), 4);
+    assert.equal(sessions.estimateTokens('x'.repeat(40)), 14);
+    assert.equal(sessions.buildSystemMessage({}, null).content, 'You are a helpful assistant.');
+    assert.match(sessions.buildSystemMessage({ context: 'Be kind.' }, 'Asked about grief.').content,
+      /^Be kind\.\n\nSummary of the earlier conversation:\nAsked about grief\.$/);
+    console.log('✅ Tokens estimated; summary appended to the system prompt\n');
+
+    console.log('2. Trimming history to the budget...');
+    sessions.summarizeEnabled = false;
+    const short = await sessions.buildMessages(createSession(2), 'Next?');
+    assert.equal(short.messages.length, 4);
+    assert.equal(short.summary, null);
+
+    const trimmed = await sessions.buildMessages(createSession(6), 'Next?');
+    assert.deepEqual(trimmed.messages.map((msg) => msg.content.split('.')[0]),
+      ['Be kind', 'message 4', 'message 5', 'Next?']);
+    assert.equal(trimmed.summary, null);
+    console.log('✅ Newest messages kept; older ones dropped without summarization\n');
+
+    console.log('3. Summarizing older messages...');
+    sessions.summarizeEnabled = true;
+    const summarized = [];
+    sessions.summarize = async (previous, messages) => {
+      summarized.push({ previous, messages });
+      return 'Asked about grief.';
+    };
+
+    const turn = await sessions.buildMessages(createSession(6), 'Next?');
+    assert.deepEqual(turn.summary, { summary: 'Asked about grief.', summarizedCount: 4 });
+    assert.equal(summarized[0].messages.length, 4);
+    assert.match(turn.messages[0].content, /Asked about grief\.$/);
+    assert.equal(turn.messages.length, 4);
+
+    summarized.length = 0;
+    await sessions.buildMessages(createSession(8, { summary: 'Earlier.', summarizedCount: 4 }), 'Next?');
+    assert.equal(summarized[0].previous, 'Earlier.');
+    assert.deepEqual(summarized[0].messages.map((msg) => msg.content.split('.')[0]), ['message 4', 'message 5', 'message 6']);
+    console.log('✅ Only unsummarized messages folded into the summary, returned for recordTurn()\n');
+
+    console.log('4. Falling back when summarization fails...');
+    sessions.summarize = async () => {
+      throw new Error('upstream down');
+    };
+    const fallback = await sessions.buildMessages(createSession(6, { summary: 'Earlier.', summarizedCount: 2 }), 'Next?');
+    assert.equal(fallback.summary, null);
+    assert.match(fallback.messages[0].content, /Earlier\.$/);
+    assert.equal(fallback.messages.at(-1).content, 'Next?');
+    console.log('✅ History truncated and the stored summary kept\n');
+
+    console.log('🎉 All session tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Session test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testSession()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testSession };
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { SpeechNormalizerService, numberToWords, ordinalToWords } from '../services/speech-normalizer.service.js';
+
+/**
+ * Test speech normalization for TTS
+ */
+async function testSpeechNormalizer() {
+  try {
+    console.log('🧪 Testing speech normalization...\n');
+
+    const normalizer = new SpeechNormalizerService();
+    const lexicon = normalizer.buildLexicon();
+    const speak = (text, options) => normalizer.normalizeWith(text, lexicon, options);
+
+    console.log('1. Expanding verse references...');
+    assert.equal(speak('Read Gita 2:47 today.'), 'Read Gita chapter two, verse forty-seven today.');
+    assert.equal(speak('See Romans 8:28-30.'), 'See Romans chapter eight, verses twenty-eight to thirty.');
+    assert.equal(speak('1 Corinthians 13:4'), 'First Corinthians chapter thirteen, verse four');
+    assert.equal(speak('Surah 2:255'), 'Soo-rah two, verse two hundred fifty-five');
+    assert.equal(speak('We meet at 6:30 pm.'), 'We meet at 6:30 pm.');
+    assert.equal(speak('Ends at 6:30:15'), 'Ends at 6:30:15');
+    console.log('✅ Chapter and verse spelled out, clock times left alone\n');
+
+    console.log('2. Expanding abbreviations and numbers...');
+    assert.equal(speak('Ps. 23 vs. 4, e.g. the 3rd line'), 'Ps. twenty-three verse four, for example the third line');
+    assert.equal(speak('In 1984 about 2,500 people, 12.5% of them'), 'In nineteen eighty-four about two thousand five hundred people, twelve point five percent of them');
+    assert.equal(numberToWords(1000001), 'one million one');
+    assert.equal(ordinalToWords(21), 'twenty-first');
+    assert.equal(ordinalToWords(40), 'fortieth');
+    console.log('✅ Abbreviations, ordinals, years, decimals and percentages read out\n');
+
+    console.log('3. Applying the pronunciation lexicon...');
+    assert.equal(speak('waheguru guides'), 'Vaa-hay-guroo guides');
+    assert.equal(speak('The Japji Sahib'), 'The Jup-jee Saa-hib');
+    assert.equal(speak('Gurbanis'), 'Gurbanis');
+
+    const custom = normalizer.buildLexicon([{ term: 'Sahib', spoken: 'Saab' }, { term: 'Paul', spoken: 'Pawl' }]);
+    assert.equal(custom.entries.get('sahib').source, 'stored');
+    assert.equal(custom.entries.get('waheguru').source, 'default');
+    assert.equal(normalizer.normalizeWith('Sahib and Paul', custom), 'Saab and Pawl');
+    console.log('✅ Longest whole-word match wins; stored entries override defaults\n');
+
+    console.log('4. Producing SSML...');
+    const ssml = speak('Waheguru said "be still" & 2:3', { ssml: true });
+    assert.match(ssml, /^<speak>.*<\/speak>$/);
+    assert.match(ssml, /<phoneme alphabet="ipa" ph="ʋɑːɦɘɡʊɾuː">Waheguru<\/phoneme>/);
+    assert.match(ssml, /<break time="400ms"\/> "be still" <break time="400ms"\/>/);
+    assert.match(ssml, /&amp; chapter two, verse three/);
+    const quoted = normalizer.buildLexicon([{ term: 'Ardas', spoken: 'Ur-daas', ipa: 'ər"/><break time="9s' }]);
+    assert.match(normalizer.normalizeWith('Ardas', quoted, { ssml: true }),
+      /ph="ər&quot;\/&gt;&lt;break time=&quot;9s">Ardas<\/phoneme>/);
+    assert.equal(speak('He said “be still.” Then', {}), 'He said ... “be still.” ... Then');
+    console.log('✅ Phonemes, quote pauses and escaping in SSML; ellipses in plain text\n');
+
+    console.log('5. Validating and disabling...');
+    assert.equal(normalizer.validatePronunciation({ term: 'Al-Fatiha', spoken: 'Al Faa-tee-ha' }), null);
+    assert.match(normalizer.validatePronunciation({ term: '<b>', spoken: 'x' }), /term/);
+    assert.match(normalizer.validatePronunciation({ term: 'Ardas', spoken: '' }), /spoken/);
+    assert.match(normalizer.validatePronunciation({ term: 'Ardas', spoken: 'Ur-daas', ipa: 42 }), /ipa/);
+
+    normalizer.enabled = false;
+    assert.equal(await normalizer.normalize('Gita 2:47'), 'Gita 2:47');
+    console.log('✅ Bad entries rejected; text passes through when disabled\n');
+
+    console.log('🎉 All speech normalization tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Speech normalization test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testSpeechNormalizer()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testSpeechNormalizer };
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { SpeechQueue } from '../services/speech-queue.js';
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Test concurrent speech synthesis with ordered delivery
+ */
+async function testSpeechQueue() {
+  try {
+    console.log('🧪 Testing speech queue...\n');
+
+    console.log('1. Bounding concurrency...');
+    let running = 0;
+    let maxRunning = 0;
+    const delivered = [];
+    const queue = new SpeechQueue({
+      concurrency: 2,
+      synthesize: async (job) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        // Later chunks finish first
+        await sleep(40 - job.index * 10);
+        job.audio = `audio-${job.input}`;
+        running--;
+      },
+      deliver: async (job) => {
+        await job.synthesis;
+        delivered.push(job.audio);
+      }
+    });
+
+    for (const text of ['a', 'b', 'c', 'd']) {
+      queue.push(text);
+    }
+    assert.equal(running, 2);
+    await queue.drain();
+    assert.equal(maxRunning, 2);
+    console.log('✅ At most two chunks synthesized at once\n');
+
+    console.log('2. Delivering in order...');
+    assert.deepEqual(delivered, ['audio-a', 'audio-b', 'audio-c', 'audio-d']);
+    console.log('✅ Chunks delivered in push order although later ones finished first\n');
+
+    console.log('3. Delivering while audio is still arriving...');
+    const events = [];
+    const streaming = new SpeechQueue({
+      concurrency: 3,
+      synthesize: async (job) => {
+        await sleep(5);
+        events.push(`synthesized ${job.index}`);
+        await sleep(20);
+      },
+      deliver: async (job) => {
+        events.push(`delivering ${job.index}`);
+        await job.synthesis;
+      }
+    });
+    streaming.push('x');
+    streaming.push('y');
+    await streaming.drain();
+    assert.equal(events[0], 'delivering 0');
+    assert.deepEqual(events.slice(1, 3).sort(), ['synthesized 0', 'synthesized 1']);
+    assert.equal(events[3], 'delivering 1');
+    console.log('✅ First chunk delivered as soon as its synthesis started\n');
+
+    console.log('4. Reporting delivery errors...');
+    const failing = new SpeechQueue({
+      synthesize: async () => {},
+      deliver: async (job) => {
+        if (job.index === 0) {
+          throw new Error('socket closed');
+        }
+        delivered.push(job.input);
+      }
+    });
+    failing.push('first');
+    failing.push('second');
+    await assert.rejects(failing.drain(), /socket closed/);
+    assert.equal(delivered.at(-1), 'second');
+    console.log('✅ Later chunks still delivered, first error rethrown by drain()\n');
+
+    console.log('🎉 All speech queue tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Speech queue test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testSpeechQueue()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testSpeechQueue };
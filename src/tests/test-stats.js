@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { StatsService } from '../services/stats.service.js';
+
+/**
+ * Test timeseries ranges and bucket merging
+ */
+async function testStats() {
+  try {
+    console.log('🧪 Testing timeseries stats...\n');
+
+    const stats = new StatsService();
+
+    console.log('1. Resolving ranges...');
+    const to = new Date('2026-03-31T00:00:00Z');
+    const range = stats.resolveRange({ interval: 'day', to });
+    assert.deepEqual(range, { from: new Date('2026-03-01T00:00:00Z'), to });
+    assert.match(stats.resolveRange({ interval: 'hour', from: to, to }).message, /before/);
+    assert.match(stats.resolveRange({
+      interval: 'hour',
+      from: new Date('2020-01-01T00:00:00Z'),
+      to
+    }).message, /at most 1000 hour buckets/);
+    assert.equal(stats.isValidTimezone('Asia/Kolkata'), true);
+    assert.equal(stats.isValidTimezone('Mars/Olympus'), false);
+    console.log('✅ Default ranges, order and bucket limit checked\n');
+
+    console.log('2. Building periods...');
+    assert.deepEqual(stats.getPeriod('week', 'UTC'), {
+      $dateTrunc: { date: '$timestamp', unit: 'week', timezone: 'UTC', startOfWeek: 'monday' }
+    });
+    assert.equal(stats.getPeriod('day', 'UTC').$dateTrunc.startOfWeek, undefined);
+    console.log('✅ Weeks start on Monday\n');
+
+    console.log('3. Merging conversations and errors...');
+    const day1 = new Date('2026-03-01T00:00:00Z');
+    const day2 = new Date('2026-03-02T00:00:00Z');
+    const merged = stats.mergeBuckets({
+      totals: [{ _id: day1, conversations: 4, tokens: 900, latency: [1200.4, 3100.6] }],
+      byScripture: [{ _id: { period: day1, key: 'BIBLE' }, conversations: 4, tokens: 900, latency: [1200, 3100] }],
+      byModel: [],
+      byChannel: [],
+      summary: [{ conversations: 4, tokens: 900, latency: [1200.4, 3100.6] }]
+    }, {
+      totals: [{ _id: day2, errors: 2 }],
+      byScripture: [],
+      byModel: [],
+      byChannel: [{ _id: { period: day2, key: 'stream' }, errors: 2 }],
+      summary: [{ errors: 2 }]
+    });
+
+    assert.deepEqual(merged.summary, {
+      conversations: 4,
+      tokens: 900,
+      p50LatencyMs: 1200,
+      p95LatencyMs: 3101,
+      errors: 2
+    });
+    assert.deepEqual(merged.buckets.map((bucket) => bucket.period), [day1.toISOString(), day2.toISOString()]);
+    assert.equal(merged.buckets[0].byScripture.BIBLE.conversations, 4);
+    assert.equal(merged.buckets[1].conversations, 0);
+    assert.equal(merged.buckets[1].p50LatencyMs, null);
+    assert.equal(merged.buckets[1].byChannel.stream.errors, 2);
+    console.log('✅ Buckets ordered, percentiles rounded and errors merged\n');
+
+    console.log('🎉 All stats tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Stats test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testStats()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testStats };
@@ -0,0 +1,197 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import assert from 'node:assert/strict';
+import { DeepgramSttProvider } from '../stt/deepgram.provider.js';
+import { OpenAISttProvider } from '../stt/openai.provider.js';
+import { LocalSttProvider } from '../stt/local.provider.js';
+import { getAudioFormat, getSttProvider, listSttProviders, SttError } from '../stt/index.js';
+import { SpeechToTextService } from '../services/speech-to-text.service.js';
+
+/**
+ * Mock transcription upstream speaking the Deepgram and OpenAI wire formats
+ */
+function createMockServer() {
+  return http.createServer((req, res) => {
+    const parts = [];
+    req.on('data', (chunk) => {
+      parts.push(chunk);
+    });
+    req.on('end', async () => {
+      const body = Buffer.concat(parts);
+
+      if (req.url.startsWith('/v1/listen')) {
+        const url = new URL(req.url, 'http://localhost');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          metadata: { duration: 1.25 },
+          results: {
+            channels: [{
+              detected_language: url.searchParams.get('detect_language') ? 'en' : undefined,
+              alternatives: [{
+                transcript: `${body} (${req.headers['content-type']}, ${url.searchParams.get('model')})`,
+                confidence: 0.97
+              }]
+            }]
+          }
+        }));
+        return;
+      }
+
+      if (req.url === '/v1/audio/transcriptions') {
+        const form = await new Response(body, { headers: { 'Content-Type': req.headers['content-type'] } }).formData();
+        const file = form.get('file');
+        if (form.get('language') === 'xx') {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: { message: 'Unsupported language' } }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          text: ` ${await file.text()} (${file.name}, ${form.get('response_format')}) `,
+          language: 'english',
+          duration: 2
+        }));
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+}
+
+/**
+ * Minimal stand-in for an incoming request with a streamed body
+ * @param {Object} headers - Request headers
+ * @param {Array<Buffer|string>} chunks - Body chunks
+ * @param {Object} query - Query string
+ */
+function createRequest(headers, chunks, query = {}) {
+  const req = Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+  req.headers = headers;
+  req.query = query;
+  return req;
+}
+
+/**
+ * Test STT providers and upload parsing
+ */
+async function testStt() {
+  const server = createMockServer();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epic-stt-'));
+
+  try {
+    console.log('🧪 Testing speech-to-text...\n');
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    console.log('1. Looking up providers and audio types...');
+    assert.deepEqual(listSttProviders(), ['deepgram', 'openai', 'local']);
+    assert.equal(getSttProvider('local'), getSttProvider('local'));
+    assert.throws(() => getSttProvider('vosk'), /Available: deepgram, openai, local/);
+    assert.equal(getAudioFormat('audio/webm;codecs=opus'), 'webm');
+    assert.equal(getAudioFormat('audio/x-wav'), 'wav');
+    assert.equal(getAudioFormat('video/mp4'), null);
+    console.log('✅ Registry lists providers; content types mapped to formats\n');
+
+    console.log('2. Transcribing with Deepgram and OpenAI...');
+    const deepgram = new DeepgramSttProvider({ apiKey: 'dg-key', baseUrl });
+    assert.deepEqual(await deepgram.transcribe(Buffer.from('how do I find peace'), { mimeType: 'audio/webm' }), {
+      transcript: 'how do I find peace (audio/webm, nova-3)',
+      confidence: 0.97,
+      language: 'en',
+      durationMs: 1250
+    });
+
+    const openai = new OpenAISttProvider({ apiKey: 'sk-test', baseUrl });
+    assert.deepEqual(await openai.transcribe(Buffer.from('be still'), { mimeType: 'audio/ogg', language: 'en' }), {
+      transcript: 'be still (speech.ogg, verbose_json)',
+      confidence: null,
+      language: 'en',
+      durationMs: 2000
+    });
+    await assert.rejects(openai.transcribe(Buffer.from('x'), { mimeType: 'audio/wav', language: 'xx' }), (caught) =>
+      caught instanceof SttError && caught.status === 502 && /Unsupported language/.test(caught.message));
+    await assert.rejects(new DeepgramSttProvider({ baseUrl }).transcribe(Buffer.from('x'), { mimeType: 'audio/wav' }),
+      (caught) => caught.status === 500 && /VOICE_KEY/.test(caught.message));
+    console.log('✅ Transcripts, confidence, language and duration normalized\n');
+
+    console.log('3. Transcribing with a local command...');
+    const command = path.join(tmpDir, 'fake-stt');
+    fs.writeFileSync(command, '#!/bin/sh\n[ "$STT_LANGUAGE" = "xx" ] && { echo "bad language" >&2; exit 3; }\necho "  $(cat) in $STT_MIME_TYPE  "\n');
+    fs.chmodSync(command, 0o755);
+    const local = new LocalSttProvider({ command });
+    assert.equal((await local.transcribe(Buffer.from('be still'), { mimeType: 'audio/wav' })).transcript, 'be still in audio/wav');
+    await assert.rejects(local.transcribe(Buffer.from('x'), { mimeType: 'audio/wav', language: 'xx' }), (caught) =>
+      caught.status === 502 && /exited with code 3: bad language/.test(caught.message));
+    assert.equal(new LocalSttProvider({}).isConfigured(), false);
+    await assert.rejects(new LocalSttProvider({ command: path.join(tmpDir, 'missing') }).transcribe(Buffer.from('x'), {}),
+      (caught) => caught.status === 500 && /is not installed/.test(caught.message));
+    console.log('✅ Command output used as the transcript; failures reported\n');
+
+    console.log('4. Reading uploads...');
+    const stt = new SpeechToTextService();
+    const raw = await stt.readUpload(createRequest({ 'content-type': 'audio/webm' }, ['chunk-1 ', 'chunk-2'], { respond: 'voice' }));
+    assert.equal(raw.audio.toString(), 'chunk-1 chunk-2');
+    assert.equal(raw.mimeType, 'audio/webm');
+    assert.deepEqual(raw.fields, { respond: 'voice' });
+
+    const form = new FormData();
+    form.append('audio', new Blob([Buffer.from('RIFF')], { type: 'audio/wav' }), 'question.wav');
+    form.append('voiceSettings', '{"voice":"aura-2-luna-en"}');
+    const encoded = new Request('http://localhost', { method: 'POST', body: form });
+    const multipart = await stt.readUpload(createRequest(
+      { 'content-type': encoded.headers.get('content-type') },
+      [Buffer.from(await encoded.arrayBuffer())]
+    ));
+    assert.equal(multipart.audio.toString(), 'RIFF');
+    assert.equal(multipart.mimeType, 'audio/wav');
+    assert.deepEqual(multipart.fields, { voiceSettings: '{"voice":"aura-2-luna-en"}' });
+
+    const parsed = await stt.readUpload({ headers: { 'content-type': 'audio/mpeg' }, body: Buffer.from('ID3'), query: {} });
+    assert.equal(parsed.audio.toString(), 'ID3');
+
+    stt.maxBytes = 8;
+    await assert.rejects(stt.readUpload(createRequest({ 'content-type': 'audio/ogg' }, ['12345', '67890'])), (caught) =>
+      caught.status === 413);
+    await assert.rejects(stt.readUpload(createRequest({ 'content-type': 'application/json' }, ['{}'])), (caught) =>
+      caught.status === 415);
+    console.log('✅ Raw, chunked and multipart uploads read; size and type enforced\n');
+
+    console.log('5. Validating transcription requests...');
+    await assert.rejects(stt.transcribe(Buffer.from('x'), { provider: 'vosk', mimeType: 'audio/wav' }), (caught) =>
+      caught.status === 400 && /Unknown STT provider/.test(caught.message));
+    await assert.rejects(stt.transcribe(Buffer.alloc(0), { mimeType: 'audio/wav' }), (caught) => caught.status === 400);
+    await assert.rejects(stt.transcribe(Buffer.from('x'), { mimeType: 'audio/flac' }), (caught) => caught.status === 415);
+    await assert.rejects(stt.transcribe(Buffer.from('x'), { mimeType: 'audio/wav', language: 'English' }), (caught) =>
+      caught.status === 400 && /language code/.test(caught.message));
+    console.log('✅ Unknown providers, empty audio, bad types and languages refused\n');
+
+    console.log('🎉 All speech-to-text tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Speech-to-text test failed:', error.message);
+    return false;
+  } finally {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testStt()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testStt };
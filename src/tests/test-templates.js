@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { TemplateService, TemplateError } from '../services/template.service.js';
+
+/**
+ * Test template rendering and version resolution
+ */
+async function testTemplates() {
+  try {
+    console.log('🧪 Testing prompt templates...\n');
+
+    const templates = new TemplateService();
+
+    console.log('1. Extracting variables...');
+    assert.deepEqual(
+      templates.extractVariables('Answer in {{ language }} as a {{role}}. Stay {{role}}-like. {{ not valid }}'),
+      ['language', 'role']
+    );
+    assert.equal(templates.isValidName('gita-guide_v2'), true);
+    assert.equal(templates.isValidName('Gita Guide'), false);
+    console.log('✅ Placeholders listed once, in order\n');
+
+    console.log('2. Rendering...');
+    assert.equal(
+      templates.render('Answer in {{language}} in {{ length }} sentences.', { language: 'Hindi', length: 3 }),
+      'Answer in Hindi in 3 sentences.'
+    );
+    assert.throws(() => templates.render('Hi {{name}} from {{place}}', {}), /Missing template variables: name, place/);
+    assert.throws(() => templates.render('Hi {{name}}', { name: { nested: true } }), TemplateError);
+    assert.throws(() => templates.render('Hi {{name}}', { name: 'x'.repeat(2001) }), /exceeds 2000/);
+    console.log('✅ Values substituted, missing and invalid values rejected\n');
+
+    console.log('3. Resolving versions...');
+    templates.cache.set('guide', {
+      expiresAt: Date.now() + 60000,
+      template: {
+        name: 'guide',
+        activeVersion: 2,
+        versions: [
+          { version: 1, content: 'Be brief.' },
+          { version: 2, content: 'Be kind to {{name}}.' }
+        ]
+      }
+    });
+
+    assert.deepEqual(await templates.resolve({ templateId: 'guide', variables: { name: 'Asha' } }), {
+      templateId: 'guide',
+      version: 2,
+      content: 'Be kind to Asha.'
+    });
+    assert.equal((await templates.resolve({ templateId: 'guide', templateVersion: 1 })).content, 'Be brief.');
+    await assert.rejects(templates.resolve({ templateId: 'guide', templateVersion: 5 }),
+      (error) => error instanceof TemplateError && error.status === 404);
+    await assert.rejects(templates.resolve({ templateId: 'guide', templateVersion: '1' }), /must be an integer/);
+    await assert.rejects(templates.resolve({ templateId: 'guide', variables: ['Asha'] }), /must be an object/);
+    await assert.rejects(templates.resolve({ templateId: '../guide' }), /template name/);
+    console.log('✅ Active and pinned versions rendered, unknown versions rejected\n');
+
+    console.log('🎉 All template tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Template test failed:', error.message);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testTemplates()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testTemplates };
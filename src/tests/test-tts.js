@@ -0,0 +1,180 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import assert from 'node:assert/strict';
+import { DeepgramTtsProvider } from '../tts/deepgram.provider.js';
+import { OpenAITtsProvider } from '../tts/openai.provider.js';
+import { LocalTtsProvider } from '../tts/local.provider.js';
+import { getTtsProvider, isTtsProviderSupported, listTtsProviders, TtsError } from '../tts/index.js';
+import { textToSpeechService } from '../services/text-to-speech.service.js';
+
+/**
+ * Mock speech upstream answering the Deepgram and OpenAI wire formats with
+ * a description of the request it received
+ */
+function createMockServer() {
+  return http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      if (req.url.startsWith('/v1/speak')) {
+        const url = new URL(req.url, 'http://localhost');
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(`deepgram ${url.searchParams.get('model')} ${url.searchParams.get('encoding')} ${req.headers.authorization}: ${raw}`);
+        return;
+      }
+
+      if (req.url === '/v1/audio/speech') {
+        const body = JSON.parse(raw);
+        if (body.input === 'fail') {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: { message: 'Server overloaded' } }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(`openai ${body.model} ${body.voice} ${body.response_format} ${body.speed}: ${body.input}`);
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+}
+
+/**
+ * Collect everything a provider yields
+ * @param {AsyncIterable} audio - Provider output
+ * @returns {Promise<string>}
+ */
+async function collect(audio) {
+  const parts = [];
+  for await (const bytes of audio) {
+    parts.push(Buffer.from(bytes));
+  }
+  return Buffer.concat(parts).toString();
+}
+
+/**
+ * Test TTS provider validation and synthesis
+ */
+async function testTts() {
+  const server = createMockServer();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epic-tts-'));
+
+  try {
+    console.log('🧪 Testing TTS providers...\n');
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    console.log('1. Looking up providers...');
+    assert.deepEqual(listTtsProviders(), ['deepgram', 'openai', 'local']);
+    assert.equal(isTtsProviderSupported('local'), true);
+    assert.equal(isTtsProviderSupported('polly'), false);
+    assert.equal(getTtsProvider('openai'), getTtsProvider('openai'));
+    assert.throws(() => getTtsProvider('polly'), /Available: deepgram, openai, local/);
+    console.log('✅ Registry lists and caches providers\n');
+
+    console.log('2. Validating voice settings per provider...');
+    const deepgram = new DeepgramTtsProvider({ apiKey: 'dg-key', baseUrl });
+    assert.deepEqual(deepgram.validate({}), {
+      voice: 'aura-2-draco-en', audioFormat: 'mp3', sampleRate: null, speed: 1, mimeType: 'audio/mpeg'
+    });
+    assert.equal(deepgram.validate({ audioFormat: 'mp3', sampleRate: 24000 }).sampleRate, null);
+    assert.equal(deepgram.validate({ audioFormat: 'wav', sampleRate: 16000 }).mimeType, 'audio/wav');
+    assert.throws(() => deepgram.validate({ audioFormat: 'wav', sampleRate: 44100 }), /sampleRate must be one of/);
+    assert.throws(() => deepgram.validate({ voice: 'alloy' }), /Unknown Deepgram voice/);
+    assert.throws(() => deepgram.validate({ speed: 1.5 }), /does not support changing the speed/);
+    assert.throws(() => deepgram.validate({ audioFormat: 'opus' }), /Deepgram supports audioFormat: mp3, wav/);
+
+    const openai = new OpenAITtsProvider({ apiKey: 'sk-test', baseUrl });
+    assert.equal(openai.validate({ voice: 'nova', audioFormat: 'opus', speed: 1.25 }).mimeType, 'audio/ogg');
+    assert.throws(() => openai.validate({ voice: 'aura-2-draco-en' }), /OpenAI voice must be one of/);
+    assert.throws(() => openai.validate({ speed: 5 }), /between 0.25 and 4/);
+
+    const local = new LocalTtsProvider({ engine: 'espeak-ng' });
+    assert.equal(local.validate({}).voice, 'en-us');
+    assert.throws(() => local.validate({ voice: '../../etc/passwd' }), /Invalid espeak-ng voice/);
+    assert.throws(() => local.validate({ audioFormat: 'mp3' }), /Local supports audioFormat: wav/);
+    assert.equal(local.supportsSsml, true);
+    assert.equal(new LocalTtsProvider({ engine: 'piper' }).supportsSsml, false);
+    assert.equal(deepgram.supportsSsml, false);
+
+    const error = (() => {
+      try {
+        openai.validate({ speed: 'fast' });
+      } catch (caught) {
+        return caught;
+      }
+    })();
+    assert.ok(error instanceof TtsError);
+    assert.equal(error.status, 400);
+    assert.equal(error.provider, 'openai');
+    console.log('✅ Voices, formats, sample rates and speeds checked\n');
+
+    console.log('3. Resolving request voice settings...');
+    const resolved = textToSpeechService.resolveVoice({ provider: 'openai', voice: 'sage', speed: 0.8 });
+    assert.equal(resolved.provider.name, 'openai');
+    assert.equal(resolved.settings.voice, 'sage');
+    assert.equal(textToSpeechService.resolveVoice({ provider: 'deepgram', model: 'aura-asteria-en' }).settings.voice, 'aura-asteria-en');
+    assert.throws(() => textToSpeechService.resolveVoice({ provider: 'polly' }), (caught) =>
+      caught instanceof TtsError && caught.status === 400);
+    console.log('✅ Provider picked from voiceSettings; legacy model read as the voice\n');
+
+    console.log('4. Synthesizing with Deepgram and OpenAI...');
+    assert.equal(
+      await collect(deepgram.synthesize('Be still', deepgram.validate({ audioFormat: 'wav' }))),
+      'deepgram aura-2-draco-en linear16 Token dg-key: Be still'
+    );
+    assert.equal(
+      await collect(openai.synthesize('Be still', openai.validate({ voice: 'sage', speed: 1.5 }))),
+      'openai gpt-4o-mini-tts sage mp3 1.5: Be still'
+    );
+    await assert.rejects(collect(openai.synthesize('fail', openai.validate({}))), (caught) =>
+      caught instanceof TtsError && caught.status === 502 && /Server overloaded/.test(caught.message));
+    await assert.rejects(collect(new DeepgramTtsProvider({ baseUrl }).synthesize('Be still', deepgram.validate({}))),
+      (caught) => caught.status === 500 && /VOICE_KEY/.test(caught.message));
+    console.log('✅ Requests built per provider; upstream and configuration errors reported\n');
+
+    console.log('5. Synthesizing with a local engine...');
+    const engine = path.join(tmpDir, 'fake-espeak');
+    fs.writeFileSync(engine, '#!/bin/sh\n[ "$3" = "broken" ] && { echo "no such voice" >&2; exit 2; }\necho "RIFF $3 $5 $(cat)"\n');
+    fs.chmodSync(engine, 0o755);
+    const fake = new LocalTtsProvider({ engine: 'espeak-ng', command: engine });
+    assert.equal(await collect(fake.synthesize('Be still', fake.validate({ speed: 2 }))), 'RIFF en-us 350 Be still\n');
+    await assert.rejects(collect(fake.synthesize('Be still', fake.validate({ voice: 'broken' }))), (caught) =>
+      caught.status === 502 && /exited with code 2: no such voice/.test(caught.message));
+
+    const missing = new LocalTtsProvider({ command: path.join(tmpDir, 'missing') });
+    await assert.rejects(collect(missing.synthesize('Be still', missing.validate({}))), (caught) =>
+      caught.status === 500 && /is not installed/.test(caught.message));
+    console.log('✅ Engine output streamed; failures and missing engines reported\n');
+
+    console.log('🎉 All TTS tests passed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ TTS test failed:', error.message);
+    return false;
+  } finally {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testTts()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+export { testTts };
@@ -0,0 +1,117 @@
+import { TtsError } from './tts-error.js';
+import { validateCommonSettings } from './settings.js';
+
+// Content types by output format; Deepgram calls wav `linear16`
+const FORMATS = {
+  mp3: { encoding: 'mp3', mimeType: 'audio/mpeg' },
+  wav: { encoding: 'linear16', mimeType: 'audio/wav' }
+};
+
+// Sample rates Deepgram accepts for linear16; mp3 has a fixed rate
+const WAV_SAMPLE_RATES = [8000, 16000, 24000, 32000, 48000];
+
+/**
+ * Deepgram Aura adapter
+ *
+ * Every TTS provider exposes the same two methods:
+ * - validate(voiceSettings) checks { voice, audioFormat, sampleRate, speed }
+ *   against what the provider supports and resolves to
+ *   { voice, audioFormat, sampleRate, speed, mimeType }, or throws a 400
+ *   TtsError
+ * - synthesize(text, settings, { signal }) yields the audio bytes as they
+ *   arrive, so they can be streamed or collected
+ * plus isConfigured(), false when the provider cannot be called at all, and
+ * supportsSsml, true when synthesize() expects an SSML document.
+ */
+export class DeepgramTtsProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - Deepgram API key (VOICE_KEY)
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.defaultVoice - Voice used when the request names none
+   */
+  constructor(config = {}) {
+    this.name = 'deepgram';
+    this.label = 'Deepgram';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.deepgram.com/v1').replace(/\/+$/, '');
+    this.defaultVoice = config.defaultVoice || 'aura-2-draco-en';
+    this.formats = Object.keys(FORMATS);
+    this.supportsSsml = false;
+  }
+
+  /**
+   * Whether an API key is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Validate voice settings
+   * @param {Object} voiceSettings - { voice, audioFormat, sampleRate, speed }
+   * @returns {Object} - { voice, audioFormat, sampleRate, speed, mimeType }
+   * @throws {TtsError} - 400 for unsupported settings
+   */
+  validate(voiceSettings = {}) {
+    const { voice, audioFormat, sampleRate, speed } = validateCommonSettings(this, voiceSettings);
+
+    if (!/^aura(-2)?-[a-z]+-[a-z]{2}$/.test(voice)) {
+      throw new TtsError(`Unknown Deepgram voice "${voice}" (e.g. aura-2-draco-en)`, { provider: this.name, status: 400 });
+    }
+    if (speed !== 1) {
+      throw new TtsError('Deepgram does not support changing the speed', { provider: this.name, status: 400 });
+    }
+    if (audioFormat === 'wav' && sampleRate !== null && !WAV_SAMPLE_RATES.includes(sampleRate)) {
+      throw new TtsError(`sampleRate must be one of: ${WAV_SAMPLE_RATES.join(', ')}`, { provider: this.name, status: 400 });
+    }
+
+    return {
+      voice,
+      audioFormat,
+      // mp3 comes at Deepgram's fixed rate, so a requested rate is ignored
+      sampleRate: audioFormat === 'wav' ? sampleRate ?? 24000 : null,
+      speed,
+      mimeType: FORMATS[audioFormat].mimeType
+    };
+  }
+
+  /**
+   * Synthesize speech
+   * @param {string} text - Text to speak
+   * @param {Object} settings - Result of validate()
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @yields {Uint8Array} - Audio bytes
+   */
+  async *synthesize(text, settings, { signal } = {}) {
+    if (!this.apiKey) {
+      throw new TtsError('VOICE_KEY environment variable is not set', { provider: this.name, status: 500 });
+    }
+
+    const url = new URL(`${this.baseUrl}/speak`);
+    url.searchParams.append('model', settings.voice);
+    url.searchParams.append('encoding', FORMATS[settings.audioFormat].encoding);
+    if (settings.sampleRate) {
+      url.searchParams.append('sample_rate', settings.sampleRate);
+    }
+
+    const response = await fetch(url.toString(), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Token ${this.apiKey}`,
+        'Content-Type': 'text/plain'
+      },
+      body: text,
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new TtsError(`Deepgram API error (${response.status}): ${errorText}`, { provider: this.name });
+    }
+
+    yield* response.body;
+  }
+}
@@ -0,0 +1,66 @@
+import dotenv from 'dotenv';
+import { DeepgramTtsProvider } from './deepgram.provider.js';
+import { OpenAITtsProvider } from './openai.provider.js';
+import { LocalTtsProvider } from './local.provider.js';
+
+dotenv.config();
+
+export { TtsError } from './tts-error.js';
+
+// TTS provider factories configured from the environment
+const TTS_FACTORIES = {
+  deepgram: () => new DeepgramTtsProvider({
+    apiKey: process.env.VOICE_KEY,
+    baseUrl: process.env.DEEPGRAM_BASE_URL,
+    defaultVoice: process.env.DEEPGRAM_TTS_VOICE
+  }),
+  openai: () => new OpenAITtsProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_TTS_MODEL,
+    defaultVoice: process.env.OPENAI_TTS_VOICE
+  }),
+  local: () => new LocalTtsProvider({
+    engine: process.env.LOCAL_TTS_ENGINE,
+    command: process.env.LOCAL_TTS_COMMAND,
+    defaultVoice: process.env.LOCAL_TTS_VOICE,
+    modelDir: process.env.LOCAL_TTS_MODEL_DIR
+  })
+};
+
+const instances = new Map();
+
+/**
+ * Names of all available TTS providers
+ * @returns {Array<string>}
+ */
+export function listTtsProviders() {
+  return Object.keys(TTS_FACTORIES);
+}
+
+/**
+ * Check whether a TTS provider name is known
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isTtsProviderSupported(name) {
+  return Object.hasOwn(TTS_FACTORIES, name);
+}
+
+/**
+ * Get a TTS provider adapter by name, defaulting to TTS_PROVIDER (or deepgram)
+ * @param {string} name - Provider name (optional)
+ * @returns {Object} - TTS provider adapter
+ */
+export function getTtsProvider(name) {
+  const providerName = name || process.env.TTS_PROVIDER || 'deepgram';
+
+  if (!isTtsProviderSupported(providerName)) {
+    throw new Error(`Unknown TTS provider "${providerName}". Available: ${listTtsProviders().join(', ')}`);
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, TTS_FACTORIES[providerName]());
+  }
+  return instances.get(providerName);
+}
@@ -0,0 +1,128 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import { TtsError } from './tts-error.js';
+import { validateCommonSettings } from './settings.js';
+
+// How each offline engine is invoked; both read the text on stdin (SSML for
+// espeak-ng) and write a WAV file to stdout
+const ENGINES = {
+  'espeak-ng': {
+    command: 'espeak-ng',
+    defaultVoice: 'en-us',
+    ssml: true,
+    args: (settings) => ['--stdout', '-v', settings.voice, '-s', String(Math.round(175 * settings.speed)), '-m', '--stdin']
+  },
+  piper: {
+    command: 'piper',
+    defaultVoice: 'en_US-lessac-medium',
+    args: (settings, modelDir) => [
+      '--model', path.join(modelDir, `${settings.voice}.onnx`),
+      '--output_file', '/dev/stdout',
+      '--length_scale', String(1 / settings.speed)
+    ]
+  }
+};
+
+/**
+ * Local adapter that shells out to an offline engine (espeak-ng or piper)
+ *
+ * Implements the TTS provider interface described in deepgram.provider.js.
+ * Output is always WAV at the engine's native sample rate, so a requested
+ * sample rate is ignored. Useful for development and air-gapped installs.
+ */
+export class LocalTtsProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.engine - espeak-ng (default) or piper
+   * @param {string} config.command - Executable to run instead of the engine name
+   * @param {string} config.defaultVoice - Voice used when the request names none
+   * @param {string} config.modelDir - Directory holding piper .onnx voices
+   */
+  constructor(config = {}) {
+    this.name = 'local';
+    this.label = 'Local';
+    this.engine = ENGINES[config.engine] ? config.engine : 'espeak-ng';
+    this.command = config.command || ENGINES[this.engine].command;
+    this.defaultVoice = config.defaultVoice || ENGINES[this.engine].defaultVoice;
+    this.modelDir = config.modelDir || '.';
+    this.formats = ['wav'];
+    this.supportsSsml = Boolean(ENGINES[this.engine].ssml);
+  }
+
+  /**
+   * Local engines need no key; a missing executable is reported on use
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Validate voice settings
+   * @param {Object} voiceSettings - { voice, audioFormat, sampleRate, speed }
+   * @returns {Object} - { voice, audioFormat, sampleRate, speed, mimeType }
+   * @throws {TtsError} - 400 for unsupported settings
+   */
+  validate(voiceSettings = {}) {
+    const { voice, audioFormat, speed } = validateCommonSettings(this, voiceSettings);
+
+    // Voices become command arguments (and piper file names)
+    if (!/^[\w.+-]+$/.test(voice)) {
+      throw new TtsError(`Invalid ${this.engine} voice "${voice}"`, { provider: this.name, status: 400 });
+    }
+    if (speed < 0.5 || speed > 2) {
+      throw new TtsError('Local speed must be between 0.5 and 2', { provider: this.name, status: 400 });
+    }
+
+    return { voice, audioFormat, sampleRate: null, speed, mimeType: 'audio/wav' };
+  }
+
+  /**
+   * Synthesize speech by piping the text through the engine
+   * @param {string} text - Text to speak
+   * @param {Object} settings - Result of validate()
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Kills the engine (optional)
+   * @yields {Buffer} - Audio bytes
+   */
+  async *synthesize(text, settings, { signal } = {}) {
+    const child = spawn(this.command, ENGINES[this.engine].args(settings, this.modelDir), { signal });
+    const exited = new Promise((resolve) => {
+      child.once('error', (error) => resolve({ error }));
+      child.once('close', (code) => resolve({ code }));
+    });
+
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr += data;
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+
+    try {
+      try {
+        yield* child.stdout;
+      } catch {
+        // The exit status below says why output stopped
+      }
+
+      const { error, code } = await exited;
+      if (error?.name === 'AbortError') {
+        throw error;
+      }
+      if (error) {
+        throw new TtsError(
+          error.code === 'ENOENT' ? `${this.command} is not installed` : `${this.engine} failed: ${error.message}`,
+          { provider: this.name, status: error.code === 'ENOENT' ? 500 : 502 }
+        );
+      }
+      if (code !== 0) {
+        throw new TtsError(`${this.engine} exited with code ${code}: ${stderr.trim()}`, { provider: this.name });
+      }
+    } finally {
+      if (child.exitCode === null) {
+        child.kill();
+      }
+    }
+  }
+}
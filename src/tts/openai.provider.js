@@ -0,0 +1,102 @@
+import { TtsError } from './tts-error.js';
+import { validateCommonSettings } from './settings.js';
+
+const VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer', 'verse'];
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac'
+};
+
+/**
+ * OpenAI speech adapter (POST /audio/speech)
+ *
+ * Implements the TTS provider interface described in deepgram.provider.js.
+ * OpenAI always renders at 24 kHz, so a requested sample rate is ignored.
+ */
+export class OpenAITtsProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key sent as a Bearer token
+   * @param {string} config.baseUrl - API base URL (up to and including /v1)
+   * @param {string} config.model - Speech model
+   * @param {string} config.defaultVoice - Voice used when the request names none
+   */
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI';
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = config.model || 'gpt-4o-mini-tts';
+    this.defaultVoice = config.defaultVoice || 'alloy';
+    this.formats = Object.keys(MIME_TYPES);
+    this.supportsSsml = false;
+  }
+
+  /**
+   * Whether an API key is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Validate voice settings
+   * @param {Object} voiceSettings - { voice, audioFormat, sampleRate, speed }
+   * @returns {Object} - { voice, audioFormat, sampleRate, speed, mimeType }
+   * @throws {TtsError} - 400 for unsupported settings
+   */
+  validate(voiceSettings = {}) {
+    const { voice, audioFormat, speed } = validateCommonSettings(this, voiceSettings);
+
+    if (!VOICES.includes(voice)) {
+      throw new TtsError(`OpenAI voice must be one of: ${VOICES.join(', ')}`, { provider: this.name, status: 400 });
+    }
+    if (speed < 0.25 || speed > 4) {
+      throw new TtsError('OpenAI speed must be between 0.25 and 4', { provider: this.name, status: 400 });
+    }
+
+    return { voice, audioFormat, sampleRate: 24000, speed, mimeType: MIME_TYPES[audioFormat] };
+  }
+
+  /**
+   * Synthesize speech
+   * @param {string} text - Text to speak
+   * @param {Object} settings - Result of validate()
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @yields {Uint8Array} - Audio bytes
+   */
+  async *synthesize(text, settings, { signal } = {}) {
+    if (!this.apiKey) {
+      throw new TtsError('OPENAI_API_KEY environment variable is not set', { provider: this.name, status: 500 });
+    }
+
+    const response = await fetch(`${this.baseUrl}/audio/speech`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        voice: settings.voice,
+        input: text,
+        response_format: settings.audioFormat,
+        speed: settings.speed
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new TtsError(`OpenAI speech API error (${response.status}): ${errorText}`, { provider: this.name });
+    }
+
+    yield* response.body;
+  }
+}
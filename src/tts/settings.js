@@ -0,0 +1,35 @@
+import { TtsError } from './tts-error.js';
+
+/**
+ * Normalize the settings every provider accepts and check the format against
+ * the provider's list. Provider-specific limits are checked by the adapter.
+ * @param {Object} provider - TTS provider adapter
+ * @param {Object} voiceSettings - { voice, audioFormat, sampleRate, speed }
+ * @returns {Object} - { voice, audioFormat, sampleRate, speed }; sampleRate is
+ *   null when not requested
+ * @throws {TtsError} - 400 for malformed settings or an unsupported format
+ */
+export function validateCommonSettings(provider, voiceSettings = {}) {
+  const fail = (message) => new TtsError(message, { provider: provider.name, status: 400 });
+  const {
+    voice = provider.defaultVoice,
+    audioFormat = provider.formats[0],
+    sampleRate = null,
+    speed = 1
+  } = voiceSettings;
+
+  if (typeof voice !== 'string' || voice.trim().length === 0) {
+    throw fail('voice must be a non-empty string');
+  }
+  if (!provider.formats.includes(audioFormat)) {
+    throw fail(`${provider.label} supports audioFormat: ${provider.formats.join(', ')}`);
+  }
+  if (sampleRate !== null && !(Number.isInteger(sampleRate) && sampleRate > 0)) {
+    throw fail('sampleRate must be a positive integer');
+  }
+  if (typeof speed !== 'number' || !Number.isFinite(speed)) {
+    throw fail('speed must be a number');
+  }
+
+  return { voice: voice.trim(), audioFormat, sampleRate, speed };
+}
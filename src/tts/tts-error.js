@@ -0,0 +1,19 @@
+/**
+ * Error raised by a TTS provider adapter
+ */
+export class TtsError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.provider - TTS provider name (deepgram, openai, local)
+   * @param {number} details.status - HTTP status to answer with: 400 for
+   *   invalid voice settings, 500 for a missing key or engine, 502 when the
+   *   provider failed
+   */
+  constructor(message, { provider, status = 502 } = {}) {
+    super(message);
+    this.name = 'TtsError';
+    this.provider = provider;
+    this.status = status;
+  }
+}